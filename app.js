@@ -1,27 +1,91 @@
 // app.js -- Main application: wires controls, training loop, and rendering
 
 import {
-  MAZE_TRAIN,
   GridWorld,
-  TabularSoftmaxPolicy,
-  reinforceUpdate,
-  maxrlUpdate,
-  evaluateFromStart,
   bfsShortestPath,
+  ESTIMATORS,
+  MAZE_GENERATORS,
+  DEFAULT_GENERATOR,
+  generatorOptions,
+  NO_DYNAMICS,
+  dynamicsError,
+  hasDynamics,
+  NO_REWARDS,
+  MAX_GOAL_REWARD,
+  MAX_STEP_PENALTY,
+  rewardsError,
+  hasRewards,
+  trapsWalled,
 } from "./engine.js";
 
 import {
   Renderer,
-  generateHeatmap,
-  generateHeatmapMultistart,
   BG,
   DIVIDER,
-  ACCENT_RL,
-  ACCENT_MAXRL,
   CELL,
+  startStyle,
+  algStyle,
+  runStyle,
+  panelLayout,
+  CHART_SERIES,
+  generateHeatmap,
+  generateHeatmapMultistart,
+  cellActions,
+  gridCellAt,
 } from "./renderer.js";
 
-import { MazeEditor } from "./editor.js";
+import { MazeEditor, MAX_STARTS, BRUSHES } from "./editor.js";
+import { formatMazeAscii, formatMazeJson, MAX_MAZE_SIZE } from "./mazefile.js";
+import {
+  encodeState,
+  decodeState,
+  formatPortals,
+  formatWind,
+  parsePortals,
+  parseWind,
+  UrlStateError,
+} from "./urlstate.js";
+import {
+  CheckpointError,
+  formatCheckpoint,
+  parseCheckpoint,
+  storeCheckpoint,
+  loadStoredCheckpoint,
+} from "./checkpoint.js";
+import { SvgContext } from "./svgcanvas.js";
+import { Rng } from "./rng.js";
+import {
+  ALGORITHMS,
+  DEFAULTS,
+  DEFAULT_ALGORITHMS,
+  DEFAULT_LAYOUT,
+  DEFAULT_SEED,
+  MAX_SEEDS,
+  PARAM_SPECS,
+  paramSpec,
+  startDistribution,
+  aggregateHistories,
+  seedSummary,
+  appendHistory,
+  appendSnapshots,
+  historyCSV,
+  historyMetrics,
+  paramError,
+  normalizeRuns,
+  paramsFor,
+  runParamsFor,
+  validateParams,
+  heldOutMazes,
+  EVENT_TYPES,
+  eventLabel,
+  eventsError,
+  mazeAt,
+  presetEvent,
+  SCHEDULES,
+  DEFAULT_SCHEDULE,
+  scheduleOptions,
+} from "./trainer.js";
+import { createBackend } from "./worker.js";
 
 // ---------------------------------------------------------------------------
 // Constants
@@ -29,33 +93,19 @@ import { MazeEditor } from "./editor.js";
 
 const CANVAS_W = 1400;
 const CANVAS_H = 820;
-const PANEL_W = 700;
+// Runs trained side by side, one panel each
+const MAX_RUNS = 8;
+// Smallest Random Grid side: a 2x2 lattice of corridor cells
+const MIN_RANDOM_SIZE = 5;
 
 // Layout Y positions (tuned to fit 11x11 grid + metrics + formulas + chart + HUD)
 const GRID_Y = 8;
-const GRID_MARGIN_X = 46; // center grid within each 700px panel
+// Height of the run panels block; one row of 11x11 grids at full cell size
+const PANELS_H = 478;
 
 const CHART_H = 180;
 const HUD_H = 44;
 
-// Training defaults
-const DEFAULTS = {
-  multi: {
-    lr: 0.3,
-    N: 32,
-    maxSteps: 25,
-    evalInterval: 10,
-    nEval: 64,
-  },
-  single: {
-    lr: 0.3,
-    N: 16,
-    maxSteps: 80,
-    evalInterval: 5,
-    nEval: 64,
-  },
-};
-
 const MAX_HISTORY = 2000;
 
 // ---------------------------------------------------------------------------
@@ -68,277 +118,480 @@ const renderer = new Renderer(CELL);
 const editor = new MazeEditor(canvas, CELL);
 
 // Grid / environment
-let grid = MAZE_TRAIN.map((r) => [...r]);
-let starts = [
-  [1, 1],
-  [9, 1],
-];
-let goal = [9, 9];
+let grid = DEFAULT_LAYOUT.grid.map((r) => [...r]);
+let starts = DEFAULT_LAYOUT.starts.map((s) => [...s]);
+let goal = [...DEFAULT_LAYOUT.goal];
+// Slip, wind and portals of the maze (NO_DYNAMICS keys); the editor keeps them
+// across mazes as far as they fit
+let dynamics = { ...NO_DYNAMICS };
+// Traps, extra goals, step penalty and success threshold (NO_REWARDS keys);
+// the editor keeps the last two across mazes
+let rewards = { ...NO_REWARDS };
 let env = new GridWorld(grid, starts[0], goal);
 let startProbs = [0.5, 0.5];
+// Relative sampling weight per start; starts[0] (hard) is governed by the Hard % slider instead
+let startWeights = [1, 1];
+// Random Grid settings: MAZE_GENERATORS key, side length and the generator's
+// options (loops, deadEnds; the rest at their defaults)
+let mazeGenerator = DEFAULT_GENERATOR;
+let mazeSize = 11;
+let mazeOpts = generatorOptions(mazeGenerator);
+
+// Runs trained and shown side by side: { alg, params, seed } where `params`
+// overrides the mode's hyperparameters for this run and `seed` (null = the
+// session seed) its training stream. Ids come from normalizeRuns.
+let runs = DEFAULT_ALGORITHMS.map((alg) => ({ alg, params: {}, seed: null }));
 
 // Mode
 let multiStart = true;
+let exactEval = false; // pass@1 by dynamic programming instead of rollouts
+let heldOut = false; // also evaluate on held-out test mazes (heldOutMazes)
+// Perturbation events of the session, { step, type, ... } (EVENT_TYPES); the
+// backend's list, which also holds the events added while training
+let events = [];
+// Curriculum of the training starts, { type, params } (SCHEDULES)
+let schedule = scheduleOptions(DEFAULT_SCHEDULE);
+let showArrows = false; // policy arrow overlay on the grids
+let showGrad = false; // |grad| per cell on the grids, per-start gradient share in the chart
+// CHART_SERIES keys plotted in single-start mode
+let chartSeries = ["pass_at_1", "pass_at_k"];
+
+// Hyperparameters per start mode, edited in the settings panel; per-algorithm
+// overrides nest under the algorithm key (see paramsFor), per-run ones live
+// in `runs`
+const params = {
+  multi: { ...DEFAULTS.multi },
+  single: { ...DEFAULTS.single },
+};
 
-// Policies
-let rlPolicy = new TabularSoftmaxPolicy(env.height, env.width);
-let maxrlPolicy = new TabularSoftmaxPolicy(env.height, env.width);
-
-// Training state
-let step = 0;
+// Random streams: the seed fixes the session's training/eval streams, the
+// heatmap rollouts (both owned by the backend) and the maze generator
+let seed = DEFAULT_SEED;
+// Independent seeds trained per run (seed, seed + 1, ...); the panels show
+// the first, the chart the mean and 95% band of all
+let nSeeds = 1;
+let rngs = _makeStreams(seed);
+
+// Training runs in the backend (a Web Worker where available); the app keeps
+// the latest snapshot of it: { step, metrics, logits, history, seedHistory,
+// snapshots, heat, grad }, plus the seeds' aggregate for the chart (`agg`).
+// `gen` identifies the current session so stale snapshots can be dropped.
+const backend = createBackend(onBackendMessage);
+let gen = 0;
+let view = null;
+
+// Timeline: eval point (history index) being replayed, null = live view.
+// `replay` caches the heatmaps drawn from its policy snapshot.
+let scrubIdx = null;
+let replay = null; // { idx, heat }
+
+// Checkpoint requested from the backend, and where it goes: "store" | "download"
+let checkpointRequest = null;
+
+// UI state
 let paused = true;
 let speed = 3; // steps-per-frame (mapped from slider)
 let editorActive = false;
+let hover = null; // mouse position over the canvas, canvas pixels [x, y]
 
-// History for charts
-let history = _emptyHistory();
+function _params() {
+  return multiStart ? params.multi : params.single;
+}
 
-// Cached heatmap / path data (regenerated every evalInterval steps)
-let rlHeat = null;
-let maxrlHeat = null;
-let rlMetrics = {};
-let maxrlMetrics = {};
+function _runs() {
+  return normalizeRuns(runs);
+}
 
 // ---------------------------------------------------------------------------
-// History helpers
+// Random streams
 // ---------------------------------------------------------------------------
 
-function _emptyHistory() {
-  if (multiStart) {
-    return {
-      rl: { steps: [], start_0_p1: [], start_1_p1: [], K: [] },
-      maxrl: { steps: [], start_0_p1: [], start_1_p1: [], K: [] },
-    };
-  }
+function _makeStreams(s) {
   return {
-    rl: { steps: [], pass_at_1: [], pass_at_k: [], entropy: [], unique_paths: [], K: [] },
-    maxrl: { steps: [], pass_at_1: [], pass_at_k: [], entropy: [], unique_paths: [], K: [] },
+    maze: new Rng(s, "maze"),
   };
 }
 
-function _params() {
-  return multiStart ? DEFAULTS.multi : DEFAULTS.single;
-}
-
 // ---------------------------------------------------------------------------
-// Evaluation / heatmap refresh
+// Backend messages
 // ---------------------------------------------------------------------------
 
-function refreshEval() {
-  const p = _params();
-
-  if (multiStart) {
-    // Heatmaps
-    rlHeat = generateHeatmapMultistart(rlPolicy.logits, env, starts, 75, p.maxSteps);
-    maxrlHeat = generateHeatmapMultistart(maxrlPolicy.logits, env, starts, 75, p.maxSteps);
-
-    // Per-start pass@1
-    const rlP = starts.map((s) => evaluateFromStart(rlPolicy, env, s, p.nEval, p.maxSteps));
-    const mxP = starts.map((s) => evaluateFromStart(maxrlPolicy, env, s, p.nEval, p.maxSteps));
-
-    rlMetrics = { start_0_p1: rlP[0], start_1_p1: rlP.length > 1 ? rlP[1] : rlP[0] };
-    maxrlMetrics = { start_0_p1: mxP[0], start_1_p1: mxP.length > 1 ? mxP[1] : mxP[0] };
+function onBackendMessage(msg) {
+  if (msg.type === "checkpoint") {
+    onCheckpoint(msg);
   } else {
-    const start = starts[0];
-    rlHeat = generateHeatmap(rlPolicy.logits, env, start, 150, p.maxSteps);
-    maxrlHeat = generateHeatmap(maxrlPolicy.logits, env, start, 150, p.maxSteps);
-
-    const rlP1 = evaluateFromStart(rlPolicy, env, start, p.nEval, p.maxSteps);
-    const mxP1 = evaluateFromStart(maxrlPolicy, env, start, p.nEval, p.maxSteps);
-
-    // pass@K estimate: 1 - (1-p1)^K
-    const K = p.N;
-    const rlPK = 1 - Math.pow(1 - rlP1, K);
-    const mxPK = 1 - Math.pow(1 - mxP1, K);
-
-    rlMetrics = { pass_at_1: rlP1, pass_at_k: rlPK, entropy: 0, unique_paths: 0, K };
-    maxrlMetrics = { pass_at_1: mxP1, pass_at_k: mxPK, entropy: 0, unique_paths: 0, K };
+    onSnapshot(msg);
   }
 }
 
-function recordHistory() {
-  if (multiStart) {
-    history.rl.steps.push(step);
-    history.rl.start_0_p1.push(rlMetrics.start_0_p1);
-    history.rl.start_1_p1.push(rlMetrics.start_1_p1);
-
-    history.maxrl.steps.push(step);
-    history.maxrl.start_0_p1.push(maxrlMetrics.start_0_p1);
-    history.maxrl.start_1_p1.push(maxrlMetrics.start_1_p1);
+function onSnapshot(msg) {
+  if (msg.gen !== gen) return;
+  if (msg.full) {
+    view = { history: msg.history, seedHistory: msg.seedHistory, snapshots: msg.snapshots, heat: null, grad: null };
+    setScrub(null);
   } else {
-    history.rl.steps.push(step);
-    history.rl.pass_at_1.push(rlMetrics.pass_at_1);
-    history.rl.pass_at_k.push(rlMetrics.pass_at_k);
-
-    history.maxrl.steps.push(step);
-    history.maxrl.pass_at_1.push(maxrlMetrics.pass_at_1);
-    history.maxrl.pass_at_k.push(maxrlMetrics.pass_at_k);
+    appendHistory(view.history, msg.history);
+    msg.seedHistory.forEach((h, j) => appendHistory(view.seedHistory[j], h));
+    appendSnapshots(view.snapshots, msg.snapshots);
   }
+  view.step = msg.step;
+  view.metrics = msg.metrics;
+  if (msg.events.length !== events.length) {
+    events = msg.events;
+    syncHash();
+  }
+  view.logits = msg.logits;
+  if (msg.heat) view.heat = msg.heat;
+  if (msg.grad) view.grad = msg.grad;
 }
 
 // ---------------------------------------------------------------------------
 // Reset training (keep grid/starts/goal)
 // ---------------------------------------------------------------------------
 
+// Starts a fresh session in the backend, re-seeding training, evaluation and
+// heatmap streams; the maze stream keeps advancing so that repeated
+// "Random Grid" clicks still give new mazes. The last frame stays on screen
+// until the new session's first snapshot arrives.
 function resetTraining() {
-  rlPolicy = new TabularSoftmaxPolicy(env.height, env.width);
-  maxrlPolicy = new TabularSoftmaxPolicy(env.height, env.width);
-  step = 0;
-  history = _emptyHistory();
-  refreshEval();
-  recordHistory();
-}
-
-function loadGrid(newGrid, newStarts, newGoal) {
-  grid = newGrid.map((r) => [...r]);
-  starts = newStarts.map((s) => [...s]);
-  goal = [...newGoal];
-  env = new GridWorld(grid, starts[0], goal);
-  updateHardPct();  // set startProbs from slider
+  view = null;
+  // Events of an earlier maze or start mode may no longer fit
+  if (eventsError(grid, starts, goal, events, rewards)) events = [];
+  backend.postMessage({
+    type: "configure",
+    gen: ++gen,
+    config: {
+      grid, starts, goal, startProbs, multiStart, params: _params(), seed, exactEval, runs,
+      testMazes: heldOut ? heldOutMazes(grid, starts, goal, rewards) : [],
+      events,
+      schedule,
+      dynamics,
+      rewards,
+    },
+    nSeeds,
+  });
+  syncHash();
+}
+
+// Train on `layout` { grid, starts: [hard, ...easy], weights?, goal, dynamics?, rewards? },
+// as produced by mazefile.js (weights[0], the hard start's, is unused)
+function loadGrid(layout) {
+  setGrid(layout);
   resetTraining();
 }
 
+// loadGrid without starting a session
+function setGrid(layout) {
+  grid = layout.grid.map((r) => [...r]);
+  starts = layout.starts.map((s) => [...s]);
+  startWeights = layout.weights ? [...layout.weights] : starts.map(() => 1);
+  goal = [...layout.goal];
+  dynamics = layout.dynamics ?? { ...NO_DYNAMICS };
+  rewards = layout.rewards ?? { ...NO_REWARDS };
+  env = new GridWorld(grid, starts[0], goal, dynamics, rewards);
+  updateDynamicsInputs();
+  updateRewardsInputs();
+  events = [];
+  eventStatus.textContent = "";
+  buildWeightInputs();
+  updateHardPct(false);  // set startProbs from slider + weights
+  updateHeldOutButton();
+}
+
+// Editor state -> layout for loadGrid: starts [hard, ...easy] in multi-start
+// mode, the first easy start alone in single-start mode
+function _layoutFromEditor(st) {
+  const layout = { grid: st.grid, goal: st.goal, dynamics: st.dynamics, rewards: st.rewards };
+  if (!multiStart) return { ...layout, starts: [st.starts[0]], weights: [1] };
+  return { ...layout, starts: [st.hardStart, ...st.starts], weights: [1, ...st.weights] };
+}
+
 // ---------------------------------------------------------------------------
 // Rendering
 // ---------------------------------------------------------------------------
 
 function render() {
+  if (!view) return;
+
   // Clear
   ctx.fillStyle = BG;
   ctx.fillRect(0, 0, CANVAS_W, CANVAS_H);
 
   const p = _params();
-  const gridH = env.height;
-  const gridW = env.width;
-  const gridPxW = gridW * CELL;
-  const gridPxH = gridH * CELL;
-
-  // Center grids in each panel
-  const rlOx = Math.floor((PANEL_W - gridPxW) / 2);
-  const mxOx = PANEL_W + Math.floor((PANEL_W - gridPxW) / 2);
-  const gy = GRID_Y;
+  // Replaying a past eval point: its policy snapshot, metrics from history,
+  // and the maze as it was then
+  const snap = _scrubSnapshot();
+  const shownEnv = _envAt(snap ? snap.step : view.step);
+  const gridH = shownEnv.height;
+  const gridW = shownEnv.width;
+
+  // One panel per run, laid out in a grid; grid centered in each
+  const runList = _runs();
+  const layout = panelLayout(runList.length, gridH, gridW, CANVAS_W, PANELS_H);
+  const C = layout.cell;
+  const gridPxW = gridW * C;
+  const gridPxH = gridH * C;
+  const runParams = {};
+  const styles = {};
+  for (const run of runList) {
+    runParams[run.id] = runParamsFor(p, run);
+    styles[run.id] = runStyle(run, runParams[run.id]);
+  }
 
   // Default heatmap if not yet generated
   const emptyHeat = new Float64Array(gridH * gridW);
-  const rlV = rlHeat ? rlHeat.visits : emptyHeat;
-  const mxV = maxrlHeat ? maxrlHeat.visits : emptyHeat;
-
-  // Draw grids
-  // starts[0]=(1,1)=hard, starts[1]=(9,1)=easy; extraStarts expects [easy, hard]
-  const opts = multiStart ? { extraStarts: [starts.length > 1 ? starts[1] : starts[0], starts[0]] } : {};
-  const rlGrid = renderer.drawGrid(ctx, env, rlV, null, rlOx, gy, "REINFORCE", ACCENT_RL, opts);
-  const mxGrid = renderer.drawGrid(ctx, env, mxV, null, mxOx, gy, "MaxRL", ACCENT_MAXRL, opts);
 
-  // Path traces
-  if (multiStart) {
-    if (rlHeat && rlHeat.pathsPerStart) {
-      renderer.drawPathsMultistart(ctx, rlHeat.pathsPerStart, rlOx, rlGrid.oy, CELL);
-    }
-    if (maxrlHeat && maxrlHeat.pathsPerStart) {
-      renderer.drawPathsMultistart(ctx, maxrlHeat.pathsPerStart, mxOx, mxGrid.oy, CELL);
-    }
-  } else {
-    if (rlHeat && rlHeat.paths) {
-      renderer.drawPathsSingle(ctx, rlHeat.paths, rlOx, rlGrid.oy, CELL);
-    }
-    if (maxrlHeat && maxrlHeat.paths) {
-      renderer.drawPathsSingle(ctx, maxrlHeat.paths, mxOx, mxGrid.oy, CELL);
+  const heats = snap ? _replayHeat(snap, runParams) : view.heat;
+  const grads = snap ? snap.grad : view.grad;
+
+  // starts[0] = hard start, starts[1..] = easy starts
+  const opts = { cell: C, labelWidth: layout.panelW - 16 };
+  if (multiStart) opts.starts = starts;
+  let firstOx = 0;
+  let inspect = null; // hovered open cell: { run, logits, cell }
+  runList.forEach((run, i) => {
+    const col = i % layout.cols;
+    const row = Math.floor(i / layout.cols);
+    const ox = Math.floor(col * layout.panelW + (layout.panelW - gridPxW) / 2);
+    const oy = GRID_Y + row * layout.panelH;
+    if (i === 0) firstOx = ox;
+    const heat = heats && heats[run.id];
+    const metrics = snap ? historyMetrics(view.history[run.id], snap.idx) : view.metrics[run.id];
+    const style = styles[run.id];
+
+    // Grid + heatmap of visits, or of the mean |grad| per cell since the
+    // previous eval point relative to the panel's largest (+ policy arrows)
+    const logits = snap ? snap.logits[run.id] : view.logits[run.id];
+    const gridOpts = showArrows ? { ...opts, arrows: logits } : opts;
+    let cells = heat ? heat.visits : emptyHeat;
+    if (showGrad) cells = grads && grads[run.id] ? _normalized(grads[run.id]) : emptyHeat;
+    const g = renderer.drawGrid(ctx, shownEnv, cells, null, ox, oy, style.title, style.color, gridOpts);
+    const cell = hover && gridCellAt(hover[0], hover[1], ox, g.oy, shownEnv, C);
+    if (cell && shownEnv.isPath(cell[0], cell[1])) inspect = { run, logits, cell };
+
+    // Path traces (not over the gradient map)
+    if (multiStart) {
+      if (!showGrad && heat && heat.pathsPerStart) renderer.drawPathsMultistart(ctx, heat.pathsPerStart, ox, g.oy, C);
+    } else if (!showGrad && heat && heat.paths) {
+      renderer.drawPathsSingle(ctx, heat.paths, ox, g.oy, C);
     }
-  }
 
-  // Metrics below grid
-  const metricsY = rlGrid.oy + gridPxH + 16;
-  if (multiStart) {
-    // start_0=(1,1)=hard, start_1=(9,1)=easy; function expects (easy, hard)
-    renderer.drawMetricsMultistart(ctx, rlMetrics.start_1_p1 || 0, rlMetrics.start_0_p1 || 0, rlOx, metricsY, gridPxW);
-    renderer.drawMetricsMultistart(ctx, maxrlMetrics.start_1_p1 || 0, maxrlMetrics.start_0_p1 || 0, mxOx, metricsY, gridPxW);
-  } else {
-    renderer.drawMetricsSingle(ctx, rlMetrics, rlOx, metricsY, gridPxW);
-    renderer.drawMetricsSingle(ctx, maxrlMetrics, mxOx, metricsY, gridPxW);
-  }
+    // Metrics below grid
+    const metricsY = g.oy + gridPxH + 16;
+    if (multiStart) {
+      renderer.drawMetricsMultistart(ctx, metrics.per_start_p1 || starts.map(() => 0), ox, metricsY, gridPxW);
+    } else {
+      renderer.drawMetricsSingle(ctx, metrics, ox, metricsY, gridPxW);
+    }
+  });
 
-  // Divider
+  // Dividers between panel columns and rows
   ctx.strokeStyle = DIVIDER;
   ctx.lineWidth = 1;
-  ctx.beginPath();
-  ctx.moveTo(PANEL_W, 0);
-  ctx.lineTo(PANEL_W, CANVAS_H - HUD_H);
-  ctx.stroke();
+  for (let col = 1; col < layout.cols; col++) {
+    ctx.beginPath();
+    ctx.moveTo(Math.round(col * layout.panelW), 0);
+    ctx.lineTo(Math.round(col * layout.panelW), CANVAS_H - HUD_H);
+    ctx.stroke();
+  }
+  for (let row = 1; row < layout.rows; row++) {
+    const y = GRID_Y + row * layout.panelH - 6;
+    ctx.beginPath();
+    ctx.moveTo(0, y);
+    ctx.lineTo(CANVAS_W, y);
+    ctx.stroke();
+  }
 
   // Formulas
-  const formulaY = metricsY + 36;
-  const easyBFS = bfsShortestPath(grid, starts[starts.length - 1], goal);
-  const hardBFS = multiStart && starts.length > 1
-    ? bfsShortestPath(grid, starts[0], goal) : null;
-  renderer.drawFormulas(ctx, rlOx, formulaY, {
+  const formulaY = GRID_Y + layout.rows * layout.panelH;
+  const walled = trapsWalled(shownEnv.grid, rewards);
+  const easyBFS = bfsShortestPath(walled, starts[starts.length - 1], shownEnv.goal);
+  const startBFS = multiStart && starts.length > 1
+    ? starts.map((s) => {
+      const res = bfsShortestPath(walled, s, shownEnv.goal);
+      return res ? res.distance : "?";
+    })
+    : null;
+  renderer.drawFormulas(ctx, firstOx, formulaY, {
     easyBFS: easyBFS ? easyBFS.distance : null,
-    hardBFS: hardBFS ? hardBFS.distance : null,
+    startBFS,
     gridH: grid.length,
     gridW: grid[0].length,
-    maxSteps: _params().maxSteps,
+    params: runParams,
+    runs: runList,
     multiStart,
+    exactEval,
+    maxWidth: CANVAS_W - firstOx - 20,
   });
 
   // Chart
   const chartY = formulaY + 112;
   const chartW = CANVAS_W - 60;
-  const chartRect = { x: 30, y: chartY, w: chartW, h: CHART_H };
-
-  const histLen = history.rl.steps.length;
-  if (multiStart) {
-    renderer.drawChartMultistart(ctx, history, histLen - 1, chartRect);
-  } else {
-    renderer.drawChartSingle(ctx, history, histLen - 1, chartRect);
-  }
+  _drawChart(ctx, { x: 30, y: chartY, w: chartW, h: CHART_H }, styles);
+  updateTimeline();
+  updateSeedSummary(styles);
 
   // HUD
   const hudY = CANVAS_H - HUD_H;
   const modeLabel = multiStart ? "Multi-start" : "Single-start";
-  renderer.drawHUD(ctx, step, MAX_HISTORY * _params().evalInterval, paused, speed, modeLabel, {
+  renderer.drawHUD(ctx, snap ? snap.step : view.step, MAX_HISTORY * _params().evalInterval, paused, speed, modeLabel, {
     x: 0,
     y: hudY,
     w: CANVAS_W,
     h: HUD_H,
   });
 
+  // Action inspector for the hovered cell
+  if (inspect && !editorActive) {
+    const [r, c] = inspect.cell;
+    renderer.drawCellTooltip(ctx, hover[0], hover[1], `${styles[inspect.run.id].short} (${r}, ${c})`,
+      cellActions(inspect.logits, shownEnv, r, c), { w: CANVAS_W, h: CANVAS_H });
+  }
+
   // Editor overlay (on top of everything)
   if (editorActive) {
     editor.draw();
   }
 }
 
-// ---------------------------------------------------------------------------
-// Training loop (requestAnimationFrame)
-// ---------------------------------------------------------------------------
+// Chart of the current mode up to the shown eval point, on a canvas context
+// or an SvgContext; with several seeds, their mean and 95% bands
+function _drawChart(target, rect, styles) {
+  const agg = _seedAggregate();
+  const history = agg ? agg.mean : view.history;
+  const bands = agg ? { lo: agg.lo, hi: agg.hi, seeds: nSeeds } : null;
+  const snap = _scrubSnapshot();
+  const last = history[_runs()[0].id].steps.length - 1;
+  const currentIdx = snap ? Math.min(snap.idx, last) : last;
+  if (multiStart) {
+    renderer.drawChartMultistart(target, history, currentIdx, rect, styles, showGrad, bands, events);
+  } else {
+    renderer.drawChartSingle(target, history, currentIdx, rect, styles, chartSeries, bands, events);
+  }
+}
 
-let rafId = null;
+// aggregateHistories over the seeds, recomputed when an eval point arrives;
+// null with a single seed
+function _seedAggregate() {
+  if (view.seedHistory.length === 0) return null;
+  const len = Math.min(...view.seedHistory.map((h) => h[_runs()[0].id].steps.length));
+  if (!view.agg || view.aggLen !== len) {
+    view.agg = aggregateHistories([view.history, ...view.seedHistory]);
+    view.aggLen = len;
+  }
+  return view.agg;
+}
 
-function trainFrame() {
-  rafId = requestAnimationFrame(trainFrame);
+// Table of the hard-start pass@1 over seeds at the shown eval point, and how
+// often each run beats REINFORCE; rebuilt only when its content changes
+let seedSummaryKey = null;
 
-  if (paused || editorActive) {
-    render();
+function updateSeedSummary(styles) {
+  const show = view && view.seedHistory.length > 0;
+  seedSummaryWrap.style.display = show ? "" : "none";
+  if (!show) {
+    seedSummaryKey = null;
     return;
   }
+  const snap = _scrubSnapshot();
+  const summary = seedSummary([view.history, ...view.seedHistory], snap ? snap.idx : null);
+  const key = JSON.stringify([summary, multiStart]);
+  if (key === seedSummaryKey) return;
+  seedSummaryKey = key;
+
+  const pct = (v) => `${(100 * v).toFixed(1)}%`;
+  const hasBaseline = summary.rows.some((row) => row.wins !== null);
+  const cells = (tag, texts) => texts.map((text) => {
+    const cell = document.createElement(tag);
+    cell.textContent = text;
+    return cell;
+  });
+  const head = document.createElement("tr");
+  head.append(...cells("th", [
+    "Run",
+    `${multiStart ? "Hard-start pass@1" : "pass@1"} (mean of ${summary.seeds} seeds)`,
+    "95% CI",
+    ...(hasBaseline ? ["Beats RL on"] : []),
+  ]));
+  seedSummaryHead.replaceChildren(head);
+  seedSummaryBody.replaceChildren(...summary.rows.map((row) => {
+    const tr = document.createElement("tr");
+    tr.append(...cells("td", [
+      styles[row.id].short,
+      pct(row.mean),
+      `${pct(row.lo)} \u2013 ${pct(row.hi)}`,
+      ...(hasBaseline
+        ? [row.wins === null ? "" : `${row.wins}/${summary.seeds} seeds${row.ties > 0 ? ` (${row.ties} tied)` : ""}`]
+        : []),
+    ]));
+    tr.firstChild.style.color = styles[row.id].color;
+    return tr;
+  }));
+  seedSummaryCaption.textContent = `Step ${summary.step}`;
+}
 
-  const p = _params();
-
-  for (let i = 0; i < speed; i++) {
-    reinforceUpdate(rlPolicy, env, starts, startProbs, p.N, p.lr, p.maxSteps);
-    maxrlUpdate(maxrlPolicy, env, starts, startProbs, p.N, p.lr, p.maxSteps);
-    step++;
+// ---------------------------------------------------------------------------
+// Timeline
+// ---------------------------------------------------------------------------
 
-    if (step % p.evalInterval === 0) {
-      refreshEval();
-      recordHistory();
-    }
+// Latest policy snapshot at or before the replayed eval point, null when live
+function _scrubSnapshot() {
+  if (scrubIdx === null || !view) return null;
+  const items = view.snapshots.items;
+  for (let i = items.length - 1; i >= 0; i--) {
+    if (items[i].idx <= scrubIdx) return items[i];
   }
+  return items[0] || null;
+}
 
-  // If we haven't evaluated this frame (speed < evalInterval), still update visuals periodically
-  if (step % p.evalInterval !== 0 && (!rlHeat || !maxrlHeat)) {
-    refreshEval();
+// Heatmaps and path traces of a snapshot's policies. Drawn from a stream of
+// their own, fixed per eval point, so replaying a step always shows the same
+// traces; cached while the snapshot stays on screen.
+function _replayHeat(snap, runParams) {
+  if (replay && replay.idx === snap.idx) return replay.heat;
+  const rng = new Rng(seed, `replay/${snap.idx}`);
+  const shownEnv = _envAt(snap.step);
+  const heat = {};
+  for (const [id, logits] of Object.entries(snap.logits)) {
+    const { maxSteps } = runParams[id];
+    heat[id] = multiStart
+      ? generateHeatmapMultistart(logits, shownEnv, starts, 75, maxSteps, rng)
+      : generateHeatmap(logits, shownEnv, starts[0], 150, maxSteps, rng);
   }
+  replay = { idx: snap.idx, heat };
+  return heat;
+}
+
+// Replay eval point `idx` (null = back to the live view). Training pauses
+// while replaying so the history under the scrubber stays put; playing
+// again returns to the live view.
+function setScrub(idx) {
+  if (idx !== null && scrubIdx === null && !paused) setPaused(true);
+  scrubIdx = idx;
+  if (idx === null) replay = null;
+  btnLive.classList.toggle("on", idx === null);
+}
+
+// Scrubber positions are the snapshots; live view sits on the last one
+function updateTimeline() {
+  const items = view.snapshots.items;
+  const snap = _scrubSnapshot();
+  timelineSlider.max = String(Math.max(0, items.length - 1));
+  timelineSlider.value = String(snap ? items.indexOf(snap) : items.length - 1);
+  timelineLabel.textContent = snap ? `Step ${snap.step}` : "Live";
+}
+
+// ---------------------------------------------------------------------------
+// Training loop (requestAnimationFrame)
+// ---------------------------------------------------------------------------
+
+let rafId = null;
 
+// Training itself runs in the backend; the frame loop only draws the latest
+// snapshot (and ticks the backend when it runs inline on this thread).
+function trainFrame() {
+  rafId = requestAnimationFrame(trainFrame);
+  backend.frame();
   render();
 }
 
@@ -360,21 +613,410 @@ function speedToSlider(spd) {
 
 const btnDefaultGrid = document.getElementById("btnDefaultGrid");
 const btnRandomGrid = document.getElementById("btnRandomGrid");
+const generatorSelect = document.getElementById("generatorSelect");
+const mazeSizeInput = document.getElementById("mazeSizeInput");
+const loopsInput = document.getElementById("loopsInput");
+const deadEndsInput = document.getElementById("deadEndsInput");
 const btnEditGrid = document.getElementById("btnEditGrid");
+const difficultyInput = document.getElementById("difficultyInput");
+const btnPickStarts = document.getElementById("btnPickStarts");
+const btnImportMaze = document.getElementById("btnImportMaze");
+const btnExportMaze = document.getElementById("btnExportMaze");
+const mazeFileInput = document.getElementById("mazeFileInput");
 const btnStartMode = document.getElementById("btnStartMode");
+const btnExactEval = document.getElementById("btnExactEval");
+const btnHeldOut = document.getElementById("btnHeldOut");
+const eventSelect = document.getElementById("eventSelect");
+const eventStepInput = document.getElementById("eventStepInput");
+const btnAddEvent = document.getElementById("btnAddEvent");
+const btnClearEvents = document.getElementById("btnClearEvents");
+const eventStatus = document.getElementById("eventStatus");
+const slipInput = document.getElementById("slipInput");
+const windInput = document.getElementById("windInput");
+const portalsInput = document.getElementById("portalsInput");
+const brushSelect = document.getElementById("brushSelect");
+const goalRewardInput = document.getElementById("goalRewardInput");
+const penaltyInput = document.getElementById("penaltyInput");
+const thresholdInput = document.getElementById("thresholdInput");
+const scheduleSelect = document.getElementById("scheduleSelect");
+const scheduleParamsGroup = document.getElementById("scheduleParams");
+const btnArrows = document.getElementById("btnArrows");
+const btnGrad = document.getElementById("btnGrad");
+const algButtonsGroup = document.getElementById("algButtons");
+const btnSettings = document.getElementById("btnSettings");
+const settingsPanel = document.getElementById("settingsPanel");
+const settingsHead = document.querySelector("#settingsTable thead");
+const settingsBody = document.querySelector("#settingsTable tbody");
+const btnApplySettings = document.getElementById("btnApplySettings");
+const btnAddRun = document.getElementById("btnAddRun");
+const btnDefaultSettings = document.getElementById("btnDefaultSettings");
+const settingsError = document.getElementById("settingsError");
 const btnPlayPause = document.getElementById("btnPlayPause");
 const btnReset = document.getElementById("btnReset");
 const speedSlider = document.getElementById("speedSlider");
 const hardPctSlider = document.getElementById("hardPctSlider");
 const hardPctLabel = document.getElementById("hardPctLabel");
-
-function updateHardPct() {
+const seedInput = document.getElementById("seedInput");
+const seedsInput = document.getElementById("seedsInput");
+const seedSummaryWrap = document.getElementById("seedSummary");
+const seedSummaryCaption = document.getElementById("seedSummaryCaption");
+const seedSummaryHead = document.querySelector("#seedSummaryTable thead");
+const seedSummaryBody = document.querySelector("#seedSummaryTable tbody");
+const startWeightsGroup = document.getElementById("startWeights");
+const seriesButtonsGroup = document.getElementById("seriesButtons");
+const timelineSlider = document.getElementById("timelineSlider");
+const timelineLabel = document.getElementById("timelineLabel");
+const btnLive = document.getElementById("btnLive");
+const btnSaveCheckpoint = document.getElementById("btnSaveCheckpoint");
+const btnRestoreCheckpoint = document.getElementById("btnRestoreCheckpoint");
+const btnDownloadCheckpoint = document.getElementById("btnDownloadCheckpoint");
+const btnOpenCheckpoint = document.getElementById("btnOpenCheckpoint");
+const btnExportPng = document.getElementById("btnExportPng");
+const btnExportSvg = document.getElementById("btnExportSvg");
+const btnExportCsv = document.getElementById("btnExportCsv");
+const btnExportJson = document.getElementById("btnExportJson");
+const checkpointFileInput = document.getElementById("checkpointFileInput");
+const checkpointStatus = document.getElementById("checkpointStatus");
+
+// `sync` = false when a resetTraining() follows, which sends startProbs with the new config
+function updateHardPct(sync = true) {
   const pct = Number(hardPctSlider.value);
   hardPctLabel.textContent = `Hard: ${pct}%`;
   if (multiStart && starts.length > 1) {
-    const hardFrac = pct / 100;
-    startProbs = [hardFrac, 1 - hardFrac];  // starts[0]=hard, starts[1]=easy
+    // starts[0]=hard gets the slider share; easy starts split the rest by weight
+    startProbs = startDistribution(starts.length, pct / 100, startWeights);
+    if (sync) backend.postMessage({ type: "startProbs", startProbs });
   }
+  if (sync) syncHash();
+}
+
+// One weight input per easy start; only shown when there is more than one
+function buildWeightInputs() {
+  startWeightsGroup.replaceChildren();
+  const show = multiStart && starts.length > 2;
+  startWeightsGroup.style.display = show ? "" : "none";
+  if (!show) return;
+
+  for (let si = 1; si < starts.length; si++) {
+    const st = startStyle(si, starts.length);
+    const label = document.createElement("label");
+    label.className = "ctrl-label";
+    label.textContent = st.label;
+    label.style.color = st.color;
+    const input = document.createElement("input");
+    input.type = "number";
+    input.min = "0";
+    input.step = "0.5";
+    input.value = String(startWeights[si]);
+    input.className = "ctrl-input weight";
+    input.title = `Sampling weight of start ${st.label} relative to the other easy starts`;
+    input.addEventListener("change", () => {
+      const w = Number(input.value);
+      if (!Number.isFinite(w) || w < 0) {
+        input.value = String(startWeights[si]);
+        return;
+      }
+      startWeights[si] = w;
+      editor.setStartWeight(si - 1, w);
+      updateHardPct();
+    });
+    input.id = `startWeight${si}`;
+    label.htmlFor = input.id;
+    startWeightsGroup.append(label, input);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Settings panel
+// ---------------------------------------------------------------------------
+
+// The panel edits a draft of the session settings: the shared values and one
+// column per run, kept as typed so that runs can be added, removed or switched
+// to another algorithm without losing entries. Nothing changes until applied.
+let draft = null; // { shared: { key: string }, runs: [{ alg, seed: string, values: { key: string } }] }
+
+function _str(v) {
+  return v == null ? "" : String(v);
+}
+
+// Start a draft from params `p` and runs `rs` and show it
+function showSettings(p, rs) {
+  const shared = {};
+  for (const [key, spec] of Object.entries(PARAM_SPECS)) {
+    if (spec.shared) shared[key] = _str(p[key]);
+  }
+  draft = {
+    shared,
+    runs: normalizeRuns(rs).map((run) => ({
+      alg: run.alg,
+      seed: _str(run.seed),
+      values: Object.fromEntries(Object.entries(runParamsFor(p, run)).map(([k, v]) => [k, _str(v)])),
+    })),
+  };
+  buildSettingsTable();
+}
+
+// One row per hyperparameter plus a seed row, one column per run (a single
+// input for shared ones, blank cells where an estimator lacks the parameter);
+// inputs are keyed by data-key / data-run (column index)
+function buildSettingsTable() {
+  const ids = normalizeRuns(draft.runs).map((run) => run.id);
+  const head = document.createElement("tr");
+  head.append(document.createElement("th"));
+  draft.runs.forEach((col, i) => {
+    const th = document.createElement("th");
+    const select = document.createElement("select");
+    select.className = "ctrl-input";
+    for (const alg of ALGORITHMS) {
+      const option = document.createElement("option");
+      option.value = alg;
+      option.textContent = ESTIMATORS[alg].name;
+      select.append(option);
+    }
+    select.value = col.alg;
+    select.style.color = runStyle({ id: ids[i], alg: col.alg }).color;
+    select.addEventListener("change", () => setDraftAlg(i, select.value));
+    const remove = document.createElement("button");
+    remove.className = "ctrl-btn run-remove";
+    remove.textContent = "\u00d7";
+    remove.title = "Remove this run";
+    remove.disabled = draft.runs.length === 1;
+    remove.addEventListener("click", () => removeDraftRun(i));
+    th.append(select, remove);
+    head.append(th);
+  });
+  settingsHead.replaceChildren(head);
+
+  const rows = Object.entries(PARAM_SPECS).map(([key, spec]) => [key, spec]);
+  for (const col of draft.runs) {
+    for (const [key, spec] of Object.entries(ESTIMATORS[col.alg].params)) {
+      if (!rows.some(([k]) => k === key)) rows.push([key, spec]);
+    }
+  }
+  rows.push(["seed", { label: "Seed (blank = session seed)", min: 0, integer: true }]);
+
+  settingsBody.replaceChildren();
+  for (const [key, spec] of rows) {
+    const row = document.createElement("tr");
+    const name = document.createElement("td");
+    name.className = "param";
+    name.textContent = spec.label;
+    row.append(name);
+    for (const i of spec.shared ? [null] : draft.runs.keys()) {
+      const cell = document.createElement("td");
+      if (spec.shared) cell.colSpan = draft.runs.length;
+      row.append(cell);
+      const col = i === null ? null : draft.runs[i];
+      if (col && key !== "seed" && !paramSpec(key, col.alg)) continue;
+      const input = document.createElement("input");
+      input.type = "number";
+      input.min = String(spec.min);
+      if (spec.max !== undefined) input.max = String(spec.max);
+      input.step = spec.integer ? "1" : "any";
+      input.className = "ctrl-input";
+      input.dataset.key = key;
+      if (col) input.dataset.run = String(i);
+      input.value = !col ? draft.shared[key] : key === "seed" ? col.seed : col.values[key];
+      input.addEventListener("input", () => {
+        if (!col) draft.shared[key] = input.value;
+        else if (key === "seed") col.seed = input.value;
+        else col.values[key] = input.value;
+        checkSettings();
+      });
+      cell.append(input);
+    }
+    settingsBody.append(row);
+  }
+  btnAddRun.disabled = draft.runs.length >= MAX_RUNS;
+  checkSettings();
+}
+
+function _settingsInputs() {
+  return [...settingsBody.querySelectorAll("input")];
+}
+
+// New run copying the last column
+function addDraftRun() {
+  if (draft.runs.length >= MAX_RUNS) return;
+  draft.runs.push(structuredClone(draft.runs.at(-1)));
+  buildSettingsTable();
+}
+
+function removeDraftRun(i) {
+  if (draft.runs.length === 1) return;
+  draft.runs.splice(i, 1);
+  buildSettingsTable();
+}
+
+// Switch column `i` to `alg`: common values stay, estimator-specific ones
+// come from the mode's settings for `alg`
+function setDraftAlg(i, alg) {
+  const col = draft.runs[i];
+  const defaults = paramsFor(_params(), alg);
+  const values = {};
+  for (const key of Object.keys(PARAM_SPECS)) values[key] = col.values[key];
+  for (const key of Object.keys(ESTIMATORS[alg].params)) values[key] = col.values[key] ?? _str(defaults[key]);
+  draft.runs[i] = { ...col, alg, values };
+  buildSettingsTable();
+}
+
+// Draft -> { params, runs }. Common values equal across runs become shared;
+// differing ones override the currently active shared value per run.
+// Estimator-specific values always go to their run, and per-algorithm
+// settings of algorithms without a run are kept.
+function readSettings() {
+  const base = _params();
+  const out = {};
+  for (const alg of ALGORITHMS) {
+    if (base[alg] && !draft.runs.some((col) => col.alg === alg)) out[alg] = { ...base[alg] };
+  }
+  const rs = draft.runs.map((col) => ({
+    alg: col.alg,
+    params: {},
+    seed: col.seed === "" ? null : Number(col.seed),
+  }));
+  for (const [key, spec] of Object.entries(PARAM_SPECS)) {
+    if (spec.shared) {
+      out[key] = Number(draft.shared[key]);
+      continue;
+    }
+    const vals = draft.runs.map((col) => Number(col.values[key]));
+    out[key] = vals.every((v) => v === vals[0]) ? vals[0] : base[key];
+    vals.forEach((v, i) => {
+      if (v !== out[key]) rs[i].params[key] = v;
+    });
+  }
+  draft.runs.forEach((col, i) => {
+    for (const key of Object.keys(ESTIMATORS[col.alg].params)) rs[i].params[key] = Number(col.values[key]);
+  });
+  return { params: out, runs: rs };
+}
+
+function _seedError(value) {
+  if (value === "") return null;
+  const v = Number(value);
+  return Number.isInteger(v) && v >= 0 ? null : `seed: expected a non-negative integer, got ${value}`;
+}
+
+// Mark out-of-range inputs; restarting is disabled until all are valid
+function checkSettings() {
+  const ids = normalizeRuns(draft.runs).map((run) => run.id);
+  let first = null;
+  for (const input of _settingsInputs()) {
+    const { key, run } = input.dataset;
+    const alg = run === undefined ? null : draft.runs[run].alg;
+    const err = key === "seed"
+      ? _seedError(input.value)
+      : paramError(key, input.value === "" ? NaN : Number(input.value), alg);
+    input.classList.toggle("invalid", err !== null);
+    input.title = err || "";
+    if (err && !first) first = alg ? `${ids[run]}.${err}` : err;
+  }
+  settingsError.textContent = first || "";
+  btnApplySettings.disabled = first !== null;
+  return first === null;
+}
+
+function applySettings() {
+  if (!checkSettings()) return;
+  const { params: p, runs: rs } = readSettings();
+  const errors = validateParams(p, normalizeRuns(rs));
+  if (errors.length > 0) {
+    settingsError.textContent = errors[0];
+    return;
+  }
+  params[multiStart ? "multi" : "single"] = p;
+  runs = rs;
+  updateAlgButtons();
+  resetTraining();
+  render();
+}
+
+function toggleSettings() {
+  const show = settingsPanel.style.display === "none";
+  settingsPanel.style.display = show ? "" : "none";
+  btnSettings.classList.toggle("on", show);
+  if (show) showSettings(_params(), runs);
+}
+
+// ---------------------------------------------------------------------------
+// Algorithm selection
+// ---------------------------------------------------------------------------
+
+// One quick toggle per registered estimator: on adds a run with the mode's
+// settings, off removes every run of the algorithm (one run always stays).
+// Repeated runs and per-run settings are edited in the settings panel.
+function buildAlgButtons() {
+  algButtonsGroup.replaceChildren();
+  for (const alg of ALGORITHMS) {
+    const style = algStyle(alg);
+    const btn = document.createElement("button");
+    btn.className = "ctrl-btn toggle";
+    btn.textContent = style.short;
+    btn.title = `${style.name}: ${ESTIMATORS[alg].objective.replace(/\s+/g, " ")}`;
+    btn.dataset.alg = alg;
+    btn.addEventListener("click", () => toggleAlgorithm(alg));
+    algButtonsGroup.append(btn);
+  }
+  updateAlgButtons();
+}
+
+function updateAlgButtons() {
+  const full = runs.length >= MAX_RUNS;
+  for (const btn of algButtonsGroup.children) {
+    const alg = btn.dataset.alg;
+    const on = runs.some((run) => run.alg === alg);
+    btn.classList.toggle("on", on);
+    btn.disabled = (full && !on) || (on && runs.every((run) => run.alg === alg));
+  }
+}
+
+function toggleAlgorithm(alg) {
+  const on = runs.some((run) => run.alg === alg);
+  const rest = runs.filter((run) => run.alg !== alg);
+  if (on && rest.length === 0) return;
+  if (!on && runs.length >= MAX_RUNS) return;
+  runs = on ? rest : [...runs, { alg, params: {}, seed: null }];
+  updateAlgButtons();
+  showSettings(_params(), runs);
+  resetTraining();
+  render();
+}
+
+// ---------------------------------------------------------------------------
+// Chart series (single-start mode)
+// ---------------------------------------------------------------------------
+
+// One toggle per CHART_SERIES entry; at least one stays on
+function buildSeriesButtons() {
+  seriesButtonsGroup.replaceChildren();
+  for (const [key, spec] of Object.entries(CHART_SERIES)) {
+    const btn = document.createElement("button");
+    btn.className = "ctrl-btn toggle";
+    btn.textContent = spec.label;
+    btn.title = `Plot ${spec.label} in the chart`;
+    btn.dataset.series = key;
+    btn.addEventListener("click", () => toggleSeries(key));
+    seriesButtonsGroup.append(btn);
+  }
+  updateSeriesButtons();
+}
+
+function updateSeriesButtons() {
+  for (const btn of seriesButtonsGroup.children) {
+    const on = chartSeries.includes(btn.dataset.series);
+    btn.classList.toggle("on", on);
+    btn.disabled = on && chartSeries.length === 1;
+  }
+}
+
+function toggleSeries(key) {
+  const on = chartSeries.includes(key);
+  if (on && chartSeries.length === 1) return;
+  const chosen = on ? chartSeries.filter((k) => k !== key) : [...chartSeries, key];
+  chartSeries = Object.keys(CHART_SERIES).filter((k) => chosen.includes(k));
+  updateSeriesButtons();
+  render();
 }
 
 function updateGridButtons(active) {
@@ -393,17 +1035,34 @@ function updatePlayPauseButton() {
   }
 }
 
+function updateExactEvalButton() {
+  btnExactEval.classList.toggle("on", exactEval);
+}
+
+// The tooltip names the current maze's test mazes
+function updateHeldOutButton() {
+  btnHeldOut.classList.toggle("on", heldOut);
+  const names = heldOutMazes(grid, starts, goal, rewards).map((t) => t.name);
+  btnHeldOut.title = names.length > 0
+    ? `Also evaluate pass@1 on held-out mazes (${names.join(", ")}) and chart train vs held-out (H)`
+    : "No held-out maze for this maze: no start's route can be blocked with every start still reaching the goal (H)";
+}
+
 function updateModeButton() {
   if (multiStart) {
     btnStartMode.textContent = "Multi Start";
     btnStartMode.classList.add("on");
     hardPctSlider.style.display = "";
     hardPctLabel.style.display = "";
+    seriesButtonsGroup.style.display = "none";
+    buildWeightInputs();
   } else {
     btnStartMode.textContent = "Single Start";
     btnStartMode.classList.remove("on");
     hardPctSlider.style.display = "none";
     hardPctLabel.style.display = "none";
+    seriesButtonsGroup.style.display = "";
+    buildWeightInputs();
   }
 }
 
@@ -411,55 +1070,138 @@ function updateModeButton() {
 // Controls
 // ---------------------------------------------------------------------------
 
-function togglePlayPause() {
-  paused = !paused;
+function setPaused(p) {
+  paused = p;
+  if (!paused) setScrub(null);
   updatePlayPauseButton();
+  backend.postMessage({ type: paused ? "pause" : "play" });
+}
+
+function togglePlayPause() {
+  setPaused(!paused);
 }
 
+// Same session config, fresh policies and streams
 function doReset() {
-  resetTraining();
+  view = null;
+  backend.postMessage({ type: "reset", gen: ++gen });
   render();
 }
 
 function toggleMode() {
   multiStart = !multiStart;
   updateModeButton();
+  showSettings(_params(), runs);
   if (!multiStart) {
     startProbs = [1.0];
   } else {
-    updateHardPct();
+    updateHardPct(false);
   }
   resetTraining();
   render();
 }
 
+function toggleGrad() {
+  showGrad = !showGrad;
+  btnGrad.classList.toggle("on", showGrad);
+  render();
+}
+
+function _normalized(values) {
+  const max = values.reduce((m, v) => Math.max(m, v), 0);
+  return max > 0 ? values.map((v) => v / max) : values;
+}
+
+function toggleArrows() {
+  showArrows = !showArrows;
+  btnArrows.classList.toggle("on", showArrows);
+  render();
+}
+
+// Canvas pixel under a mouse event (the canvas may be scaled by CSS)
+function _canvasPoint(e) {
+  const rect = canvas.getBoundingClientRect();
+  return [(e.clientX - rect.left) * (canvas.width / rect.width), (e.clientY - rect.top) * (canvas.height / rect.height)];
+}
+
+// Takes effect immediately for the displayed metrics, and from the next eval point on the chart
+function toggleExactEval() {
+  exactEval = !exactEval;
+  updateExactEvalButton();
+  backend.postMessage({ type: "exactEval", on: exactEval });
+  syncHash();
+  render();
+}
+
+// The history gains held-out series, so training restarts
+function toggleHeldOut() {
+  heldOut = !heldOut;
+  updateHeldOutButton();
+  resetTraining();
+  render();
+}
+
 function loadDefaultGrid() {
   if (editorActive) closeEditor();
   updateGridButtons("default");
   editor.loadDefault();
-  const st = editor.getState();
-  // Multi-start default: easy=(1,1), hard=(9,1)
-  const allStarts = multiStart ? [st.hardStart, st.starts[0]] : [st.starts[0]];
-  loadGrid(st.grid, allStarts, st.goal);
+  loadGrid(_layoutFromEditor(editor.getState()));
   render();
 }
 
 function loadRandomGrid() {
   if (editorActive) closeEditor();
   updateGridButtons("random");
-  editor.randomize(11, 11);
-  const st = editor.getState();
-  const allStarts = multiStart ? [st.hardStart, st.starts[0]] : [st.starts[0]];
-  loadGrid(st.grid, allStarts, st.goal);
+  editor.randomize(mazeSize, mazeSize, rngs.maze, mazeGenerator, mazeOpts);
+  loadGrid(_layoutFromEditor(editor.getState()));
   render();
 }
 
+function buildGeneratorSelect() {
+  for (const [key, spec] of Object.entries(MAZE_GENERATORS)) {
+    const option = document.createElement("option");
+    option.value = key;
+    option.textContent = spec.name;
+    generatorSelect.append(option);
+  }
+  generatorSelect.value = mazeGenerator;
+  mazeSizeInput.min = String(MIN_RANDOM_SIZE);
+  mazeSizeInput.max = String(MAX_MAZE_SIZE);
+  updateMazeInputs();
+}
+
+function updateMazeInputs() {
+  mazeSizeInput.value = mazeSize;
+  loopsInput.value = mazeOpts.loops;
+  deadEndsInput.value = mazeOpts.deadEnds;
+}
+
+// A new generator starts from its own defaults (braided mazes keep no dead ends)
+function changeGenerator() {
+  mazeGenerator = generatorSelect.value;
+  mazeOpts = generatorOptions(mazeGenerator);
+  updateMazeInputs();
+  loadRandomGrid();
+}
+
+// Invalid entries snap back; valid ones generate a new maze right away
+function changeMazeSettings() {
+  const size = Math.floor(Number(mazeSizeInput.value));
+  const loops = Number(loopsInput.value);
+  const deadEnds = Number(deadEndsInput.value);
+  if (Number.isFinite(size)) mazeSize = Math.min(MAX_MAZE_SIZE, Math.max(MIN_RANDOM_SIZE, size));
+  if (loopsInput.value !== "" && Number.isFinite(loops)) mazeOpts.loops = Math.min(1, Math.max(0, loops));
+  if (deadEndsInput.value !== "" && Number.isFinite(deadEnds)) mazeOpts.deadEnds = Math.min(1, Math.max(0, deadEnds));
+  updateMazeInputs();
+  loadRandomGrid();
+}
+
 function openEditor() {
   editorActive = true;
-  paused = true;
-  updatePlayPauseButton();
+  setPaused(true);
   updateGridButtons("edit");
   btnEditGrid.textContent = "Done Editing";
+  editor.setBudget(_params().maxSteps);
   editor.open();
 }
 
@@ -472,12 +1214,76 @@ function closeEditor() {
   const st = editor.getState();
   if (!st.valid) {
     // Invalid maze -- show warning, don't load
-    renderer.drawLoading(ctx, "Invalid maze: some starts cannot reach goal!", CANVAS_W, CANVAS_H);
+    renderer.drawLoading(ctx, `Invalid maze: ${st.error}`, CANVAS_W, CANVAS_H);
+    return;
+  }
+
+  loadGrid(_layoutFromEditor(st));
+}
+
+// Maze file text (ASCII or JSON, see mazefile.js) -> editor. Loads straight
+// into training unless the editor is open or the maze has a problem, which
+// the editor then shows.
+function importMaze(text) {
+  const error = editor.importText(text);
+  if (editorActive) return;
+  if (error) {
+    openEditor();
+    return;
+  }
+  updateGridButtons(null);
+  loadGrid(_layoutFromEditor(editor.getState()));
+  render();
+}
+
+// "0.5, 0.01" -> [0.5, 0.01]; null unless 2..MAX_STARTS values in (0, 1]
+function parseTargets(text) {
+  const targets = text.split(",").map((part) => Number(part.trim()));
+  const ok = targets.length >= 2 && targets.length <= MAX_STARTS && targets.every((p) => p > 0 && p <= 1);
+  return ok ? targets : null;
+}
+
+// Starts at the target difficulties in the "p0" box (lowest = hard start),
+// loaded like an imported maze
+function pickStarts() {
+  const targets = parseTargets(difficultyInput.value);
+  difficultyInput.classList.toggle("invalid", !targets);
+  if (!targets) return;
+  const error = editor.pickStarts(targets, _params().maxSteps);
+  if (editorActive) return;
+  if (error) {
+    openEditor();
     return;
   }
+  updateGridButtons(null);
+  loadGrid(_layoutFromEditor(editor.getState()));
+  render();
+}
+
+function importMazeFile(file) {
+  file.text().then(importMaze, (err) => console.error("maze import:", err));
+}
+
+// Current editor maze as a file: ASCII, or JSON when easy-start weights
+// differ or the maze has dynamics or rewards
+function exportMaze() {
+  const layout = editor.getLayout();
+  if (layout.weights.slice(1).every((w) => w === 1) && !hasDynamics(layout.dynamics)
+    && !hasRewards(layout.rewards)) {
+    _download("maze.txt", formatMazeAscii(layout), "text/plain");
+  } else {
+    _download("maze.json", formatMazeJson(layout), "application/json");
+  }
+}
 
-  const allStarts = multiStart ? [st.hardStart, st.starts[0]] : [st.starts[0]];
-  loadGrid(st.grid, allStarts, st.goal);
+// `data`: text or a Blob
+function _download(name, data, type) {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(url);
 }
 
 function toggleEditor() {
@@ -489,8 +1295,434 @@ function toggleEditor() {
   }
 }
 
+function changeSeed() {
+  const val = Math.floor(Number(seedInput.value));
+  if (!Number.isFinite(val) || val < 0) {
+    seedInput.value = seed;
+    return;
+  }
+  seed = val >>> 0;
+  seedInput.value = seed;
+  rngs = _makeStreams(seed);
+  resetTraining();
+  render();
+}
+
+function changeSeeds() {
+  const val = Math.floor(Number(seedsInput.value));
+  if (!Number.isFinite(val) || val < 1) {
+    seedsInput.value = nSeeds;
+    return;
+  }
+  nSeeds = Math.min(val, MAX_SEEDS);
+  seedsInput.value = nSeeds;
+  resetTraining();
+  render();
+}
+
+// ---------------------------------------------------------------------------
+// Dynamics
+// ---------------------------------------------------------------------------
+
+function updateDynamicsInputs() {
+  slipInput.value = String(dynamics.slip);
+  windInput.value = formatWind(dynamics.wind);
+  portalsInput.value = formatPortals(dynamics.portals);
+  for (const input of [slipInput, windInput, portalsInput]) input.classList.remove("invalid");
+}
+
+// Slip, wind and portals from their inputs. Inputs that cannot be read, or
+// do not fit the maze, are marked; otherwise training restarts with them.
+function changeDynamics() {
+  const next = { slip: slipInput.value.trim() === "" ? NaN : Number(slipInput.value), wind: null, portals: [] };
+  const bad = new Set();
+  try {
+    next.wind = parseWind(windInput.value, grid[0].length);
+  } catch (err) {
+    if (!(err instanceof UrlStateError)) throw err;
+    bad.add(windInput);
+  }
+  try {
+    next.portals = parsePortals(portalsInput.value);
+  } catch (err) {
+    if (!(err instanceof UrlStateError)) throw err;
+    bad.add(portalsInput);
+  }
+  // Checked one at a time so that every input at fault is marked
+  if (dynamicsError(grid, { slip: next.slip })) bad.add(slipInput);
+  if (dynamicsError(grid, { wind: next.wind })) bad.add(windInput);
+  if (dynamicsError(grid, { portals: next.portals })) bad.add(portalsInput);
+  for (const input of [slipInput, windInput, portalsInput]) input.classList.toggle("invalid", bad.has(input));
+  if (bad.size > 0) return;
+  editor.setDynamics(next);
+  dynamics = editor.getState().dynamics;
+  env = new GridWorld(grid, starts[0], goal, dynamics, rewards);
+  resetTraining();
+  render();
+}
+
+// ---------------------------------------------------------------------------
+// Rewards
+// ---------------------------------------------------------------------------
+
+function buildBrushSelect() {
+  for (const [key, hint] of Object.entries(BRUSHES)) {
+    const option = document.createElement("option");
+    option.value = key;
+    option.textContent = key;
+    option.title = hint;
+    brushSelect.append(option);
+  }
+  brushSelect.value = editor.brush;
+  goalRewardInput.value = String(editor.brushReward);
+  goalRewardInput.max = String(MAX_GOAL_REWARD);
+  penaltyInput.max = String(MAX_STEP_PENALTY);
+  thresholdInput.max = String(MAX_GOAL_REWARD);
+}
+
+// What a plain click paints in the editor; a reward out of range is marked
+// and leaves the brush as it was
+function changeBrush() {
+  const reward = Number(goalRewardInput.value);
+  const ok = goalRewardInput.value.trim() !== "" && reward > 0 && reward <= MAX_GOAL_REWARD;
+  goalRewardInput.classList.toggle("invalid", !ok);
+  editor.setBrush(brushSelect.value, ok ? reward : editor.brushReward);
+}
+
+function updateRewardsInputs() {
+  penaltyInput.value = String(rewards.stepPenalty);
+  thresholdInput.value = String(rewards.threshold);
+  for (const input of [penaltyInput, thresholdInput]) input.classList.remove("invalid");
+}
+
+// Step penalty and success threshold from their inputs (traps and extra goals
+// are painted in the editor). Values out of range are marked; otherwise
+// training restarts with them.
+function changeRewards() {
+  const read = (input) => (input.value.trim() === "" ? NaN : Number(input.value));
+  const next = { stepPenalty: read(penaltyInput), threshold: read(thresholdInput) };
+  const bad = new Set();
+  if (rewardsError(grid, { stepPenalty: next.stepPenalty })) bad.add(penaltyInput);
+  if (rewardsError(grid, { threshold: next.threshold })) bad.add(thresholdInput);
+  for (const input of [penaltyInput, thresholdInput]) input.classList.toggle("invalid", bad.has(input));
+  if (bad.size > 0) return;
+  editor.setRewards(next);
+  rewards = { ...rewards, ...next };
+  env = new GridWorld(grid, starts[0], goal, dynamics, rewards);
+  resetTraining();
+  render();
+}
+
+// ---------------------------------------------------------------------------
+// Curriculum
+// ---------------------------------------------------------------------------
+
+function buildScheduleSelect() {
+  for (const [type, spec] of Object.entries(SCHEDULES)) {
+    const option = document.createElement("option");
+    option.value = type;
+    option.textContent = spec.name;
+    scheduleSelect.append(option);
+  }
+  updateScheduleInputs();
+}
+
+// Select and one input per setting of the current schedule. Invalid entries
+// snap back; valid ones restart training, whose history logs the schedule.
+function updateScheduleInputs() {
+  scheduleSelect.value = schedule.type;
+  scheduleParamsGroup.replaceChildren();
+  for (const [key, spec] of Object.entries(SCHEDULES[schedule.type].params)) {
+    const label = document.createElement("label");
+    label.className = "ctrl-label";
+    label.textContent = spec.label;
+    const input = document.createElement("input");
+    input.type = "number";
+    input.min = String(spec.min);
+    input.max = String(spec.max);
+    input.step = spec.integer ? "1" : "any";
+    input.value = String(schedule.params[key]);
+    input.className = "ctrl-input weight";
+    input.id = `schedule-${key}`;
+    label.htmlFor = input.id;
+    input.addEventListener("change", () => {
+      const v = Number(input.value);
+      if (input.value === "" || !Number.isFinite(v) || (spec.integer && !Number.isInteger(v)) ||
+          v < spec.min || v > spec.max) {
+        input.value = String(schedule.params[key]);
+        return;
+      }
+      schedule.params[key] = v;
+      resetTraining();
+      render();
+    });
+    scheduleParamsGroup.append(label, input);
+  }
+}
+
+// A new schedule starts from its own defaults
+function changeSchedule() {
+  schedule = scheduleOptions({ type: scheduleSelect.value });
+  updateScheduleInputs();
+  resetTraining();
+  render();
+}
+
+// ---------------------------------------------------------------------------
+// Perturbation events
+// ---------------------------------------------------------------------------
+
+// The maze at training step `step`, after the events up to it
+function _envAt(step) {
+  if (!events.some((e) => e.step <= step)) return env;
+  const maze = mazeAt(grid, goal, events, step);
+  return new GridWorld(maze.grid, starts[0], maze.goal, dynamics, rewards);
+}
+
+function buildEventSelect() {
+  for (const [type, spec] of Object.entries(EVENT_TYPES)) {
+    const option = document.createElement("option");
+    option.value = type;
+    option.textContent = spec.label;
+    eventSelect.append(option);
+  }
+}
+
+// The selected kind of event (presetEvent) for the maze as it will be at the
+// step in the "at" box, or now if that is empty or already past. Training
+// carries on with the same policies; the chart marks the step.
+function addEvent() {
+  if (!view || editorActive) return;
+  const text = eventStepInput.value.trim();
+  const valid = text === "" || (Number.isInteger(Number(text)) && Number(text) >= 0);
+  eventStepInput.classList.toggle("invalid", !valid);
+  if (!valid) return;
+  const now = text === "" || Number(text) <= view.step;
+  const step = now ? view.step : Number(text);
+  const maze = mazeAt(grid, goal, events, step);
+  const type = eventSelect.value;
+  const event = presetEvent(type, maze.grid, starts, maze.goal, rewards);
+  const error = event
+    ? eventsError(grid, starts, goal, [...events, { ...event, step }], rewards)
+    : `${EVENT_TYPES[type].label}: nothing to change in this maze`;
+  if (error) {
+    eventStatus.textContent = error;
+    return;
+  }
+  backend.postMessage({ type: "event", event: now ? event : { ...event, step } });
+  eventStatus.textContent = now ? eventLabel(event) : `${eventLabel(event)} at step ${step}`;
+}
+
+// Back to the original maze: training restarts without events
+function clearEvents() {
+  if (events.length === 0) return;
+  events = [];
+  eventStatus.textContent = "";
+  resetTraining();
+  render();
+}
+
+// ---------------------------------------------------------------------------
+// Shareable URL state
+// ---------------------------------------------------------------------------
+
+// Mirror the experiment configuration into the URL hash (see urlstate.js)
+// without adding history entries. Skipped while editing: the maze being
+// edited is not the one training.
+function syncHash() {
+  if (editorActive) return;
+  window.history.replaceState(null, "", `#${encodeState(_shareState())}`);
+}
+
+function _shareState() {
+  return {
+    layout: editor.getLayout(),
+    multiStart,
+    hardPct: Number(hardPctSlider.value),
+    seed,
+    nSeeds,
+    exactEval,
+    heldOut,
+    params: _params(),
+    runs,
+    events,
+    schedule,
+  };
+}
+
+// Apply the configuration in the URL hash and start a session with it.
+// Returns false (changing nothing) if there is no hash or it cannot be read.
+function restoreFromHash() {
+  if (location.hash.length <= 1) return false;
+  let state;
+  try {
+    state = decodeState(location.hash);
+    if (state.runs.length > MAX_RUNS) throw new UrlStateError(`run: at most ${MAX_RUNS} runs`);
+  } catch (err) {
+    if (!(err instanceof UrlStateError)) throw err;
+    console.warn(`Ignoring URL state: ${err.message}`);
+    return false;
+  }
+  applyState(state);
+  resetTraining();
+  return true;
+}
+
+// Controls, editor and grid from a decodeState() result; no session is started
+function applyState(state) {
+  if (editorActive) closeEditor();
+  multiStart = state.multiStart;
+  hardPctSlider.value = String(state.hardPct);
+  seed = state.seed;
+  seedInput.value = seed;
+  rngs = _makeStreams(seed);
+  nSeeds = state.nSeeds;
+  seedsInput.value = nSeeds;
+  exactEval = state.exactEval;
+  heldOut = state.heldOut;
+  params[multiStart ? "multi" : "single"] = state.params;
+  runs = state.runs;
+  schedule = state.schedule;
+  if (!multiStart) startProbs = [1.0];
+
+  updateModeButton();
+  updateExactEvalButton();
+  updateAlgButtons();
+  updateScheduleInputs();
+  showSettings(_params(), runs);
+  if (state.layout) {
+    editor.load(state.layout);
+    updateGridButtons(null);
+  } else {
+    editor.loadDefault();
+    updateGridButtons("default");
+  }
+  setGrid(_layoutFromEditor(editor.getState()));
+  events = state.events;
+}
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+// File name stem naming the mode, seed and the step shown
+function _exportName() {
+  const snap = _scrubSnapshot();
+  return `maxrl-${multiStart ? "multi" : "single"}-seed${seed}-step${snap ? snap.step : view.step}`;
+}
+
+// The whole canvas as it is drawn
+function exportPNG() {
+  if (!view) return;
+  const name = `${_exportName()}.png`;
+  canvas.toBlob((blob) => _download(name, blob, "image/png"), "image/png");
+}
+
+// The chart alone, redrawn as vector graphics at its on-screen size
+function exportChartSVG() {
+  if (!view || editorActive) return;
+  const p = _params();
+  const styles = {};
+  for (const run of _runs()) styles[run.id] = runStyle(run, runParamsFor(p, run));
+  const svg = new SvgContext(CANVAS_W - 60, CHART_H);
+  _drawChart(svg, { x: 0, y: 0, w: svg.width, h: svg.height }, styles);
+  _download(`${_exportName()}-chart.svg`, svg.toSVG(), "image/svg+xml");
+}
+
+// Every run's full history under every seed, as `cli.js` writes them: CSV
+// (one row per seed, run and eval point) or JSON with the runs' settings
+function exportHistory(format) {
+  if (!view) return;
+  const seeds = [view.history, ...view.seedHistory].map((history, j) => ({ seed: seed + j, history }));
+  if (format === "csv") {
+    _download(`${_exportName()}.csv`, historyCSV(seeds), "text/csv");
+    return;
+  }
+  const p = _params();
+  const data = {
+    mode: multiStart ? "multi" : "single",
+    runSpecs: _runs().map((run) => ({ ...run, params: runParamsFor(p, run) })),
+    testMazes: heldOut ? heldOutMazes(grid, starts, goal, rewards).map((t) => t.name) : [],
+    events,
+    schedule,
+    runs: seeds,
+  };
+  _download(`${_exportName()}.json`, JSON.stringify(data, null, 2), "application/json");
+}
+
+// ---------------------------------------------------------------------------
+// Checkpoints
+// ---------------------------------------------------------------------------
+
+// Ask the backend for a checkpoint of the running session; onCheckpoint
+// sends it to `dest`: "store" (this browser) or "download"
+function requestCheckpoint(dest) {
+  if (editorActive) {
+    setCheckpointStatus("Close the editor first");
+    return;
+  }
+  checkpointRequest = dest;
+  backend.postMessage({ type: "checkpoint" });
+}
+
+function onCheckpoint(msg) {
+  const dest = checkpointRequest;
+  checkpointRequest = null;
+  if (msg.gen !== gen || !dest) return;
+  const app = { hash: encodeState(_shareState()), mazeRng: rngs.maze.getState() };
+  const text = formatCheckpoint({ app, backend: msg.checkpoint });
+  const step = msg.checkpoint.session.step;
+  if (dest === "download") {
+    _download(`checkpoint-step${step}.json`, text, "application/json");
+    setCheckpointStatus(`Downloaded step ${step}`);
+    return;
+  }
+  storeCheckpoint(text).then(
+    () => setCheckpointStatus(`Saved step ${step}`),
+    (err) => setCheckpointStatus(`Save failed: ${err.message}`),
+  );
+}
+
+// Resume the session in checkpoint `text` exactly where it was saved
+function restoreCheckpoint(text) {
+  let cp;
+  try {
+    cp = parseCheckpoint(text);
+  } catch (err) {
+    if (!(err instanceof CheckpointError)) throw err;
+    setCheckpointStatus(`Restore failed: ${err.message}`);
+    return;
+  }
+  applyState(decodeState(cp.app.hash));
+  rngs.maze.setState(cp.app.mazeRng);
+  view = null;
+  backend.postMessage({ type: "restore", gen: ++gen, checkpoint: cp.backend });
+  syncHash();
+  setCheckpointStatus(`Restored step ${cp.step}`);
+  render();
+}
+
+function restoreStoredCheckpoint() {
+  loadStoredCheckpoint().then(
+    (text) => {
+      if (text === null) setCheckpointStatus("No saved checkpoint");
+      else restoreCheckpoint(text);
+    },
+    (err) => setCheckpointStatus(`Restore failed: ${err.message}`),
+  );
+}
+
+function setCheckpointStatus(text) {
+  checkpointStatus.textContent = text;
+}
+
+function setSpeed(spd) {
+  speed = spd;
+  backend.postMessage({ type: "speed", speed });
+}
+
 function changeSpeed(delta) {
-  speed = Math.max(1, Math.min(20, speed + delta));
+  setSpeed(Math.max(1, Math.min(20, speed + delta)));
   speedSlider.value = speedToSlider(speed);
 }
 
@@ -500,18 +1732,93 @@ btnPlayPause.addEventListener("click", togglePlayPause);
 btnReset.addEventListener("click", doReset);
 btnDefaultGrid.addEventListener("click", loadDefaultGrid);
 btnRandomGrid.addEventListener("click", loadRandomGrid);
+generatorSelect.addEventListener("change", changeGenerator);
+scheduleSelect.addEventListener("change", changeSchedule);
+for (const input of [slipInput, windInput, portalsInput]) input.addEventListener("change", changeDynamics);
+for (const input of [brushSelect, goalRewardInput]) input.addEventListener("change", changeBrush);
+for (const input of [penaltyInput, thresholdInput]) input.addEventListener("change", changeRewards);
+btnPickStarts.addEventListener("click", pickStarts);
+difficultyInput.addEventListener("change", pickStarts);
+for (const input of [mazeSizeInput, loopsInput, deadEndsInput]) input.addEventListener("change", changeMazeSettings);
 btnEditGrid.addEventListener("click", toggleEditor);
+btnImportMaze.addEventListener("click", () => mazeFileInput.click());
+btnExportMaze.addEventListener("click", exportMaze);
+mazeFileInput.addEventListener("change", () => {
+  if (mazeFileInput.files.length > 0) importMazeFile(mazeFileInput.files[0]);
+  mazeFileInput.value = "";
+});
+
+// Drag-and-drop a maze file onto the canvas
+canvas.addEventListener("dragover", (e) => e.preventDefault());
+canvas.addEventListener("drop", (e) => {
+  e.preventDefault();
+  if (e.dataTransfer.files.length > 0) importMazeFile(e.dataTransfer.files[0]);
+});
 btnStartMode.addEventListener("click", toggleMode);
+btnExactEval.addEventListener("click", toggleExactEval);
+btnHeldOut.addEventListener("click", toggleHeldOut);
+btnArrows.addEventListener("click", toggleArrows);
+btnGrad.addEventListener("click", toggleGrad);
+canvas.addEventListener("mousemove", (e) => {
+  hover = _canvasPoint(e);
+});
+canvas.addEventListener("mouseleave", () => {
+  hover = null;
+});
+btnSettings.addEventListener("click", toggleSettings);
+btnApplySettings.addEventListener("click", applySettings);
+btnAddRun.addEventListener("click", addDraftRun);
+btnDefaultSettings.addEventListener("click", () => {
+  showSettings(multiStart ? DEFAULTS.multi : DEFAULTS.single, runs.map((run) => ({ alg: run.alg })));
+});
+settingsPanel.addEventListener("keydown", (e) => {
+  if (e.key === "Enter") applySettings();
+});
 speedSlider.addEventListener("input", () => {
-  speed = sliderToSpeed(Number(speedSlider.value));
+  setSpeed(sliderToSpeed(Number(speedSlider.value)));
+});
+btnSaveCheckpoint.addEventListener("click", () => requestCheckpoint("store"));
+btnRestoreCheckpoint.addEventListener("click", restoreStoredCheckpoint);
+btnDownloadCheckpoint.addEventListener("click", () => requestCheckpoint("download"));
+btnOpenCheckpoint.addEventListener("click", () => checkpointFileInput.click());
+btnExportPng.addEventListener("click", exportPNG);
+btnExportSvg.addEventListener("click", exportChartSVG);
+btnExportCsv.addEventListener("click", () => exportHistory("csv"));
+btnExportJson.addEventListener("click", () => exportHistory("json"));
+checkpointFileInput.addEventListener("change", () => {
+  if (checkpointFileInput.files.length > 0) {
+    checkpointFileInput.files[0].text().then(restoreCheckpoint, (err) => console.error("checkpoint:", err));
+  }
+  checkpointFileInput.value = "";
+});
+hardPctSlider.addEventListener("input", () => updateHardPct());
+timelineSlider.addEventListener("input", () => {
+  const snap = view && view.snapshots.items[Number(timelineSlider.value)];
+  if (snap) setScrub(snap.idx);
+  render();
+});
+btnLive.addEventListener("click", () => {
+  setScrub(null);
+  render();
+});
+seedInput.addEventListener("change", changeSeed);
+btnAddEvent.addEventListener("click", addEvent);
+btnClearEvents.addEventListener("click", clearEvents);
+eventStepInput.addEventListener("keydown", (e) => {
+  if (e.key === "Enter") addEvent();
+});
+seedsInput.addEventListener("change", changeSeeds);
+
+// A hash typed or pasted into the address bar (replaceState fires no event)
+window.addEventListener("hashchange", () => {
+  if (restoreFromHash()) render();
 });
-hardPctSlider.addEventListener("input", updateHardPct);
 
 // -- Keyboard shortcuts -------------------------------------------------------
 
 document.addEventListener("keydown", (e) => {
-  // Don't capture if user is typing in an input
-  if (e.target.tagName === "INPUT" || e.target.tagName === "TEXTAREA") return;
+  // Don't capture if user is typing in an input or picking from a select
+  if (["INPUT", "TEXTAREA", "SELECT"].includes(e.target.tagName) || e.target.isContentEditable) return;
 
   switch (e.code) {
     case "Space":
@@ -533,6 +1840,33 @@ document.addEventListener("keydown", (e) => {
     case "KeyE":
       toggleEditor();
       break;
+    case "KeyX":
+      toggleExactEval();
+      break;
+    case "KeyH":
+      toggleHeldOut();
+      break;
+    case "KeyD":
+      addEvent();
+      break;
+    case "KeyA":
+      toggleArrows();
+      break;
+    case "KeyG":
+      toggleGrad();
+      break;
+    case "KeyP":
+      exportPNG();
+      break;
+    case "KeyV":
+      exportChartSVG();
+      break;
+    case "KeyC":
+      exportHistory("csv");
+      break;
+    case "KeyJ":
+      exportHistory("json");
+      break;
     case "Escape":
       if (editorActive) {
         closeEditor();
@@ -546,8 +1880,7 @@ document.addEventListener("keydown", (e) => {
 
 document.addEventListener("visibilitychange", () => {
   if (document.hidden && !paused) {
-    paused = true;
-    updatePlayPauseButton();
+    setPaused(true);
   }
 });
 
@@ -557,15 +1890,27 @@ document.addEventListener("visibilitychange", () => {
 
 // Set initial slider
 speedSlider.value = speedToSlider(speed);
+seedInput.value = seed;
+seedsInput.max = String(MAX_SEEDS);
+buildGeneratorSelect();
+buildBrushSelect();
+buildEventSelect();
+buildScheduleSelect();
 
 // Set initial button states
 updateGridButtons("default");
 updatePlayPauseButton();
 updateModeButton();
-
-// Initial eval so we have something to render
-refreshEval();
-recordHistory();
+updateExactEvalButton();
+updateHeldOutButton();
+buildAlgButtons();
+buildSeriesButtons();
+showSettings(_params(), runs);
+
+// Initial session + eval so we have something to render
+renderer.drawLoading(ctx, "Initializing...", CANVAS_W, CANVAS_H);
+backend.postMessage({ type: "speed", speed });
+if (!restoreFromHash()) resetTraining();
 
 // Start the render/training loop
 render();
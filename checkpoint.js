@@ -0,0 +1,119 @@
+// checkpoint.js -- Training checkpoints: what the backend needs to resume a
+// session exactly (worker.js: session, heatmap stream, heatmaps, the other
+// seeds' sessions) plus the app state to show it again, saved in the browser
+// or as a JSON file.
+//
+//   { format, version, savedAt, step,
+//     app: { hash, mazeRng },      // urlstate.js hash, maze stream state
+//     backend: { session, heatRng, heat, replicas } }
+//
+// In the browser a single checkpoint is kept, in IndexedDB where available
+// (and usable), else in localStorage.
+
+import { TrainingSession } from "./trainer.js";
+import { decodeState, UrlStateError } from "./urlstate.js";
+
+export const CHECKPOINT_FORMAT = "maxrl-demo-checkpoint";
+export const CHECKPOINT_VERSION = 1;
+
+const DB_NAME = "maxrl-demo";
+const DB_STORE = "checkpoints";
+const STORAGE_KEY = "maxrl-demo:checkpoint";
+
+/** Unreadable or mismatched checkpoint. */
+export class CheckpointError extends Error {}
+
+// ---------------------------------------------------------------------------
+// Text form
+// ---------------------------------------------------------------------------
+
+/** Checkpoint { app, backend } -> JSON text, stamped with format, version and time. */
+export function formatCheckpoint({ app, backend }, savedAt = new Date().toISOString()) {
+  const cp = {
+    format: CHECKPOINT_FORMAT,
+    version: CHECKPOINT_VERSION,
+    savedAt,
+    step: backend.session.step,
+    app,
+    backend,
+  };
+  // Typed arrays (heatmap visits) as plain arrays
+  return JSON.stringify(cp, (key, val) => (ArrayBuffer.isView(val) ? Array.from(val) : val));
+}
+
+/**
+ * JSON text -> checkpoint. Checks the format and version, the app state and
+ * that the session can be rebuilt, so a bad file is reported here rather
+ * than in the backend.
+ */
+export function parseCheckpoint(text) {
+  let cp;
+  try {
+    cp = JSON.parse(text);
+  } catch (err) {
+    throw new CheckpointError(`invalid JSON: ${err.message}`);
+  }
+  if (cp === null || typeof cp !== "object" || cp.format !== CHECKPOINT_FORMAT) {
+    throw new CheckpointError("not a checkpoint file");
+  }
+  if (cp.version !== CHECKPOINT_VERSION) {
+    throw new CheckpointError(`unsupported checkpoint version ${cp.version} (expected ${CHECKPOINT_VERSION})`);
+  }
+  if (!cp.app || !Array.isArray(cp.app.mazeRng) || !cp.backend || !Array.isArray(cp.backend.heatRng)) {
+    throw new CheckpointError("incomplete checkpoint");
+  }
+  try {
+    decodeState(cp.app.hash);
+    TrainingSession.fromCheckpoint(cp.backend.session);
+    for (const session of cp.backend.replicas || []) TrainingSession.fromCheckpoint(session);
+  } catch (err) {
+    if (err instanceof UrlStateError) throw new CheckpointError(`app state: ${err.message}`);
+    throw new CheckpointError(`session: ${err.message}`);
+  }
+  for (const heat of Object.values(cp.backend.heat || {})) {
+    heat.visits = Float64Array.from(heat.visits);
+  }
+  return cp;
+}
+
+// ---------------------------------------------------------------------------
+// Browser storage
+// ---------------------------------------------------------------------------
+
+function _openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(DB_STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function _dbRequest(mode, makeRequest) {
+  return _openDb().then((db) => new Promise((resolve, reject) => {
+    const req = makeRequest(db.transaction(DB_STORE, mode).objectStore(DB_STORE));
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  }).finally(() => db.close()));
+}
+
+/** Keep checkpoint `text` (formatCheckpoint output) in the browser, replacing the previous one. */
+export function storeCheckpoint(text) {
+  if (typeof indexedDB === "undefined") {
+    localStorage.setItem(STORAGE_KEY, text);
+    return Promise.resolve();
+  }
+  return _dbRequest("readwrite", (store) => store.put(text, "latest")).then(
+    () => {},
+    () => localStorage.setItem(STORAGE_KEY, text),
+  );
+}
+
+/** The stored checkpoint's text, or null if there is none. */
+export function loadStoredCheckpoint() {
+  if (typeof indexedDB === "undefined") return Promise.resolve(localStorage.getItem(STORAGE_KEY));
+  return _dbRequest("readonly", (store) => store.get("latest")).then(
+    (text) => text ?? localStorage.getItem(STORAGE_KEY),
+    () => localStorage.getItem(STORAGE_KEY),
+  );
+}
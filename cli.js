@@ -0,0 +1,592 @@
+#!/usr/bin/env node
+// cli.js -- Headless training runner: trains REINFORCE and MaxRL (or any list
+// of runs) without a browser and writes the per-eval history as JSON or CSV.
+//
+//   node cli.js --steps 1000 --seeds 1-5 --format csv --out runs.csv
+
+import { readFileSync, writeFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+
+import {
+  ESTIMATORS,
+  MAZE_GENERATORS,
+  DEFAULT_GENERATOR,
+  MAZE_TEST,
+  bfsShortestPath,
+  NO_DYNAMICS,
+  NO_REWARDS,
+  MAX_GOAL_REWARD,
+  MAX_STEP_PENALTY,
+  dynamicsError,
+  rewardsError,
+  pickStartsByDifficulty,
+  randomLayout,
+  trapsWalled,
+} from "./engine.js";
+import { MAX_STARTS, MazeFormatError, parseMaze } from "./mazefile.js";
+import { Rng } from "./rng.js";
+import {
+  UrlStateError, parseEvent, parseGoals, parsePortals, parseSchedule, parseTraps, parseWind,
+} from "./urlstate.js";
+import {
+  TrainingSession,
+  ALGORITHMS,
+  DEFAULTS,
+  DEFAULT_ALGORITHMS,
+  DEFAULT_LAYOUT,
+  PARAM_SPECS,
+  heldOutMazes,
+  EVENT_TYPES,
+  eventsError,
+  mazeAt,
+  presetEvent,
+  historyCSV,
+  seedSummary,
+  normalizeRuns,
+  startDistribution,
+  SCHEDULES,
+} from "./trainer.js";
+
+const USAGE = `Usage: node cli.js [options]
+
+Maze
+  --maze <src>          train (default), test, random, or a maze file: ASCII art
+                        (# wall, . open, H hard start, S easy start, G goal) or JSON
+                        ({ "grid": [[...]], "starts": [[r,c], ...], "weights": [...], "goal": [r,c] })
+  --size <n>            grid size for --maze random (default 11)
+  --generator <spec>    maze generator for --maze random: <id>[:<flag>=<x>,...] with
+                        loops (0-1, share of inner walls knocked out), dead-ends
+                        (0-1, share of dead ends kept) or rooms, e.g. prim:loops=0.1
+                        available: ${Object.keys(MAZE_GENERATORS).join(", ")} (default ${DEFAULT_GENERATOR})
+  --maze-seed <n>       seed for --maze random (default: first training seed)
+  --pick-starts <list>  move the starts to the cells whose p0 (success probability
+                        of the uniform initial policy within --max-steps) is nearest
+                        each target, e.g. 0.5,0.01; the lowest becomes the hard start
+  --slip <p>            probability that an action is replaced by a random one (0-1)
+  --wind <spec>         cells each column pushes the agent up after it moves out of
+                        it (negative = down): <col>[-<col>]:<push>,..., e.g. 3-5:1,6-7:2
+  --portals <spec>      portals <r>,<c>><r>,<c>[;...], entrance > exit
+                        (these three replace the maze file's "dynamics")
+  --traps <cells>       trap cells <r>,<c>[;...] that end an episode with no reward
+  --goals <spec>        goals besides the maze's own (reward 1): <r>,<c>:<reward>[;...]
+  --step-penalty <x>    reward taken off per action (0-${MAX_STEP_PENALTY})
+  --threshold <x>       least return that makes reaching a goal a success, for MaxRL,
+                        pass@k and pass@1 (0-${MAX_GOAL_REWARD}); REINFORCE scores the return
+                        (these four replace the maze file's "rewards")
+
+Training
+  --algorithms <list>   algorithms to train, e.g. rl,rloo,maxrl (default ${DEFAULT_ALGORITHMS.join(",")})
+                        available: ${ALGORITHMS.join(", ")}
+  --run <spec>          one run, repeatable instead of --algorithms: <alg>[:<flag>=<x>,...]
+                        with lr, n, max-steps, n-eval, k, order or seed, e.g.
+                        --run rl --run maxrl:lr=0.1 --run maxrl:lr=1
+                        (seed=<n> fixes that run's seed across --seeds)
+  --mode <m>            multi (default) or single
+  --steps <n>           training steps per seed (default 500)
+  --seeds <list>        seeds, e.g. 1,2,5-8 (default 1)
+  --hard-pct <p>        hard-start share in multi-start mode, 0-100 (default 50)
+  --curriculum <spec>   schedule of the training starts: <type>[:<key>=<x>,...] with
+                        linear / step (hard % from, to over steps, step in stages),
+                        adaptive (power, floor: upweights starts of low pass@1) or
+                        reverse (from % of each route back from the goal, over
+                        steps), e.g. linear:from=0,to=80,steps=300; adds
+                        start_<i>_prob (multi) and start_<i>_dist (reverse) columns
+                        available: ${Object.keys(SCHEDULES).join(", ")} (default fixed)
+  --lr <x>              learning rate
+  --n <n>               rollouts per update (N)
+  --max-steps <n>       episode step budget
+  --eval-interval <n>   training steps between evaluations
+  --n-eval <n>          evaluation rollouts per start
+                        lr, n, max-steps and n-eval also take per-algorithm
+                        values, e.g. --lr 0.3,maxrl=0.5
+  --k <n>               k of passk (default ${ESTIMATORS.passk.params.k.default})
+  --order <n>           truncation order T of maxrl_t (default ${ESTIMATORS.maxrl_t.params.order.default})
+  --exact-eval          compute pass@1 (and single-start entropy) exactly by dynamic
+                        programming; --n-eval rollouts still count unique paths
+  --held-out            also evaluate pass@1 on held-out test mazes (the training
+                        maze with one wall added per start route); adds
+                        test_<j>_p1, test_p1 and train_p1 columns
+  --event <spec>        change the maze at a training step, keeping the policies
+                        (repeatable): <step>:<type> with type block (a start's
+                        route), open (a shortcut), goal (moved) or maze (MAZE_TEST),
+                        or explicitly <step>:block=<r>,<c>[;<r>,<c>...],
+                        <step>:open=..., <step>:goal=<r>,<c>
+
+Output
+  --format <f>          json (default) or csv
+  --out <file>          write to a file instead of stdout
+  -q, --quiet           no progress or multi-seed summary on stderr
+  -h, --help            show this help
+`;
+
+// ---------------------------------------------------------------------------
+// Argument parsing
+// ---------------------------------------------------------------------------
+
+class UsageError extends Error {}
+
+// Bad maze input: reported without the usage text
+class MazeError extends Error {}
+
+function parseSeeds(spec) {
+  const seeds = [];
+  for (const part of spec.split(",")) {
+    const m = part.trim().match(/^(\d+)(?:-(\d+))?$/);
+    if (!m) throw new UsageError(`bad seed list: "${spec}"`);
+    const lo = Number(m[1]);
+    const hi = m[2] !== undefined ? Number(m[2]) : lo;
+    if (hi < lo) throw new UsageError(`bad seed range: "${part}"`);
+    for (let s = lo; s <= hi; s++) seeds.push(s);
+  }
+  return seeds;
+}
+
+function parseNumber(name, val, { integer = false, min = -Infinity, max = Infinity } = {}) {
+  const x = Number(val);
+  if (!Number.isFinite(x) || (integer && !Number.isInteger(x)) || x < min || x > max) {
+    throw new UsageError(`--${name}: expected ${integer ? "an integer" : "a number"} in [${min}, ${max}], got "${val}"`);
+  }
+  return x;
+}
+
+// Hyperparameter flags and the PARAM_SPECS key they set
+const PARAM_FLAGS = {
+  lr: "lr",
+  n: "N",
+  "max-steps": "maxSteps",
+  "eval-interval": "evalInterval",
+  "n-eval": "nEval",
+};
+
+// Estimator-specific flags: flag -> [[alg, key], ...] of every estimator declaring it
+const ESTIMATOR_FLAGS = {};
+for (const [alg, est] of Object.entries(ESTIMATORS)) {
+  for (const key of Object.keys(est.params)) {
+    (ESTIMATOR_FLAGS[key.toLowerCase()] ||= []).push([alg, key]);
+  }
+}
+
+function applyEstimatorFlag(params, flag, val) {
+  for (const [alg, key] of ESTIMATOR_FLAGS[flag]) {
+    const { integer, min, max } = ESTIMATORS[alg].params[key];
+    params[alg] = { ...params[alg], [key]: parseNumber(flag, val, { integer, min, max }) };
+  }
+}
+
+// "<alg>[:<flag>=<x>,...]" -> { alg, params, seed }
+function parseRun(spec) {
+  const colon = spec.indexOf(":");
+  const alg = (colon < 0 ? spec : spec.slice(0, colon)).trim();
+  if (!ALGORITHMS.includes(alg)) throw new UsageError(`--run: unknown algorithm "${alg}"`);
+  const run = { alg, params: {}, seed: null };
+  if (colon < 0) return run;
+  for (const part of spec.slice(colon + 1).split(",")) {
+    const m = part.trim().match(/^([a-z][\w-]*)=(.*)$/i);
+    if (!m) throw new UsageError(`--run: expected <flag>=<x>, got "${part}"`);
+    const [, flag, val] = m;
+    const estKey = Object.keys(ESTIMATORS[alg].params).find((k) => k.toLowerCase() === flag);
+    if (flag === "seed") {
+      run.seed = parseNumber("run seed", val, { integer: true, min: 0 });
+    } else if (PARAM_FLAGS[flag]) {
+      const { integer, min, max, shared } = PARAM_SPECS[PARAM_FLAGS[flag]];
+      if (shared) throw new UsageError(`--run: ${flag} is shared by all runs, got "${part}"`);
+      run.params[PARAM_FLAGS[flag]] = parseNumber(`run ${flag}`, val, { integer, min, max });
+    } else if (estKey) {
+      const { integer, min, max } = ESTIMATORS[alg].params[estKey];
+      run.params[estKey] = parseNumber(`run ${flag}`, val, { integer, min, max });
+    } else {
+      throw new UsageError(`--run: unknown setting "${flag}" for ${alg}`);
+    }
+  }
+  return run;
+}
+
+// "<id>[:<flag>=<x>,...]" -> { generator, generatorOpts }; flags are the generator's
+// params in kebab case (deadEnds -> dead-ends)
+function parseGenerator(spec) {
+  const colon = spec.indexOf(":");
+  const generator = (colon < 0 ? spec : spec.slice(0, colon)).trim();
+  if (!MAZE_GENERATORS[generator]) throw new UsageError(`--generator: unknown generator "${generator}"`);
+  const opts = {};
+  if (colon < 0) return { generator, generatorOpts: opts };
+  const specs = MAZE_GENERATORS[generator].params;
+  for (const part of spec.slice(colon + 1).split(",")) {
+    const m = part.trim().match(/^([a-z][\w-]*)=(.*)$/i);
+    if (!m) throw new UsageError(`--generator: expected <flag>=<x>, got "${part}"`);
+    const key = Object.keys(specs).find((k) => k.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`) === m[1]);
+    if (!key) throw new UsageError(`--generator: unknown setting "${m[1]}" for ${generator}`);
+    const { integer, min, max } = specs[key];
+    opts[key] = parseNumber(`generator ${m[1]}`, m[2], { integer, min, max });
+  }
+  return { generator, generatorOpts: opts };
+}
+
+// "<step>:<type>" -> { step, type } (cells filled in by buildEvents), or a
+// full event in the URL form "<step>:<type>=<what>"
+function parseEventSpec(spec) {
+  const m = spec.trim().match(/^(\d+):(\w+)$/);
+  if (m) {
+    if (!EVENT_TYPES[m[2]]) throw new UsageError(`--event: unknown type "${m[2]}"`);
+    return { step: Number(m[1]), type: m[2] };
+  }
+  try {
+    return parseEvent(spec.trim());
+  } catch (err) {
+    if (err instanceof UrlStateError) throw new UsageError(`--${err.message}`);
+    throw err;
+  }
+}
+
+function parseCurriculum(spec) {
+  try {
+    return parseSchedule(spec.trim());
+  } catch (err) {
+    if (err instanceof UrlStateError) throw new UsageError(`--${err.message}`);
+    throw err;
+  }
+}
+
+// "0.5,0.01" -> [0.01, 0.5]: 2..MAX_STARTS target p0 values, hardest first
+function parseTargets(spec) {
+  const targets = spec.split(",").map((part) => parseNumber("pick-starts", part.trim(), { min: 0, max: 1 }));
+  if (targets.length < 2 || targets.length > MAX_STARTS || targets.includes(0)) {
+    throw new UsageError(`--pick-starts: expected 2 to ${MAX_STARTS} values in (0, 1], got "${spec}"`);
+  }
+  return targets.sort((a, b) => a - b);
+}
+
+function parseAlgorithms(spec) {
+  const algs = spec.split(",").map((a) => a.trim());
+  for (const alg of algs) {
+    if (!ALGORITHMS.includes(alg)) throw new UsageError(`--algorithms: unknown algorithm "${alg}"`);
+  }
+  if (new Set(algs).size !== algs.length) throw new UsageError(`--algorithms: duplicate in "${spec}"`);
+  return algs;
+}
+
+// "<x>" sets the shared value, "<alg>=<x>" overrides it for one algorithm;
+// comma-separated parts combine, e.g. "0.3,maxrl=0.5"
+function applyParamFlag(params, flag, spec) {
+  const key = PARAM_FLAGS[flag];
+  const { integer, min, max, shared } = PARAM_SPECS[key];
+  for (const part of spec.split(",")) {
+    const m = part.trim().match(/^(?:([a-z]\w*)=)?(.*)$/i);
+    const x = parseNumber(flag, m[2], { integer, min, max });
+    if (m[1] === undefined) {
+      params[key] = x;
+    } else if (shared) {
+      throw new UsageError(`--${flag}: shared by all algorithms, got "${part}"`);
+    } else if (!ALGORITHMS.includes(m[1])) {
+      throw new UsageError(`--${flag}: unknown algorithm "${m[1]}"`);
+    } else {
+      params[m[1]] = { ...params[m[1]], [key]: x };
+    }
+  }
+}
+
+function parseCli(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      maze: { type: "string", default: "train" },
+      size: { type: "string", default: "11" },
+      generator: { type: "string", default: DEFAULT_GENERATOR },
+      "maze-seed": { type: "string" },
+      "pick-starts": { type: "string" },
+      slip: { type: "string" },
+      wind: { type: "string" },
+      portals: { type: "string" },
+      traps: { type: "string" },
+      goals: { type: "string" },
+      "step-penalty": { type: "string" },
+      threshold: { type: "string" },
+      algorithms: { type: "string" },
+      run: { type: "string", multiple: true },
+      mode: { type: "string", default: "multi" },
+      steps: { type: "string", default: "500" },
+      seeds: { type: "string", default: "1" },
+      "hard-pct": { type: "string", default: "50" },
+      curriculum: { type: "string", default: "fixed" },
+      lr: { type: "string" },
+      n: { type: "string" },
+      "max-steps": { type: "string" },
+      "eval-interval": { type: "string" },
+      "n-eval": { type: "string" },
+      ...Object.fromEntries(Object.keys(ESTIMATOR_FLAGS).map((f) => [f, { type: "string" }])),
+      "exact-eval": { type: "boolean", default: false },
+      "held-out": { type: "boolean", default: false },
+      event: { type: "string", multiple: true },
+      format: { type: "string", default: "json" },
+      out: { type: "string" },
+      quiet: { type: "boolean", short: "q", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  if (!["multi", "single"].includes(values.mode)) {
+    throw new UsageError(`--mode: expected multi or single, got "${values.mode}"`);
+  }
+  if (!["json", "csv"].includes(values.format)) {
+    throw new UsageError(`--format: expected json or csv, got "${values.format}"`);
+  }
+
+  const multiStart = values.mode === "multi";
+  const params = { ...(multiStart ? DEFAULTS.multi : DEFAULTS.single) };
+  for (const flag of Object.keys(PARAM_FLAGS)) {
+    if (values[flag] !== undefined) applyParamFlag(params, flag, values[flag]);
+  }
+  for (const flag of Object.keys(ESTIMATOR_FLAGS)) {
+    if (values[flag] !== undefined) applyEstimatorFlag(params, flag, values[flag]);
+  }
+
+  if (values.run && values.algorithms !== undefined) {
+    throw new UsageError("--run and --algorithms cannot be combined");
+  }
+  const runs = normalizeRuns(values.run
+    ? values.run.map(parseRun)
+    : parseAlgorithms(values.algorithms ?? DEFAULT_ALGORITHMS.join(",")).map((alg) => ({ alg })));
+
+  const seeds = parseSeeds(values.seeds);
+  return {
+    help: values.help,
+    maze: values.maze,
+    size: parseNumber("size", values.size, { integer: true, min: 5 }),
+    ...parseGenerator(values.generator),
+    pickStarts: values["pick-starts"] !== undefined ? parseTargets(values["pick-starts"]) : null,
+    slip: values.slip !== undefined ? parseNumber("slip", values.slip, { min: 0, max: 1 }) : null,
+    wind: values.wind ?? null,
+    portals: values.portals ?? null,
+    traps: values.traps ?? null,
+    goals: values.goals ?? null,
+    stepPenalty: values["step-penalty"] !== undefined
+      ? parseNumber("step-penalty", values["step-penalty"], { min: 0, max: MAX_STEP_PENALTY })
+      : null,
+    threshold: values.threshold !== undefined
+      ? parseNumber("threshold", values.threshold, { min: 0, max: MAX_GOAL_REWARD })
+      : null,
+    mazeSeed: values["maze-seed"] !== undefined
+      ? parseNumber("maze-seed", values["maze-seed"], { integer: true, min: 0 })
+      : seeds[0],
+    multiStart,
+    algorithms: [...new Set(runs.map((run) => run.alg))],
+    runs,
+    steps: parseNumber("steps", values.steps, { integer: true, min: 0 }),
+    seeds,
+    hardPct: parseNumber("hard-pct", values["hard-pct"], { min: 0, max: 100 }),
+    schedule: parseCurriculum(values.curriculum),
+    params,
+    exactEval: values["exact-eval"],
+    heldOut: values["held-out"],
+    events: (values.event ?? []).map(parseEventSpec),
+    format: values.format,
+    out: values.out,
+    quiet: values.quiet,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Maze loading
+// ---------------------------------------------------------------------------
+
+function loadMaze(opts) {
+  switch (opts.maze) {
+    case "train":
+      return DEFAULT_LAYOUT;
+    case "test":
+      return { ...DEFAULT_LAYOUT, grid: MAZE_TEST };
+    case "random": {
+      // Same stream as the app's "Random Grid" button under this seed
+      const layout = randomLayout(opts.size, opts.size, new Rng(opts.mazeSeed, "maze"), opts.generator, opts.generatorOpts);
+      return { grid: layout.grid, starts: [layout.hard, layout.easy], goal: layout.goal };
+    }
+    default:
+      try {
+        return parseMaze(readFileSync(opts.maze, "utf8"));
+      } catch (err) {
+        if (err instanceof MazeFormatError) throw new MazeError(`${opts.maze}: ${err.message}`);
+        throw err;
+      }
+  }
+}
+
+// The maze's dynamics with --slip, --wind and --portals applied
+function mazeDynamics(maze, opts) {
+  const dynamics = { ...NO_DYNAMICS, ...maze.dynamics };
+  try {
+    if (opts.slip !== null) dynamics.slip = opts.slip;
+    if (opts.wind !== null) dynamics.wind = parseWind(opts.wind, maze.grid[0].length);
+    if (opts.portals !== null) dynamics.portals = parsePortals(opts.portals);
+  } catch (err) {
+    if (err instanceof UrlStateError) throw new UsageError(`--${err.message}`);
+    throw err;
+  }
+  const err = dynamicsError(maze.grid, dynamics);
+  if (err) throw new MazeError(`dynamics: ${err}`);
+  return dynamics;
+}
+
+// The maze's rewards with --traps, --goals, --step-penalty and --threshold applied
+function mazeRewards(maze, opts) {
+  const rewards = { ...NO_REWARDS, ...maze.rewards };
+  try {
+    if (opts.traps !== null) rewards.traps = parseTraps(opts.traps);
+    if (opts.goals !== null) rewards.goals = parseGoals(opts.goals);
+  } catch (err) {
+    if (err instanceof UrlStateError) throw new UsageError(`--${err.message}`);
+    throw err;
+  }
+  if (opts.stepPenalty !== null) rewards.stepPenalty = opts.stepPenalty;
+  if (opts.threshold !== null) rewards.threshold = opts.threshold;
+  const err = rewardsError(maze.grid, rewards, maze.goal);
+  if (err) throw new MazeError(`rewards: ${err}`);
+  return rewards;
+}
+
+// The maze with its starts moved to the cells nearest the target p0 values
+function pickStarts(maze, targets, maxSteps, dynamics, rewards) {
+  const picks = pickStartsByDifficulty(maze.grid, maze.goal, targets, maxSteps, [], dynamics, rewards);
+  if (picks.length < targets.length) {
+    throw new MazeError(`--pick-starts: need ${targets.length} cells that reach the goal within ${maxSteps} steps`);
+  }
+  return { grid: maze.grid, starts: picks.map((p) => p.cell), goal: maze.goal };
+}
+
+// Events in step order, those given only by type completed by presetEvent
+// for the maze as it is at their step
+function buildEvents(specs, maze, starts, rewards) {
+  const events = [];
+  for (const spec of [...specs].sort((a, b) => a.step - b.step)) {
+    let event = spec;
+    if (!spec.cells && !spec.goal && !spec.grid) {
+      const { grid, goal } = mazeAt(maze.grid, maze.goal, events, spec.step);
+      const preset = presetEvent(spec.type, grid, starts, goal, rewards);
+      if (!preset) throw new MazeError(`--event ${spec.step}:${spec.type}: nothing to change in this maze`);
+      event = { ...preset, step: spec.step };
+    }
+    events.push(event);
+  }
+  const err = eventsError(maze.grid, starts, maze.goal, events, rewards);
+  if (err) throw new MazeError(`--${err}`);
+  return events;
+}
+
+// ---------------------------------------------------------------------------
+// Output
+// ---------------------------------------------------------------------------
+
+// seedSummary() as a table: mean, 95% CI and wins against rl per run
+function formatSummary({ step, seeds, rows }, multiStart) {
+  const width = Math.max(...rows.map((row) => row.id.length));
+  const metric = multiStart ? "hard-start pass@1" : "pass@1";
+  const lines = [`${metric} at step ${step} over ${seeds} seeds (mean, 95% CI, beats rl):`];
+  for (const row of rows) {
+    let line = `  ${row.id.padEnd(width)}  ${row.mean.toFixed(3)}  [${row.lo.toFixed(3)}, ${row.hi.toFixed(3)}]`;
+    if (row.wins !== null) line += `  ${row.wins}/${seeds}${row.ties > 0 ? ` (${row.ties} tied)` : ""}`;
+    lines.push(line);
+  }
+  return lines.join("\n") + "\n";
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+function main(argv) {
+  const opts = parseCli(argv);
+  if (opts.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+
+  let maze = loadMaze(opts);
+  const dynamics = mazeDynamics(maze, opts);
+  const rewards = mazeRewards(maze, opts);
+  if (opts.pickStarts) maze = pickStarts(maze, opts.pickStarts, opts.params.maxSteps, dynamics, rewards);
+  const starts = opts.multiStart ? maze.starts : [maze.starts[0]];
+  const ends = new Set([...rewards.traps, ...rewards.goals.map(([cell]) => cell)].map((cell) => cell.join()));
+  const walled = trapsWalled(maze.grid, rewards);
+  for (const s of starts) {
+    if (!bfsShortestPath(walled, s, maze.goal)) {
+      throw new MazeError(`start [${s}] cannot reach goal [${maze.goal}]`);
+    }
+    if (ends.has(s.join())) throw new MazeError(`start [${s}] is a trap or goal`);
+  }
+  const startProbs = opts.multiStart
+    ? startDistribution(starts.length, opts.hardPct / 100, maze.weights)
+    : [1.0];
+  const testMazes = opts.heldOut ? heldOutMazes(maze.grid, starts, maze.goal, rewards) : [];
+  const events = buildEvents(opts.events, maze, starts, rewards);
+  if (opts.heldOut && testMazes.length === 0) {
+    throw new MazeError("--held-out: no wall can be added without cutting a start off the goal");
+  }
+
+  const runs = [];
+  for (const seed of opts.seeds) {
+    const session = new TrainingSession({
+      grid: maze.grid,
+      starts,
+      goal: maze.goal,
+      startProbs,
+      multiStart: opts.multiStart,
+      params: opts.params,
+      seed,
+      exactEval: opts.exactEval,
+      testMazes,
+      events,
+      schedule: opts.schedule,
+      dynamics,
+      rewards,
+      runs: opts.runs,
+    });
+    for (let i = 0; i < opts.steps; i++) session.trainStep();
+    runs.push({ seed, history: session.history });
+
+    if (!opts.quiet) {
+      const summary = Object.entries(session.metrics)
+        .map(([id, m]) => `${id} ${(m.per_start_p1 || [m.pass_at_1]).map((p) => p.toFixed(2)).join("/")}`)
+        .join("  ");
+      process.stderr.write(`seed ${seed}: ${session.step} steps  pass@1 ${summary}\n`);
+    }
+  }
+  if (!opts.quiet && runs.length > 1) {
+    process.stderr.write(formatSummary(seedSummary(runs.map((run) => run.history)), opts.multiStart));
+  }
+
+  const text = opts.format === "csv"
+    ? historyCSV(runs)
+    : JSON.stringify({
+      maze: { source: opts.maze, grid: maze.grid, starts, goal: maze.goal, dynamics, rewards },
+      mode: opts.multiStart ? "multi" : "single",
+      algorithms: opts.algorithms,
+      runSpecs: opts.runs,
+      steps: opts.steps,
+      params: opts.params,
+      exactEval: opts.exactEval,
+      testMazes: testMazes.map((test) => test.name),
+      events,
+      schedule: opts.schedule,
+      startProbs,
+      runs,
+    }) + "\n";
+
+  if (opts.out) {
+    writeFileSync(opts.out, text);
+  } else {
+    process.stdout.write(text);
+  }
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (err) {
+  if (err instanceof UsageError || err.code?.startsWith("ERR_PARSE_ARGS")) {
+    process.stderr.write(`error: ${err.message}\n\n${USAGE}`);
+    process.exitCode = 2;
+  } else if (err instanceof MazeError || err.code === "ENOENT") {
+    // Unreadable, malformed or unsolvable maze
+    process.stderr.write(`error: ${err.message}\n`);
+    process.exitCode = 1;
+  } else {
+    throw err;
+  }
+}
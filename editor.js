@@ -1,5 +1,12 @@
 // editor.js -- Interactive grid editor & maze generation UI
-import { MAZE_TRAIN, bfsShortestPath, generateMaze } from './engine.js';
+import {
+  DEFAULT_GENERATOR, MAZE_TRAIN, NO_DYNAMICS, NO_REWARDS, bfsShortestPath, fitDynamics, fitRewards,
+  pickStartsByDifficulty, randomLayout, startDifficulty, trapsWalled,
+} from './engine.js';
+import { MAX_STARTS, MazeFormatError, parseMaze } from './mazefile.js';
+import { mathRandom } from './rng.js';
+
+export { MAX_STARTS };
 
 // ── Colours (match style.css palette) ────────────────────────────────────────
 const COL_WALL      = '#1a1a24';
@@ -8,12 +15,24 @@ const COL_BORDER    = '#2a2a36';
 const COL_HOVER     = 'rgba(255,255,255,0.18)';
 const COL_START     = '#00c850';   // easy start (green)
 const COL_HARD      = '#f0c030';   // hard start (yellow)
-const COL_GOAL      = '#ff4444';   // goal (red)
+const COL_GOAL      = '#ff4444';   // goal (red), extra goals too
+const COL_TRAP      = '#e8641e';   // trap (lava orange)
 const COL_INVALID   = '#ff2222';
 const COL_OVERLAY   = 'rgba(0,0,0,0.55)';
 const COL_GRID_LINE = 'rgba(255,255,255,0.06)';
 const COL_TEXT_DIM  = '#8c8c9e';
 
+// Difficulty map: p0 from 10^-P0_DECADES (red) to 1 (green), log scale
+const P0_DECADES    = 4;
+const P0_ALPHA      = 0.45;
+
+// ── Palette: what a plain click paints, and its hint ─────────────────────────
+export const BRUSHES = {
+  wall: 'wall/path',
+  trap: 'trap (ends the episode unrewarded)',
+  goal: 'extra goal (worth the brush reward)',
+};
+
 // ── Default start / goal for the MAZE_TRAIN layout ──────────────────────────
 const DEFAULT_STARTS = [[1, 1]];
 const DEFAULT_HARD   = [9, 1];
@@ -31,20 +50,31 @@ export class MazeEditor {
   constructor(canvas, cellSize = 36) {
     this.canvas  = canvas;
     this.ctx     = canvas.getContext('2d');
+    this.maxCellPx = cellSize;  // shrunk in _layout for mazes that do not fit
     this.cellPx  = cellSize;
 
     // State
     this.grid    = deepCopyGrid(MAZE_TRAIN);
     this.starts  = DEFAULT_STARTS.map(s => [...s]);
+    this.weights = this.starts.map(() => 1);   // sampling weight per easy start
     this.hardStart = [...DEFAULT_HARD];
     this.goal    = [...DEFAULT_GOAL];
+    this.dynamics = { ...NO_DYNAMICS };  // kept across mazes as far as they fit (fitDynamics)
+    this.rewards = { ...NO_REWARDS };    // traps and extra goals go with the maze, the rest stays
+    this.brush   = 'wall';    // BRUSHES key
+    this.brushReward = 0.5;   // reward of extra goals painted
     this.active  = false;     // editor overlay visible?
     this.valid   = true;      // all starts reachable?
+    this.error   = null;      // why not valid (unreachable start, bad import)
+
+    // Difficulty map (see setBudget): p0 per cell under the uniform policy
+    this.budget     = null;   // step budget of the map, null = no map
+    this.difficulty = null;   // rows of p0, null on walls
 
     // Interaction
     this.hoverCell = null;    // [r, c] under cursor
     this.painting  = false;   // dragging?
-    this.paintVal  = null;    // 0 or 1 while dragging
+    this.paintVal  = null;    // 0 or 1 (wall brush), true or false (trap brush) while dragging
 
     // Derived layout (set in _layout)
     this.offsetX = 0;
@@ -68,6 +98,7 @@ export class MazeEditor {
     this.canvas.addEventListener('mousedown',  this._onMouseDown);
     this.canvas.addEventListener('mouseup',    this._onMouseUp);
     this.canvas.addEventListener('mouseleave', this._onMouseLeave);
+    this._updateDifficulty();
     this.draw();
   }
 
@@ -86,85 +117,161 @@ export class MazeEditor {
   loadDefault() {
     this.grid      = deepCopyGrid(MAZE_TRAIN);
     this.starts    = DEFAULT_STARTS.map(s => [...s]);
+    this.weights   = this.starts.map(() => 1);
     this.hardStart = [...DEFAULT_HARD];
     this.goal      = [...DEFAULT_GOAL];
+    this._clearRewardCells();
     this._layout();
     this._validate();
     if (this.active) this.draw();
   }
 
-  /** Generate a random maze. */
-  randomize(rows = 11, cols = 11) {
-    // Try up to 20 mazes to find one with good easy/hard separation
-    const maxAttempts = 20;
-    const maxPath = rows + cols;  // neither start should be absurdly far
-
-    for (let attempt = 0; attempt < maxAttempts; attempt++) {
-      this.grid = generateMaze(rows, cols);
-      const h = this.grid.length;
-      const w = this.grid[0].length;
-      this.goal = [h - 2, w - 2];
-
-      // Compute BFS distance for every open cell to goal
-      const cells = [];
-      for (let r = 1; r < h - 1; r++) {
-        for (let c = 1; c < w - 1; c++) {
-          if (this.grid[r][c] === 0) {
-            const res = bfsShortestPath(this.grid, [r, c], this.goal);
-            if (res) cells.push([r, c, res.distance]);
-          }
-        }
-      }
-      if (cells.length < 2) continue;
-
-      cells.sort((a, b) => a[2] - b[2]);
-
-      // Easy start: pick from the closest third (but not distance 0 = goal)
-      const easyPool = cells.filter(c => c[2] > 0 && c[2] <= maxPath);
-      const hardPool = cells.filter(c => c[2] > 0 && c[2] <= maxPath);
-      if (easyPool.length < 2) continue;
-
-      // Pick easy from bottom quarter, hard from top quarter of distances
-      const q1 = Math.max(1, Math.floor(easyPool.length * 0.25));
-      const q3 = Math.floor(hardPool.length * 0.75);
-
-      const easy = easyPool[Math.floor(Math.random() * q1)];
-      const hard = hardPool[q3 + Math.floor(Math.random() * (hardPool.length - q3))];
-
-      // Verify: easy shorter than hard, and hard is at least 1.5x easy
-      if (easy[2] < hard[2] && hard[2] >= easy[2] * 1.5) {
-        this.starts = [[easy[0], easy[1]]];
-        this.hardStart = [hard[0], hard[1]];
-        this._layout();
-        this._validate();
-        if (this.active) this.draw();
-        return;
-      }
-    }
-
-    // Fallback: use whatever we got from the last attempt
-    const h = this.grid.length;
-    const w = this.grid[0].length;
-    this.goal = [h - 2, w - 2];
-    this.starts = [[h - 2, 1]];
-    this.hardStart = [1, 1];
+  /**
+   * Generate a random maze, drawing all randomness from `rng`. `generator` is
+   * a MAZE_GENERATORS key and `opts` its options (loops, deadEnds, ...).
+   */
+  randomize(rows = 11, cols = 11, rng = mathRandom, generator = DEFAULT_GENERATOR, opts = {}) {
+    const layout = randomLayout(rows, cols, rng, generator, opts);
+    this.grid      = layout.grid;
+    this.goal      = layout.goal;
+    this.starts    = [layout.easy];
+    this.weights   = [1];
+    this.hardStart = layout.hard;
+    this._clearRewardCells();
+    this._layout();
+    this._validate();
+    if (this.active) this.draw();
+  }
 
+  /**
+   * Load a layout { grid, starts: [hard, ...easy], weights, goal, dynamics?, rewards? }
+   * (see mazefile.js); without dynamics the current ones stay, without
+   * rewards the step penalty and threshold.
+   */
+  load(layout) {
+    this.grid      = deepCopyGrid(layout.grid);
+    this.hardStart = [...layout.starts[0]];
+    this.starts    = layout.starts.slice(1).map(s => [...s]);
+    this.weights   = layout.weights ? layout.weights.slice(1) : this.starts.map(() => 1);
+    this.goal      = [...layout.goal];
+    if (layout.dynamics) this.dynamics = structuredClone(layout.dynamics);
+    if (layout.rewards) this.rewards = structuredClone(layout.rewards);
+    else this._clearRewardCells();
     this._layout();
     this._validate();
     if (this.active) this.draw();
   }
 
+  /**
+   * Load maze file text (ASCII or JSON). A malformed file leaves the maze as
+   * it was and is reported like an unreachable start.
+   * @returns {string|null} the problem with the loaded maze, if any
+   */
+  importText(text) {
+    try {
+      this.load(parseMaze(text));
+    } catch (err) {
+      if (!(err instanceof MazeFormatError)) throw err;
+      this._validate(`Import failed: ${err.message}`);
+      if (this.active) this.draw();
+    }
+    return this.error;
+  }
+
+  /** Current maze as a layout for formatMazeAscii / formatMazeJson. */
+  getLayout() {
+    return {
+      grid:    deepCopyGrid(this.grid),
+      starts:  [[...this.hardStart], ...this.starts.map(s => [...s])],
+      weights: [1, ...this.weights],
+      goal:    [...this.goal],
+      dynamics: fitDynamics(this.grid, this.dynamics),
+      rewards: fitRewards(this.grid, this.rewards, this.goal),
+    };
+  }
+
   /** Return current editor state for the training loop. */
   getState() {
     return {
       grid:      deepCopyGrid(this.grid),
       starts:    this.starts.map(s => [...s]),
+      weights:   [...this.weights],
       hardStart: [...this.hardStart],
       goal:      [...this.goal],
+      dynamics:  fitDynamics(this.grid, this.dynamics),
+      rewards:   fitRewards(this.grid, this.rewards, this.goal),
       valid:     this.valid,
+      error:     this.error,
     };
   }
 
+  /**
+   * Show the difficulty map for episodes of `maxSteps` actions (null hides
+   * it). The map follows every edit while the editor is open.
+   */
+  setBudget(maxSteps) {
+    this.budget = maxSteps;
+    this._updateDifficulty();
+    if (this.active) this.draw();
+  }
+
+  /**
+   * Re-pick the starts by difficulty for a `maxSteps` budget: the cell whose
+   * p0 is nearest each target (pickStartsByDifficulty), the lowest target
+   * becoming the hard start and the others easy starts with weight 1. Needs
+   * at least two targets; the maze keeps its starts when there are not
+   * enough cells that reach the goal.
+   * @returns {string|null} why the starts could not be picked, if so
+   */
+  pickStarts(targets, maxSteps) {
+    const sorted = [...targets].sort((a, b) => a - b).slice(0, MAX_STARTS);
+    const picks  = pickStartsByDifficulty(this.grid, this.goal, sorted, maxSteps, [],
+      fitDynamics(this.grid, this.dynamics), fitRewards(this.grid, this.rewards, this.goal));
+    if (sorted.length < 2) {
+      this._validate('Pick starts: give at least two target p0 values');
+    } else if (picks.length < sorted.length) {
+      this._validate(`Pick starts: need ${sorted.length} cells that reach the goal within ${maxSteps} steps`);
+    } else {
+      this.hardStart = picks[0].cell;
+      this.starts    = picks.slice(1).map(p => p.cell);
+      this.weights   = this.starts.map(() => 1);
+      this._validate();
+    }
+    if (this.active) this.draw();
+    return this.error;
+  }
+
+  /** Set the slip, wind and portals (NO_DYNAMICS keys); the difficulty map follows. */
+  setDynamics(dynamics) {
+    this.dynamics = structuredClone({ ...NO_DYNAMICS, ...dynamics });
+    this._updateDifficulty();
+    if (this.active) this.draw();
+  }
+
+  /**
+   * Set the step penalty and success threshold (and the traps and extra
+   * goals, if given: NO_REWARDS keys); the difficulty map follows.
+   */
+  setRewards(rewards) {
+    this.rewards = structuredClone({ ...this.rewards, ...rewards });
+    this._updateDifficulty();
+    if (this.active) this.draw();
+  }
+
+  /** Choose what a plain click paints (BRUSHES key) and the reward of extra goals. */
+  setBrush(brush, reward = this.brushReward) {
+    if (!BRUSHES[brush]) return;
+    this.brush       = brush;
+    this.brushReward = reward;
+    if (this.active) this.draw();
+  }
+
+  /** Set the sampling weight of easy start `idx` (non-negative, relative). */
+  setStartWeight(idx, weight) {
+    if (idx < 0 || idx >= this.weights.length) return;
+    this.weights[idx] = Math.max(0, weight);
+  }
+
   // ── Drawing ───────────────────────────────────────────────────────────────
 
   /** Full editor overlay render. */
@@ -201,6 +308,13 @@ export class MazeEditor {
         ctx.fillStyle = isWall ? COL_WALL : COL_PATH;
         ctx.fillRect(x, y, cp, cp);
 
+        // Difficulty tint
+        const p0 = this.difficulty && this.difficulty[r][c];
+        if (p0 > 0) {
+          ctx.fillStyle = p0Colour(p0);
+          ctx.fillRect(x, y, cp, cp);
+        }
+
         // Grid lines
         ctx.strokeStyle = COL_GRID_LINE;
         ctx.lineWidth = 1;
@@ -215,11 +329,19 @@ export class MazeEditor {
       }
     }
 
-    // Markers: easy starts
-    for (const [sr, sc] of this.starts) {
-      this._drawMarker(sr, sc, COL_START, 'S');
+    // Traps: tinted and crossed out
+    for (const [tr, tc] of this.rewards.traps) this._drawTrap(tr, tc);
+
+    // Markers: extra goals, labelled with their reward
+    for (const [[gr, gc], reward] of this.rewards.goals) {
+      this._drawMarker(gr, gc, COL_GOAL, String(reward));
     }
 
+    // Markers: easy starts (numbered once there is more than one)
+    this.starts.forEach(([sr, sc], i) => {
+      this._drawMarker(sr, sc, COL_START, this.starts.length > 1 ? `S${i + 1}` : 'S');
+    });
+
     // Marker: hard start
     if (this.hardStart) {
       this._drawMarker(this.hardStart[0], this.hardStart[1], COL_HARD, 'H');
@@ -238,16 +360,35 @@ export class MazeEditor {
     // Instructions bar
     this._drawInstructions();
 
-    // Validity warning text below grid
+    // Validity warning text below grid, else the difficulty readout
     if (!this.valid) {
       ctx.fillStyle = COL_INVALID;
       ctx.font = 'bold 14px Inter, Helvetica, sans-serif';
       ctx.textAlign = 'center';
       ctx.textBaseline = 'top';
-      ctx.fillText('Some starts cannot reach the goal!', cw / 2, oy + rows * cp + 10);
+      ctx.fillText(this.error, cw / 2, oy + rows * cp + 10);
+    } else if (this.difficulty) {
+      this._drawDifficultyInfo();
     }
   }
 
+  /** p0 of the hovered cell, or what the colours mean. */
+  _drawDifficultyInfo() {
+    const ctx = this.ctx;
+    const p0  = this.hoverCell && this.difficulty[this.hoverCell[0]][this.hoverCell[1]];
+    ctx.fillStyle = COL_TEXT_DIM;
+    ctx.font = '12px Inter, Helvetica, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillText(
+      p0 !== null && p0 !== undefined
+        ? `(${this.hoverCell[0]}, ${this.hoverCell[1]}): p0 = ${formatP0(p0)} within ${this.budget} steps`
+        : `Tint: p0, the uniform initial policy's success probability within ${this.budget} steps (red 1e-${P0_DECADES} to green 1)`,
+      this.canvas.width / 2,
+      this.offsetY + this.grid.length * this.cellPx + 10,
+    );
+  }
+
   /** Draw a coloured marker with a label letter inside a cell. */
   _drawMarker(r, c, colour, label) {
     const ctx = this.ctx;
@@ -267,6 +408,29 @@ export class MazeEditor {
     ctx.fillText(label, x + cp / 2, y + cp / 2);
   }
 
+  /** Draw a trap: orange tint and a cross. */
+  _drawTrap(r, c) {
+    const ctx = this.ctx;
+    const cp  = this.cellPx;
+    const x = this.offsetX + c * cp;
+    const y = this.offsetY + r * cp;
+    const pad = cp * 0.25;
+
+    ctx.fillStyle = COL_TRAP;
+    ctx.globalAlpha = 0.35;
+    ctx.fillRect(x, y, cp, cp);
+    ctx.globalAlpha = 1.0;
+
+    ctx.strokeStyle = COL_TRAP;
+    ctx.lineWidth = Math.max(1, cp / 12);
+    ctx.beginPath();
+    ctx.moveTo(x + pad, y + pad);
+    ctx.lineTo(x + cp - pad, y + cp - pad);
+    ctx.moveTo(x + cp - pad, y + pad);
+    ctx.lineTo(x + pad, y + cp - pad);
+    ctx.stroke();
+  }
+
   /** Draw instruction text above the grid. */
   _drawInstructions() {
     const ctx = this.ctx;
@@ -275,7 +439,7 @@ export class MazeEditor {
     ctx.textAlign = 'center';
     ctx.textBaseline = 'bottom';
     ctx.fillText(
-      'Click: wall/path  |  Shift+click: start  |  Alt+click: hard start  |  Ctrl/Cmd+click: goal  |  Press E or Escape to finish',
+      `Click: ${BRUSHES[this.brush]}  |  Shift+click: start  |  Alt+click: hard start  |  Ctrl/Cmd+click: goal  |  Drop a maze file to import  |  Press E or Escape to finish`,
       this.canvas.width / 2,
       this.offsetY - 8,
     );
@@ -286,6 +450,11 @@ export class MazeEditor {
   _layout() {
     const rows = this.grid.length;
     const cols = this.grid[0].length;
+    this.cellPx = Math.max(4, Math.min(
+      this.maxCellPx,
+      Math.floor((this.canvas.width - 40) / cols),
+      Math.floor((this.canvas.height - 80) / rows),
+    ));
     this.offsetX = Math.floor((this.canvas.width  - cols * this.cellPx) / 2);
     this.offsetY = Math.floor((this.canvas.height - rows * this.cellPx) / 2);
   }
@@ -323,11 +492,11 @@ export class MazeEditor {
     const [px, py] = this._canvasCoords(e);
     this.hoverCell = this._pixelToCell(px, py);
 
-    // Drag-painting walls / paths
+    // Drag-painting walls / paths, or traps
     if (this.painting && this.hoverCell) {
       const [r, c] = this.hoverCell;
       if (!this._isBorder(r, c) && !this._hasMarker(r, c)) {
-        this.grid[r][c] = this.paintVal;
+        this._paint(r, c, this.paintVal);
         this._validate();
       }
     }
@@ -348,19 +517,29 @@ export class MazeEditor {
       this._toggleStart(r, c);
     } else if (e.altKey) {
       // Place hard start
-      if (this.grid[r][c] === 0) {
+      if (this.grid[r][c] === 0 && !this._isTrap(r, c) && this._extraGoalIndex(r, c) === -1) {
         this.hardStart = [r, c];
       }
     } else if (e.ctrlKey || e.metaKey) {
-      // Place goal
+      // Place goal, replacing any trap or extra goal there
       if (this.grid[r][c] === 0) {
+        this._clearRewardCell(r, c);
         this.goal = [r, c];
       }
+    } else if (this.brush === 'goal') {
+      // Extra goal toggle
+      const idx = this._extraGoalIndex(r, c);
+      if (idx !== -1) {
+        this.rewards.goals.splice(idx, 1);
+      } else if (this.grid[r][c] === 0 && !this._hasMarker(r, c)) {
+        this._clearRewardCell(r, c);
+        this.rewards.goals.push([[r, c], this.brushReward]);
+      }
     } else {
-      // Wall / path toggle + begin drag-paint
+      // Wall / path or trap toggle + begin drag-paint
       if (this._hasMarker(r, c)) return;
-      const newVal = this.grid[r][c] === 1 ? 0 : 1;
-      this.grid[r][c] = newVal;
+      const newVal = this.brush === 'trap' ? !this._isTrap(r, c) : this.grid[r][c] === 1 ? 0 : 1;
+      this._paint(r, c, newVal);
       this.painting = true;
       this.paintVal = newVal;
     }
@@ -381,9 +560,10 @@ export class MazeEditor {
 
   // ── Marker helpers ────────────────────────────────────────────────────────
 
-  /** Check whether (r, c) holds any special marker. */
+  /** Check whether (r, c) holds any special marker (extra goals included). */
   _hasMarker(r, c) {
     if (this.goal[0] === r && this.goal[1] === c) return true;
+    if (this._extraGoalIndex(r, c) !== -1) return true;
     if (this.hardStart && this.hardStart[0] === r && this.hardStart[1] === c) return true;
     for (const s of this.starts) {
       if (s[0] === r && s[1] === c) return true;
@@ -391,33 +571,78 @@ export class MazeEditor {
     return false;
   }
 
-  /** Add or remove an easy-start marker at (r, c). */
+  /** Add or remove an easy-start marker at (r, c) (at most MAX_STARTS - 1). */
   _toggleStart(r, c) {
-    if (this.grid[r][c] !== 0) return;
+    if (this.grid[r][c] !== 0 || this._isTrap(r, c) || this._extraGoalIndex(r, c) !== -1) return;
     const idx = this.starts.findIndex(s => s[0] === r && s[1] === c);
     if (idx !== -1) {
       if (this.starts.length > 1) {
         this.starts.splice(idx, 1);
+        this.weights.splice(idx, 1);
       }
-    } else {
+    } else if (this.starts.length + 1 < MAX_STARTS) {
       this.starts.push([r, c]);
+      this.weights.push(1);
+    }
+  }
+
+  // ── Reward cells ──────────────────────────────────────────────────────────
+
+  _isTrap(r, c) {
+    return this.rewards.traps.some(t => t[0] === r && t[1] === c);
+  }
+
+  _extraGoalIndex(r, c) {
+    return this.rewards.goals.findIndex(([g]) => g[0] === r && g[1] === c);
+  }
+
+  /** Paint one cell with the wall brush (0 / 1) or the trap brush (true / false). */
+  _paint(r, c, value) {
+    if (this.brush === 'trap') {
+      this._clearRewardCell(r, c);
+      if (value && this.grid[r][c] === 0) this.rewards.traps.push([r, c]);
+    } else {
+      this.grid[r][c] = value;
+      if (value === 1) this._clearRewardCell(r, c);
     }
   }
 
+  /** Remove any trap or extra goal at (r, c). */
+  _clearRewardCell(r, c) {
+    this.rewards.traps = this.rewards.traps.filter(t => t[0] !== r || t[1] !== c);
+    this.rewards.goals = this.rewards.goals.filter(([g]) => g[0] !== r || g[1] !== c);
+  }
+
+  /** Drop the traps and extra goals (a new maze), keeping the step penalty and threshold. */
+  _clearRewardCells() {
+    this.rewards = { ...this.rewards, traps: [], goals: [] };
+  }
+
   // ── Validation ────────────────────────────────────────────────────────────
 
-  /** Check BFS reachability from every start (and hard start) to the goal. */
-  _validate() {
-    this.valid = true;
+  /**
+   * Check BFS reachability from every start (and hard start) to the goal,
+   * around the traps. `error` (e.g. a failed import) marks the maze invalid
+   * the same way.
+   */
+  _validate(error = null) {
+    this.error = error;
     const allStarts = [...this.starts];
     if (this.hardStart) allStarts.push(this.hardStart);
 
-    for (const s of allStarts) {
-      if (!bfsShortestPath(this.grid, s, this.goal)) {
-        this.valid = false;
-        return;
-      }
+    const walkable = trapsWalled(this.grid, this.rewards);
+    if (!this.error && allStarts.some(s => !bfsShortestPath(walkable, s, this.goal))) {
+      this.error = 'Some starts cannot reach the goal!';
     }
+    this.valid = this.error === null;
+    this._updateDifficulty();
+  }
+
+  _updateDifficulty() {
+    this.difficulty = this.active && this.budget
+      ? startDifficulty(this.grid, this.goal, this.budget, fitDynamics(this.grid, this.dynamics),
+        fitRewards(this.grid, this.rewards, this.goal))
+      : null;
   }
 }
 
@@ -426,3 +651,14 @@ export class MazeEditor {
 function deepCopyGrid(grid) {
   return grid.map(row => [...row]);
 }
+
+/** Red (p0 = 10^-P0_DECADES and below) through yellow to green (p0 = 1). */
+function p0Colour(p0) {
+  const t = Math.max(0, Math.min(1, 1 + Math.log10(p0) / P0_DECADES));
+  return `hsla(${Math.round(120 * t)}, 75%, 45%, ${P0_ALPHA})`;
+}
+
+function formatP0(p0) {
+  if (p0 === 0) return '0 (out of reach)';
+  return p0 >= 0.01 ? p0.toFixed(3) : p0.toExponential(1);
+}
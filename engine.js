@@ -1,5 +1,7 @@
 // engine.js – ES module port of environment.py + training.py
 
+import { mathRandom } from "./rng.js";
+
 // Actions
 export const UP = 0;
 export const DOWN = 1;
@@ -45,17 +47,222 @@ export const MAZE_TEST = [
   [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1],
 ];
 
+// Test maze: right corridor blocked
+export const MAZE_TEST_RIGHT = [
+  [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1],
+  [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1],
+  [1, 0, 1, 1, 1, 0, 1, 1, 1, 1, 1],
+  [1, 0, 1, 0, 0, 0, 0, 0, 1, 1, 1],
+  [1, 0, 1, 0, 1, 1, 1, 0, 1, 1, 1],
+  [1, 0, 1, 0, 1, 0, 1, 0, 1, 1, 1],
+  [1, 0, 1, 0, 1, 1, 1, 0, 1, 1, 1],
+  [1, 0, 1, 0, 0, 0, 0, 0, 1, 1, 1],
+  [1, 0, 1, 1, 1, 0, 1, 1, 1, 1, 1],
+  [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1],
+  [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1],
+];
+
+// ---------------------------------------------------------------------------
+// Dynamics
+// ---------------------------------------------------------------------------
+
+/**
+ * Transitions beyond walls, all optional (a maze's `dynamics`):
+ *   slip     probability that the action carried out is replaced by a
+ *            uniformly random one (possibly the same)
+ *   wind     per column, cells the agent is pushed after moving out of it:
+ *            > 0 up, < 0 down, stopping at walls and at the goal
+ *   portals  [[entrance, exit], ...]: landing on an entrance moves the agent
+ *            on to its exit (if open); one hop, never from the goal
+ * BFS ignores them: routes and reachability (bfsShortestPath and the
+ * route helpers below) follow the walls alone.
+ */
+export const NO_DYNAMICS = { slip: 0, wind: null, portals: [] };
+
+/** Whether `dynamics` differ from NO_DYNAMICS. */
+export function hasDynamics(dynamics) {
+  if (!dynamics) return false;
+  const { slip = 0, wind = null, portals = [] } = dynamics;
+  return slip > 0 || (wind != null && wind.some((w) => w !== 0)) || portals.length > 0;
+}
+
+/** First problem with `dynamics` on `grid`, or null. */
+export function dynamicsError(grid, dynamics) {
+  const h = grid.length;
+  const w = grid[0].length;
+  const { slip = 0, wind = null, portals = [] } = dynamics;
+  if (typeof slip !== "number" || !(slip >= 0 && slip <= 1)) return `slip: expected 0 to 1, got ${slip}`;
+  if (wind != null) {
+    if (!Array.isArray(wind) || wind.length !== w) return `wind: expected ${w} values, one per column`;
+    const bad = wind.find((v) => !Number.isInteger(v) || Math.abs(v) >= h);
+    if (bad !== undefined) return `wind: expected integers from ${1 - h} to ${h - 1}, got ${bad}`;
+  }
+  if (!Array.isArray(portals)) return "portals: expected a list of [entrance, exit]";
+  const entrances = new Set();
+  for (const [i, portal] of portals.entries()) {
+    if (!Array.isArray(portal) || portal.length !== 2) return `portal ${i + 1}: expected [entrance, exit]`;
+    for (const cell of portal) {
+      const err = _openCellError(grid, cell);
+      if (err) return `portal ${i + 1}: ${err}`;
+    }
+    const [from, to] = portal;
+    if (from[0] === to[0] && from[1] === to[1]) return `portal ${i + 1}: entrance and exit are the same cell`;
+    if (entrances.has(from.join())) return `portal ${i + 1}: [${from}] is already an entrance`;
+    entrances.add(from.join());
+  }
+  return null;
+}
+
+// What keeps `cell` from being an open [row, col] of `grid`, or null
+function _openCellError(grid, cell) {
+  if (!Array.isArray(cell) || cell.length !== 2 || !cell.every(Number.isInteger)) {
+    return `expected [row, col] of two integers, got ${JSON.stringify(cell)}`;
+  }
+  const [r, c] = cell;
+  const h = grid.length;
+  const w = grid[0].length;
+  if (!(r >= 0 && r < h && c >= 0 && c < w)) return `[${r},${c}] is outside the ${h}x${w} maze`;
+  if (grid[r][c] !== 0) return `[${r},${c}] is a wall`;
+  return null;
+}
+
+/**
+ * `dynamics` cut down to what fits `grid`: the slip, the wind if it has a
+ * valid value per column, and the portals between distinct open cells (the
+ * first of any with the same entrance).
+ */
+export function fitDynamics(grid, dynamics) {
+  const { slip = 0, wind = null, portals = [] } = dynamics;
+  const open = ([r, c]) => r >= 0 && r < grid.length && c >= 0 && c < grid[0].length && grid[r][c] === 0;
+  const entrances = new Set();
+  const kept = portals.filter(([from, to]) => {
+    if (!open(from) || !open(to) || from.join() === to.join() || entrances.has(from.join())) return false;
+    entrances.add(from.join());
+    return true;
+  });
+  return {
+    slip,
+    wind: wind && !dynamicsError(grid, { wind }) ? [...wind] : null,
+    portals: kept.map((portal) => portal.map((cell) => [...cell])),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Rewards
+// ---------------------------------------------------------------------------
+
+/**
+ * What an episode earns beyond reaching the goal, all optional (a maze's
+ * `rewards`):
+ *   traps        [[r, c], ...]: open cells that end the episode with no reward
+ *   goals        [[[r, c], reward], ...]: goals besides the maze's own
+ *                (reward 1), each ending the episode with its reward
+ *   stepPenalty  taken off the return for every action
+ *   threshold    least return that makes reaching a goal a success
+ * The return is the reward of the goal reached (0 if none) less stepPenalty
+ * per action. Success -- what MaxRL and pass@k count -- is ending at a goal
+ * with a return of at least `threshold`; REINFORCE scores the return itself.
+ * Traps do change where an episode can go: the route helpers below take
+ * `rewards` and route around them (trapsWalled); goals, the penalty and the
+ * threshold leave routes as they are.
+ */
+export const NO_REWARDS = { traps: [], goals: [], stepPenalty: 0, threshold: 0 };
+
+// Ranges of the reward settings
+export const MAX_GOAL_REWARD = 10;
+export const MAX_STEP_PENALTY = 1;
+
+/** Whether `rewards` differ from NO_REWARDS. */
+export function hasRewards(rewards) {
+  if (!rewards) return false;
+  const { traps = [], goals = [], stepPenalty = 0, threshold = 0 } = rewards;
+  return traps.length > 0 || goals.length > 0 || stepPenalty > 0 || threshold > 0;
+}
+
+/** First problem with `rewards` on `grid` (whose goal, if given, is `goal`), or null. */
+export function rewardsError(grid, rewards, goal = null) {
+  const { traps = [], goals = [], stepPenalty = 0, threshold = 0 } = rewards;
+  if (typeof stepPenalty !== "number" || !(stepPenalty >= 0 && stepPenalty <= MAX_STEP_PENALTY)) {
+    return `stepPenalty: expected 0 to ${MAX_STEP_PENALTY}, got ${stepPenalty}`;
+  }
+  if (typeof threshold !== "number" || !(threshold >= 0 && threshold <= MAX_GOAL_REWARD)) {
+    return `threshold: expected 0 to ${MAX_GOAL_REWARD}, got ${threshold}`;
+  }
+  if (!Array.isArray(traps)) return "traps: expected a list of cells";
+  if (!Array.isArray(goals)) return "goals: expected a list of [cell, reward]";
+  const taken = new Set(goal ? [goal.join()] : []);
+  const cellError = (what, cell) => {
+    const err = _openCellError(grid, cell);
+    if (err) return `${what}: ${err}`;
+    if (taken.has(cell.join())) return `${what}: [${cell}] is already a goal or trap`;
+    taken.add(cell.join());
+    return null;
+  };
+  for (const [i, cell] of traps.entries()) {
+    const err = cellError(`trap ${i + 1}`, cell);
+    if (err) return err;
+  }
+  for (const [i, entry] of goals.entries()) {
+    if (!Array.isArray(entry) || entry.length !== 2) return `goal ${i + 1}: expected [[row, col], reward]`;
+    const err = cellError(`goal ${i + 1}`, entry[0]);
+    if (err) return err;
+    const reward = entry[1];
+    if (typeof reward !== "number" || !(reward > 0 && reward <= MAX_GOAL_REWARD)) {
+      return `goal ${i + 1}: expected a reward above 0 and at most ${MAX_GOAL_REWARD}, got ${reward}`;
+    }
+  }
+  return null;
+}
+
+/** `grid` with the traps of `rewards` walled off (`grid` itself if there are none), for BFS. */
+export function trapsWalled(grid, rewards = NO_REWARDS) {
+  const traps = rewards?.traps ?? [];
+  if (traps.length === 0) return grid;
+  const walled = grid.map((row) => [...row]);
+  for (const [r, c] of traps) walled[r][c] = 1;
+  return walled;
+}
+
+/**
+ * `rewards` cut down to what fits `grid`: the step penalty and threshold,
+ * and the traps and goals on open cells other than `goal` (the first of any
+ * on the same cell).
+ */
+export function fitRewards(grid, rewards, goal = null) {
+  const { traps = [], goals = [], stepPenalty = 0, threshold = 0 } = rewards;
+  const taken = new Set(goal ? [goal.join()] : []);
+  const fits = ([r, c]) => {
+    if (!(r >= 0 && r < grid.length && c >= 0 && c < grid[0].length) || grid[r][c] !== 0) return false;
+    if (taken.has(`${r},${c}`)) return false;
+    taken.add(`${r},${c}`);
+    return true;
+  };
+  return {
+    traps: traps.filter(fits).map((cell) => [...cell]),
+    goals: goals.filter(([cell]) => fits(cell)).map(([cell, reward]) => [[...cell], reward]),
+    stepPenalty,
+    threshold,
+  };
+}
+
 // ---------------------------------------------------------------------------
 // GridWorld
 // ---------------------------------------------------------------------------
 
 export class GridWorld {
-  constructor(grid, start = [1, 1], goal = [9, 9]) {
+  constructor(grid, start = [1, 1], goal = [9, 9], dynamics = NO_DYNAMICS, rewards = NO_REWARDS) {
     this.grid = grid;
     this.height = grid.length;
     this.width = grid[0].length;
     this.start = start;
     this.goal = goal;
+    this.dynamics = { ...NO_DYNAMICS, ...dynamics };
+    // Portal exit by entrance cell (row * width + col)
+    this.portals = new Map(this.dynamics.portals.map(([[r, c], exit]) => [r * this.width + c, exit]));
+    this.rewards = { ...NO_REWARDS, ...rewards };
+    // Extra goals' rewards and the traps by cell; `goal` stays the maze's own
+    this.goalRewards = new Map(this.rewards.goals.map(([[r, c], reward]) => [r * this.width + c, reward]));
+    this.traps = new Set(this.rewards.traps.map(([r, c]) => r * this.width + c));
   }
 
   inBounds(row, col) {
@@ -66,19 +273,58 @@ export class GridWorld {
     return this.inBounds(row, col) && this.grid[row][col] === 0;
   }
 
-  step(pos, action) {
+  isGoal(row, col) {
+    return row === this.goal[0] && col === this.goal[1];
+  }
+
+  /** Reward of the goal at (row, col) -- 1 for the maze's own -- or null if it is none. */
+  goalReward(row, col) {
+    if (this.isGoal(row, col)) return 1;
+    return this.goalRewards.get(row * this.width + col) ?? null;
+  }
+
+  /** Whether an episode ends on reaching (row, col): any goal, or a trap. */
+  isTerminal(row, col) {
+    return this.goalReward(row, col) !== null || this.traps.has(row * this.width + col);
+  }
+
+  /** Whether ending at (row, col) after `steps` actions is a success (see NO_REWARDS). */
+  succeeds(row, col, steps) {
+    const reward = this.goalReward(row, col);
+    return reward !== null && reward - this.rewards.stepPenalty * steps >= this.rewards.threshold;
+  }
+
+  /**
+   * One transition; `rng` is only drawn from when the action may slip.
+   * `reward` is the goal's reward on reaching one, less the step penalty.
+   */
+  step(pos, action, rng = mathRandom) {
+    const { slip } = this.dynamics;
+    if (slip > 0 && rng.random() < slip) action = Math.floor(rng.random() * ACTION_DELTAS.length);
+    const newPos = this.outcome(pos, action);
+    const done = this.isTerminal(newPos[0], newPos[1]);
+    const reward = (done ? this.goalReward(newPos[0], newPos[1]) ?? 0 : 0) - this.rewards.stepPenalty;
+    return { newPos, done, reward };
+  }
+
+  /** Cell reached by carrying out `action` from `pos`: move, wind, portal (none past a goal or trap). */
+  outcome(pos, action) {
     const [row, col] = pos;
     const [dr, dc] = ACTION_DELTAS[action];
-    const nr = row + dr;
-    const nc = col + dc;
-    let newPos;
-    if (this.isPath(nr, nc)) {
-      newPos = [nr, nc];
-    } else {
-      newPos = [row, col];
+    let r = row;
+    let c = col;
+    if (this.isPath(r + dr, c + dc)) {
+      r += dr;
+      c += dc;
     }
-    const done = newPos[0] === this.goal[0] && newPos[1] === this.goal[1];
-    return { newPos, done };
+    const wind = this.dynamics.wind ? this.dynamics.wind[col] : 0;
+    for (let k = 0; k < Math.abs(wind) && !this.isTerminal(r, c); k++) {
+      if (!this.isPath(r - Math.sign(wind), c)) break;
+      r -= Math.sign(wind);
+    }
+    const exit = this.isTerminal(r, c) ? null : this.portals.get(r * this.width + c);
+    if (exit && this.isPath(exit[0], exit[1])) return [exit[0], exit[1]];
+    return [r, c];
   }
 }
 
@@ -119,9 +365,9 @@ export class TabularSoftmaxPolicy {
     return probs;
   }
 
-  sampleAction(row, col) {
+  sampleAction(row, col, rng = mathRandom) {
     const probs = this.getProbs(row, col);
-    const r = Math.random();
+    const r = rng.random();
     let cumulative = 0;
     for (let a = 0; a < this.nActions; a++) {
       cumulative += probs[a];
@@ -170,32 +416,41 @@ export class TabularSoftmaxPolicy {
 // Rollout
 // ---------------------------------------------------------------------------
 
-export function rollout(policy, env, start, maxSteps = 80) {
+/**
+ * One episode of at most maxSteps actions, ending early at a goal or trap.
+ * `reachedGoal` is whether it ended at a goal, `reward` its return and
+ * `success` whether that counts as a success (GridWorld.succeeds).
+ */
+export function rollout(policy, env, start, maxSteps = 80, rng = mathRandom) {
   let pos = start || env.start;
   const stateActions = [];
   const path = [[pos[0], pos[1]]];
 
-  for (let t = 0; t < maxSteps; t++) {
-    if (pos[0] === env.goal[0] && pos[1] === env.goal[1]) {
-      return { stateActions, reachedGoal: true, path };
-    }
-    const action = policy.sampleAction(pos[0], pos[1]);
+  for (let t = 0; t < maxSteps && !env.isTerminal(pos[0], pos[1]); t++) {
+    const action = policy.sampleAction(pos[0], pos[1], rng);
     stateActions.push([pos[0], pos[1], action]);
-    const result = env.step(pos, action);
+    const result = env.step(pos, action, rng);
     pos = result.newPos;
     path.push([pos[0], pos[1]]);
   }
 
-  const reachedGoal = pos[0] === env.goal[0] && pos[1] === env.goal[1];
-  return { stateActions, reachedGoal, path };
+  const steps = stateActions.length;
+  const goalReward = env.goalReward(pos[0], pos[1]);
+  return {
+    stateActions,
+    reachedGoal: goalReward !== null,
+    reward: (goalReward ?? 0) - env.rewards.stepPenalty * steps,
+    success: env.succeeds(pos[0], pos[1], steps),
+    path,
+  };
 }
 
 // ---------------------------------------------------------------------------
 // Training updates
 // ---------------------------------------------------------------------------
 
-function _chooseWeighted(probs) {
-  const r = Math.random();
+function _chooseWeighted(probs, rng) {
+  const r = rng.random();
   let cumulative = 0;
   for (let i = 0; i < probs.length; i++) {
     cumulative += probs[i];
@@ -204,97 +459,456 @@ function _chooseWeighted(probs) {
   return probs.length - 1;
 }
 
-export function reinforceUpdate(policy, env, starts, startProbs, N = 16, lr = 0.5, maxSteps = 80) {
+/**
+ * Shared policy-gradient step: N rollouts from starts drawn by startProbs, then
+ * logits += lr * sum_i w_i * grad log pi(traj_i), where w = weightsFn(rewards, K)
+ * with K = sum_i rewards_i. With `graded` the rewards are the rollouts'
+ * returns, else 1 for a success and 0 otherwise. weightsFn returns null to
+ * skip the update.
+ *
+ * If `stats` is given it receives the gradient's norms (before lr):
+ * `perStart[s]`, the L2 norm of the rollouts from starts[s]'s contribution,
+ * and `perCell[row * width + col]`, the L2 norm over the cell's actions.
+ * Both are zero when the update is skipped.
+ * @returns {number} the number of successful rollouts
+ */
+function _policyGradientUpdate(policy, env, starts, startProbs, N, lr, maxSteps, rng, weightsFn, graded, stats = null) {
   const trajectories = [];
+  const startIdx = new Int32Array(N);
   for (let i = 0; i < N; i++) {
-    const idx = _chooseWeighted(startProbs);
-    const traj = rollout(policy, env, starts[idx], maxSteps);
+    const idx = _chooseWeighted(startProbs, rng);
+    const traj = rollout(policy, env, starts[idx], maxSteps, rng);
     trajectories.push(traj);
+    startIdx[i] = idx;
+  }
+  if (stats) {
+    stats.perStart = new Float64Array(starts.length);
+    stats.perCell = new Float64Array(policy.height * policy.width);
   }
 
   const rewards = new Float64Array(N);
   let K = 0;
+  let successes = 0;
   for (let i = 0; i < N; i++) {
-    rewards[i] = trajectories[i].reachedGoal ? 1.0 : 0.0;
+    const traj = trajectories[i];
+    if (traj.success) successes++;
+    rewards[i] = graded ? traj.reward : traj.success ? 1.0 : 0.0;
     K += rewards[i];
   }
-  const rHat = K / N;
+
+  const weights = weightsFn(rewards, K);
+  if (weights === null) return successes;
 
   const grad = new Float64Array(policy.logits.length);
+  // Per-start contributions, only for stats (kept apart so `grad` sums as without them)
+  const startGrads = stats ? starts.map(() => new Float64Array(policy.logits.length)) : null;
 
   for (let i = 0; i < N; i++) {
-    const advantage = rewards[i] - rHat;
+    const weight = weights[i];
+    if (weight === 0) continue;
     const sa = trajectories[i].stateActions;
     for (let j = 0; j < sa.length; j++) {
       const [row, col, action] = sa[j];
       const score = policy.scoreFunction(row, col, action);
       const base = (row * policy.width + col) * policy.nActions;
       for (let a = 0; a < policy.nActions; a++) {
-        grad[base + a] += (1.0 / N) * advantage * score[a];
+        grad[base + a] += weight * score[a];
+        if (startGrads) startGrads[startIdx[i]][base + a] += weight * score[a];
       }
     }
   }
 
+  if (stats) {
+    startGrads.forEach((g, s) => {
+      stats.perStart[s] = Math.sqrt(g.reduce((acc, v) => acc + v * v, 0));
+    });
+    for (let cell = 0; cell < stats.perCell.length; cell++) {
+      let sq = 0;
+      for (let a = 0; a < policy.nActions; a++) sq += grad[cell * policy.nActions + a] ** 2;
+      stats.perCell[cell] = Math.sqrt(sq);
+    }
+  }
+
   for (let i = 0; i < policy.logits.length; i++) {
     policy.logits[i] += lr * grad[i];
   }
   policy.clipLogits();
-  return K;
+  return successes;
 }
 
-export function maxrlUpdate(policy, env, starts, startProbs, N = 16, lr = 0.5, maxSteps = 80) {
-  const trajectories = [];
-  for (let i = 0; i < N; i++) {
-    const idx = _chooseWeighted(startProbs);
-    const traj = rollout(policy, env, starts[idx], maxSteps);
-    trajectories.push(traj);
+/**
+ * C(N-K, t-1) / C(N, t) for t = 1..T: the share of a success in the
+ * unbiased pass@t gradient estimate from N rollouts with K successes.
+ */
+function _passAtTRatios(N, K, T) {
+  const out = new Float64Array(T);
+  let r = 1 / N;
+  for (let t = 1; t <= T; t++) {
+    out[t - 1] = r;
+    r = r > 0 && N - K - t + 1 > 0 ? r * (N - K - t + 1) * (t + 1) / (t * (N - t)) : 0;
   }
+  return out;
+}
 
-  const rewards = new Float64Array(N);
-  let K = 0;
-  for (let i = 0; i < N; i++) {
-    rewards[i] = trajectories[i].reachedGoal ? 1.0 : 0.0;
-    K += rewards[i];
-  }
+// REINFORCE, batch-mean baseline (K = sum of the rewards)
+function _reinforceWeights(rewards, K) {
+  const N = rewards.length;
+  const rHat = K / N;
+  return rewards.map((r) => (1.0 / N) * (r - rHat));
+}
 
-  if (K > 0) {
-    const grad = new Float64Array(policy.logits.length);
+// MaxRL: (1/K) on successes minus 1/N, no update without a success
+function _maxrlWeights(rewards, K) {
+  if (K === 0) return null;
+  const N = rewards.length;
+  return rewards.map((r) => r / K - 1.0 / N);
+}
 
-    for (let i = 0; i < N; i++) {
-      const weight = rewards[i] / K - 1.0 / N;
-      const sa = trajectories[i].stateActions;
-      for (let j = 0; j < sa.length; j++) {
-        const [row, col, action] = sa[j];
-        const score = policy.scoreFunction(row, col, action);
-        const base = (row * policy.width + col) * policy.nActions;
-        for (let a = 0; a < policy.nActions; a++) {
-          grad[base + a] += weight * score[a];
-        }
-      }
-    }
+// `stats` (optional): filled with per-start and per-cell gradient norms, see _policyGradientUpdate
+// REINFORCE scores the rollouts' returns, MaxRL their successes
+export function reinforceUpdate(policy, env, starts, startProbs, N = 16, lr = 0.5, maxSteps = 80, rng = mathRandom, stats = null) {
+  return _policyGradientUpdate(policy, env, starts, startProbs, N, lr, maxSteps, rng, _reinforceWeights, true, stats);
+}
 
-    for (let i = 0; i < policy.logits.length; i++) {
-      policy.logits[i] += lr * grad[i];
-    }
-    policy.clipLogits();
-  }
+export function maxrlUpdate(policy, env, starts, startProbs, N = 16, lr = 0.5, maxSteps = 80, rng = mathRandom, stats = null) {
+  return _policyGradientUpdate(policy, env, starts, startProbs, N, lr, maxSteps, rng, _maxrlWeights, false, stats);
+}
+
+// ---------------------------------------------------------------------------
+// Estimator registry
+// ---------------------------------------------------------------------------
+
+/**
+ * Policy-gradient estimators, keyed by algorithm id.
+ * `weights(rewards, K, opts)` gives the per-rollout weights of
+ * _policyGradientUpdate (null = skip); `params` declares extra
+ * hyperparameters (shown as `symbol`), passed to `weights` in `opts`. `objective` is what the
+ * expected update ascends, with p = success probability from a start.
+ * `graded` estimators get the rollouts' returns as rewards (K their sum),
+ * the others 0/1 successes; the two agree on mazes without NO_REWARDS
+ * extras, for which the objectives below are written.
+ *
+ * With N rollouts and K successes (p is the mixture success rate when
+ * several starts are sampled):
+ *   rl       (r_i - K/N) / N                    E = (1 - 1/N) grad p
+ *   rloo     (r_i - (K - r_i)/(N - 1)) / N      E = grad p
+ *   grpo     (r_i - K/N) / (N std)              ~ grad p / sqrt(p(1-p))
+ *   passk    r_i C(N-K, k-1) / C(N, k)          E = grad (1 - (1-p)^k)
+ *   maxrl    r_i / K - 1/N  (skip if K = 0)     E = sum_{t<N} (1-p)^(t-1) grad p
+ *   maxrl_t  r_i sum_{t<=T} C(N-K, t-1) / (t C(N, t))
+ *                                               E = sum_{t<=T} (1-p)^(t-1) grad p
+ * k and T are capped at N. maxrl_t with T = 1 is rl without a baseline; with
+ * T = N its success weights are exactly 1/K.
+ */
+export const ESTIMATORS = {
+  rl: {
+    name: "REINFORCE",
+    short: "RL",
+    objective: "max  E_maze[  p(success|maze)  ]",
+    blurb: "RL averages p across mazes -- hard mazes contribute little gradient.",
+    params: {},
+    graded: true,
+    weights: _reinforceWeights,
+  },
+  rloo: {
+    name: "RLOO",
+    short: "RLOO",
+    objective: "max  E_maze[  p(success|maze)  ]",
+    blurb: "RLOO baselines each rollout on the others' mean -- unbiased for grad p.",
+    params: {},
+    graded: true,
+    weights(rewards, K) {
+      const N = rewards.length;
+      if (N < 2) return _reinforceWeights(rewards, K);
+      return rewards.map((r) => (r - (K - r) / (N - 1)) / N);
+    },
+  },
+  grpo: {
+    name: "GRPO",
+    short: "GRPO",
+    objective: "max  E_maze[ ~2 asin(sqrt p) ]",
+    blurb: "GRPO divides advantages by the batch std -- rare successes weigh more.",
+    params: {},
+    graded: true,
+    weights(rewards, K) {
+      const N = rewards.length;
+      const mean = K / N;
+      const std = Math.sqrt(rewards.reduce((acc, r) => acc + (r - mean) ** 2, 0) / N);
+      if (std < 1e-8) return null;
+      return rewards.map((r) => (r - mean) / (N * std));
+    },
+  },
+  passk: {
+    name: "pass@k",
+    short: "pass@k",
+    objective: "max  E_maze[ 1-(1-p)^k ]",
+    blurb: "pass@k only needs one success in k tries -- keeps exploring hard mazes.",
+    params: {
+      k: { label: "k (pass@k)", symbol: "k", min: 1, max: 4096, integer: true, default: 4 },
+    },
+    weights(rewards, K, { k = 4 } = {}) {
+      const N = rewards.length;
+      if (K === 0) return null;
+      const w = _passAtTRatios(N, K, Math.min(k, N))[Math.min(k, N) - 1];
+      return rewards.map((r) => r * w);
+    },
+  },
+  maxrl: {
+    name: "MaxRL",
+    short: "MaxRL",
+    objective: "max  E_maze[ log p(success|maze) ]",
+    blurb: "MaxRL averages log p -- hard mazes matter equally.",
+    params: {},
+    weights: _maxrlWeights,
+  },
+  maxrl_t: {
+    name: "Truncated MaxRL",
+    short: "MaxRL-T",
+    objective: "max  E_maze[ -sum_{t<=T} (1-p)^t / t ]",
+    blurb: "MaxRL-T truncates log p at order T -- T=1 is RL, larger T nears MaxRL.",
+    params: {
+      order: { label: "Truncation order T", symbol: "T", min: 1, max: 4096, integer: true, default: 4 },
+    },
+    weights(rewards, K, { order = 4 } = {}) {
+      const N = rewards.length;
+      if (K === 0) return null;
+      const ratios = _passAtTRatios(N, K, Math.min(order, N));
+      let w = 0;
+      for (let t = 1; t <= ratios.length; t++) w += ratios[t - 1] / t;
+      return rewards.map((r) => r * w);
+    },
+  },
+};
 
-  return K;
+/**
+ * One update with the registered estimator `alg`; `opts` carries its extra
+ * hyperparameters (defaults from ESTIMATORS[alg].params), `stats` optionally
+ * receives gradient norms as in reinforceUpdate.
+ * @returns {number} K, the number of successful rollouts
+ */
+export function estimatorUpdate(alg, policy, env, starts, startProbs, N = 16, lr = 0.5, maxSteps = 80, rng = mathRandom, opts = {}, stats = null) {
+  const est = ESTIMATORS[alg];
+  if (!est) throw new Error(`unknown estimator "${alg}"`);
+  return _policyGradientUpdate(policy, env, starts, startProbs, N, lr, maxSteps, rng,
+    (rewards, K) => est.weights(rewards, K, opts), est.graded ?? false, stats);
 }
 
 // ---------------------------------------------------------------------------
 // Evaluation
 // ---------------------------------------------------------------------------
 
-export function evaluateFromStart(policy, env, start, nEval = 100, maxSteps = 25) {
+export function evaluateFromStart(policy, env, start, nEval = 100, maxSteps = 25, rng = mathRandom) {
   let successes = 0;
   for (let i = 0; i < nEval; i++) {
-    const traj = rollout(policy, env, start, maxSteps);
-    if (traj.reachedGoal) successes++;
+    const traj = rollout(policy, env, start, maxSteps, rng);
+    if (traj.success) successes++;
   }
   return successes / nEval;
 }
 
+// Shannon entropy (nats) of an action distribution
+function _entropy(probs, offset = 0, n = probs.length) {
+  let h = 0;
+  for (let a = offset; a < offset + n; a++) {
+    if (probs[a] > 0) h -= probs[a] * Math.log(probs[a]);
+  }
+  return h;
+}
+
+/**
+ * evaluateFromStart plus path statistics of the same rollouts (same stream
+ * use): the policy entropy in nats averaged over the states actions were
+ * taken in, weighted by visit count, and the number of distinct successful
+ * paths.
+ * @returns {{ passAt1: number, entropy: number, uniquePaths: number }}
+ */
+export function evaluateRollouts(policy, env, start, nEval = 100, maxSteps = 25, rng = mathRandom) {
+  const cellEntropy = new Map();
+  const paths = new Set();
+  let successes = 0;
+  let visits = 0;
+  let entropySum = 0;
+  for (let i = 0; i < nEval; i++) {
+    const traj = rollout(policy, env, start, maxSteps, rng);
+    for (const [r, c] of traj.stateActions) {
+      const cell = r * env.width + c;
+      if (!cellEntropy.has(cell)) cellEntropy.set(cell, _entropy(policy.getProbs(r, c)));
+      entropySum += cellEntropy.get(cell);
+      visits++;
+    }
+    if (traj.success) {
+      successes++;
+      paths.add(traj.path.map(([r, c]) => r * env.width + c).join(","));
+    }
+  }
+  return {
+    passAt1: successes / nEval,
+    entropy: visits > 0 ? entropySum / visits : 0,
+    uniquePaths: paths.size,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Exact evaluation (dynamic programming over (cell, steps remaining))
+// ---------------------------------------------------------------------------
+
+// Per-cell action probabilities, the probabilities of the action actually
+// carried out (after slip), and successor cells, flattened as cell*nA + a;
+// `terminal` marks the cells that end an episode (goals and traps)
+function _transitionTables(policy, env) {
+  const nA = policy.nActions;
+  const nCells = env.height * env.width;
+  const { slip } = env.dynamics;
+  const probs = new Float64Array(nCells * nA);
+  const act = new Float64Array(nCells * nA);
+  const next = new Int32Array(nCells * nA);
+  const terminal = new Uint8Array(nCells);
+  for (let r = 0; r < env.height; r++) {
+    for (let c = 0; c < env.width; c++) {
+      const cell = r * env.width + c;
+      terminal[cell] = env.isTerminal(r, c) ? 1 : 0;
+      probs.set(policy.getProbs(r, c), cell * nA);
+      for (let a = 0; a < nA; a++) {
+        act[cell * nA + a] = (1 - slip) * probs[cell * nA + a] + slip / nA;
+        const [nr, nc] = env.outcome([r, c], a);
+        next[cell * nA + a] = nr * env.width + nc;
+      }
+    }
+  }
+  return { probs, act, slip, next, terminal, nA, nCells };
+}
+
+// V[k][cell] = p(success within k actions from cell), maxSteps - k actions
+// into the episode; goals and traps are absorbing, a goal worth 1 while
+// reaching it by then is a success (GridWorld.succeeds)
+function _valueTables(env, tables, maxSteps) {
+  const { act, next, terminal, nA, nCells } = tables;
+  const ends = [];
+  for (let cell = 0; cell < nCells; cell++) if (terminal[cell]) ends.push(cell);
+  const endValues = (k, values) => {
+    for (const cell of ends) {
+      values[cell] = env.succeeds(Math.floor(cell / env.width), cell % env.width, maxSteps - k) ? 1 : 0;
+    }
+    return values;
+  };
+  const V = [endValues(0, new Float64Array(nCells))];
+  for (let k = 1; k <= maxSteps; k++) {
+    const prev = V[k - 1];
+    const cur = endValues(k, new Float64Array(nCells));
+    for (let cell = 0; cell < nCells; cell++) {
+      if (terminal[cell]) continue;
+      let v = 0;
+      for (let a = 0; a < nA; a++) v += act[cell * nA + a] * prev[next[cell * nA + a]];
+      cur[cell] = v;
+    }
+    V.push(cur);
+  }
+  return V;
+}
+
+/** Exact p(success | start) within maxSteps actions (what evaluateFromStart estimates). */
+export function exactSuccessProb(policy, env, start, maxSteps = 25) {
+  const V = _valueTables(env, _transitionTables(policy, env), maxSteps);
+  return V[maxSteps][start[0] * env.width + start[1]];
+}
+
+/**
+ * Exact p(success) within maxSteps actions from every cell at once, as rows
+ * of the grid with null on walls.
+ */
+export function exactSuccessMap(policy, env, maxSteps = 25) {
+  const V = _valueTables(env, _transitionTables(policy, env), maxSteps)[maxSteps];
+  return env.grid.map((row, r) => row.map((wall, c) => (wall === 0 ? V[r * env.width + c] : null)));
+}
+
+/**
+ * Exact counterpart of evaluateRollouts' entropy: policy entropy (nats) over
+ * the expected visit counts of cells other than goals and traps within
+ * maxSteps actions.
+ */
+export function exactVisitationEntropy(policy, env, start, maxSteps = 25) {
+  const { probs, act, next, terminal, nA, nCells } = _transitionTables(policy, env);
+  let d = new Float64Array(nCells);
+  d[start[0] * env.width + start[1]] = 1;
+  let visits = 0;
+  let entropySum = 0;
+  for (let t = 0; t < maxSteps; t++) {
+    const dNext = new Float64Array(nCells);
+    for (let cell = 0; cell < nCells; cell++) {
+      const occ = d[cell];
+      if (occ === 0 || terminal[cell]) continue;
+      visits += occ;
+      entropySum += occ * _entropy(probs, cell * nA, nA);
+      for (let a = 0; a < nA; a++) dNext[next[cell * nA + a]] += occ * act[cell * nA + a];
+    }
+    d = dNext;
+  }
+  return visits > 0 ? entropySum / visits : 0;
+}
+
+/**
+ * Exact p(success | start) and its gradient w.r.t. policy.logits.
+ * Forward pass over the occupancy d_t(cell) of not-yet-finished episodes:
+ *   dp/dz[s,a] = (1 - slip) * sum_t d_t(s) * pi(a|s) * (V[T-t-1](next(s,a)) - b_t(s))
+ * with b_t(s) = sum_a' pi(a'|s) V[T-t-1](next(s,a')) (= V[T-t](s) without slip).
+ * @returns {{ p: number, grad: Float64Array }}
+ */
+export function exactSuccessGrad(policy, env, start, maxSteps = 25) {
+  const tables = _transitionTables(policy, env);
+  const { probs, act, slip, next, terminal, nA, nCells } = tables;
+  const V = _valueTables(env, tables, maxSteps);
+  const startCell = start[0] * env.width + start[1];
+  const grad = new Float64Array(policy.logits.length);
+
+  let d = new Float64Array(nCells);
+  d[startCell] = 1;
+  for (let t = 0; t < maxSteps; t++) {
+    const rem = maxSteps - t;
+    const dNext = new Float64Array(nCells);
+    for (let cell = 0; cell < nCells; cell++) {
+      const occ = d[cell];
+      if (occ === 0 || terminal[cell]) continue;
+      const base = cell * nA;
+      let b = 0;
+      for (let a = 0; a < nA; a++) b += probs[base + a] * V[rem - 1][next[base + a]];
+      for (let a = 0; a < nA; a++) {
+        const to = next[base + a];
+        grad[base + a] += (1 - slip) * occ * probs[base + a] * (V[rem - 1][to] - b);
+        if (!terminal[to]) dNext[to] += occ * act[base + a];
+      }
+    }
+    d = dNext;
+  }
+  return { p: V[maxSteps][startCell], grad };
+}
+
+/**
+ * Exact objectives over a start distribution and their logit gradients:
+ *   rl:    sum_x q(x) p(x)       (REINFORCE with 0/1 rewards)
+ *   maxrl: sum_x q(x) log p(x)   (MaxRL; -Infinity if some p(x) = 0)
+ * @returns {{ perStart: number[], rl: { value, grad }, maxrl: { value, grad } }}
+ */
+export function exactObjectiveGrads(policy, env, starts, startProbs, maxSteps = 25) {
+  const n = policy.logits.length;
+  const rl = { value: 0, grad: new Float64Array(n) };
+  const maxrl = { value: 0, grad: new Float64Array(n) };
+  const perStart = [];
+  for (let i = 0; i < starts.length; i++) {
+    const q = startProbs[i];
+    const { p, grad } = exactSuccessGrad(policy, env, starts[i], maxSteps);
+    perStart.push(p);
+    if (q === 0) continue;
+    rl.value += q * p;
+    maxrl.value += q * Math.log(p);
+    for (let j = 0; j < n; j++) {
+      rl.grad[j] += q * grad[j];
+      // grad log p = grad p / p; unreachable starts (p = 0) contribute no gradient
+      if (p > 0) maxrl.grad[j] += q * grad[j] / p;
+    }
+  }
+  return { perStart, rl, maxrl };
+}
+
 // ---------------------------------------------------------------------------
 // BFS shortest path
 // ---------------------------------------------------------------------------
@@ -341,44 +955,585 @@ export function bfsShortestPath(grid, start, goal) {
   return null; // No path found
 }
 
+// BFS distance from `from` to every open cell (Infinity where unreachable)
+function _bfsDistances(grid, from) {
+  const dist = grid.map((row) => row.map(() => Infinity));
+  const queue = [from];
+  dist[from[0]][from[1]] = 0;
+  for (let head = 0; head < queue.length; head++) {
+    const [r, c] = queue[head];
+    for (const [dr, dc] of ACTION_DELTAS) {
+      const nr = r + dr;
+      const nc = c + dc;
+      if (grid[nr]?.[nc] === 0 && dist[nr][nc] === Infinity) {
+        dist[nr][nc] = dist[r][c] + 1;
+        queue.push([nr, nc]);
+      }
+    }
+  }
+  return dist;
+}
+
 // ---------------------------------------------------------------------------
-// Random maze generator (recursive backtracker)
+// Maze generators
 // ---------------------------------------------------------------------------
 
-export function generateMaze(rows, cols, start = [1, 1], goal = null) {
+// Generators carve passages on a lattice of cells: lattice cell (i, j) is
+// grid cell (2i+1, 2j+1), and the grid cell between two neighbouring lattice
+// cells is the wall that a passage opens. The cells at even (row, col) stay
+// walls, except inside rooms.
+
+function _lattice(h, w) {
+  const grid = Array.from({ length: 2 * h + 1 }, () => new Array(2 * w + 1).fill(1));
+  return {
+    h,
+    w,
+    grid,
+    inside: (i, j) => i >= 0 && i < h && j >= 0 && j < w,
+    open(i, j) {
+      grid[2 * i + 1][2 * j + 1] = 0;
+    },
+    link(i1, j1, i2, j2) {
+      grid[2 * i1 + 1][2 * j1 + 1] = 0;
+      grid[2 * i2 + 1][2 * j2 + 1] = 0;
+      grid[i1 + i2 + 1][j1 + j2 + 1] = 0;
+    },
+    linked: (i1, j1, i2, j2) => grid[i1 + i2 + 1][j1 + j2 + 1] === 0,
+  };
+}
+
+function _shuffle(arr, rng) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const k = rng.int(i + 1);
+    [arr[i], arr[k]] = [arr[k], arr[i]];
+  }
+  return arr;
+}
+
+function _neighbours(lat, i, j) {
+  return ACTION_DELTAS.map(([di, dj]) => [i + di, j + dj]).filter(([a, b]) => lat.inside(a, b));
+}
+
+// Depth-first search with backtracking from a random cell: long winding corridors
+function _carveBacktracker(lat, rng) {
+  const visited = new Uint8Array(lat.h * lat.w);
+  const first = [rng.int(lat.h), rng.int(lat.w)];
+  const stack = [first];
+  visited[first[0] * lat.w + first[1]] = 1;
+  lat.open(...first);
+  while (stack.length > 0) {
+    const [i, j] = stack[stack.length - 1];
+    const next = _neighbours(lat, i, j).filter(([a, b]) => !visited[a * lat.w + b]);
+    if (next.length === 0) {
+      stack.pop();
+      continue;
+    }
+    const [a, b] = next[rng.int(next.length)];
+    visited[a * lat.w + b] = 1;
+    lat.link(i, j, a, b);
+    stack.push([a, b]);
+  }
+}
+
+// Randomized Prim: grow from one cell, attaching a random frontier cell each step
+function _carvePrim(lat, rng) {
+  const inMaze = new Uint8Array(lat.h * lat.w);
+  const onFrontier = new Uint8Array(lat.h * lat.w);
+  const frontier = [];
+  const add = (i, j) => {
+    inMaze[i * lat.w + j] = 1;
+    lat.open(i, j);
+    for (const [a, b] of _neighbours(lat, i, j)) {
+      if (!inMaze[a * lat.w + b] && !onFrontier[a * lat.w + b]) {
+        onFrontier[a * lat.w + b] = 1;
+        frontier.push([a, b]);
+      }
+    }
+  };
+  add(rng.int(lat.h), rng.int(lat.w));
+  while (frontier.length > 0) {
+    const k = rng.int(frontier.length);
+    const [i, j] = frontier[k];
+    frontier[k] = frontier[frontier.length - 1];
+    frontier.pop();
+    const attached = _neighbours(lat, i, j).filter(([a, b]) => inMaze[a * lat.w + b]);
+    const [a, b] = attached[rng.int(attached.length)];
+    lat.link(i, j, a, b);
+    add(i, j);
+  }
+}
+
+function _unionFind(n) {
+  const parent = Array.from({ length: n }, (_, k) => k);
+  const find = (k) => {
+    while (parent[k] !== k) {
+      parent[k] = parent[parent[k]];
+      k = parent[k];
+    }
+    return k;
+  };
+  return {
+    find,
+    union(a, b) {
+      const ra = find(a);
+      const rb = find(b);
+      if (ra === rb) return false;
+      parent[ra] = rb;
+      return true;
+    },
+  };
+}
+
+// Randomized Kruskal: open walls in random order unless they would close a
+// loop; opts.sets may arrive with cells already joined (rooms)
+function _carveKruskal(lat, rng, { sets = _unionFind(lat.h * lat.w) } = {}) {
+  const walls = [];
+  for (let i = 0; i < lat.h; i++) {
+    for (let j = 0; j < lat.w; j++) {
+      lat.open(i, j);
+      if (i + 1 < lat.h) walls.push([i, j, i + 1, j]);
+      if (j + 1 < lat.w) walls.push([i, j, i, j + 1]);
+    }
+  }
+  for (const [i1, j1, i2, j2] of _shuffle(walls, rng)) {
+    if (sets.union(i1 * lat.w + j1, i2 * lat.w + j2)) lat.link(i1, j1, i2, j2);
+  }
+}
+
+// Eller: one row at a time, joining neighbours in the row at random and
+// dropping at least one passage from every set to the next row
+function _carveEller(lat, rng) {
+  const sets = _unionFind(lat.h * lat.w);
+  const id = (i, j) => i * lat.w + j;
+  for (let i = 0; i < lat.h; i++) {
+    const last = i === lat.h - 1;
+    for (let j = 0; j < lat.w; j++) lat.open(i, j);
+    for (let j = 0; j + 1 < lat.w; j++) {
+      if ((last || rng.random() < 0.5) && sets.union(id(i, j), id(i, j + 1))) lat.link(i, j, i, j + 1);
+    }
+    if (last) break;
+    const bySet = new Map();
+    for (let j = 0; j < lat.w; j++) {
+      const root = sets.find(id(i, j));
+      if (!bySet.has(root)) bySet.set(root, []);
+      bySet.get(root).push(j);
+    }
+    for (const cols of bySet.values()) {
+      _shuffle(cols, rng);
+      const drops = 1 + rng.int(cols.length);
+      for (const j of cols.slice(0, drops)) {
+        sets.union(id(i, j), id(i + 1, j));
+        lat.link(i, j, i + 1, j);
+      }
+    }
+  }
+}
+
+// Up to `rooms` open rectangles, then Kruskal corridors treating each room as
+// one cell, so every room is reached through doors in its walls
+function _carveRooms(lat, rng, { rooms = 4 } = {}) {
+  const sets = _unionFind(lat.h * lat.w);
+  const taken = new Uint8Array(lat.h * lat.w);
+  const maxSide = Math.max(2, Math.floor(Math.min(lat.h, lat.w) / 3));
+  for (let placed = 0, attempt = 0; placed < rooms && attempt < rooms * 20; attempt++) {
+    const rh = 2 + rng.int(maxSide - 1);
+    const rw = 2 + rng.int(maxSide - 1);
+    if (rh > lat.h || rw > lat.w) continue;
+    const i0 = rng.int(lat.h - rh + 1);
+    const j0 = rng.int(lat.w - rw + 1);
+    // Rooms keep a corridor's width apart
+    let free = true;
+    for (let i = Math.max(0, i0 - 1); free && i < Math.min(lat.h, i0 + rh + 1); i++) {
+      for (let j = Math.max(0, j0 - 1); j < Math.min(lat.w, j0 + rw + 1); j++) {
+        if (taken[i * lat.w + j]) free = false;
+      }
+    }
+    if (!free) continue;
+    for (let r = 2 * i0 + 1; r <= 2 * (i0 + rh - 1) + 1; r++) {
+      for (let c = 2 * j0 + 1; c <= 2 * (j0 + rw - 1) + 1; c++) lat.grid[r][c] = 0;
+    }
+    for (let i = i0; i < i0 + rh; i++) {
+      for (let j = j0; j < j0 + rw; j++) {
+        taken[i * lat.w + j] = 1;
+        sets.union(i * lat.w + j, i0 * lat.w + j0);
+      }
+    }
+    placed++;
+  }
+  _carveKruskal(lat, rng, { sets });
+}
+
+// Open a passage out of a share (1 - deadEnds) of the dead ends, preferring
+// neighbours that are dead ends themselves (braiding)
+function _cullDeadEnds(lat, rng, deadEnds) {
+  const degree = (i, j) => _neighbours(lat, i, j).filter(([a, b]) => lat.linked(i, j, a, b)).length;
+  const ends = [];
+  for (let i = 0; i < lat.h; i++) {
+    for (let j = 0; j < lat.w; j++) {
+      if (degree(i, j) === 1) ends.push([i, j]);
+    }
+  }
+  const keep = Math.round(ends.length * deadEnds);
+  let left = ends.length;
+  for (const [i, j] of _shuffle(ends, rng)) {
+    if (left <= keep) break;
+    if (degree(i, j) !== 1) continue; // already joined by an earlier one
+    const closed = _neighbours(lat, i, j).filter(([a, b]) => !lat.linked(i, j, a, b));
+    const ends2 = closed.filter(([a, b]) => degree(a, b) === 1);
+    // Joining two dead ends removes both, which would overshoot by one
+    const pool = ends2.length > 0 && left - 2 >= keep ? ends2 : closed.filter(([a, b]) => degree(a, b) !== 1);
+    if (pool.length === 0) continue;
+    const [a, b] = pool[rng.int(pool.length)];
+    left -= degree(a, b) === 1 ? 2 : 1;
+    lat.link(i, j, a, b);
+  }
+}
+
+// Open a share `loops` of the walls still standing between lattice cells
+function _addLoops(lat, rng, loops) {
+  const walls = [];
+  for (let i = 0; i < lat.h; i++) {
+    for (let j = 0; j < lat.w; j++) {
+      if (i + 1 < lat.h && !lat.linked(i, j, i + 1, j)) walls.push([i, j, i + 1, j]);
+      if (j + 1 < lat.w && !lat.linked(i, j, i, j + 1)) walls.push([i, j, i, j + 1]);
+    }
+  }
+  for (const wall of _shuffle(walls, rng).slice(0, Math.round(walls.length * loops))) lat.link(...wall);
+}
+
+// Parameters every generator takes
+const SHAPE_PARAMS = {
+  loops: { label: "Loop density", min: 0, max: 1, integer: false, default: 0 },
+  deadEnds: { label: "Dead-end ratio", min: 0, max: 1, integer: false, default: 1 },
+};
+
+/**
+ * Maze generators, keyed by id. `carve(lattice, rng, opts)` opens passages
+ * on the cell lattice; without loops it leaves a perfect maze (exactly one
+ * path between any two cells). `params` declares each generator's options
+ * with their defaults; all take `loops` (share of the remaining inner walls
+ * knocked out afterwards) and `deadEnds` (share of dead ends kept; the others
+ * get a second way out).
+ */
+export const MAZE_GENERATORS = {
+  backtracker: {
+    name: "Recursive backtracker",
+    params: SHAPE_PARAMS,
+    carve: _carveBacktracker,
+  },
+  prim: {
+    name: "Prim's",
+    params: SHAPE_PARAMS,
+    carve: _carvePrim,
+  },
+  kruskal: {
+    name: "Kruskal's",
+    params: SHAPE_PARAMS,
+    carve: _carveKruskal,
+  },
+  eller: {
+    name: "Eller's",
+    params: SHAPE_PARAMS,
+    carve: _carveEller,
+  },
+  braided: {
+    name: "Braided",
+    params: {
+      loops: { ...SHAPE_PARAMS.loops, default: 0.05 },
+      deadEnds: { ...SHAPE_PARAMS.deadEnds, default: 0 },
+    },
+    carve: _carveBacktracker,
+  },
+  rooms: {
+    name: "Rooms and corridors",
+    params: {
+      ...SHAPE_PARAMS,
+      rooms: { label: "Rooms", min: 0, max: 20, integer: true, default: 4 },
+    },
+    carve: _carveRooms,
+  },
+};
+
+export const DEFAULT_GENERATOR = "backtracker";
+
+/** Options of `generator`: `opts` over the declared defaults. */
+export function generatorOptions(generator, opts = {}) {
+  const out = {};
+  for (const [key, spec] of Object.entries(MAZE_GENERATORS[generator].params)) {
+    out[key] = opts[key] !== undefined ? opts[key] : spec.default;
+  }
+  return out;
+}
+
+// Open the fewest walls that join `from` to `to` (0-1 BFS over the interior)
+function _openPath(grid, from, to) {
+  const h = grid.length;
+  const w = grid[0].length;
+  const cost = Array.from({ length: h }, () => new Array(w).fill(Infinity));
+  const parent = Array.from({ length: h }, () => new Array(w).fill(null));
+  const deque = [from];
+  cost[from[0]][from[1]] = 0;
+  while (deque.length > 0) {
+    const [r, c] = deque.shift();
+    if (r === to[0] && c === to[1]) break;
+    for (const [dr, dc] of ACTION_DELTAS) {
+      const nr = r + dr;
+      const nc = c + dc;
+      if (nr < 1 || nr >= h - 1 || nc < 1 || nc >= w - 1) continue;
+      const step = grid[nr][nc];
+      if (cost[r][c] + step < cost[nr][nc]) {
+        cost[nr][nc] = cost[r][c] + step;
+        parent[nr][nc] = [r, c];
+        if (step === 0) deque.unshift([nr, nc]);
+        else deque.push([nr, nc]);
+      }
+    }
+  }
+  for (let cell = to; cell; cell = parent[cell[0]][cell[1]]) grid[cell[0]][cell[1]] = 0;
+}
+
+/**
+ * Random rows x cols maze with a wall border from `generator`
+ * (MAZE_GENERATORS key) with options `opts` (generatorOptions). Mazes of odd
+ * size fill the grid; for an even size the last lattice row or column is
+ * doubled. `start` and `goal` (default: the opposite corner) are always open
+ * and connected.
+ */
+export function generateMaze(rows, cols, start = [1, 1], goal = null, rng = mathRandom,
+  generator = DEFAULT_GENERATOR, opts = {}) {
   if (!goal) goal = [rows - 2, cols - 2];
+  const gen = MAZE_GENERATORS[generator];
+  if (!gen) throw new Error(`unknown maze generator "${generator}"`);
+  const o = generatorOptions(generator, opts);
 
-  // Random scatter: border is walls, interior is random ~30% walls
-  const wallProb = 0.30;
-  const grid = Array.from({ length: rows }, (_, r) =>
-    Array.from({ length: cols }, (_, c) => {
-      if (r === 0 || r === rows - 1 || c === 0 || c === cols - 1) return 1;
-      return Math.random() < wallProb ? 1 : 0;
-    })
-  );
+  const lat = _lattice(Math.floor((rows - 1) / 2), Math.floor((cols - 1) / 2));
+  gen.carve(lat, rng, o);
+  if (o.deadEnds < 1) _cullDeadEnds(lat, rng, o.deadEnds);
+  if (o.loops > 0) _addLoops(lat, rng, o.loops);
 
-  // Ensure start and goal are open
-  grid[start[0]][start[1]] = 0;
-  grid[goal[0]][goal[1]] = 0;
-
-  // If not connected, carve a random path via BFS from start toward goal
-  // removing walls along the way until connected
-  const check = bfsShortestPath(grid, start, goal);
-  if (!check) {
-    // BFS from start, tracking parents, until we can't expand
-    // Then remove random walls adjacent to the frontier and retry
-    const dirs = [[-1,0],[1,0],[0,-1],[0,1]];
-    let connected = false;
-    for (let attempt = 0; attempt < 200 && !connected; attempt++) {
-      // Pick a random wall in the interior and clear it
-      const r = 1 + Math.floor(Math.random() * (rows - 2));
-      const c = 1 + Math.floor(Math.random() * (cols - 2));
-      grid[r][c] = 0;
-      if (bfsShortestPath(grid, start, goal)) connected = true;
-    }
-    // If still not connected after 200 pokes, just regenerate
-    if (!connected) return generateMaze(rows, cols, start, goal);
+  const grid = lat.grid;
+  if (grid.length < rows) grid.splice(grid.length - 1, 0, [...grid[grid.length - 2]]);
+  if (grid[0].length < cols) {
+    for (const row of grid) row.splice(row.length - 1, 0, row[row.length - 2]);
   }
 
+  for (const cell of [start, goal]) {
+    if (grid[cell[0]][cell[1]] === 1) {
+      grid[cell[0]][cell[1]] = 0;
+      if (!bfsShortestPath(grid, start, goal)) _openPath(grid, cell, cell === start ? goal : start);
+    }
+  }
   return grid;
 }
+
+// ---------------------------------------------------------------------------
+// Random layout: maze + easy/hard starts + goal
+// ---------------------------------------------------------------------------
+
+/**
+ * Generate a random maze (generateMaze with `generator` and `opts`) and pick
+ * an easy and a hard start by BFS distance to the goal (bottom-right corner). Retries up to 20 mazes to find a pair where
+ * the hard start is at least 1.5x as far as the easy one.
+ * @returns {{ grid: number[][], goal: number[], easy: number[], hard: number[] }}
+ */
+export function randomLayout(rows = 11, cols = 11, rng = mathRandom, generator = DEFAULT_GENERATOR, opts = {}) {
+  const maxAttempts = 20;
+  const maxPath = rows + cols;  // neither start should be absurdly far
+  let grid = null;
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    grid = generateMaze(rows, cols, [1, 1], null, rng, generator, opts);
+    const h = grid.length;
+    const w = grid[0].length;
+    const goal = [h - 2, w - 2];
+
+    // BFS distance from every open cell to the goal
+    const dist = _bfsDistances(grid, goal);
+    const cells = [];
+    for (let r = 1; r < h - 1; r++) {
+      for (let c = 1; c < w - 1; c++) {
+        if (grid[r][c] === 0 && dist[r][c] < Infinity) cells.push([r, c, dist[r][c]]);
+      }
+    }
+    if (cells.length < 2) continue;
+
+    cells.sort((a, b) => a[2] - b[2]);
+
+    // Exclude the goal itself (distance 0) and absurdly far cells
+    const pool = cells.filter(c => c[2] > 0 && c[2] <= maxPath);
+    if (pool.length < 2) continue;
+
+    // Pick easy from bottom quarter, hard from top quarter of distances
+    const q1 = Math.max(1, Math.floor(pool.length * 0.25));
+    const q3 = Math.floor(pool.length * 0.75);
+
+    const easy = pool[rng.int(q1)];
+    const hard = pool[q3 + rng.int(pool.length - q3)];
+
+    // Verify: easy shorter than hard, and hard is at least 1.5x easy
+    if (easy[2] < hard[2] && hard[2] >= easy[2] * 1.5) {
+      return { grid, goal, easy: [easy[0], easy[1]], hard: [hard[0], hard[1]] };
+    }
+  }
+
+  // Fallback: use whatever we got from the last attempt
+  const h = grid.length;
+  const w = grid[0].length;
+  return { grid, goal: [h - 2, w - 2], easy: [h - 2, 1], hard: [1, 1] };
+}
+
+// ---------------------------------------------------------------------------
+// Difficulty-targeted starts
+// ---------------------------------------------------------------------------
+
+/**
+ * Difficulty map: p0 of every cell, the probability that the uniform initial
+ * policy succeeds from it within maxSteps actions (null on walls), under the
+ * maze's `dynamics` and `rewards`.
+ */
+export function startDifficulty(grid, goal, maxSteps = 25, dynamics = NO_DYNAMICS, rewards = NO_REWARDS) {
+  const env = new GridWorld(grid, goal, goal, dynamics, rewards);
+  return exactSuccessMap(new TabularSoftmaxPolicy(env.height, env.width), env, maxSteps);
+}
+
+/**
+ * One start per target p0, in order: the open cell whose p0 is nearest the
+ * target on a log scale (0.01 is as far from 0.02 as 0.25 from 0.5). Skips
+ * the goals, cells in `exclude`, cells picked for earlier targets and cells
+ * that cannot succeed within the budget (p0 = 0, traps among them); ties go
+ * to the first cell in row-major order.
+ * @returns {{ cell: number[], p0: number }[]} one per target while cells last
+ */
+export function pickStartsByDifficulty(grid, goal, targets, maxSteps = 25, exclude = [], dynamics = NO_DYNAMICS,
+  rewards = NO_REWARDS) {
+  const p0 = startDifficulty(grid, goal, maxSteps, dynamics, rewards);
+  const goals = (rewards.goals ?? []).map(([cell]) => cell);
+  const taken = new Set([goal, ...goals, ...exclude].map((cell) => cell.join()));
+  const picks = [];
+  for (const target of targets) {
+    const logTarget = Math.log(target);
+    let best = null;
+    for (let r = 0; r < grid.length; r++) {
+      for (let c = 0; c < grid[0].length; c++) {
+        const p = p0[r][c];
+        if (!(p > 0) || taken.has(`${r},${c}`)) continue;
+        const dist = Math.abs(Math.log(p) - logTarget);
+        if (!best || dist < best.dist) best = { cell: [r, c], p0: p, dist };
+      }
+    }
+    if (!best) break;
+    taken.add(best.cell.join());
+    picks.push({ cell: best.cell, p0: best.p0 });
+  }
+  return picks;
+}
+
+// ---------------------------------------------------------------------------
+// Held-out mazes
+// ---------------------------------------------------------------------------
+
+/**
+ * Test variants of a maze for generalization checks: for each start in turn,
+ * its BFS shortest route to the goal with one cell walled off, as near the
+ * middle of the route as possible while every start still reaches the goal.
+ * Starts whose route cannot be cut that way, or that share a cut with an
+ * earlier start, add no variant. Routes go around the traps of `rewards`.
+ * @returns {{ name: string, grid: number[][], blocked: number[] }[]}
+ */
+export function blockedRouteMazes(grid, starts, goal, rewards = NO_REWARDS) {
+  const out = [];
+  const marked = new Set([goal, ...starts].map((cell) => cell.join()));
+  const walled = trapsWalled(grid, rewards);
+  starts.forEach((start, i) => {
+    const route = bfsShortestPath(walled, start, goal);
+    if (!route) return;
+    // Inner route cells from the middle outwards
+    const inner = route.path.slice(1, -1).filter((cell) => !marked.has(cell.join()));
+    const mid = (inner.length - 1) / 2;
+    const order = inner.map((cell, k) => [Math.abs(k - mid), cell]).sort((a, b) => a[0] - b[0]);
+    for (const [, cell] of order) {
+      const test = grid.map((row) => [...row]);
+      test[cell[0]][cell[1]] = 1;
+      const testWalled = trapsWalled(test, rewards);
+      if (!starts.every((s) => bfsShortestPath(testWalled, s, goal))) continue;
+      if (!out.some((t) => t.blocked.join() === cell.join())) {
+        out.push({ name: `start ${i} route blocked`, grid: test, blocked: cell });
+      }
+      return;
+    }
+  });
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Maze perturbations
+// ---------------------------------------------------------------------------
+
+/**
+ * Wall cell to open for a "shortcut" perturbation: of the interior walls
+ * between two passages whose open sides are more than two steps apart (so
+ * that going through the wall shortens the way to the goal from one of
+ * them), the one through which the starts' shortest routes to the goal are
+ * shortest, in total relative to their current BFS distances (negative where
+ * it is a true shortcut for a start; where every start's route is already as
+ * short as it can be, an equally short or nearly as short new one). Null if
+ * no such wall joins the starts to the goal. Routes go around the traps of
+ * `rewards`.
+ */
+export function shortcutCell(grid, starts, goal, rewards = NO_REWARDS) {
+  const walled = trapsWalled(grid, rewards);
+  const fromGoal = _bfsDistances(walled, goal);
+  const fromStarts = starts.map((s) => _bfsDistances(walled, s));
+  const before = starts.map((s) => fromGoal[s[0]][s[1]]);
+  let best = null;
+  for (let r = 1; r < grid.length - 1; r++) {
+    for (let c = 1; c < grid[0].length - 1; c++) {
+      if (grid[r][c] !== 1) continue;
+      const passage = (walled[r - 1][c] === 0 && walled[r + 1][c] === 0) || (walled[r][c - 1] === 0 && walled[r][c + 1] === 0);
+      if (!passage) continue;
+      // A route through (r, c) enters from one reachable neighbour and leaves by
+      // another more than two steps nearer the goal
+      const open = ACTION_DELTAS.map(([dr, dc]) => [r + dr, c + dc])
+        .filter(([nr, nc]) => walled[nr][nc] === 0 && fromGoal[nr][nc] < Infinity);
+      const pairs = [];
+      for (const from of open) {
+        for (const to of open) {
+          if (fromGoal[from[0]][from[1]] - fromGoal[to[0]][to[1]] > 2) pairs.push([from, to]);
+        }
+      }
+      if (pairs.length === 0) continue;
+      let excess = 0;
+      fromStarts.forEach((dist, i) => {
+        const via = Math.min(...pairs.map(([from, to]) => dist[from[0]][from[1]] + 2 + fromGoal[to[0]][to[1]]));
+        excess += via - before[i];
+      });
+      if (excess < Infinity && (!best || excess < best.excess)) best = { cell: [r, c], excess };
+    }
+  }
+  return best ? best.cell : null;
+}
+
+/**
+ * New goal cell for a "goal moved" perturbation: the open cell nearest (in
+ * Manhattan distance) the goal mirrored top to bottom that is neither a start
+ * nor the old goal and that every start reaches; null if there is none.
+ * Traps and extra goals of `rewards` are never picked, and routes go around
+ * the traps.
+ */
+export function movedGoal(grid, starts, goal, rewards = NO_REWARDS) {
+  const target = [grid.length - 1 - goal[0], goal[1]];
+  const walled = trapsWalled(grid, rewards);
+  const fromStarts = starts.map((s) => _bfsDistances(walled, s));
+  const goals = (rewards.goals ?? []).map(([cell]) => cell);
+  const taken = new Set([goal, ...starts, ...goals].map((cell) => cell.join()));
+  let best = null;
+  for (let r = 0; r < grid.length; r++) {
+    for (let c = 0; c < grid[0].length; c++) {
+      if (walled[r][c] !== 0 || taken.has(`${r},${c}`)) continue;
+      if (!fromStarts.every((dist) => dist[r][c] < Infinity)) continue;
+      const d = Math.abs(r - target[0]) + Math.abs(c - target[1]);
+      if (!best || d < best.d) best = { cell: [r, c], d };
+    }
+  }
+  return best ? best.cell : null;
+}
@@ -0,0 +1,247 @@
+// mazefile.js -- Maze file format: parse and write mazes as ASCII art or JSON.
+// Shared by the app (import/export buttons, drag-and-drop into the editor)
+// and cli.js (--maze <file>).
+//
+// ASCII form, one line per grid row:
+//
+//   #  wall          .  open cell
+//   H  hard start    S  easy start (one or more, read in row-major order)
+//   G  goal
+//
+//   #######
+//   #H..#G#
+//   #.#.#.#
+//   #S#...#
+//   #######
+//
+// Marker cells are open. Blank lines before and after the maze and trailing
+// whitespace are ignored.
+//
+// JSON form:
+//
+//   { "grid": [[1, 1, ...], ...], "starts": [[r, c], ...], "weights": [...], "goal": [r, c],
+//     "dynamics": { "slip": 0.1, "wind": [0, 1, ...], "portals": [[[r, c], [r, c]], ...] },
+//     "rewards": { "traps": [[r, c], ...], "goals": [[[r, c], 0.5], ...], "stepPenalty": 0.01, "threshold": 0.5 } }
+//
+// `grid` holds 1 = wall, 0 = open. starts[0] is the hard start, starts[1..]
+// the easy starts. `weights` (optional, default all 1) has one entry per
+// start: the relative sampling weights of the easy starts (weights[0] is
+// unused; the hard share is set separately). `starts` and `goal` default to
+// [[1, 1], [h-2, 1]] and [h-2, w-2]. `dynamics` (optional, each key too) are
+// the maze's slip, wind and portals (see NO_DYNAMICS in engine.js), and
+// `rewards` (likewise) its traps, extra goals, step penalty and success
+// threshold (see NO_REWARDS).
+//
+// Both forms parse to a layout { grid, starts, weights, goal, dynamics?, rewards? }.
+// Parsing checks structure only; whether every start can reach the goal is
+// left to the caller (MazeEditor._validate, cli.js).
+
+import { NO_DYNAMICS, NO_REWARDS, dynamicsError, hasDynamics, hasRewards, rewardsError } from "./engine.js";
+
+// Hard start + easy starts; keeps per-start metrics readable under each grid
+export const MAX_STARTS = 8;
+
+// Grid side limits (cells)
+export const MIN_MAZE_SIZE = 3;
+export const MAX_MAZE_SIZE = 64;
+
+/** Malformed maze file: bad syntax, shape or marker placement. */
+export class MazeFormatError extends Error {}
+
+// ---------------------------------------------------------------------------
+// Parsing
+// ---------------------------------------------------------------------------
+
+/** Parse a maze file in either form (JSON if it starts with "{"). */
+export function parseMaze(text) {
+  return text.trimStart().startsWith("{") ? parseMazeJson(text) : parseMazeAscii(text);
+}
+
+export function parseMazeAscii(text) {
+  const lines = text.split(/\r?\n/).map((line) => line.trimEnd());
+  let first = 0;
+  while (first < lines.length && lines[first] === "") first++;
+  let last = lines.length;
+  while (last > first && lines[last - 1] === "") last--;
+  if (first === last) throw new MazeFormatError("empty maze");
+
+  const grid = [];
+  const easy = [];
+  let hard = null;
+  let goal = null;
+  for (let r = 0; r < last - first; r++) {
+    const line = lines[first + r];
+    const where = `line ${first + r + 1}`;
+    if (r > 0 && line.length !== grid[0].length) {
+      throw new MazeFormatError(`${where}: expected ${grid[0].length} cells, got ${line.length}`);
+    }
+    const row = [];
+    for (let c = 0; c < line.length; c++) {
+      const ch = line[c];
+      switch (ch) {
+        case "#":
+          row.push(1);
+          continue;
+        case ".":
+          break;
+        case "S":
+          easy.push([r, c]);
+          break;
+        case "H":
+          if (hard) throw new MazeFormatError(`${where}: more than one hard start (H)`);
+          hard = [r, c];
+          break;
+        case "G":
+          if (goal) throw new MazeFormatError(`${where}: more than one goal (G)`);
+          goal = [r, c];
+          break;
+        default:
+          throw new MazeFormatError(`${where}, column ${c + 1}: unexpected "${ch}" (use # . S H G)`);
+      }
+      row.push(0);
+    }
+    grid.push(row);
+  }
+
+  if (!hard) throw new MazeFormatError("no hard start (H)");
+  if (easy.length === 0) throw new MazeFormatError("no easy start (S)");
+  if (!goal) throw new MazeFormatError("no goal (G)");
+  const layout = { grid, starts: [hard, ...easy], weights: [hard, ...easy].map(() => 1), goal };
+  validateLayout(layout);
+  return layout;
+}
+
+export function parseMazeJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new MazeFormatError(`invalid JSON: ${err.message}`);
+  }
+  if (data === null || typeof data !== "object" || !Array.isArray(data.grid) || data.grid.length === 0) {
+    throw new MazeFormatError('missing "grid" array');
+  }
+  const h = data.grid.length;
+  const w = Array.isArray(data.grid[0]) ? data.grid[0].length : 0;
+  const starts = data.starts ?? [[1, 1], [h - 2, 1]];
+  const layout = {
+    grid: data.grid,
+    starts,
+    weights: data.weights ?? (Array.isArray(starts) ? starts.map(() => 1) : null),
+    goal: data.goal ?? [h - 2, w - 2],
+  };
+  if (data.dynamics !== undefined) {
+    if (data.dynamics === null || typeof data.dynamics !== "object" || Array.isArray(data.dynamics)) {
+      throw new MazeFormatError('dynamics: expected an object with "slip", "wind" and/or "portals"');
+    }
+    layout.dynamics = { ...NO_DYNAMICS, ...data.dynamics };
+  }
+  if (data.rewards !== undefined) {
+    if (data.rewards === null || typeof data.rewards !== "object" || Array.isArray(data.rewards)) {
+      throw new MazeFormatError('rewards: expected an object with "traps", "goals", "stepPenalty" and/or "threshold"');
+    }
+    layout.rewards = { ...NO_REWARDS, ...data.rewards };
+  }
+  validateLayout(layout);
+  const parsed = {
+    grid: layout.grid.map((row) => [...row]),
+    starts: layout.starts.map((s) => [...s]),
+    weights: [...layout.weights],
+    goal: [...layout.goal],
+  };
+  if (layout.dynamics) parsed.dynamics = structuredClone(layout.dynamics);
+  if (layout.rewards) parsed.rewards = structuredClone(layout.rewards);
+  return parsed;
+}
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+/** Throw a MazeFormatError describing the first structural problem of `layout`. */
+export function validateLayout({ grid, starts, weights, goal, dynamics = null, rewards = null }) {
+  if (!Array.isArray(grid) || grid.length === 0 || !Array.isArray(grid[0])) {
+    throw new MazeFormatError("grid: expected an array of rows");
+  }
+  const h = grid.length;
+  const w = grid[0].length;
+  if (h < MIN_MAZE_SIZE || w < MIN_MAZE_SIZE || h > MAX_MAZE_SIZE || w > MAX_MAZE_SIZE) {
+    throw new MazeFormatError(`grid: ${h}x${w} is outside ${MIN_MAZE_SIZE}..${MAX_MAZE_SIZE} cells per side`);
+  }
+  grid.forEach((row, r) => {
+    if (!Array.isArray(row) || row.length !== w) {
+      throw new MazeFormatError(`grid row ${r}: expected ${w} cells`);
+    }
+    row.forEach((v, c) => {
+      if (v !== 0 && v !== 1) throw new MazeFormatError(`grid[${r}][${c}]: expected 0 or 1, got ${JSON.stringify(v)}`);
+    });
+  });
+
+  const checkCell = (pos, name) => {
+    if (!Array.isArray(pos) || pos.length !== 2 || !pos.every(Number.isInteger)) {
+      throw new MazeFormatError(`${name}: expected [row, col], got ${JSON.stringify(pos)}`);
+    }
+    const [r, c] = pos;
+    if (r < 0 || r >= h || c < 0 || c >= w) throw new MazeFormatError(`${name}: [${pos}] is outside the grid`);
+    if (grid[r][c] !== 0) throw new MazeFormatError(`${name}: [${pos}] is a wall`);
+  };
+
+  checkCell(goal, "goal");
+  if (!Array.isArray(starts) || starts.length < 2 || starts.length > MAX_STARTS) {
+    throw new MazeFormatError(`starts: expected a hard start and 1 to ${MAX_STARTS - 1} easy starts`);
+  }
+  const seen = new Set([`${goal}`]);
+  starts.forEach((s, i) => {
+    checkCell(s, `starts[${i}]`);
+    if (seen.has(`${s}`)) throw new MazeFormatError(`starts[${i}]: [${s}] is already taken by another marker`);
+    seen.add(`${s}`);
+  });
+  if (!Array.isArray(weights) || weights.length !== starts.length ||
+      !weights.every((v) => typeof v === "number" && Number.isFinite(v) && v >= 0)) {
+    throw new MazeFormatError(`weights: expected ${starts.length} non-negative numbers`);
+  }
+  const err = dynamics && dynamicsError(grid, dynamics);
+  if (err) throw new MazeFormatError(`dynamics: ${err}`);
+  if (rewards) {
+    const rewardsErr = rewardsError(grid, rewards, goal);
+    if (rewardsErr) throw new MazeFormatError(`rewards: ${rewardsErr}`);
+    const ends = new Set([...rewards.traps, ...rewards.goals.map(([cell]) => cell)].map((cell) => `${cell}`));
+    const i = starts.findIndex((s) => ends.has(`${s}`));
+    if (i !== -1) throw new MazeFormatError(`starts[${i}]: [${starts[i]}] is a trap or goal`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Writing
+// ---------------------------------------------------------------------------
+
+/** ASCII form of `layout` (weights, dynamics and rewards are not kept; see formatMazeJson). */
+export function formatMazeAscii({ grid, starts, goal }) {
+  const rows = grid.map((row) => row.map((v) => (v === 1 ? "#" : ".")));
+  starts.forEach(([r, c], i) => {
+    rows[r][c] = i === 0 ? "H" : "S";
+  });
+  rows[goal[0]][goal[1]] = "G";
+  return rows.map((row) => row.join("")).join("\n") + "\n";
+}
+
+/** JSON form of `layout`, one grid row per line; dynamics and rewards only when there are any. */
+export function formatMazeJson({ grid, starts, weights, goal, dynamics = null, rewards = null }) {
+  const rows = grid.map((row) => `    ${JSON.stringify(row)}`).join(",\n");
+  const lines = [
+    "{",
+    `  "grid": [\n${rows}\n  ],`,
+    `  "starts": ${JSON.stringify(starts)},`,
+    `  "weights": ${JSON.stringify(weights)},`,
+    `  "goal": ${JSON.stringify(goal)}`,
+  ];
+  if (hasDynamics(dynamics)) {
+    lines[lines.length - 1] += ",";
+    lines.push(`  "dynamics": ${JSON.stringify(dynamics)}`);
+  }
+  if (hasRewards(rewards)) {
+    lines[lines.length - 1] += ",";
+    lines.push(`  "rewards": ${JSON.stringify(rewards)}`);
+  }
+  return [...lines, "}"].join("\n") + "\n";
+}
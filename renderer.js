@@ -1,6 +1,8 @@
 // renderer.js -- Canvas 2D renderer (port of pygame Renderer from src/main.py)
 
-import { rollout, TabularSoftmaxPolicy } from "./engine.js";
+import { rollout, TabularSoftmaxPolicy, ESTIMATORS, ACTION_DELTAS } from "./engine.js";
+import { mathRandom } from "./rng.js";
+import { gradShareSeries, eventLabel } from "./trainer.js";
 
 // ---------------------------------------------------------------------------
 // Color constants (match pygame exactly)
@@ -37,9 +39,76 @@ const TRACE_SINGLE = [
   [255, 200, 40], [140, 100, 255],
 ];
 
+// Extra easy starts (beyond the first) in multi-start mode: [r, g, b]
+const EXTRA_START_COLORS = [
+  [60, 200, 220], [160, 120, 255], [255, 100, 180],
+  [200, 220, 60], [255, 150, 90], [120, 160, 255],
+];
+
+// Opacity of the confidence bands around chart lines
+const BAND_ALPHA = 0.16;
+
+// Chart line dash per start index: 0 = hard (dashed), 1 = first easy (solid)
+const START_DASHES = [[12, 8], [], [4, 6], [16, 6, 4, 6], [2, 5], [10, 4, 2, 4, 2, 4], [6, 3]];
+
+// Held-out curves (history test_p1 / train_p1): test dotted, the matching
+// start-weighted training pass@1 dash-dotted
+const TEST_DASH = [1, 7];
+const TRAIN_DASH = [14, 6, 1, 6];
+
+// Hard-start training share under a curriculum schedule (history per_start_prob)
+const SHARE_DASH = [6, 3, 1, 3, 1, 3];
+
+// Vertical markers of perturbation events on the chart
+const EVENT_COL = "#c8c8dc";
+
+// Grid overlays of the maze's dynamics (GridWorld.dynamics): wind chevrons
+// and portal rings, entrance solid and exit dashed
+const WIND_COL = "#78b4dc";
+const PORTAL_COL = "#b478ff";
+
+// Trap cells of the maze's rewards (GridWorld.rewards), crossed out
+const TRAP_COL = "#e8641e";
+
+// Series selectable in the single-start chart (history keys). Entropy is
+// plotted as a share of the uniform policy's ln 4; path counts get their own
+// axis on the right.
+export const CHART_SERIES = {
+  pass_at_1: { label: "pass@1", dash: false },
+  pass_at_k: { label: "pass@k", dash: true },
+  entropy: { label: "entropy", dash: [4, 6], scale: 1 / Math.log(4) },
+  unique_paths: { label: "unique paths", dash: [2, 5], counts: true },
+};
+
+// Panel / chart color per algorithm (ESTIMATORS key)
+const ALG_COLORS = {
+  rl: ACCENT_RL,
+  rloo: "#b48cff",
+  grpo: "#40c8c8",
+  passk: "#ff6e9e",
+  maxrl: ACCENT_MAXRL,
+  maxrl_t: "#ffc86e",
+};
+
+// Run shades for repeated algorithms: > 0 mixes toward white, < 0 toward BG
+const RUN_SHADES = [0, 0.5, -0.4, 0.75, -0.6, 0.25];
+
+// Short names of the common hyperparameters in run titles
+const PARAM_SYMBOLS = { lr: "lr", N: "N", maxSteps: "budget", nEval: "eval" };
+
+// Policy arrows and the action inspector, in ACTION_DELTAS order
+const ARROW_COL = "#e6e6f0";
+export const ACTION_NAMES = ["up", "down", "left", "right"];
+const ACTION_GLYPHS = ["\u2191", "\u2193", "\u2190", "\u2192"];
+
 // Default cell size (slightly smaller than pygame's 40px to fit web)
 export const CELL = 36;
 
+// Height of a run panel around its grid: title above, metrics below
+export const PANEL_EXTRA_H = 82;
+// Minimum horizontal space between a grid and its panel's edges
+const PANEL_PAD_X = 12;
+
 // ---------------------------------------------------------------------------
 // Color helpers
 // ---------------------------------------------------------------------------
@@ -66,6 +135,144 @@ function _rgb(arr) {
   return `rgb(${arr[0]},${arr[1]},${arr[2]})`;
 }
 
+function _hexRgb(hex) {
+  return [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+}
+
+/**
+ * Marker, trace and chart style of start `idx` out of `nStarts` in multi-start
+ * mode. Index 0 is the hard start, the rest are easy starts.
+ * @returns {{ color: string, label: string, name: string, trace: number[][], dash: number[] }}
+ */
+export function startStyle(idx, nStarts) {
+  const dash = START_DASHES[idx % START_DASHES.length];
+  if (idx === 0) {
+    return { color: START_HARD, label: "H", name: "hard", trace: TRACE_HARD, dash };
+  }
+  if (idx === 1) {
+    const numbered = nStarts > 2;
+    return {
+      color: START_COL,
+      label: numbered ? "E1" : "E",
+      name: numbered ? "easy 1" : "easy",
+      trace: TRACE_EASY,
+      dash,
+    };
+  }
+  const rgb = EXTRA_START_COLORS[(idx - 2) % EXTRA_START_COLORS.length];
+  return {
+    color: _rgb(rgb),
+    label: `E${idx}`,
+    name: `easy ${idx}`,
+    trace: [rgb, _lerp(rgb, [255, 255, 255], 0.25).map(Math.round)],
+    dash,
+  };
+}
+
+/**
+ * Color and names of algorithm `alg`; `params` (its effective
+ * hyperparameters) adds estimator settings to the title, e.g. "pass@k (k=4)".
+ * @returns {{ color: string, name: string, short: string, title: string }}
+ */
+export function algStyle(alg, params = null) {
+  const est = ESTIMATORS[alg];
+  const extra = params
+    ? Object.entries(est.params).map(([key, spec]) => `${spec.symbol}=${params[key]}`)
+    : [];
+  return {
+    color: ALG_COLORS[alg] || TEXT_COL,
+    name: est.name,
+    short: est.short,
+    title: extra.length > 0 ? `${est.name} (${extra.join(", ")})` : est.name,
+  };
+}
+
+/**
+ * Style of a run { id, alg, params, seed } (see normalizeRuns): its
+ * algorithm's, with the run's own overrides and seed in the names, e.g.
+ * "MaxRL (lr=0.1)", and a different shade for each repeat of an algorithm.
+ * @returns {{ color: string, name: string, short: string, title: string }}
+ */
+export function runStyle(run, params = null) {
+  const base = algStyle(run.alg, params);
+  const tags = Object.entries(run.params || {})
+    .filter(([key]) => PARAM_SYMBOLS[key])
+    .map(([key, val]) => `${PARAM_SYMBOLS[key]}=${val}`);
+  if (run.seed != null) tags.push(`seed=${run.seed}`);
+  const hash = run.id ? run.id.indexOf("#") : -1;
+  const copy = hash >= 0 ? Number(run.id.slice(hash + 1)) - 1 : 0;
+
+  let color = base.color;
+  const shade = RUN_SHADES[copy % RUN_SHADES.length];
+  if (shade !== 0 && color.startsWith("#")) {
+    const target = shade > 0 ? [255, 255, 255] : _hexRgb(BG);
+    color = _rgb(_lerp(_hexRgb(color), target, Math.abs(shade)).map(Math.round));
+  }
+
+  if (tags.length === 0) {
+    const suffix = copy > 0 ? ` #${copy + 1}` : "";
+    return { color, name: base.name + suffix, short: base.short + suffix, title: base.title + suffix };
+  }
+  const extra = base.title === base.name ? [] : [base.title.slice(base.name.length + 2, -1)];
+  return {
+    color,
+    name: base.name,
+    short: `${base.short} ${tags.join(" ")}`,
+    title: `${base.name} (${[...extra, ...tags].join(", ")})`,
+  };
+}
+
+/**
+ * Grid layout of `n` run panels in a width x height area: the column count
+ * that gives the largest cells (at most `maxCell`), fewer rows on ties.
+ * Each panel is PANEL_EXTRA_H + gridH * cell tall.
+ * @returns {{ cols: number, rows: number, cell: number, panelW: number, panelH: number }}
+ */
+export function panelLayout(n, gridH, gridW, width, height, maxCell = CELL) {
+  let best = null;
+  for (let cols = 1; cols <= Math.max(1, n); cols++) {
+    const rows = Math.ceil(n / cols);
+    const panelW = width / cols;
+    const cell = Math.max(4, Math.min(
+      maxCell,
+      Math.floor((panelW - 2 * PANEL_PAD_X) / gridW),
+      Math.floor((height / rows - PANEL_EXTRA_H) / gridH),
+    ));
+    if (!best || cell > best.cell || (cell === best.cell && rows < best.rows)) {
+      best = { cols, rows, cell, panelW };
+    }
+  }
+  best.panelH = PANEL_EXTRA_H + gridH * best.cell;
+  return best;
+}
+
+// ---------------------------------------------------------------------------
+// Policy inspection
+// ---------------------------------------------------------------------------
+
+function _policyFor(logits, env) {
+  const policy = new TabularSoftmaxPolicy(env.height, env.width);
+  policy.logits = logits;
+  return policy;
+}
+
+/**
+ * Action probabilities and raw logits of cell (r, c) under `logits` (a
+ * TabularSoftmaxPolicy's): [{ name, glyph, prob, logit }] per action.
+ */
+export function cellActions(logits, env, r, c) {
+  const probs = _policyFor(logits, env).getProbs(r, c);
+  const base = (r * env.width + c) * ACTION_NAMES.length;
+  return ACTION_NAMES.map((name, a) => ({ name, glyph: ACTION_GLYPHS[a], prob: probs[a], logit: logits[base + a] }));
+}
+
+/** Grid cell [r, c] under canvas point (x, y) for a grid drawn at (ox, oy) with cell size C, or null. */
+export function gridCellAt(x, y, ox, oy, env, C) {
+  const r = Math.floor((y - oy) / C);
+  const c = Math.floor((x - ox) / C);
+  return env.inBounds(r, c) ? [r, c] : null;
+}
+
 // ---------------------------------------------------------------------------
 // Data generation helpers
 // ---------------------------------------------------------------------------
@@ -74,17 +281,17 @@ function _rgb(arr) {
  * Generate heatmap from rollouts (single-start or from a specific start).
  * Returns flat Float64Array of visits (H*W, normalized 0-1) and successful paths.
  */
-export function generateHeatmap(logits, env, start, nRollouts = 150, maxSteps = 80) {
+export function generateHeatmap(logits, env, start, nRollouts = 150, maxSteps = 80, rng = mathRandom) {
   const policy = new TabularSoftmaxPolicy(env.height, env.width);
   policy.logits.set(logits);
   const visits = new Float64Array(env.height * env.width);
   const paths = [];
   for (let i = 0; i < nRollouts; i++) {
-    const traj = rollout(policy, env, start, maxSteps);
+    const traj = rollout(policy, env, start, maxSteps, rng);
     for (const [r, c] of traj.path) {
       visits[r * env.width + c] += 1;
     }
-    if (traj.reachedGoal) {
+    if (traj.success) {
       paths.push(traj.path);
     }
   }
@@ -101,7 +308,7 @@ export function generateHeatmap(logits, env, start, nRollouts = 150, maxSteps =
 /**
  * Multi-start heatmap: rollout from each start, return combined heatmap and per-start paths.
  */
-export function generateHeatmapMultistart(logits, env, starts, nPerStart = 75, maxSteps = 25) {
+export function generateHeatmapMultistart(logits, env, starts, nPerStart = 75, maxSteps = 25, rng = mathRandom) {
   const policy = new TabularSoftmaxPolicy(env.height, env.width);
   policy.logits.set(logits);
   const visits = new Float64Array(env.height * env.width);
@@ -109,11 +316,11 @@ export function generateHeatmapMultistart(logits, env, starts, nPerStart = 75, m
   for (let si = 0; si < starts.length; si++) {
     const start = starts[si];
     for (let i = 0; i < nPerStart; i++) {
-      const traj = rollout(policy, env, start, maxSteps);
+      const traj = rollout(policy, env, start, maxSteps, rng);
       for (const [r, c] of traj.path) {
         visits[r * env.width + c] += 1;
       }
-      if (traj.reachedGoal) {
+      if (traj.success) {
         pathsPerStart[si].push(traj.path);
       }
     }
@@ -128,6 +335,50 @@ export function generateHeatmapMultistart(logits, env, starts, nPerStart = 75, m
   return { visits, pathsPerStart };
 }
 
+/**
+ * Info-line text for the active hyperparameters, given { runId: params } and
+ * the runs. A value that differs between runs is listed per algorithm when
+ * each algorithm has one run, else left to the panel titles.
+ */
+function _paramParts(runParams, runs, exactEval) {
+  const ids = Object.keys(runParams);
+  const algOf = Object.fromEntries(runs.map((run) => [run.id, run.alg]));
+  const perAlg = new Set(runs.map((run) => run.alg)).size === runs.length;
+  const fmt = (key, label, unit = "") => {
+    const vals = ids.map((id) => runParams[id][key]);
+    let text = `${vals[0]}${unit}`;
+    if (!vals.every((v) => v === vals[0])) {
+      text = perAlg
+        ? `${vals.map((v, i) => `${v} (${ESTIMATORS[algOf[ids[i]]].short})`).join(" / ")}${unit}`
+        : "per run";
+    }
+    return `${label} = ${text}`;
+  };
+  const every = `every ${runParams[ids[0]].evalInterval} steps`;
+  const parts = [
+    fmt("lr", "lr"),
+    fmt("N", "N"),
+    fmt("maxSteps", "budget", " steps"),
+    exactEval ? `exact pass@1 (DP) ${every}` : `${fmt("nEval", "eval", " rollouts")} ${every}`,
+  ];
+  // Estimator-specific settings (pass@k's k, truncation order T, ...)
+  for (const id of ids) {
+    for (const [key, spec] of Object.entries(ESTIMATORS[algOf[id]].params)) {
+      const part = `${spec.symbol} = ${runParams[id][key]}`;
+      if (!parts.includes(part)) parts.push(part);
+    }
+  }
+  return parts;
+}
+
+// `text`, cut with an ellipsis to at most `maxWidth` in the current font
+function _fitText(ctx, text, maxWidth) {
+  if (!(maxWidth < Infinity) || ctx.measureText(text).width <= maxWidth) return text;
+  let n = text.length;
+  while (n > 0 && ctx.measureText(`${text.slice(0, n)}\u2026`).width > maxWidth) n--;
+  return `${text.slice(0, n)}\u2026`;
+}
+
 // ---------------------------------------------------------------------------
 // Renderer class
 // ---------------------------------------------------------------------------
@@ -163,21 +414,25 @@ export class Renderer {
    * @param {number} oy - top y offset
    * @param {string} label - title text
    * @param {string} accentColor - CSS color for label
-   * @param {object} options - { extraStarts: [[r,c],[r,c]] } for multi-start mode
+   * @param {object} options - { starts: [[r,c], ...] } for multi-start mode (index 0 = hard start),
+   *   { cell } to draw at another cell size than the renderer's, { labelWidth } to let
+   *   the title run wider than the grid (it is cut to fit), { arrows: logits } to overlay
+   *   the policy's action probabilities as arrows
    * @returns {{ oy: number, gw: number, gh: number }} adjusted origin y and grid dims
    */
   drawGrid(ctx, env, heatmap, paths, ox, oy, label, accentColor, options = {}) {
-    const C = this.cell;
+    const C = options.cell || this.cell;
     const H = env.height;
     const W = env.width;
     const gw = W * C;
     const gh = H * C;
+    const small = C < 24;
 
     // Label
-    ctx.font = "bold 20px -apple-system, 'Helvetica Neue', Arial, sans-serif";
+    ctx.font = `bold ${small ? 14 : 20}px -apple-system, 'Helvetica Neue', Arial, sans-serif`;
     ctx.fillStyle = accentColor;
     ctx.textAlign = "center";
-    ctx.fillText(label, ox + gw / 2, oy + 18);
+    ctx.fillText(_fitText(ctx, label, Math.max(gw, options.labelWidth || 0)), ox + gw / 2, oy + 18);
     ctx.textAlign = "start";
     oy += 30;
 
@@ -211,29 +466,38 @@ export class Renderer {
       }
     }
 
-    // Start / Goal markers
+    this._drawDynamics(ctx, env, ox, oy, C, small);
+    this._drawTraps(ctx, env, ox, oy, C);
+    this._drawTaskNote(ctx, env, ox, oy, C);
+
+    // Start / Goal markers; extra goals show their reward
     const markers = [];
     markers.push({ pos: env.goal, color: GOAL_COL, text: "G" });
-
-    if (options.extraStarts) {
-      // multi-start: extraStarts = [easy, hard]
-      markers.push({ pos: options.extraStarts[0], color: START_COL, text: "E" });
-      markers.push({ pos: options.extraStarts[1], color: START_HARD, text: "H" });
+    for (const [pos, reward] of env.rewards.goals) markers.push({ pos, color: GOAL_COL, text: String(reward) });
+
+    if (options.starts) {
+      // multi-start: draw easy starts first so the hard marker stays on top
+      const n = options.starts.length;
+      for (let si = n - 1; si >= 0; si--) {
+        const st = startStyle(si, n);
+        markers.push({ pos: options.starts[si], color: st.color, text: st.label });
+      }
     } else {
       markers.push({ pos: env.start, color: START_COL, text: "S" });
     }
 
+    const inset = small ? 1 : 4;
     for (const m of markers) {
       const [pr, pc] = m.pos;
-      const mx = ox + pc * C + 4;
-      const my = oy + pr * C + 4;
-      const mw = C - 8;
-      const mh = C - 8;
+      const mx = ox + pc * C + inset;
+      const my = oy + pr * C + inset;
+      const mw = C - 2 * inset;
+      const mh = C - 2 * inset;
       ctx.fillStyle = m.color;
-      _roundRect(ctx, mx, my, mw, mh, 6);
+      _roundRect(ctx, mx, my, mw, mh, small ? 2 : 6);
       ctx.fill();
       ctx.fillStyle = "#ffffff";
-      ctx.font = "bold 13px -apple-system, 'Helvetica Neue', Arial, sans-serif";
+      ctx.font = `bold ${small ? Math.max(7, Math.floor(C * 0.55)) : 13}px -apple-system, 'Helvetica Neue', Arial, sans-serif`;
       ctx.textAlign = "center";
       ctx.textBaseline = "middle";
       ctx.fillText(m.text, mx + mw / 2, my + mh / 2);
@@ -242,9 +506,184 @@ export class Renderer {
     ctx.textAlign = "start";
     ctx.textBaseline = "alphabetic";
 
+    if (options.arrows) this._drawArrows(ctx, env, options.arrows, ox, oy, C);
+
     return { oy, gw, gh };
   }
 
+  // Wind chevrons in every open cell of a windy column (one per cell of push,
+  // up to three) and portals as an entrance ring joined to a dashed exit ring
+  _drawDynamics(ctx, env, ox, oy, C, small) {
+    const { wind, portals } = env.dynamics;
+    ctx.save();
+    if (wind) {
+      ctx.strokeStyle = WIND_COL;
+      ctx.globalAlpha = 0.45;
+      ctx.lineWidth = Math.max(1, C / 16);
+      const half = C * 0.16;
+      wind.forEach((w, c) => {
+        if (w === 0) return;
+        const dir = Math.sign(w); // 1 = up
+        const n = Math.min(3, Math.abs(w));
+        for (let r = 0; r < env.height; r++) {
+          if (env.grid[r][c] === 1 || env.isTerminal(r, c)) continue;
+          const cx = ox + (c + 0.5) * C;
+          for (let k = 0; k < n; k++) {
+            const cy = oy + (r + 0.5) * C + dir * (k - (n - 1) / 2) * C * 0.2;
+            ctx.beginPath();
+            ctx.moveTo(cx - half, cy + dir * half / 2);
+            ctx.lineTo(cx, cy - dir * half / 2);
+            ctx.lineTo(cx + half, cy + dir * half / 2);
+            ctx.stroke();
+          }
+        }
+      });
+    }
+    ctx.strokeStyle = PORTAL_COL;
+    ctx.fillStyle = PORTAL_COL;
+    ctx.lineWidth = Math.max(1.5, C / 12);
+    portals.forEach(([from, to], i) => {
+      const [fx, fy] = [ox + (from[1] + 0.5) * C, oy + (from[0] + 0.5) * C];
+      const [tx, ty] = [ox + (to[1] + 0.5) * C, oy + (to[0] + 0.5) * C];
+      const radius = C * 0.36;
+      ctx.globalAlpha = 0.5;
+      ctx.setLineDash([3, 4]);
+      ctx.beginPath();
+      ctx.moveTo(fx, fy);
+      ctx.lineTo(tx, ty);
+      ctx.stroke();
+      ctx.beginPath();
+      ctx.arc(tx, ty, radius, 0, 2 * Math.PI);
+      ctx.stroke();
+      ctx.globalAlpha = 0.9;
+      ctx.setLineDash([]);
+      ctx.beginPath();
+      ctx.arc(fx, fy, radius, 0, 2 * Math.PI);
+      ctx.stroke();
+      if (!small) {
+        ctx.font = "bold 11px -apple-system, 'Helvetica Neue', Arial, sans-serif";
+        ctx.textAlign = "center";
+        ctx.textBaseline = "middle";
+        ctx.fillText(String(i + 1), fx, fy);
+      }
+    });
+    ctx.restore();
+  }
+
+  // Trap cells tinted and crossed out
+  _drawTraps(ctx, env, ox, oy, C) {
+    if (env.rewards.traps.length === 0) return;
+    ctx.save();
+    ctx.strokeStyle = TRAP_COL;
+    ctx.fillStyle = TRAP_COL;
+    ctx.lineWidth = Math.max(1, C / 12);
+    const pad = C * 0.25;
+    for (const [r, c] of env.rewards.traps) {
+      const [x, y] = [ox + c * C, oy + r * C];
+      ctx.globalAlpha = 0.35;
+      ctx.fillRect(x, y, C, C);
+      ctx.globalAlpha = 0.9;
+      ctx.beginPath();
+      ctx.moveTo(x + pad, y + pad);
+      ctx.lineTo(x + C - pad, y + C - pad);
+      ctx.moveTo(x + C - pad, y + pad);
+      ctx.lineTo(x + pad, y + C - pad);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  // The slip probability, step penalty and success threshold (those in use)
+  // above the grid's top-right corner
+  _drawTaskNote(ctx, env, ox, oy, C) {
+    const { slip } = env.dynamics;
+    const { stepPenalty, threshold } = env.rewards;
+    const parts = [];
+    if (slip > 0) parts.push(`slip ${Math.round(slip * 100)}%`);
+    if (stepPenalty > 0) parts.push(`step \u2212${stepPenalty}`);
+    if (threshold > 0) parts.push(`success \u2265 ${threshold}`);
+    if (parts.length === 0) return;
+    ctx.font = "10px -apple-system, 'Helvetica Neue', Arial, sans-serif";
+    ctx.fillStyle = DIM_TEXT;
+    ctx.textAlign = "right";
+    ctx.fillText(parts.join("  "), ox + env.width * C, oy - 6);
+    ctx.textAlign = "start";
+  }
+
+  // One arrow per action from each open cell's center (goals and traps excepted),
+  // its length proportional to the action's probability
+  _drawArrows(ctx, env, logits, ox, oy, C) {
+    const policy = _policyFor(logits, env);
+    const reach = C / 2 - 1;
+    ctx.save();
+    ctx.strokeStyle = ARROW_COL;
+    ctx.fillStyle = ARROW_COL;
+    ctx.globalAlpha = 0.85;
+    ctx.lineWidth = Math.max(1, C / 18);
+    ctx.lineCap = "round";
+    for (let r = 0; r < env.height; r++) {
+      for (let c = 0; c < env.width; c++) {
+        if (env.grid[r][c] === 1 || env.isTerminal(r, c)) continue;
+        const probs = policy.getProbs(r, c);
+        const cx = ox + (c + 0.5) * C;
+        const cy = oy + (r + 0.5) * C;
+        ACTION_DELTAS.forEach(([dr, dc], a) => {
+          if (probs[a] < 0.05) return;
+          const len = probs[a] * reach;
+          const tx = cx + dc * len;
+          const ty = cy + dr * len;
+          ctx.beginPath();
+          ctx.moveTo(cx, cy);
+          ctx.lineTo(tx, ty);
+          ctx.stroke();
+          // Head
+          const head = Math.min(len * 0.5, C * 0.16);
+          ctx.beginPath();
+          ctx.moveTo(tx, ty);
+          ctx.lineTo(tx - dc * head - dr * head * 0.7, ty - dr * head - dc * head * 0.7);
+          ctx.lineTo(tx - dc * head + dr * head * 0.7, ty - dr * head + dc * head * 0.7);
+          ctx.closePath();
+          ctx.fill();
+        });
+      }
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Action inspector for one cell: `title` over a row per action
+   * (cellActions() output) with its probability and raw logit, placed next
+   * to (x, y) and kept inside `bounds` { w, h }.
+   */
+  drawCellTooltip(ctx, x, y, title, actions, bounds) {
+    const font = "13px -apple-system, 'Helvetica Neue', Arial, sans-serif";
+    const lines = actions.map((act) =>
+      `${act.glyph} ${act.name.padEnd(5)} ${act.prob.toFixed(3)}   z = ${act.logit >= 0 ? "+" : ""}${act.logit.toFixed(2)}`);
+    ctx.font = font;
+    const w = Math.max(...[title, ...lines].map((t) => ctx.measureText(t).width)) + 20;
+    const h = 18 * (lines.length + 1) + 12;
+    const bx = Math.min(x + 14, bounds.w - w - 4);
+    const by = Math.min(y + 14, bounds.h - h - 4);
+
+    ctx.fillStyle = CHART_BG;
+    _roundRect(ctx, bx, by, w, h, 6);
+    ctx.fill();
+    ctx.strokeStyle = DIVIDER;
+    ctx.lineWidth = 1;
+    _roundRect(ctx, bx, by, w, h, 6);
+    ctx.stroke();
+
+    ctx.font = `bold ${font}`;
+    ctx.fillStyle = TEXT_COL;
+    ctx.fillText(title, bx + 10, by + 20);
+    ctx.font = font;
+    const best = actions.reduce((b, act, i) => (act.prob > actions[b].prob ? i : b), 0);
+    lines.forEach((line, i) => {
+      ctx.fillStyle = i === best ? TEXT_COL : DIM_TEXT;
+      ctx.fillText(line, bx + 10, by + 20 + 18 * (i + 1));
+    });
+  }
+
   // -- Path traces ----------------------------------------------------------
 
   drawPathsSingle(ctx, paths, ox, oy, cellSize) {
@@ -287,12 +726,12 @@ export class Renderer {
 
   drawPathsMultistart(ctx, pathsPerStart, ox, oy, cellSize) {
     const C = cellSize || this.cell;
-    const palettes = [TRACE_HARD, TRACE_EASY]; // index 0=hard, 1=easy (matches pygame)
+    const nStarts = pathsPerStart.length;
 
-    for (let si = 0; si < pathsPerStart.length; si++) {
+    for (let si = 0; si < nStarts; si++) {
       const paths = pathsPerStart[si];
       if (!paths || paths.length === 0) continue;
-      const palette = palettes[Math.min(si, palettes.length - 1)];
+      const palette = startStyle(si, nStarts).trace;
 
       // Deduplicate, keep up to 3 per start
       const seen = new Set();
@@ -338,32 +777,67 @@ export class Renderer {
     const up = metrics.unique_paths ?? 0;
     const half = gw / 2;
 
-    ctx.font = "16px -apple-system, 'Helvetica Neue', Arial, sans-serif";
+    ctx.font = `${gw < 300 ? 12 : 16}px -apple-system, 'Helvetica Neue', Arial, sans-serif`;
 
     ctx.fillStyle = TEXT_COL;
     ctx.fillText(`Pass@1:  ${p1.toFixed(2)}`, ox, oy);
-    ctx.fillText(`Pass@16: ${pk.toFixed(2)}`, ox + half, oy);
+    ctx.fillText(`Pass@${metrics.K ?? 16}: ${pk.toFixed(2)}`, ox + half, oy);
 
     ctx.fillStyle = DIM_TEXT;
     ctx.fillText(`Entropy: ${ent.toFixed(2)}`, ox, oy + 22);
     ctx.fillText(`Paths:   ${up}`, ox + half, oy + 22);
   }
 
-  drawMetricsMultistart(ctx, easyP1, hardP1, ox, oy, gw) {
-    const half = gw / 2;
-    ctx.font = "16px -apple-system, 'Helvetica Neue', Arial, sans-serif";
+  /**
+   * Per-start pass@1 below a grid. `p1s[i]` belongs to start i (0 = hard).
+   * Two starts keep the wide easy/hard layout; more starts, or narrow grids,
+   * use a compact layout of up to four columns with short labels.
+   */
+  drawMetricsMultistart(ctx, p1s, ox, oy, gw) {
+    const n = p1s.length;
+    if (n <= 2 && gw >= 300) {
+      const half = gw / 2;
+      ctx.font = "16px -apple-system, 'Helvetica Neue', Arial, sans-serif";
+
+      if (n > 1) {
+        ctx.fillStyle = START_COL;
+        ctx.fillText(`Easy start: ${(p1s[1] * 100).toFixed(0)}%`, ox, oy);
+      }
 
-    ctx.fillStyle = START_COL;
-    ctx.fillText(`Easy start: ${(easyP1 * 100).toFixed(0)}%`, ox, oy);
+      ctx.fillStyle = START_HARD;
+      ctx.fillText(`Hard start: ${(p1s[0] * 100).toFixed(0)}%`, ox + half, oy);
+      return;
+    }
 
-    ctx.fillStyle = START_HARD;
-    ctx.fillText(`Hard start: ${(hardP1 * 100).toFixed(0)}%`, ox + half, oy);
+    const cols = Math.max(2, Math.min(4, Math.floor(gw / 64)));
+    const colW = gw / cols;
+    ctx.font = `${gw < 300 ? 12 : 14}px -apple-system, 'Helvetica Neue', Arial, sans-serif`;
+    // Easy starts in order, hard start last (mirrors the two-start layout)
+    const order = [...Array(n).keys()].slice(1).concat([0]);
+    order.forEach((si, k) => {
+      const st = startStyle(si, n);
+      ctx.fillStyle = st.color;
+      ctx.fillText(
+        `${st.label}: ${(p1s[si] * 100).toFixed(0)}%`,
+        ox + (k % cols) * colW,
+        oy + Math.floor(k / cols) * 18,
+      );
+    });
   }
 
   // -- Formulas -------------------------------------------------------------
 
+  /**
+   * Paper reference, objectives of the algorithms in use, maze info and BFS
+   * distances. `info.params` maps run id to effective hyperparameters of
+   * `info.runs` (default: one run each of RL and MaxRL); lines longer than
+   * `info.maxWidth` are cut.
+   */
   drawFormulas(ctx, ox, oy, info = {}) {
-    const { easyBFS, hardBFS, gridH, gridW, maxSteps, multiStart } = info;
+    const { easyBFS, startBFS, gridH, gridW, params, multiStart, exactEval } = info;
+    const runs = info.runs || ["rl", "maxrl"].map((alg) => ({ id: alg, alg }));
+    const algorithms = [...new Set(runs.map((run) => run.alg))];
+    const maxWidth = info.maxWidth ?? Infinity;
 
     ctx.font = "13px -apple-system, 'Helvetica Neue', Arial, sans-serif";
     ctx.fillStyle = DIM_TEXT;
@@ -372,20 +846,21 @@ export class Renderer {
       ox, oy
     );
 
+    // One objective per algorithm, two rows per column
     ctx.font = "13px 'Courier New', Courier, monospace";
-    ctx.fillStyle = ACCENT_RL;
-    ctx.fillText("RL:    max  E_maze[  p(success|maze)  ]", ox, oy + 20);
-
-    ctx.fillStyle = ACCENT_MAXRL;
-    ctx.fillText("MaxRL: max  E_maze[ log p(success|maze) ]", ox, oy + 38);
+    const labelW = Math.max(6, ...algorithms.map((alg) => ESTIMATORS[alg].short.length + 1));
+    algorithms.forEach((alg, i) => {
+      const est = ESTIMATORS[alg];
+      ctx.fillStyle = algStyle(alg).color;
+      ctx.fillText(
+        `${`${est.short}:`.padEnd(labelW)} ${est.objective}`,
+        ox + Math.floor(i / 2) * 440, oy + 20 + (i % 2) * 18
+      );
+    });
 
     ctx.font = "13px -apple-system, 'Helvetica Neue', Arial, sans-serif";
     ctx.fillStyle = TEXT_COL;
-    ctx.fillText(
-      "RL averages p across mazes -- hard mazes contribute little gradient." +
-      "  MaxRL averages log p -- hard mazes matter equally.",
-      ox, oy + 58
-    );
+    ctx.fillText(_fitText(ctx, algorithms.map((alg) => ESTIMATORS[alg].blurb).join("  "), maxWidth), ox, oy + 58);
 
     // Maze info line
     const parts = [];
@@ -393,16 +868,27 @@ export class Renderer {
     parts.push("obs = (row, col)");
     parts.push("actions = {up, down, left, right}");
     parts.push("tabular softmax policy");
-    if (maxSteps != null) parts.push(`budget = ${maxSteps} steps`);
+    if (params) parts.push(..._paramParts(params, runs, exactEval));
     ctx.fillStyle = DIM_TEXT;
-    ctx.fillText(parts.join("  |  "), ox, oy + 78);
+    ctx.fillText(_fitText(ctx, parts.join("  |  "), maxWidth), ox, oy + 78);
 
     // BFS distances
-    if (multiStart && easyBFS != null && hardBFS != null) {
+    if (multiStart && startBFS && startBFS.length === 2) {
       ctx.fillStyle = START_COL;
-      ctx.fillText(`Easy start: BFS = ${easyBFS} steps`, ox, oy + 96);
+      ctx.fillText(`Easy start: BFS = ${startBFS[1]} steps`, ox, oy + 96);
       ctx.fillStyle = START_HARD;
-      ctx.fillText(`Hard start: BFS = ${hardBFS} steps`, ox + 220, oy + 96);
+      ctx.fillText(`Hard start: BFS = ${startBFS[0]} steps`, ox + 220, oy + 96);
+    } else if (multiStart && startBFS && startBFS.length > 2) {
+      ctx.fillStyle = DIM_TEXT;
+      ctx.fillText("BFS:", ox, oy + 96);
+      let bx = ox + ctx.measureText("BFS: ").width;
+      for (let si = 0; si < startBFS.length; si++) {
+        const st = startStyle(si, startBFS.length);
+        const text = `${st.label} = ${startBFS[si]}`;
+        ctx.fillStyle = st.color;
+        ctx.fillText(text, bx, oy + 96);
+        bx += ctx.measureText(text).width + 16;
+      }
     } else if (easyBFS != null) {
       ctx.fillStyle = DIM_TEXT;
       ctx.fillText(`Shortest path: BFS = ${easyBFS} steps`, ox, oy + 96);
@@ -464,22 +950,35 @@ export class Renderer {
     return { px, py, pw, ph };
   }
 
-  _plotLine(ctx, data, color, npts, px, py, pw, ph, total, dashed = false) {
+  /** `band` (optional): [lo, hi] series shaded around the line, e.g. a confidence band. */
+  _plotLine(ctx, data, color, npts, px, py, pw, ph, total, dashed = false, band = null) {
     if (npts < 2) return;
+    const xAt = (i) => px + Math.round(i / total * pw);
+    const yAt = (v) => py + ph - Math.round(Math.max(0, Math.min(1, v)) * ph);
     const pts = [];
-    for (let i = 0; i < npts; i++) {
-      const x = px + Math.round(i / total * pw);
-      const y = py + ph - Math.round(Math.max(0, Math.min(1, data[i])) * ph);
-      pts.push([x, y]);
-    }
+    for (let i = 0; i < npts; i++) pts.push([xAt(i), yAt(data[i])]);
 
     ctx.save();
+    if (band) {
+      const [lo, hi] = band;
+      ctx.globalAlpha = BAND_ALPHA;
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      for (let i = 0; i < npts; i++) ctx.lineTo(xAt(i), yAt(hi[i]));
+      for (let i = npts - 1; i >= 0; i--) ctx.lineTo(xAt(i), yAt(lo[i]));
+      ctx.closePath();
+      ctx.fill();
+      ctx.globalAlpha = 1;
+    }
     ctx.strokeStyle = color;
     ctx.lineWidth = 3;
     ctx.lineJoin = "round";
     ctx.lineCap = "round";
 
-    if (dashed) {
+    // `dashed` is a boolean (default dash) or an explicit dash pattern
+    if (Array.isArray(dashed)) {
+      ctx.setLineDash(dashed);
+    } else if (dashed) {
       ctx.setLineDash([12, 8]);
     } else {
       ctx.setLineDash([]);
@@ -494,9 +993,57 @@ export class Renderer {
     ctx.restore();
   }
 
-  _drawLegend(ctx, items, px, py, pw) {
-    const legendW = 170;
-    const legendH = items.length * 18 + 8;
+  // Vertical line at eval point `idx` when replaying an earlier point of the history
+  _drawCursor(ctx, idx, total, px, py, pw, ph) {
+    if (idx >= total) return;
+    const x = px + Math.round(idx / total * pw);
+    ctx.save();
+    ctx.strokeStyle = DIM_TEXT;
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(x, py);
+    ctx.lineTo(x, py + ph);
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  // Vertical line and label at each event of `events` up to the last plotted
+  // eval point, placed by its step between the eval points around it
+  _drawEvents(ctx, events, steps, n, total, px, py, pw, ph) {
+    if (!events) return;
+    const last = steps[n - 1];
+    ctx.save();
+    ctx.font = "10px -apple-system, 'Helvetica Neue', Arial, sans-serif";
+    for (const event of events) {
+      if (event.step > last) continue;
+      let i = 1;
+      while (i < n - 1 && steps[i] < event.step) i++;
+      const pos = i - 1 + (event.step - steps[i - 1]) / Math.max(1, steps[i] - steps[i - 1]);
+      const x = px + Math.round(Math.max(0, pos) / total * pw);
+      ctx.strokeStyle = EVENT_COL;
+      ctx.globalAlpha = 0.7;
+      ctx.lineWidth = 1.5;
+      ctx.setLineDash([]);
+      ctx.beginPath();
+      ctx.moveTo(x, py - 4);
+      ctx.lineTo(x, py + ph);
+      ctx.stroke();
+      ctx.globalAlpha = 1;
+      ctx.fillStyle = EVENT_COL;
+      ctx.fillText(eventLabel(event), x + 3, py - 6);
+    }
+    ctx.restore();
+  }
+
+  /** Legend box in the top-right corner; wraps into columns taller than `ph`. */
+  _drawLegend(ctx, items, px, py, pw, ph = Infinity) {
+    const colW = 170;
+    const maxRows = Math.max(1, Math.floor((ph - 16) / 18));
+    const nCols = Math.ceil(items.length / maxRows);
+    const rows = Math.ceil(items.length / nCols);
+    const legendW = nCols * colW + (nCols - 1) * 12;
+    const legendH = rows * 18 + 8;
     const legendX = px + pw - legendW - 8;
     const legendY = py + 6;
 
@@ -514,99 +1061,175 @@ export class Renderer {
 
     for (let i = 0; i < items.length; i++) {
       const [color, text, isDashed] = items[i];
-      const ly = legendY + i * 18 + 2;
+      const lx = legendX + Math.floor(i / rows) * (colW + 12);
+      const ly = legendY + (i % rows) * 18 + 2;
 
       ctx.strokeStyle = color;
-      if (isDashed) {
+      if (Array.isArray(isDashed)) {
+        // Explicit dash pattern, compressed to fit the legend swatch
+        ctx.save();
+        ctx.setLineDash(isDashed.map((v) => v * 0.75));
+        ctx.beginPath();
+        ctx.moveTo(lx, ly + 6);
+        ctx.lineTo(lx + 23, ly + 6);
+        ctx.stroke();
+        ctx.restore();
+      } else if (isDashed) {
         // Two short dashes
         ctx.beginPath();
-        ctx.moveTo(legendX, ly + 6);
-        ctx.lineTo(legendX + 9, ly + 6);
+        ctx.moveTo(lx, ly + 6);
+        ctx.lineTo(lx + 9, ly + 6);
         ctx.stroke();
         ctx.beginPath();
-        ctx.moveTo(legendX + 14, ly + 6);
-        ctx.lineTo(legendX + 23, ly + 6);
+        ctx.moveTo(lx + 14, ly + 6);
+        ctx.lineTo(lx + 23, ly + 6);
         ctx.stroke();
       } else {
         ctx.beginPath();
-        ctx.moveTo(legendX, ly + 6);
-        ctx.lineTo(legendX + 23, ly + 6);
+        ctx.moveTo(lx, ly + 6);
+        ctx.lineTo(lx + 23, ly + 6);
         ctx.stroke();
       }
 
       ctx.font = "13px -apple-system, 'Helvetica Neue', Arial, sans-serif";
       ctx.fillStyle = color;
-      ctx.fillText(text, legendX + 28, ly + 10);
+      ctx.fillText(text, lx + 28, ly + 10);
     }
   }
 
   // -- Chart: single-start mode ---------------------------------------------
 
-  drawChartSingle(ctx, history, currentIdx, rect) {
+  /**
+   * Curves of every run in `history` (keyed by run id) for the CHART_SERIES
+   * keys in `series`, up to eval point `currentIdx` (marked by a cursor when
+   * earlier than the last). `styles` maps run ids to { color, short };
+   * algorithm keys default to algStyle. With `bands` ({ lo, hi, seeds } from
+   * aggregateHistories), `history` is the mean over seeds and every curve
+   * gets its 95% band. `events` (perturbation events) are marked by vertical
+   * lines at their steps.
+   */
+  drawChartSingle(ctx, history, currentIdx, rect, styles = null, series = ["pass_at_1", "pass_at_k"], bands = null,
+    events = null) {
     const { px, py, pw, ph } = this._drawChartFrame(ctx, rect);
     if (currentIdx < 1) return;
     const n = currentIdx + 1;
-    const total = Math.max(1, history.rl.pass_at_1.length - 1);
-
-    const rl = history.rl;
-    const mx = history.maxrl;
+    const ids = Object.keys(history);
+    const first = history[ids[0]];
+    const total = Math.max(1, first.pass_at_1.length - 1);
+
+    // Path counts: right-hand axis up to a multiple of 4 above the largest count
+    let countMax = 0;
+    if (series.some((key) => CHART_SERIES[key].counts)) {
+      for (const id of ids) {
+        for (const v of history[id].unique_paths.slice(0, n)) countMax = Math.max(countMax, v);
+      }
+      countMax = Math.max(4, Math.ceil(countMax / 4) * 4);
+      ctx.font = "11px -apple-system, 'Helvetica Neue', Arial, sans-serif";
+      ctx.fillStyle = DIM_TEXT;
+      for (const val of [0, 0.25, 0.5, 0.75, 1.0]) {
+        ctx.fillText(`${val * countMax}`, px + pw + 6, py + ph - Math.round(val * ph) + 4);
+      }
+    }
 
-    this._plotLine(ctx, rl.pass_at_1,  ACCENT_RL,    n, px, py, pw, ph, total);
-    this._plotLine(ctx, rl.pass_at_k,  ACCENT_RL,    n, px, py, pw, ph, total, true);
-    this._plotLine(ctx, mx.pass_at_1,  ACCENT_MAXRL, n, px, py, pw, ph, total);
-    this._plotLine(ctx, mx.pass_at_k,  ACCENT_MAXRL, n, px, py, pw, ph, total, true);
+    // One color per run, one dash pattern per series (pass@1 solid, pass@k dashed)
+    const legend = [];
+    for (const id of ids) {
+      const h = history[id];
+      const { color, short } = styles ? styles[id] : algStyle(id);
+      for (const key of series) {
+        const spec = CHART_SERIES[key];
+        const scale = spec.counts ? 1 / countMax : spec.scale || 1;
+        const scaled = (s) => (scale === 1 ? s : s.map((v) => v * scale));
+        const band = bands ? [scaled(bands.lo[id][key]), scaled(bands.hi[id][key])] : null;
+        const label = key === "pass_at_k" ? `pass@${h.K[n - 1] ?? 16}` : spec.label;
+        this._plotLine(ctx, scaled(h[key]), color, n, px, py, pw, ph, total, spec.dash, band);
+        legend.push([color, `${short} ${label}`, spec.dash]);
+      }
+      // pass@1 is already the training counterpart of the held-out curve
+      if (h.test_p1) this._plotHeldOut(ctx, h, id, color, short, false, n, px, py, pw, ph, total, bands, legend);
+    }
 
-    this._drawLegend(ctx, [
-      [ACCENT_RL,    "RL pass@1",    false],
-      [ACCENT_RL,    "RL pass@16",   true],
-      [ACCENT_MAXRL, "MaxRL pass@1", false],
-      [ACCENT_MAXRL, "MaxRL pass@16", true],
-    ], px, py, pw);
+    this._drawEvents(ctx, events, first.steps, n, total, px, py, pw, ph);
+    this._drawCursor(ctx, currentIdx, total, px, py, pw, ph);
+    this._drawLegend(ctx, legend, px, py, pw, ph);
 
     // Training step label
-    const steps = rl.steps;
+    const steps = first.steps;
     const s = steps[Math.min(n - 1, steps.length - 1)];
     ctx.font = "11px -apple-system, 'Helvetica Neue', Arial, sans-serif";
     ctx.fillStyle = DIM_TEXT;
     ctx.textAlign = "right";
-    ctx.fillText(`Training step ${s}`, px + pw, py + ph + 18);
+    ctx.fillText(_stepLabel(s, bands), px + pw, py + ph + 18);
     ctx.textAlign = "start";
   }
 
   // -- Chart: multi-start mode ----------------------------------------------
 
-  drawChartMultistart(ctx, history, currentIdx, rect) {
+  /**
+   * Per-start pass@1 curves of every run, and under a curriculum schedule
+   * the hard start's share of its training starts, or with `gradShare` each
+   * start's share of the gradient norm (gradShareSeries); `styles`, `bands`
+   * (pass@1 only) and `events` as in drawChartSingle.
+   */
+  drawChartMultistart(ctx, history, currentIdx, rect, styles = null, gradShare = false, bands = null, events = null) {
     const { px, py, pw, ph } = this._drawChartFrame(ctx, rect);
     if (currentIdx < 1) return;
     const n = currentIdx + 1;
-    const total = Math.max(1, history.rl.start_0_p1.length - 1);
-
-    const rl = history.rl;
-    const mx = history.maxrl;
-
-    // Easy start (solid), Hard start (dashed)
-    this._plotLine(ctx, rl.start_1_p1, ACCENT_RL,    n, px, py, pw, ph, total);
-    this._plotLine(ctx, rl.start_0_p1, ACCENT_RL,    n, px, py, pw, ph, total, true);
-    this._plotLine(ctx, mx.start_1_p1, ACCENT_MAXRL, n, px, py, pw, ph, total);
-    this._plotLine(ctx, mx.start_0_p1, ACCENT_MAXRL, n, px, py, pw, ph, total, true);
+    const ids = Object.keys(history);
+    const first = history[ids[0]];
+    const total = Math.max(1, first.steps.length - 1);
+    const nStarts = first.per_start_p1.length;
+
+    // One line per start; the dash pattern identifies the start (hard = dashed)
+    const legend = [];
+    for (const id of ids) {
+      const hist = history[id];
+      const { color, short: name } = styles ? styles[id] : algStyle(id);
+      const data = gradShare ? gradShareSeries(hist) : hist.per_start_p1;
+      // Easy starts first, hard start last (legend order of the two-start chart)
+      for (let k = 1; k <= nStarts; k++) {
+        const si = k % nStarts;
+        const st = startStyle(si, nStarts);
+        const band = bands && !gradShare ? [bands.lo[id].per_start_p1[si], bands.hi[id].per_start_p1[si]] : null;
+        this._plotLine(ctx, data[si], color, n, px, py, pw, ph, total, st.dash, band);
+        legend.push([color, `${name} ${st.name} ${gradShare ? "grad share" : "start"}`, st.dash]);
+      }
+      if (hist.test_p1 && !gradShare) {
+        this._plotHeldOut(ctx, hist, id, color, name, true, n, px, py, pw, ph, total, bands, legend);
+      }
+      if (hist.per_start_prob && !gradShare) {
+        const band = bands ? [bands.lo[id].per_start_prob[0], bands.hi[id].per_start_prob[0]] : null;
+        this._plotLine(ctx, hist.per_start_prob[0], color, n, px, py, pw, ph, total, SHARE_DASH, band);
+        legend.push([color, `${name} hard share`, SHARE_DASH]);
+      }
+    }
 
-    this._drawLegend(ctx, [
-      [ACCENT_RL,    "RL easy start",    false],
-      [ACCENT_RL,    "RL hard start",    true],
-      [ACCENT_MAXRL, "MaxRL easy start", false],
-      [ACCENT_MAXRL, "MaxRL hard start", true],
-    ], px, py, pw);
+    this._drawEvents(ctx, events, first.steps, n, total, px, py, pw, ph);
+    this._drawCursor(ctx, currentIdx, total, px, py, pw, ph);
+    this._drawLegend(ctx, legend, px, py, pw, ph);
 
     // Training step label
-    const steps = rl.steps;
+    const steps = first.steps;
     const s = steps[Math.min(n - 1, steps.length - 1)];
     ctx.font = "11px -apple-system, 'Helvetica Neue', Arial, sans-serif";
     ctx.fillStyle = DIM_TEXT;
     ctx.textAlign = "right";
-    ctx.fillText(`Training step ${s}`, px + pw, py + ph + 18);
+    ctx.fillText(_stepLabel(s, bands), px + pw, py + ph + 18);
     ctx.textAlign = "start";
   }
 
+  // Held-out pass@1 of one run (and with `withTrain` the start-weighted
+  // training pass@1 it compares against), appending their legend items
+  _plotHeldOut(ctx, h, id, color, name, withTrain, n, px, py, pw, ph, total, bands, legend) {
+    const series = withTrain ? [["train_p1", "train", TRAIN_DASH], ["test_p1", "held-out", TEST_DASH]]
+      : [["test_p1", "held-out", TEST_DASH]];
+    for (const [key, label, dash] of series) {
+      const band = bands ? [bands.lo[id][key], bands.hi[id][key]] : null;
+      this._plotLine(ctx, h[key], color, n, px, py, pw, ph, total, dash, band);
+      legend.push([color, `${name} ${label}`, dash]);
+    }
+  }
+
   // -- HUD (bottom bar) -----------------------------------------------------
 
   drawHUD(ctx, step, total, paused, speed, modeLabel, rect) {
@@ -677,6 +1300,11 @@ export class Renderer {
   }
 }
 
+// Chart x-axis label; names the seeds averaged when there are bands
+function _stepLabel(step, bands) {
+  return bands ? `Training step ${step}  |  mean of ${bands.seeds} seeds, 95% band` : `Training step ${step}`;
+}
+
 // ---------------------------------------------------------------------------
 // Canvas helper: rounded rectangle path
 // ---------------------------------------------------------------------------
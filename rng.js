@@ -0,0 +1,87 @@
+// rng.js -- Seedable PRNG (xoshiro128**) with named independent streams
+
+// ---------------------------------------------------------------------------
+// Hashing / seeding helpers
+// ---------------------------------------------------------------------------
+
+/** 32-bit FNV-1a hash of a string (used to derive per-stream seeds). */
+export function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function _splitmix32(x) {
+  return () => {
+    x = (x + 0x9e3779b9) | 0;
+    let z = x;
+    z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+    z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+    return (z ^ (z >>> 16)) >>> 0;
+  };
+}
+
+function _rotl(x, k) {
+  return (x << k) | (x >>> (32 - k));
+}
+
+// ---------------------------------------------------------------------------
+// Rng
+// ---------------------------------------------------------------------------
+
+export class Rng {
+  /**
+   * @param {number} seed - integer seed (taken modulo 2^32)
+   * @param {string} stream - stream name; different names give independent sequences
+   */
+  constructor(seed = 0, stream = "") {
+    this.seed = seed >>> 0;
+    this.stream = stream;
+    const next = _splitmix32((Math.imul(this.seed, 0x9e3779b1) ^ hashString(stream)) >>> 0);
+    this.s = new Uint32Array([next(), next(), next(), next()]);
+    // xoshiro must not start from the all-zero state
+    if ((this.s[0] | this.s[1] | this.s[2] | this.s[3]) === 0) this.s[0] = 1;
+  }
+
+  /** Next raw 32-bit unsigned integer. */
+  nextUint32() {
+    const s = this.s;
+    const result = Math.imul(_rotl(Math.imul(s[1], 5), 7), 9) >>> 0;
+    const t = s[1] << 9;
+    s[2] ^= s[0];
+    s[3] ^= s[1];
+    s[1] ^= s[2];
+    s[0] ^= s[3];
+    s[2] ^= t;
+    s[3] = _rotl(s[3], 11);
+    return result;
+  }
+
+  /** Uniform float in [0, 1), drop-in for Math.random(). */
+  random() {
+    return this.nextUint32() / 4294967296;
+  }
+
+  /** Uniform integer in [0, n). */
+  int(n) {
+    return Math.floor(this.random() * n);
+  }
+
+  /** Snapshot of the internal state (plain array, JSON-serializable). */
+  getState() {
+    return Array.from(this.s);
+  }
+
+  setState(state) {
+    this.s.set(state);
+  }
+}
+
+/** Unseeded source backed by Math.random(), used when no Rng is supplied. */
+export const mathRandom = {
+  random: () => Math.random(),
+  int: (n) => Math.floor(Math.random() * n),
+};
@@ -0,0 +1,171 @@
+// svgcanvas.js -- The subset of the Canvas 2D API the charts use, recorded as
+// SVG, so renderer.js can draw a chart into a standalone .svg file with the
+// same code that draws it on screen. DOM-free.
+//
+//   const svg = new SvgContext(w, h);
+//   renderer.drawChartSingle(svg, history, idx, { x: 0, y: 0, w, h });
+//   svg.toSVG()  // -> "<svg ...>...</svg>"
+//
+// Supported: fillStyle, strokeStyle, lineWidth, lineCap, lineJoin, font,
+// textAlign, globalAlpha, save/restore, setLineDash, beginPath, moveTo,
+// lineTo, arcTo, closePath, rect, fill, stroke, fillRect, fillText and an
+// approximate measureText.
+
+const STATE_KEYS = ["fillStyle", "strokeStyle", "lineWidth", "lineCap", "lineJoin", "font", "textAlign", "globalAlpha"];
+
+const TEXT_ANCHORS = { start: "start", left: "start", center: "middle", right: "end", end: "end" };
+
+// Average glyph width of the UI font, in ems (measureText estimate)
+const GLYPH_EM = 0.55;
+
+function _esc(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+// Coordinates rounded to 0.01px
+function _n(v) {
+  return String(Math.round(v * 100) / 100);
+}
+
+export class SvgContext {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.fillStyle = "#000";
+    this.strokeStyle = "#000";
+    this.lineWidth = 1;
+    this.lineCap = "butt";
+    this.lineJoin = "miter";
+    this.font = "10px sans-serif";
+    this.textAlign = "start";
+    this.globalAlpha = 1;
+    this._dash = [];
+    this._stack = [];
+    this._path = [];
+    this._pos = null; // current point [x, y]
+    this._elements = [];
+  }
+
+  save() {
+    const state = { dash: this._dash };
+    for (const key of STATE_KEYS) state[key] = this[key];
+    this._stack.push(state);
+  }
+
+  restore() {
+    const state = this._stack.pop();
+    if (!state) return;
+    for (const key of STATE_KEYS) this[key] = state[key];
+    this._dash = state.dash;
+  }
+
+  setLineDash(segments) {
+    this._dash = segments.slice();
+  }
+
+  getLineDash() {
+    return this._dash.slice();
+  }
+
+  // -- Paths ------------------------------------------------------------------
+
+  beginPath() {
+    this._path = [];
+    this._pos = null;
+  }
+
+  moveTo(x, y) {
+    this._path.push(`M${_n(x)} ${_n(y)}`);
+    this._pos = [x, y];
+  }
+
+  lineTo(x, y) {
+    if (!this._pos) return this.moveTo(x, y);
+    this._path.push(`L${_n(x)} ${_n(y)}`);
+    this._pos = [x, y];
+  }
+
+  /** Arc of radius r tangent to the lines (current point, p1) and (p1, p2). */
+  arcTo(x1, y1, x2, y2, r) {
+    if (!this._pos) return this.moveTo(x1, y1);
+    const [x0, y0] = this._pos;
+    const ax = x0 - x1, ay = y0 - y1;
+    const bx = x2 - x1, by = y2 - y1;
+    const la = Math.hypot(ax, ay);
+    const lb = Math.hypot(bx, by);
+    const cross = ax * by - ay * bx;
+    if (r === 0 || la === 0 || lb === 0 || Math.abs(cross) < 1e-12) return this.lineTo(x1, y1);
+    // Tangent points at distance r / tan(theta / 2) from the corner
+    const cos = (ax * bx + ay * by) / (la * lb);
+    const d = r / Math.tan(Math.acos(Math.max(-1, Math.min(1, cos))) / 2);
+    const t1 = [x1 + (ax / la) * d, y1 + (ay / la) * d];
+    const t2 = [x1 + (bx / lb) * d, y1 + (by / lb) * d];
+    this.lineTo(t1[0], t1[1]);
+    this._path.push(`A${_n(r)} ${_n(r)} 0 0 ${cross < 0 ? 1 : 0} ${_n(t2[0])} ${_n(t2[1])}`);
+    this._pos = t2;
+  }
+
+  rect(x, y, w, h) {
+    this._path.push(`M${_n(x)} ${_n(y)}h${_n(w)}v${_n(h)}h${_n(-w)}Z`);
+    this._pos = [x, y];
+  }
+
+  closePath() {
+    if (this._path.length > 0) this._path.push("Z");
+  }
+
+  fill() {
+    if (this._path.length === 0) return;
+    this._elements.push(`<path d="${this._path.join("")}" fill="${_esc(this.fillStyle)}"${this._alpha()}/>`);
+  }
+
+  stroke() {
+    if (this._path.length === 0) return;
+    const attrs = [
+      `fill="none"`,
+      `stroke="${_esc(this.strokeStyle)}"`,
+      `stroke-width="${_n(this.lineWidth)}"`,
+    ];
+    if (this.lineCap !== "butt") attrs.push(`stroke-linecap="${this.lineCap}"`);
+    if (this.lineJoin !== "miter") attrs.push(`stroke-linejoin="${this.lineJoin}"`);
+    if (this._dash.length > 0) attrs.push(`stroke-dasharray="${this._dash.map(_n).join(" ")}"`);
+    this._elements.push(`<path d="${this._path.join("")}" ${attrs.join(" ")}${this._alpha()}/>`);
+  }
+
+  fillRect(x, y, w, h) {
+    this._elements.push(
+      `<rect x="${_n(x)}" y="${_n(y)}" width="${_n(w)}" height="${_n(h)}" fill="${_esc(this.fillStyle)}"${this._alpha()}/>`,
+    );
+  }
+
+  // -- Text -------------------------------------------------------------------
+
+  fillText(text, x, y) {
+    const anchor = TEXT_ANCHORS[this.textAlign] || "start";
+    const attrs = [`x="${_n(x)}"`, `y="${_n(y)}"`, `fill="${_esc(this.fillStyle)}"`, `style="font: ${_esc(this.font)}"`];
+    if (anchor !== "start") attrs.push(`text-anchor="${anchor}"`);
+    this._elements.push(`<text ${attrs.join(" ")}${this._alpha()}>${_esc(text)}</text>`);
+  }
+
+  /** Width estimate from the font size; there are no font metrics without a canvas. */
+  measureText(text) {
+    const m = this.font.match(/(\d+(?:\.\d+)?)px/);
+    return { width: String(text).length * (m ? Number(m[1]) : 10) * GLYPH_EM };
+  }
+
+  _alpha() {
+    return this.globalAlpha < 1 ? ` opacity="${_n(this.globalAlpha)}"` : "";
+  }
+
+  // -- Output -----------------------------------------------------------------
+
+  /** The drawing so far as an SVG document. */
+  toSVG() {
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">`,
+      ...this._elements,
+      "</svg>",
+      "",
+    ].join("\n");
+  }
+}
@@ -0,0 +1,57 @@
+// checkpoint.test.js -- tests for the checkpoint file format (node --test)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { CheckpointError, formatCheckpoint, parseCheckpoint } from "../checkpoint.js";
+import { TrainingHost } from "../worker.js";
+import { DEFAULTS, DEFAULT_LAYOUT } from "../trainer.js";
+
+function makeCheckpoint() {
+  let cp = null;
+  const host = new TrainingHost((msg) => {
+    if (msg.type === "checkpoint") cp = msg.checkpoint;
+  });
+  host.handle({
+    type: "configure",
+    gen: 1,
+    config: {
+      grid: DEFAULT_LAYOUT.grid,
+      starts: DEFAULT_LAYOUT.starts,
+      goal: DEFAULT_LAYOUT.goal,
+      startProbs: [0.5, 0.5],
+      multiStart: true,
+      params: { ...DEFAULTS.multi, N: 4, nEval: 8 },
+    },
+  });
+  host.handle({ type: "speed", speed: 12 });
+  host.tick();
+  host.handle({ type: "checkpoint" });
+  return { app: { hash: "seed=1", mazeRng: [1, 2, 3, 4] }, backend: cp };
+}
+
+test("parseCheckpoint reads what formatCheckpoint writes", () => {
+  const cp = makeCheckpoint();
+  const text = formatCheckpoint(cp, "2025-01-01T00:00:00.000Z");
+  const back = parseCheckpoint(text);
+  assert.equal(back.savedAt, "2025-01-01T00:00:00.000Z");
+  assert.equal(back.step, 12);
+  assert.deepEqual(back.app, cp.app);
+  assert.ok(back.backend.heat.rl.visits instanceof Float64Array);
+  assert.deepEqual(back.backend, structuredClone(cp.backend));
+});
+
+test("parseCheckpoint rejects other files, versions and mismatched sessions", () => {
+  const cp = JSON.parse(formatCheckpoint(makeCheckpoint()));
+  const bad = (change, pattern) => {
+    const copy = structuredClone(cp);
+    change(copy);
+    assert.throws(() => parseCheckpoint(JSON.stringify(copy)), (err) => err instanceof CheckpointError && pattern.test(err.message));
+  };
+  assert.throws(() => parseCheckpoint("{"), CheckpointError);
+  bad((c) => delete c.format, /not a checkpoint/);
+  bad((c) => (c.version = 99), /version 99/);
+  bad((c) => delete c.backend.heatRng, /incomplete/);
+  bad((c) => (c.app.hash = "mode=both"), /app state: mode/);
+  bad((c) => c.backend.session.logits.maxrl.pop(), /session: .*maxrl/);
+});
@@ -0,0 +1,985 @@
+// engine.test.js -- unit and statistical tests for engine.js (node --test)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  UP,
+  DOWN,
+  LEFT,
+  RIGHT,
+  MAX_LOGIT,
+  MAZE_TRAIN,
+  GridWorld,
+  dynamicsError,
+  fitDynamics,
+  hasDynamics,
+  fitRewards,
+  hasRewards,
+  rewardsError,
+  TabularSoftmaxPolicy,
+  rollout,
+  reinforceUpdate,
+  maxrlUpdate,
+  ESTIMATORS,
+  estimatorUpdate,
+  evaluateFromStart,
+  evaluateRollouts,
+  exactSuccessProb,
+  exactSuccessMap,
+  exactVisitationEntropy,
+  exactSuccessGrad,
+  exactObjectiveGrads,
+  bfsShortestPath,
+  generateMaze,
+  MAZE_GENERATORS,
+  generatorOptions,
+  randomLayout,
+  startDifficulty,
+  pickStartsByDifficulty,
+  blockedRouteMazes,
+  shortcutCell,
+  movedGoal,
+  trapsWalled,
+} from "../engine.js";
+import { Rng } from "../rng.js";
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+// 4x5 maze: corridor (1,1)-(1,3), goal (2,3), dead end (2,1)
+const TINY = [
+  [1, 1, 1, 1, 1],
+  [1, 0, 0, 0, 1],
+  [1, 0, 1, 0, 1],
+  [1, 1, 1, 1, 1],
+];
+const TINY_START = [1, 1];
+const TINY_GOAL = [2, 3];
+
+function logProb(policy, row, col, action) {
+  return Math.log(policy.getProbs(row, col)[action]);
+}
+
+/** Central finite-difference gradient of f(policy) w.r.t. every logit. */
+function numericGrad(policy, f, h = 1e-5) {
+  const grad = new Float64Array(policy.logits.length);
+  for (let i = 0; i < grad.length; i++) {
+    const orig = policy.logits[i];
+    policy.logits[i] = orig + h;
+    const fPlus = f(policy);
+    policy.logits[i] = orig - h;
+    const fMinus = f(policy);
+    policy.logits[i] = orig;
+    grad[i] = (fPlus - fMinus) / (2 * h);
+  }
+  return grad;
+}
+
+/** Deterministic non-uniform policy whose logits are zero-mean in every cell. */
+function centeredPolicy(H, W, rng) {
+  const policy = new TabularSoftmaxPolicy(H, W);
+  for (let cell = 0; cell < H * W; cell++) {
+    const base = cell * 4;
+    let mean = 0;
+    for (let a = 0; a < 4; a++) {
+      policy.logits[base + a] = rng.random() * 2 - 1;
+      mean += policy.logits[base + a] / 4;
+    }
+    for (let a = 0; a < 4; a++) policy.logits[base + a] -= mean;
+  }
+  return policy;
+}
+
+/**
+ * Recover the raw gradient an update applied with lr=1. The update ends with
+ * clipLogits(), which subtracts each cell's max; the raw gradient sums to zero
+ * per cell, so re-centering the new logits undoes that shift.
+ */
+function appliedGrad(before, after) {
+  const grad = new Float64Array(before.logits.length);
+  for (let base = 0; base < grad.length; base += 4) {
+    let mean = 0;
+    for (let a = 0; a < 4; a++) mean += after.logits[base + a] / 4;
+    for (let a = 0; a < 4; a++) {
+      grad[base + a] = after.logits[base + a] - mean - before.logits[base + a];
+    }
+  }
+  return grad;
+}
+
+/** Mean and standard error of `nSamples` gradient estimates from `update`. */
+function sampleGrads(policy, update, nSamples) {
+  const n = policy.logits.length;
+  const sum = new Float64Array(n);
+  const sumSq = new Float64Array(n);
+  for (let k = 0; k < nSamples; k++) {
+    const copy = policy.copy();
+    update(copy);
+    const g = appliedGrad(policy, copy);
+    for (let i = 0; i < n; i++) {
+      sum[i] += g[i];
+      sumSq[i] += g[i] * g[i];
+    }
+  }
+  const mean = sum.map((s) => s / nSamples);
+  const se = mean.map((m, i) => Math.sqrt(Math.max(0, sumSq[i] / nSamples - m * m) / nSamples));
+  return { mean, se };
+}
+
+function assertWithinSE(mean, se, expected, z = 4.5) {
+  for (let i = 0; i < expected.length; i++) {
+    const tol = z * se[i] + 1e-9;
+    assert.ok(
+      Math.abs(mean[i] - expected[i]) <= tol,
+      `component ${i}: estimate ${mean[i]} vs exact ${expected[i]} (tol ${tol})`,
+    );
+  }
+}
+
+// ---------------------------------------------------------------------------
+// GridWorld
+// ---------------------------------------------------------------------------
+
+test("GridWorld.step moves along open cells", () => {
+  const env = new GridWorld(MAZE_TRAIN, [1, 1], [9, 9]);
+  assert.deepEqual(env.step([1, 1], RIGHT), { newPos: [1, 2], done: false, reward: 0 });
+  assert.deepEqual(env.step([1, 1], DOWN), { newPos: [2, 1], done: false, reward: 0 });
+});
+
+test("GridWorld.step stays in place when blocked by a wall", () => {
+  const env = new GridWorld(MAZE_TRAIN, [1, 1], [9, 9]);
+  assert.deepEqual(env.step([1, 1], UP).newPos, [1, 1]);
+  assert.deepEqual(env.step([1, 1], LEFT).newPos, [1, 1]);
+  assert.deepEqual(env.step([3, 3], UP).newPos, [3, 3]);
+});
+
+test("GridWorld.step stays in place at the grid bounds", () => {
+  const open = [
+    [0, 0],
+    [0, 0],
+  ];
+  const env = new GridWorld(open, [0, 0], [1, 1]);
+  assert.deepEqual(env.step([0, 0], UP).newPos, [0, 0]);
+  assert.deepEqual(env.step([0, 0], LEFT).newPos, [0, 0]);
+  assert.deepEqual(env.step([1, 1], DOWN).newPos, [1, 1]);
+  assert.deepEqual(env.step([1, 1], RIGHT).newPos, [1, 1]);
+  assert.equal(env.isPath(-1, 0), false);
+  assert.equal(env.isPath(0, 2), false);
+});
+
+test("GridWorld.step reports done on reaching the goal", () => {
+  const env = new GridWorld(MAZE_TRAIN, [9, 8], [9, 9]);
+  assert.deepEqual(env.step([9, 8], RIGHT), { newPos: [9, 9], done: true, reward: 1 });
+  assert.equal(env.step([9, 8], LEFT).done, false);
+});
+
+test("wind pushes the agent along its column after moving, stopping at walls and the goal", () => {
+  const wind = [0, 0, 0, 0, 0, 1, 0, 0, 0, -3, 0];
+  const env = new GridWorld(MAZE_TRAIN, [1, 1], [9, 9], { wind });
+  // Column 5 blows up one cell: moving out of it takes the push along
+  assert.deepEqual(env.step([9, 5], UP).newPos, [7, 5]);
+  assert.deepEqual(env.step([9, 5], RIGHT).newPos, [9, 6]);
+  assert.deepEqual(env.step([9, 4], RIGHT).newPos, [9, 5]);
+  // Column 9 blows down three cells; the goal stops the push
+  assert.deepEqual(env.step([5, 9], UP).newPos, [7, 9]);
+  assert.deepEqual(env.step([3, 9], DOWN), { newPos: [7, 9], done: false, reward: 0 });
+  assert.deepEqual(env.step([7, 9], DOWN), { newPos: [9, 9], done: true, reward: 1 });
+});
+
+test("portals move the agent on from their entrance; slip replaces actions at random", () => {
+  const portals = [[[1, 5], [9, 8]], [[9, 9], [1, 1]]];
+  const env = new GridWorld(MAZE_TRAIN, [1, 1], [9, 9], { portals });
+  assert.deepEqual(env.step([1, 4], RIGHT), { newPos: [9, 8], done: false, reward: 0 });
+  // No hop onward from an exit, nor away from the goal
+  assert.deepEqual(env.step([9, 8], RIGHT), { newPos: [9, 9], done: true, reward: 1 });
+
+  const slippery = new GridWorld(MAZE_TRAIN, [1, 1], [9, 9], { slip: 0.5 });
+  const rng = new Rng(3, "slip");
+  const counts = [0, 0, 0, 0];
+  for (let i = 0; i < 4000; i++) {
+    const [r, c] = slippery.step([1, 5], DOWN, rng).newPos;
+    counts[[[1, 5], [2, 5], [1, 4], [1, 6]].findIndex(([er, ec]) => er === r && ec === c)]++;
+  }
+  // DOWN with 1/2 + 1/8, UP (blocked: stays) and each side with 1/8
+  assert.ok(Math.abs(counts[1] / 4000 - 0.625) < 0.03, `${counts}`);
+  for (const k of [0, 2, 3]) assert.ok(Math.abs(counts[k] / 4000 - 0.125) < 0.02, `${counts}`);
+  // Without slip no random numbers are drawn
+  const before = rng.getState();
+  env.step([1, 1], DOWN, rng);
+  assert.deepEqual(rng.getState(), before);
+});
+
+test("dynamicsError checks slip, wind and portals against the maze; fitDynamics keeps what fits", () => {
+  const calm = { slip: 0, wind: null, portals: [] };
+  assert.equal(dynamicsError(MAZE_TRAIN, calm), null);
+  assert.equal(hasDynamics(calm), false);
+  assert.equal(hasDynamics({ wind: new Array(11).fill(0) }), false);
+  assert.equal(hasDynamics({ slip: 0.1 }), true);
+  assert.match(dynamicsError(MAZE_TRAIN, { slip: 2 }), /slip/);
+  assert.match(dynamicsError(MAZE_TRAIN, { wind: [1, 2] }), /11 values/);
+  assert.match(dynamicsError(MAZE_TRAIN, { wind: new Array(11).fill(11) }), /integers/);
+  assert.match(dynamicsError(MAZE_TRAIN, { portals: [[[0, 0], [1, 1]]] }), /is a wall/);
+  assert.match(dynamicsError(MAZE_TRAIN, { portals: [[[1, 1], [1, 1]]] }), /same cell/);
+  for (const portals of [5, [[[1, 1], 5]], [[[1.5, 1], [1, 2]]], [[[1, 1], [1, 2, 3]]], [[[1, 1]]]]) {
+    assert.match(dynamicsError(MAZE_TRAIN, { portals }), /expected/, JSON.stringify(portals));
+  }
+  assert.match(dynamicsError(MAZE_TRAIN, { portals: [[[1, 1], [1, 2]], [[1, 1], [1, 3]]] }), /already an entrance/);
+
+  const small = MAZE_TRAIN.slice(0, 5).map((row) => row.slice(0, 5));
+  const fitted = fitDynamics(small, { slip: 0.2, wind: new Array(11).fill(1), portals: [[[1, 1], [3, 3]], [[1, 1], [9, 9]]] });
+  assert.deepEqual(fitted, { slip: 0.2, wind: null, portals: [[[1, 1], [3, 3]]] });
+});
+
+test("traps and extra goals end episodes; the return is the goal's reward less the step penalty", () => {
+  const rewards = { traps: [[1, 3]], goals: [[[2, 1], 0.5]], stepPenalty: 0.1, threshold: 0 };
+  const env = new GridWorld(TINY, TINY_START, TINY_GOAL, {}, rewards);
+  assert.deepEqual(env.step([1, 1], RIGHT), { newPos: [1, 2], done: false, reward: -0.1 });
+  assert.deepEqual(env.step([1, 1], DOWN), { newPos: [2, 1], done: true, reward: 0.4 });
+  assert.deepEqual(env.step([1, 2], RIGHT), { newPos: [1, 3], done: true, reward: -0.1 });
+  assert.equal(env.goalReward(2, 3), 1);
+  assert.equal(env.goalReward(1, 3), null);
+  assert.equal(env.succeeds(2, 1, 1), true);
+  assert.equal(env.succeeds(2, 1, 6), false);
+  assert.equal(env.succeeds(1, 3, 1), false);
+
+  // Always DOWN, then nowhere: one action to the extra goal
+  const policy = new TabularSoftmaxPolicy(env.height, env.width);
+  policy.logits[(1 * env.width + 1) * 4 + DOWN] = MAX_LOGIT;
+  const traj = rollout(policy, env, TINY_START, 10, new Rng(1));
+  assert.deepEqual(traj.path, [[1, 1], [2, 1]]);
+  assert.equal(traj.reachedGoal, true);
+  assert.equal(traj.reward, 0.4);
+  assert.equal(traj.success, true);
+  const strict = new GridWorld(TINY, TINY_START, TINY_GOAL, {}, { ...rewards, threshold: 0.5 });
+  assert.equal(rollout(policy, strict, TINY_START, 10, new Rng(1)).success, false);
+});
+
+test("rewardsError checks traps, goals and settings against the maze; fitRewards keeps what fits", () => {
+  assert.equal(rewardsError(MAZE_TRAIN, { traps: [[1, 5]], goals: [[[5, 3], 0.5]], stepPenalty: 0.01, threshold: 0.5 }, [9, 9]), null);
+  assert.equal(hasRewards({ traps: [], goals: [], stepPenalty: 0, threshold: 0 }), false);
+  assert.equal(hasRewards({ threshold: 0.5 }), true);
+  assert.match(rewardsError(MAZE_TRAIN, { stepPenalty: -1 }), /stepPenalty/);
+  assert.match(rewardsError(MAZE_TRAIN, { threshold: 11 }), /threshold/);
+  assert.match(rewardsError(MAZE_TRAIN, { traps: [[0, 0]] }), /trap 1: \[0,0\] is a wall/);
+  assert.match(rewardsError(MAZE_TRAIN, { traps: [[9, 9]] }, [9, 9]), /already a goal or trap/);
+  assert.match(rewardsError(MAZE_TRAIN, { traps: [[1, 5]], goals: [[[1, 5], 1]] }), /goal 1: .* already/);
+  assert.match(rewardsError(MAZE_TRAIN, { goals: [[[1, 5], 0]] }), /reward above 0/);
+  assert.match(rewardsError(MAZE_TRAIN, { traps: [[1.5, 1]] }), /trap 1: expected \[row, col\]/);
+  assert.match(rewardsError(MAZE_TRAIN, { goals: [[5, 1]] }), /goal 1: expected \[row, col\]/);
+
+  const small = MAZE_TRAIN.slice(0, 5).map((row) => row.slice(0, 5));
+  const rewards = { traps: [[1, 1], [3, 3]], goals: [[[1, 3], 2], [[1, 1], 0.5], [[9, 9], 1]], stepPenalty: 0.1, threshold: 1 };
+  assert.deepEqual(fitRewards(small, rewards, [3, 3]), { traps: [[1, 1]], goals: [[[1, 3], 2]], stepPenalty: 0.1, threshold: 1 });
+});
+
+// ---------------------------------------------------------------------------
+// TabularSoftmaxPolicy
+// ---------------------------------------------------------------------------
+
+test("getProbs is uniform for zero logits", () => {
+  const policy = new TabularSoftmaxPolicy(3, 3);
+  for (const p of policy.getProbs(1, 2)) assert.equal(p, 0.25);
+});
+
+test("getProbs is the softmax of the cell's logits", () => {
+  const policy = new TabularSoftmaxPolicy(2, 2);
+  const z = [0.5, -1.0, 2.0, 0.0];
+  policy.logits.set(z, policy._idx(1, 0, 0));
+  const denom = z.reduce((s, v) => s + Math.exp(v), 0);
+  const probs = policy.getProbs(1, 0);
+  for (let a = 0; a < 4; a++) {
+    assert.ok(Math.abs(probs[a] - Math.exp(z[a]) / denom) < 1e-12);
+  }
+  // other cells untouched
+  for (const p of policy.getProbs(0, 0)) assert.equal(p, 0.25);
+});
+
+test("getProbs is stable for large logits", () => {
+  const policy = new TabularSoftmaxPolicy(1, 1);
+  policy.logits.set([1000, 999, -1000, 0]);
+  const probs = policy.getProbs(0, 0);
+  const sum = probs.reduce((s, v) => s + v, 0);
+  assert.ok(probs.every(Number.isFinite));
+  assert.ok(Math.abs(sum - 1) < 1e-12);
+  assert.ok(Math.abs(probs[0] / probs[1] - Math.E) < 1e-9);
+});
+
+test("scoreFunction matches a finite-difference gradient of log pi", () => {
+  const policy = centeredPolicy(2, 3, new Rng(3, "test"));
+  for (const [row, col] of [[0, 0], [1, 2]]) {
+    for (let action = 0; action < 4; action++) {
+      const score = policy.scoreFunction(row, col, action);
+      const numeric = numericGrad(policy, (p) => logProb(p, row, col, action));
+      for (let a = 0; a < 4; a++) {
+        const i = policy._idx(row, col, a);
+        assert.ok(Math.abs(score[a] - numeric[i]) < 1e-7, `a=${a}: ${score[a]} vs ${numeric[i]}`);
+      }
+      // log pi at (row, col) does not depend on other cells
+      numeric.forEach((g, i) => {
+        if (Math.floor(i / 4) !== row * policy.width + col) assert.equal(g, 0);
+      });
+    }
+  }
+});
+
+test("clipLogits shifts each cell's max to 0 and clamps at -MAX_LOGIT", () => {
+  const policy = new TabularSoftmaxPolicy(1, 2);
+  policy.logits.set([5, 3, -40, 5.5, 1, 2, 3, 4]);
+  const before = [policy.getProbs(0, 0), policy.getProbs(0, 1)];
+  policy.clipLogits();
+  assert.deepEqual(Array.from(policy.logits), [-0.5, -2.5, -MAX_LOGIT, 0, -3, -2, -1, 0]);
+  // un-clamped cell keeps its distribution
+  const after = policy.getProbs(0, 1);
+  for (let a = 0; a < 4; a++) assert.ok(Math.abs(after[a] - before[1][a]) < 1e-12);
+});
+
+test("copy is independent of the original", () => {
+  const policy = new TabularSoftmaxPolicy(2, 2);
+  const clone = policy.copy();
+  clone.logits[0] = 7;
+  assert.equal(policy.logits[0], 0);
+});
+
+// ---------------------------------------------------------------------------
+// Rollout
+// ---------------------------------------------------------------------------
+
+test("rollout is reproducible with a seeded Rng and respects the step budget", () => {
+  const env = new GridWorld(MAZE_TRAIN, [1, 1], [9, 9]);
+  const policy = new TabularSoftmaxPolicy(env.height, env.width);
+  const a = rollout(policy, env, [1, 1], 30, new Rng(11));
+  const b = rollout(policy, env, [1, 1], 30, new Rng(11));
+  assert.deepEqual(a, b);
+  assert.ok(a.stateActions.length <= 30);
+  assert.equal(a.path.length, a.stateActions.length + 1);
+  for (const [r, c] of a.path) assert.ok(env.isPath(r, c));
+});
+
+test("rollout from the goal succeeds with no actions", () => {
+  const env = new GridWorld(MAZE_TRAIN, [9, 9], [9, 9]);
+  const policy = new TabularSoftmaxPolicy(env.height, env.width);
+  const traj = rollout(policy, env, [9, 9], 10, new Rng(1));
+  assert.equal(traj.reachedGoal, true);
+  assert.equal(traj.stateActions.length, 0);
+});
+
+// ---------------------------------------------------------------------------
+// BFS
+// ---------------------------------------------------------------------------
+
+test("bfsShortestPath finds shortest distances in MAZE_TRAIN", () => {
+  assert.equal(bfsShortestPath(MAZE_TRAIN, [1, 1], [9, 9]).distance, 16);
+  assert.equal(bfsShortestPath(MAZE_TRAIN, [9, 1], [9, 9]).distance, 8);
+  assert.equal(bfsShortestPath(MAZE_TRAIN, [3, 3], [9, 9]).distance, 12);
+  assert.equal(bfsShortestPath(MAZE_TRAIN, [9, 9], [9, 9]).distance, 0);
+});
+
+test("bfsShortestPath returns a contiguous open path", () => {
+  const { distance, path } = bfsShortestPath(MAZE_TRAIN, [1, 1], [9, 9]);
+  assert.equal(path.length, distance + 1);
+  assert.deepEqual(path[0], [1, 1]);
+  assert.deepEqual(path[path.length - 1], [9, 9]);
+  for (let i = 1; i < path.length; i++) {
+    const [r0, c0] = path[i - 1];
+    const [r1, c1] = path[i];
+    assert.equal(Math.abs(r1 - r0) + Math.abs(c1 - c0), 1);
+    assert.equal(MAZE_TRAIN[r1][c1], 0);
+  }
+});
+
+test("bfsShortestPath returns null when the goal is walled off", () => {
+  assert.equal(bfsShortestPath(MAZE_TRAIN, [5, 5], [9, 9]), null);
+});
+
+// ---------------------------------------------------------------------------
+// Maze generation
+// ---------------------------------------------------------------------------
+
+test("generateMaze always connects start and goal inside a wall border", () => {
+  for (const size of [7, 11, 15]) {
+    for (let seed = 0; seed < 25; seed++) {
+      const grid = generateMaze(size, size, [1, 1], null, new Rng(seed, "maze"));
+      assert.equal(grid.length, size);
+      assert.ok(grid.every((row) => row.length === size));
+      for (let i = 0; i < size; i++) {
+        assert.equal(grid[0][i], 1);
+        assert.equal(grid[size - 1][i], 1);
+        assert.equal(grid[i][0], 1);
+        assert.equal(grid[i][size - 1], 1);
+      }
+      assert.ok(bfsShortestPath(grid, [1, 1], [size - 2, size - 2]), `size ${size} seed ${seed}`);
+    }
+  }
+});
+
+test("generateMaze is reproducible for a given Rng seed", () => {
+  const a = generateMaze(11, 11, [1, 1], null, new Rng(42, "maze"));
+  const b = generateMaze(11, 11, [1, 1], null, new Rng(42, "maze"));
+  assert.deepEqual(a, b);
+});
+
+// Open cells and open neighbour pairs (passages) of a grid, and the open cells
+// reachable from `from`
+function mazeGraph(grid, from = [1, 1]) {
+  let cells = 0;
+  let edges = 0;
+  for (let r = 0; r < grid.length; r++) {
+    for (let c = 0; c < grid[0].length; c++) {
+      if (grid[r][c] !== 0) continue;
+      cells++;
+      if (grid[r + 1]?.[c] === 0) edges++;
+      if (grid[r][c + 1] === 0) edges++;
+    }
+  }
+  const seen = new Set([from.join()]);
+  const queue = [from];
+  while (queue.length > 0) {
+    const [r, c] = queue.shift();
+    for (const [nr, nc] of [[r - 1, c], [r + 1, c], [r, c - 1], [r, c + 1]]) {
+      if (grid[nr][nc] === 0 && !seen.has(`${nr},${nc}`)) {
+        seen.add(`${nr},${nc}`);
+        queue.push([nr, nc]);
+      }
+    }
+  }
+  return { cells, edges, reached: seen.size };
+}
+
+// Lattice cells (odd row and col) with a single open neighbour
+function deadEnds(grid) {
+  let n = 0;
+  for (let r = 1; r < grid.length - 1; r += 2) {
+    for (let c = 1; c < grid[0].length - 1; c += 2) {
+      const open = [grid[r - 1][c], grid[r + 1][c], grid[r][c - 1], grid[r][c + 1]].filter((v) => v === 0);
+      if (open.length === 1) n++;
+    }
+  }
+  return n;
+}
+
+test("every generator fills the grid with one connected maze inside a wall border", () => {
+  for (const generator of Object.keys(MAZE_GENERATORS)) {
+    for (const size of [5, 8, 11, 16]) {
+      for (let seed = 0; seed < 8; seed++) {
+        const grid = generateMaze(size, size, [1, 1], null, new Rng(seed, "maze"), generator);
+        const label = `${generator} size ${size} seed ${seed}`;
+        assert.equal(grid.length, size, label);
+        assert.ok(grid.every((row) => row.length === size), label);
+        for (let i = 0; i < size; i++) {
+          assert.ok(grid[0][i] && grid[size - 1][i] && grid[i][0] && grid[i][size - 1], label);
+        }
+        const { cells, reached } = mazeGraph(grid);
+        assert.equal(reached, cells, label);
+        assert.ok(bfsShortestPath(grid, [1, 1], [size - 2, size - 2]), label);
+      }
+    }
+  }
+});
+
+test("backtracker, Prim, Kruskal and Eller carve perfect mazes without options", () => {
+  for (const generator of ["backtracker", "prim", "kruskal", "eller"]) {
+    for (let seed = 0; seed < 10; seed++) {
+      const grid = generateMaze(15, 15, [1, 1], null, new Rng(seed, "maze"), generator);
+      const { cells, edges } = mazeGraph(grid);
+      // A tree: every lattice cell open, one path between any two cells
+      assert.equal(cells, 7 * 7 + 7 * 7 - 1, `${generator} seed ${seed}`);
+      assert.equal(edges, cells - 1, `${generator} seed ${seed}`);
+    }
+  }
+});
+
+test("loops add passages and deadEnds culls dead ends", () => {
+  for (let seed = 0; seed < 10; seed++) {
+    const perfect = generateMaze(21, 21, [1, 1], null, new Rng(seed, "maze"), "prim");
+    const loopy = generateMaze(21, 21, [1, 1], null, new Rng(seed, "maze"), "prim", { loops: 0.3 });
+    const p = mazeGraph(perfect);
+    const l = mazeGraph(loopy);
+    assert.ok(l.edges - (l.cells - 1) >= 20, `seed ${seed}: ${l.edges - l.cells + 1} loops`);
+
+    const braided = generateMaze(21, 21, [1, 1], null, new Rng(seed, "maze"), "braided");
+    assert.equal(deadEnds(braided), 0, `seed ${seed}`);
+    const half = generateMaze(21, 21, [1, 1], null, new Rng(seed, "maze"), "kruskal", { deadEnds: 0.5 });
+    const full = generateMaze(21, 21, [1, 1], null, new Rng(seed, "maze"), "kruskal");
+    // Same carving before the cull, so half of the perfect maze's dead ends remain
+    assert.ok(Math.abs(deadEnds(half) - deadEnds(full) / 2) <= 1, `seed ${seed}: ${deadEnds(half)} of ${deadEnds(full)}`);
+    assert.ok(l.edges > p.edges);
+  }
+});
+
+test("rooms leaves open rectangles; generatorOptions fills in defaults", () => {
+  const grid = generateMaze(21, 21, [1, 1], null, new Rng(3, "maze"), "rooms", { rooms: 3 });
+  // A room is a 2x2 block of open cells, impossible in a corridor maze
+  let blocks = 0;
+  for (let r = 1; r < 20; r++) {
+    for (let c = 1; c < 20; c++) {
+      if (!grid[r][c] && !grid[r + 1][c] && !grid[r][c + 1] && !grid[r + 1][c + 1]) blocks++;
+    }
+  }
+  assert.ok(blocks > 0);
+  assert.deepEqual(generatorOptions("rooms", { loops: 0.2 }), { loops: 0.2, deadEnds: 1, rooms: 4 });
+  assert.deepEqual(generatorOptions("braided"), { loops: 0.05, deadEnds: 0 });
+  assert.throws(() => generateMaze(11, 11, [1, 1], null, new Rng(1, "maze"), "nope"), /unknown maze generator/);
+});
+
+test("randomLayout passes the generator through and picks open starts", () => {
+  for (const generator of Object.keys(MAZE_GENERATORS)) {
+    const rng = new Rng(5, "maze");
+    const layout = randomLayout(13, 13, rng, generator, { loops: 0.1 });
+    const again = randomLayout(13, 13, new Rng(5, "maze"), generator, { loops: 0.1 });
+    assert.deepEqual(layout, again);
+    for (const cell of [layout.easy, layout.hard, layout.goal]) assert.equal(layout.grid[cell[0]][cell[1]], 0, generator);
+    assert.ok(bfsShortestPath(layout.grid, layout.hard, layout.goal), generator);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Difficulty-targeted starts
+// ---------------------------------------------------------------------------
+
+test("startDifficulty is the uniform policy's success probability", () => {
+  const p0 = startDifficulty(MAZE_TRAIN, [9, 9], 25);
+  const env = new GridWorld(MAZE_TRAIN, [1, 1], [9, 9]);
+  const uniform = new TabularSoftmaxPolicy(env.height, env.width);
+  assert.equal(p0[9][1], exactSuccessProb(uniform, env, [9, 1], 25));
+  assert.equal(p0[9][9], 1);
+  assert.equal(p0[0][0], null);
+  // Out of reach within the budget
+  assert.equal(startDifficulty(MAZE_TRAIN, [9, 9], 7)[9][1], 0);
+});
+
+test("pickStartsByDifficulty takes the cell nearest each target on a log scale", () => {
+  const maxSteps = 25;
+  const p0 = startDifficulty(MAZE_TRAIN, [9, 9], maxSteps);
+  const open = [];
+  for (let r = 0; r < 11; r++) {
+    for (let c = 0; c < 11; c++) {
+      if (p0[r][c] > 0 && !(r === 9 && c === 9)) open.push(p0[r][c]);
+    }
+  }
+  const picks = pickStartsByDifficulty(MAZE_TRAIN, [9, 9], [0.5, 0.01], maxSteps);
+  assert.equal(picks.length, 2);
+  picks.forEach(({ cell, p0: p }, i) => {
+    const target = [0.5, 0.01][i];
+    assert.equal(p0[cell[0]][cell[1]], p);
+    const best = Math.min(...open.map((q) => Math.abs(Math.log(q / target))));
+    assert.equal(Math.abs(Math.log(p / target)), best);
+  });
+  assert.notDeepEqual(picks[0].cell, picks[1].cell);
+
+  // The same target twice gives two different cells; the goal and excluded cells are never picked
+  const twice = pickStartsByDifficulty(MAZE_TRAIN, [9, 9], [1, 1], maxSteps, [[9, 8]]);
+  assert.equal(twice.length, 2);
+  assert.notDeepEqual(twice[0].cell, twice[1].cell);
+  for (const { cell } of twice) {
+    assert.notDeepEqual(cell, [9, 9]);
+    assert.notDeepEqual(cell, [9, 8]);
+  }
+  // Runs out of cells that can reach the goal
+  assert.equal(pickStartsByDifficulty(MAZE_TRAIN, [9, 9], [0.5, 0.5, 0.5], 1).length, 2);
+});
+
+// ---------------------------------------------------------------------------
+// Exact evaluation
+// ---------------------------------------------------------------------------
+
+test("exactSuccessProb agrees with Monte Carlo evaluation", () => {
+  const env = new GridWorld(MAZE_TRAIN, [1, 1], [9, 9]);
+  const policy = centeredPolicy(env.height, env.width, new Rng(8, "policy"));
+  for (const [start, maxSteps] of [[[9, 1], 25], [[1, 1], 40]]) {
+    const p = exactSuccessProb(policy, env, start, maxSteps);
+    const n = 20000;
+    const mc = evaluateFromStart(policy, env, start, n, maxSteps, new Rng(4, "eval"));
+    const se = Math.sqrt(Math.max(p * (1 - p), 1e-6) / n);
+    assert.ok(Math.abs(mc - p) < 4.5 * se, `start ${start}: exact ${p} vs MC ${mc}`);
+  }
+});
+
+test("exactSuccessMap gives exactSuccessProb for every open cell", () => {
+  const env = new GridWorld(MAZE_TRAIN, [1, 1], [9, 9]);
+  const policy = centeredPolicy(env.height, env.width, new Rng(3, "policy"));
+  const map = exactSuccessMap(policy, env, 30);
+  for (let r = 0; r < env.height; r++) {
+    for (let c = 0; c < env.width; c++) {
+      if (MAZE_TRAIN[r][c] === 1) assert.equal(map[r][c], null);
+      else assert.equal(map[r][c], exactSuccessProb(policy, env, [r, c], 30));
+    }
+  }
+});
+
+test("exactSuccessProb edge cases: start at goal, budget below BFS distance", () => {
+  const env = new GridWorld(MAZE_TRAIN, [1, 1], [9, 9]);
+  const policy = new TabularSoftmaxPolicy(env.height, env.width);
+  assert.equal(exactSuccessProb(policy, env, [9, 9], 5), 1);
+  assert.equal(exactSuccessProb(policy, env, [9, 1], 7), 0);
+  // exactly 8 steps: only the straight run along the bottom row, (1/4)^8 under a uniform policy
+  assert.ok(Math.abs(exactSuccessProb(policy, env, [9, 1], 8) - Math.pow(0.25, 8)) < 1e-15);
+});
+
+test("evaluateRollouts reuses evaluateFromStart's rollouts and counts distinct successes", () => {
+  const env = new GridWorld(MAZE_TRAIN, [1, 1], [9, 9]);
+  const policy = centeredPolicy(env.height, env.width, new Rng(3, "policy"));
+  const stats = evaluateRollouts(policy, env, [9, 1], 200, 30, new Rng(5, "eval"));
+  assert.equal(stats.passAt1, evaluateFromStart(policy, env, [9, 1], 200, 30, new Rng(5, "eval")));
+  assert.ok(stats.uniquePaths >= 1 && stats.uniquePaths <= stats.passAt1 * 200);
+
+  // Near-deterministic policy along the TINY corridor: one path, ~zero entropy
+  const tiny = new GridWorld(TINY, TINY_START, TINY_GOAL);
+  const greedy = new TabularSoftmaxPolicy(tiny.height, tiny.width);
+  for (const [r, c, a] of [[1, 1, RIGHT], [1, 2, RIGHT], [1, 3, DOWN]]) {
+    greedy.logits[(r * tiny.width + c) * 4 + a] = 40;
+  }
+  const det = evaluateRollouts(greedy, tiny, TINY_START, 50, 10, new Rng(1, "eval"));
+  assert.deepEqual({ ...det, entropy: 0 }, { passAt1: 1, entropy: 0, uniquePaths: 1 });
+  assert.ok(det.entropy < 1e-12);
+});
+
+test("exactVisitationEntropy: ln 4 for a uniform policy, matches the sampled estimate", () => {
+  const env = new GridWorld(MAZE_TRAIN, [1, 1], [9, 9]);
+  const uniform = new TabularSoftmaxPolicy(env.height, env.width);
+  assert.ok(Math.abs(exactVisitationEntropy(uniform, env, [1, 1], 30) - Math.log(4)) < 1e-12);
+
+  // Visit-weighted average of per-cell entropies: the sampled ratio estimate
+  // converges to the exact ratio of expectations
+  const policy = centeredPolicy(env.height, env.width, new Rng(9, "policy"));
+  const exact = exactVisitationEntropy(policy, env, [9, 1], 25);
+  const sampled = evaluateRollouts(policy, env, [9, 1], 4000, 25, new Rng(2, "eval")).entropy;
+  assert.ok(Math.abs(sampled - exact) < 0.01, `exact ${exact} vs sampled ${sampled}`);
+});
+
+test("exactSuccessGrad matches finite differences of exactSuccessProb", () => {
+  const env = new GridWorld(MAZE_TRAIN, [1, 1], [9, 9]);
+  const policy = centeredPolicy(env.height, env.width, new Rng(6, "policy"));
+  const maxSteps = 20;
+  const { p, grad } = exactSuccessGrad(policy, env, [9, 1], maxSteps);
+  assert.equal(p, exactSuccessProb(policy, env, [9, 1], maxSteps));
+  const numeric = numericGrad(policy, (q) => exactSuccessProb(q, env, [9, 1], maxSteps));
+  for (let i = 0; i < grad.length; i++) {
+    assert.ok(Math.abs(grad[i] - numeric[i]) < 1e-8, `component ${i}: ${grad[i]} vs ${numeric[i]}`);
+  }
+});
+
+test("exact evaluation follows slip, wind and portals", () => {
+  const dynamics = { slip: 0.2, wind: [0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0], portals: [[[1, 3], [7, 7]]] };
+  const env = new GridWorld(MAZE_TRAIN, [1, 1], [9, 9], dynamics);
+  const policy = centeredPolicy(env.height, env.width, new Rng(6, "policy"));
+  const maxSteps = 20;
+  const p = exactSuccessProb(policy, env, [1, 1], maxSteps);
+  assert.notEqual(p, exactSuccessProb(policy, new GridWorld(MAZE_TRAIN, [1, 1], [9, 9]), [1, 1], maxSteps));
+  const n = 20000;
+  const mc = evaluateFromStart(policy, env, [1, 1], n, maxSteps, new Rng(4, "eval"));
+  assert.ok(Math.abs(mc - p) < 4.5 * Math.sqrt(p * (1 - p) / n), `exact ${p} vs MC ${mc}`);
+
+  const { grad } = exactSuccessGrad(policy, env, [1, 1], maxSteps);
+  const numeric = numericGrad(policy, (q) => exactSuccessProb(q, env, [1, 1], maxSteps));
+  for (let i = 0; i < grad.length; i++) {
+    assert.ok(Math.abs(grad[i] - numeric[i]) < 1e-8, `component ${i}: ${grad[i]} vs ${numeric[i]}`);
+  }
+  // Entropy is the policy's, not that of the slipped actions
+  const uniform = new TabularSoftmaxPolicy(env.height, env.width);
+  assert.ok(Math.abs(exactVisitationEntropy(uniform, env, [1, 1], 30) - Math.log(4)) < 1e-12);
+});
+
+test("exact evaluation counts the successes past traps, extra goals and the threshold", () => {
+  // The extra goal only counts within its first 10 actions (0.6 - 0.02 t >= 0.4)
+  const rewards = { traps: [[9, 5]], goals: [[[5, 3], 0.6]], stepPenalty: 0.02, threshold: 0.4 };
+  const env = new GridWorld(MAZE_TRAIN, [1, 1], [9, 9], {}, rewards);
+  const policy = centeredPolicy(env.height, env.width, new Rng(8, "policy"));
+  const maxSteps = 25;
+  const p = exactSuccessProb(policy, env, [1, 1], maxSteps);
+  assert.notEqual(p, exactSuccessProb(policy, new GridWorld(MAZE_TRAIN, [1, 1], [9, 9]), [1, 1], maxSteps));
+  const n = 20000;
+  const mc = evaluateFromStart(policy, env, [1, 1], n, maxSteps, new Rng(5, "eval"));
+  assert.ok(Math.abs(mc - p) < 4.5 * Math.sqrt(p * (1 - p) / n), `exact ${p} vs MC ${mc}`);
+  assert.equal(exactSuccessMap(policy, env, maxSteps)[9][5], 0);
+
+  const { grad } = exactSuccessGrad(policy, env, [1, 1], maxSteps);
+  const numeric = numericGrad(policy, (q) => exactSuccessProb(q, env, [1, 1], maxSteps));
+  for (let i = 0; i < grad.length; i++) {
+    assert.ok(Math.abs(grad[i] - numeric[i]) < 1e-8, `component ${i}: ${grad[i]} vs ${numeric[i]}`);
+  }
+});
+
+test("exactObjectiveGrads combines per-start gradients for E[p] and E[log p]", () => {
+  const env = new GridWorld(MAZE_TRAIN, [1, 1], [9, 9]);
+  const policy = centeredPolicy(env.height, env.width, new Rng(2, "policy"));
+  const starts = [[1, 1], [9, 1]];
+  const q = [0.3, 0.7];
+  const maxSteps = 25;
+  const res = exactObjectiveGrads(policy, env, starts, q, maxSteps);
+
+  const rlValue = (pol) => starts.reduce((s, st, i) => s + q[i] * exactSuccessProb(pol, env, st, maxSteps), 0);
+  const mlValue = (pol) => starts.reduce((s, st, i) => s + q[i] * Math.log(exactSuccessProb(pol, env, st, maxSteps)), 0);
+  assert.ok(Math.abs(res.rl.value - rlValue(policy)) < 1e-12);
+  assert.ok(Math.abs(res.maxrl.value - mlValue(policy)) < 1e-12);
+  assert.deepEqual(res.perStart, starts.map((st) => exactSuccessProb(policy, env, st, maxSteps)));
+
+  const numRL = numericGrad(policy, rlValue);
+  const numML = numericGrad(policy, mlValue);
+  for (let i = 0; i < numRL.length; i++) {
+    assert.ok(Math.abs(res.rl.grad[i] - numRL[i]) < 1e-8);
+    assert.ok(Math.abs(res.maxrl.grad[i] - numML[i]) < 1e-6 * Math.max(1, Math.abs(numML[i])));
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Gradient estimators (statistical)
+// ---------------------------------------------------------------------------
+
+// REINFORCE's batch-mean baseline includes the sample itself, so its expected
+// gradient is (1 - 1/N) * grad p.
+test("reinforceUpdate is an unbiased estimate of (1 - 1/N) grad p", () => {
+  const env = new GridWorld(TINY, TINY_START, TINY_GOAL);
+  const policy = centeredPolicy(env.height, env.width, new Rng(5, "policy"));
+  const N = 8;
+  const maxSteps = 5;
+
+  const exact = exactSuccessGrad(policy, env, TINY_START, maxSteps).grad;
+  const expected = exact.map((g) => (1 - 1 / N) * g);
+
+  const rng = new Rng(1, "reinforce");
+  const { mean, se } = sampleGrads(policy, (p) =>
+    reinforceUpdate(p, env, [TINY_START], [1.0], N, 1.0, maxSteps, rng), 20000);
+
+  assert.ok(expected.some((g) => Math.abs(g) > 1e-3), "test maze should give a non-trivial gradient");
+  assertWithinSE(mean, se, expected);
+});
+
+// MaxRL's estimator (1/K) sum_{successes} score - (1/N) sum score (zero if K=0)
+// is unbiased for the truncated maximum-likelihood objective of order N-1:
+//   grad J_{N-1} = (1 - (1-p)^(N-1)) / p * grad p
+test("maxrlUpdate is an unbiased estimate of the order-(N-1) truncated log-likelihood gradient", () => {
+  const env = new GridWorld(TINY, TINY_START, TINY_GOAL);
+  const policy = centeredPolicy(env.height, env.width, new Rng(5, "policy"));
+  const N = 8;
+  const maxSteps = 5;
+
+  const { p, grad: exact } = exactSuccessGrad(policy, env, TINY_START, maxSteps);
+  const scale = (1 - Math.pow(1 - p, N - 1)) / p;
+  const expected = exact.map((g) => scale * g);
+
+  const rng = new Rng(1, "maxrl");
+  const { mean, se } = sampleGrads(policy, (q) =>
+    maxrlUpdate(q, env, [TINY_START], [1.0], N, 1.0, maxSteps, rng), 20000);
+
+  assertWithinSE(mean, se, expected);
+});
+
+test("maxrlUpdate with all N rollouts failing leaves the policy unchanged", () => {
+  const env = new GridWorld(TINY, TINY_START, TINY_GOAL);
+  const policy = centeredPolicy(env.height, env.width, new Rng(5, "policy"));
+  const copy = policy.copy();
+  // A 1-step budget cannot reach a goal 3 steps away
+  const K = maxrlUpdate(copy, env, [TINY_START], [1.0], 8, 1.0, 1, new Rng(2));
+  assert.equal(K, 0);
+  assert.deepEqual(copy.logits, policy.logits);
+});
+
+test("MaxRL only counts returns that reach the threshold; REINFORCE follows the graded return", () => {
+  // A decoy goal next to the start, reachable within the 2-action budget
+  // unlike the real one, worth less than the threshold
+  const rewards = { goals: [[[2, 1], 0.5]], stepPenalty: 0.05, threshold: 0.8 };
+  const env = new GridWorld(TINY, TINY_START, TINY_GOAL, {}, rewards);
+  const policy = centeredPolicy(env.height, env.width, new Rng(5, "policy"));
+  const maxrl = policy.copy();
+  assert.equal(maxrlUpdate(maxrl, env, [TINY_START], [1.0], 64, 1.0, 2, new Rng(3)), 0);
+  assert.deepEqual(maxrl.logits, policy.logits);
+
+  const rl = policy.copy();
+  assert.equal(reinforceUpdate(rl, env, [TINY_START], [1.0], 64, 1.0, 2, new Rng(3)), 0);
+  assert.ok(rl.getProbs(1, 1)[DOWN] > policy.getProbs(1, 1)[DOWN]);
+
+  const lenient = new GridWorld(TINY, TINY_START, TINY_GOAL, {}, { ...rewards, threshold: 0.4 });
+  assert.ok(maxrlUpdate(maxrl, lenient, [TINY_START], [1.0], 64, 1.0, 2, new Rng(3)) > 0);
+  assert.ok(maxrl.getProbs(1, 1)[DOWN] > policy.getProbs(1, 1)[DOWN]);
+});
+
+test("update stats give per-start and per-cell gradient norms without changing the update", () => {
+  const env = new GridWorld(MAZE_TRAIN, [9, 1], [9, 9]);
+  const starts = [[9, 1], [9, 7]];
+  for (const update of [reinforceUpdate, maxrlUpdate]) {
+    const a = new TabularSoftmaxPolicy(env.height, env.width);
+    const b = new TabularSoftmaxPolicy(env.height, env.width);
+    const rngA = new Rng(4, "stats");
+    const rngB = new Rng(4, "stats");
+    let seen = false;
+    for (let i = 0; i < 10; i++) {
+      const stats = {};
+      update(a, env, starts, [0.5, 0.5], 16, 0.3, 25, rngA);
+      update(b, env, starts, [0.5, 0.5], 16, 0.3, 25, rngB, stats);
+      assert.equal(stats.perStart.length, 2);
+      assert.equal(stats.perCell.length, env.height * env.width);
+      const sumSq = stats.perCell.reduce((acc, v) => acc + v * v, 0);
+      if (sumSq > 0) {
+        seen = true;
+        const total = Math.sqrt(sumSq);
+        assert.ok(total <= stats.perStart[0] + stats.perStart[1] + 1e-9, "triangle inequality");
+        // Walls are never visited
+        assert.equal(stats.perCell[0], 0);
+      } else {
+        assert.deepEqual(Array.from(stats.perStart), [0, 0]);
+      }
+    }
+    assert.ok(seen, "expected some non-zero gradients");
+    assert.deepEqual(b.logits, a.logits);
+  }
+
+  // With lr = 1 the applied step is the gradient itself
+  const tiny = new GridWorld(TINY, TINY_START, TINY_GOAL);
+  const policy = centeredPolicy(tiny.height, tiny.width, new Rng(5, "policy"));
+  const copy = policy.copy();
+  const stats = {};
+  reinforceUpdate(copy, tiny, [TINY_START], [1.0], 32, 1.0, 5, new Rng(6), stats);
+  assert.ok(stats.perStart[0] > 0);
+  const g = appliedGrad(policy, copy);
+  stats.perCell.forEach((norm, cell) => {
+    assert.ok(Math.abs(norm - Math.hypot(...g.slice(cell * 4, cell * 4 + 4))) < 1e-9);
+  });
+  assert.ok(Math.abs(stats.perStart[0] - Math.hypot(...g)) < 1e-9);
+});
+
+// Each registered estimator's expected update, as a multiple of grad p
+// (p = success probability, N rollouts); see the ESTIMATORS comment.
+for (const [alg, opts, scaleOf] of [
+  ["rloo", {}, () => 1],
+  ["passk", { k: 3 }, (p) => 3 * Math.pow(1 - p, 2)],
+  ["maxrl_t", { order: 3 }, (p) => 1 + (1 - p) + Math.pow(1 - p, 2)],
+]) {
+  test(`estimator ${alg} is unbiased for its objective`, () => {
+    const env = new GridWorld(TINY, TINY_START, TINY_GOAL);
+    const policy = centeredPolicy(env.height, env.width, new Rng(5, "policy"));
+    const N = 8;
+    const maxSteps = 5;
+
+    const { p, grad: exact } = exactSuccessGrad(policy, env, TINY_START, maxSteps);
+    const expected = exact.map((g) => scaleOf(p) * g);
+
+    const rng = new Rng(1, alg);
+    const { mean, se } = sampleGrads(policy, (q) =>
+      estimatorUpdate(alg, q, env, [TINY_START], [1.0], N, 1.0, maxSteps, rng, opts), 20000);
+
+    assertWithinSE(mean, se, expected);
+  });
+}
+
+test("estimatorUpdate matches reinforceUpdate and maxrlUpdate for rl and maxrl", () => {
+  const env = new GridWorld(MAZE_TRAIN, [9, 1], [9, 9]);
+  for (const [alg, update] of [["rl", reinforceUpdate], ["maxrl", maxrlUpdate]]) {
+    const a = new TabularSoftmaxPolicy(env.height, env.width);
+    const b = new TabularSoftmaxPolicy(env.height, env.width);
+    const rngA = new Rng(3, alg);
+    const rngB = new Rng(3, alg);
+    for (let i = 0; i < 20; i++) {
+      update(a, env, [[9, 1]], [1.0], 16, 0.3, 25, rngA);
+      estimatorUpdate(alg, b, env, [[9, 1]], [1.0], 16, 0.3, 25, rngB);
+    }
+    assert.deepEqual(b.logits, a.logits);
+  }
+});
+
+test("estimator weights: GRPO is zero-sum and skips uniform batches; MaxRL-T at T=N is 1/K", () => {
+  const rewards = Float64Array.from([1, 0, 0, 1, 0, 0, 0, 0]);
+  const grpo = ESTIMATORS.grpo.weights(rewards, 2);
+  assert.ok(Math.abs(grpo.reduce((a, b) => a + b, 0)) < 1e-12);
+  assert.ok(grpo[0] > 0 && grpo[1] < 0);
+  assert.equal(ESTIMATORS.grpo.weights(new Float64Array(8).fill(1), 8), null);
+  assert.equal(ESTIMATORS.grpo.weights(new Float64Array(8), 0), null);
+
+  const full = ESTIMATORS.maxrl_t.weights(rewards, 2, { order: 8 });
+  assert.ok(Math.abs(full[0] - 0.5) < 1e-12);
+  assert.equal(full[1], 0);
+  // Order 1 is REINFORCE without a baseline: 1/N per success
+  assert.ok(Math.abs(ESTIMATORS.maxrl_t.weights(rewards, 2, { order: 1 })[0] - 1 / 8) < 1e-12);
+});
+
+test("estimatorUpdate rejects unknown estimators", () => {
+  const env = new GridWorld(TINY, TINY_START, TINY_GOAL);
+  const policy = new TabularSoftmaxPolicy(env.height, env.width);
+  assert.throws(() => estimatorUpdate("bogus", policy, env, [TINY_START], [1.0]), /unknown estimator/);
+});
+
+// ---------------------------------------------------------------------------
+// Held-out mazes
+// ---------------------------------------------------------------------------
+
+test("blockedRouteMazes walls off each start's shortest route, keeping all starts connected", () => {
+  const starts = [[1, 1], [9, 1]];
+  const tests = blockedRouteMazes(MAZE_TRAIN, starts, [9, 9]);
+  assert.ok(tests.length >= 1);
+  for (const { grid, blocked } of tests) {
+    assert.equal(MAZE_TRAIN[blocked[0]][blocked[1]], 0);
+    assert.equal(grid[blocked[0]][blocked[1]], 1);
+    for (const s of starts) assert.ok(bfsShortestPath(grid, s, [9, 9]));
+  }
+  // The first variant cuts the first start's shortest route
+  const before = bfsShortestPath(MAZE_TRAIN, [1, 1], [9, 9]).path;
+  assert.ok(before.some(([r, c]) => r === tests[0].blocked[0] && c === tests[0].blocked[1]));
+  // A corridor with no way around has no test variant
+  assert.deepEqual(blockedRouteMazes(TINY, [[1, 1]], [2, 3]), []);
+});
+
+test("route helpers go around traps, which stay traps in the test mazes", () => {
+  const rewards = { traps: [[5, 1]], goals: [], stepPenalty: 0, threshold: 0 };
+  const walled = trapsWalled(MAZE_TRAIN, rewards);
+  assert.equal(walled[5][1], 1);
+  assert.equal(MAZE_TRAIN[5][1], 0);
+  assert.equal(trapsWalled(MAZE_TRAIN, { traps: [] }), MAZE_TRAIN);
+
+  const starts = [[1, 1], [9, 1]];
+  // The first start's route now runs along the top row
+  const route = bfsShortestPath(walled, [1, 1], [9, 9]).path;
+  const tests = blockedRouteMazes(MAZE_TRAIN, starts, [9, 9], rewards);
+  assert.ok(tests.length >= 1);
+  assert.ok(route.some(([r, c]) => r === tests[0].blocked[0] && c === tests[0].blocked[1]));
+  for (const { grid } of tests) {
+    assert.equal(grid[5][1], 0);
+    for (const s of starts) assert.ok(bfsShortestPath(trapsWalled(grid, rewards), s, [9, 9]));
+  }
+  // The mirrored goal is a trap: the nearest other cell
+  assert.deepEqual(movedGoal(MAZE_TRAIN, starts, [9, 9], { traps: [[1, 9]], goals: [] }), [1, 8]);
+});
+
+// ---------------------------------------------------------------------------
+// Maze perturbations
+// ---------------------------------------------------------------------------
+
+test("shortcutCell opens the wall that shortens the routes most; movedGoal mirrors the goal", () => {
+  // U-shaped corridor: start and goal are two cells apart through the wall at (2, 1)
+  const u = [
+    [1, 1, 1, 1, 1, 1, 1],
+    [1, 0, 0, 0, 0, 0, 1],
+    [1, 1, 1, 1, 1, 0, 1],
+    [1, 0, 0, 0, 0, 0, 1],
+    [1, 1, 1, 1, 1, 1, 1],
+  ];
+  assert.deepEqual(shortcutCell(u, [[1, 1]], [3, 1]), [2, 1]);
+  const opened = u.map((row) => [...row]);
+  opened[2][1] = 0;
+  assert.equal(bfsShortestPath(u, [1, 1], [3, 1]).distance, 10);
+  assert.equal(bfsShortestPath(opened, [1, 1], [3, 1]).distance, 2);
+  // With every start's route already shortest it still opens a wall between
+  // two passages, shortening the way to the goal from one side
+  const [r, c] = shortcutCell(MAZE_TRAIN, [[9, 1], [1, 1]], [9, 9]);
+  assert.equal(MAZE_TRAIN[r][c], 1);
+  const sides = (MAZE_TRAIN[r - 1][c] === 0 && MAZE_TRAIN[r + 1][c] === 0) ? [[r - 1, c], [r + 1, c]] : [[r, c - 1], [r, c + 1]];
+  assert.ok(sides.every(([sr, sc]) => MAZE_TRAIN[sr][sc] === 0));
+  const shortcut = MAZE_TRAIN.map((row) => [...row]);
+  shortcut[r][c] = 0;
+  assert.ok(sides.some((side) => bfsShortestPath(shortcut, side, [9, 9]).distance < bfsShortestPath(MAZE_TRAIN, side, [9, 9]).distance));
+  // No inner wall at all
+  assert.equal(shortcutCell([[1, 1, 1, 1], [1, 0, 0, 1], [1, 0, 0, 1], [1, 1, 1, 1]], [[1, 1]], [2, 2]), null);
+  // The only inner wall between passages closes off a dead-end pocket
+  const pocket = [
+    [1, 1, 1, 1, 1, 1, 1],
+    [1, 0, 0, 0, 0, 0, 1],
+    [1, 1, 1, 1, 1, 1, 1],
+    [1, 1, 1, 0, 1, 1, 1],
+    [1, 1, 1, 1, 1, 1, 1],
+  ];
+  assert.equal(shortcutCell(pocket, [[1, 1]], [1, 5]), null);
+
+  assert.deepEqual(movedGoal(MAZE_TRAIN, [[9, 1], [1, 1]], [9, 9]), [1, 9]);
+  // The mirrored cell is a start: the nearest other open cell, first in row-major order
+  assert.deepEqual(movedGoal(MAZE_TRAIN, [[1, 9]], [9, 9]), [1, 8]);
+});
@@ -0,0 +1,91 @@
+// mazefile.test.js -- tests for the maze file format (node --test)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  MazeFormatError,
+  formatMazeAscii,
+  formatMazeJson,
+  parseMaze,
+  parseMazeAscii,
+} from "../mazefile.js";
+import { DEFAULT_LAYOUT } from "../trainer.js";
+
+const ASCII = `
+#######
+#H..#G#
+#.#.#.#
+#S#..S#
+#######
+`;
+
+test("parseMazeAscii reads walls, the hard start first, easy starts in row-major order", () => {
+  const layout = parseMazeAscii(ASCII);
+  assert.equal(layout.grid.length, 5);
+  assert.deepEqual(layout.grid[1], [1, 0, 0, 0, 1, 0, 1]);
+  assert.deepEqual(layout.starts, [[1, 1], [3, 1], [3, 5]]);
+  assert.deepEqual(layout.weights, [1, 1, 1]);
+  assert.deepEqual(layout.goal, [1, 5]);
+  assert.equal(formatMazeAscii(layout), ASCII.trimStart());
+});
+
+test("JSON form round-trips, weights included", () => {
+  const layout = { ...DEFAULT_LAYOUT, weights: [1, 2.5] };
+  const text = formatMazeJson(layout);
+  assert.deepEqual(parseMaze(text), layout);
+  assert.deepEqual(parseMaze(formatMazeAscii(layout)), { ...layout, weights: [1, 1] });
+});
+
+test("JSON dynamics round-trip and are filled in with the calm defaults", () => {
+  const layout = { ...DEFAULT_LAYOUT, weights: [1, 1], dynamics: { slip: 0.2, wind: null, portals: [[[1, 5], [9, 5]]] } };
+  assert.deepEqual(parseMaze(formatMazeJson(layout)), layout);
+  const slippery = parseMaze(JSON.stringify({ grid: DEFAULT_LAYOUT.grid, dynamics: { slip: 0.5 } }));
+  assert.deepEqual(slippery.dynamics, { slip: 0.5, wind: null, portals: [] });
+  assert.equal(parseMaze(formatMazeJson({ ...layout, dynamics: { slip: 0, wind: null, portals: [] } })).dynamics, undefined);
+});
+
+test("JSON rewards round-trip; starts may not sit on a trap or goal", () => {
+  const rewards = { traps: [[1, 5]], goals: [[[5, 3], 0.5]], stepPenalty: 0.01, threshold: 0.5 };
+  const layout = { ...DEFAULT_LAYOUT, weights: [1, 1], rewards };
+  assert.deepEqual(parseMaze(formatMazeJson(layout)), layout);
+  const text = JSON.stringify({ grid: DEFAULT_LAYOUT.grid, rewards: { stepPenalty: 0.02 } });
+  assert.deepEqual(parseMaze(text).rewards, { traps: [], goals: [], stepPenalty: 0.02, threshold: 0 });
+  assert.throws(() => parseMaze(JSON.stringify({ ...layout, rewards: { traps: [[9, 1]] } })), /starts\[1\]: \[9,1\] is a trap or goal/);
+});
+
+test("JSON starts, weights and goal are optional", () => {
+  const layout = parseMaze(JSON.stringify({ grid: DEFAULT_LAYOUT.grid }));
+  assert.deepEqual(layout.starts, [[1, 1], [9, 1]]);
+  assert.deepEqual(layout.weights, [1, 1]);
+  assert.deepEqual(layout.goal, [9, 9]);
+});
+
+test("malformed mazes raise MazeFormatError with the problem", () => {
+  const cases = [
+    ["", /empty maze/],
+    ["#####\n#H.x#\n#####", /line 2, column 4: unexpected "x"/],
+    ["#####\n#HSG#\n####", /line 3: expected 5 cells, got 4/],
+    ["#####\n#HHG#\n#S..#\n#####", /more than one hard start/],
+    ["#####\n#S.G#\n#...#\n#####", /no hard start/],
+    ["#####\n#H.G#\n#...#\n#####", /no easy start/],
+    ["#####\n#HS.#\n#...#\n#####", /no goal/],
+    ["{ nope", /invalid JSON/],
+    [JSON.stringify({ grid: [[0, 2, 0], [0, 0, 0], [0, 0, 0]] }), /grid\[0\]\[1\]: expected 0 or 1/],
+    [JSON.stringify({ ...DEFAULT_LAYOUT, starts: [[1, 1], [0, 0]] }), /starts\[1\]: \[0,0\] is a wall/],
+    [JSON.stringify({ ...DEFAULT_LAYOUT, starts: [[1, 1], [9, 9]] }), /already taken/],
+    [JSON.stringify({ ...DEFAULT_LAYOUT, goal: [20, 1] }), /outside the grid/],
+    [JSON.stringify({ ...DEFAULT_LAYOUT, weights: [1] }), /weights: expected 2/],
+    [JSON.stringify({ ...DEFAULT_LAYOUT, dynamics: 0.1 }), /dynamics: expected an object/],
+    [JSON.stringify({ ...DEFAULT_LAYOUT, rewards: [] }), /rewards: expected an object/],
+    [JSON.stringify({ ...DEFAULT_LAYOUT, rewards: { goals: [[[9, 9], 2]] } }), /rewards: goal 1: \[9,9\] is already a goal or trap/],
+    [JSON.stringify({ ...DEFAULT_LAYOUT, dynamics: { portals: [[[1, 1], [0, 0]]] } }), /dynamics: portal 1: \[0,0\] is a wall/],
+    [JSON.stringify({ ...DEFAULT_LAYOUT, dynamics: { portals: 5 } }), /dynamics: portals: expected a list/],
+    [JSON.stringify({ ...DEFAULT_LAYOUT, dynamics: { portals: [[[1, 1], 5]] } }), /dynamics: portal 1: expected \[row, col\]/],
+    [JSON.stringify({ ...DEFAULT_LAYOUT, dynamics: { portals: [[[1.5, 1], [1, 2]]] } }), /dynamics: portal 1: expected \[row, col\]/],
+    [JSON.stringify({ ...DEFAULT_LAYOUT, dynamics: { portals: [[[1, 1], [1, 2, 3]]] } }), /dynamics: portal 1: expected \[row, col\]/],
+  ];
+  for (const [text, message] of cases) {
+    assert.throws(() => parseMaze(text), (err) => err instanceof MazeFormatError && message.test(err.message), text);
+  }
+});
@@ -0,0 +1,78 @@
+// renderer.test.js -- tests for renderer.js layout, style and inspection helpers (node --test)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  CELL,
+  PANEL_EXTRA_H,
+  algStyle,
+  cellActions,
+  gridCellAt,
+  panelLayout,
+  runStyle,
+} from "../renderer.js";
+import { GridWorld, MAZE_TRAIN, RIGHT, TabularSoftmaxPolicy } from "../engine.js";
+
+test("panelLayout keeps one row of full-size 11x11 panels for up to three runs", () => {
+  for (const n of [1, 2, 3]) {
+    const layout = panelLayout(n, 11, 11, 1400, 478);
+    assert.equal(layout.cols, n);
+    assert.equal(layout.rows, 1);
+    assert.equal(layout.cell, CELL);
+    assert.equal(layout.panelH, PANEL_EXTRA_H + 11 * CELL);
+  }
+});
+
+test("panelLayout picks the column count with the largest cells that fit", () => {
+  for (const n of [4, 5, 6, 7, 8]) {
+    const layout = panelLayout(n, 11, 11, 1400, 478);
+    assert.ok(layout.cols * layout.rows >= n);
+    assert.ok(layout.cell * 11 <= layout.panelW);
+    assert.ok(layout.rows * layout.panelH <= 478);
+    for (let cols = 1; cols <= n; cols++) {
+      const rows = Math.ceil(n / cols);
+      const fits = (c) => c * 11 + 24 <= 1400 / cols && rows * (PANEL_EXTRA_H + c * 11) <= 478;
+      assert.ok(!fits(layout.cell + 1), `n=${n}: ${cols} columns would fit larger cells`);
+    }
+  }
+  assert.deepEqual(
+    { ...panelLayout(8, 11, 11, 1400, 478), panelW: 0 },
+    { cols: 4, rows: 2, cell: 14, panelW: 0, panelH: PANEL_EXTRA_H + 154 },
+  );
+});
+
+test("runStyle names overrides and shades repeated algorithms", () => {
+  const base = algStyle("maxrl");
+  assert.deepEqual(runStyle({ id: "maxrl", alg: "maxrl", params: {}, seed: null }), base);
+
+  const second = runStyle({ id: "maxrl#2", alg: "maxrl", params: { lr: 0.1 }, seed: 4 });
+  assert.equal(second.title, "MaxRL (lr=0.1, seed=4)");
+  assert.equal(second.short, "MaxRL lr=0.1 seed=4");
+  assert.notEqual(second.color, base.color);
+
+  const passk = runStyle({ id: "passk#2", alg: "passk", params: { k: 2 }, seed: null }, { k: 2 });
+  assert.equal(passk.title, "pass@k (k=2) #2");
+  const tuned = runStyle({ id: "passk", alg: "passk", params: { k: 2, N: 8 }, seed: null }, { k: 2 });
+  assert.equal(tuned.title, "pass@k (k=2, N=8)");
+});
+
+test("cellActions reports each action's probability and raw logit", () => {
+  const env = new GridWorld(MAZE_TRAIN, [1, 1], [9, 9]);
+  const policy = new TabularSoftmaxPolicy(env.height, env.width);
+  policy.logits[policy._idx(1, 1, RIGHT)] = Math.log(5);
+  const acts = cellActions(policy.logits, env, 1, 1);
+  assert.deepEqual(acts.map((a) => a.name), ["up", "down", "left", "right"]);
+  assert.ok(Math.abs(acts[RIGHT].prob - 5 / 8) < 1e-12);
+  assert.ok(Math.abs(acts[0].prob - 1 / 8) < 1e-12);
+  assert.equal(acts[RIGHT].logit, Math.log(5));
+  assert.equal(acts[0].logit, 0);
+});
+
+test("gridCellAt maps canvas points to cells and rejects points outside the grid", () => {
+  const env = new GridWorld(MAZE_TRAIN, [1, 1], [9, 9]);
+  assert.deepEqual(gridCellAt(100 + 2.5 * 20, 40 + 0.1 * 20, 100, 40, env, 20), [0, 2]);
+  assert.deepEqual(gridCellAt(100 + 10.9 * 20, 40 + 10.9 * 20, 100, 40, env, 20), [10, 10]);
+  assert.equal(gridCellAt(99, 50, 100, 40, env, 20), null);
+  assert.equal(gridCellAt(150, 40 + 11 * 20, 100, 40, env, 20), null);
+});
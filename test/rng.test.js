@@ -0,0 +1,48 @@
+// rng.test.js -- tests for the seedable PRNG (node --test)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Rng } from "../rng.js";
+
+function draw(rng, n) {
+  return Array.from({ length: n }, () => rng.random());
+}
+
+test("same seed and stream give the same sequence", () => {
+  assert.deepEqual(draw(new Rng(7, "train"), 50), draw(new Rng(7, "train"), 50));
+});
+
+test("different seeds or streams give different sequences", () => {
+  const base = draw(new Rng(7, "train"), 20);
+  assert.notDeepEqual(draw(new Rng(8, "train"), 20), base);
+  assert.notDeepEqual(draw(new Rng(7, "eval"), 20), base);
+});
+
+test("random() is in [0, 1) and roughly uniform", () => {
+  const xs = draw(new Rng(1), 20000);
+  assert.ok(xs.every((x) => x >= 0 && x < 1));
+  const mean = xs.reduce((a, b) => a + b, 0) / xs.length;
+  assert.ok(Math.abs(mean - 0.5) < 0.01);
+  const buckets = new Array(10).fill(0);
+  for (const x of xs) buckets[Math.floor(x * 10)]++;
+  for (const b of buckets) assert.ok(Math.abs(b - 2000) < 200);
+});
+
+test("int(n) stays in range", () => {
+  const rng = new Rng(3);
+  for (let i = 0; i < 1000; i++) {
+    const k = rng.int(5);
+    assert.ok(Number.isInteger(k) && k >= 0 && k < 5);
+  }
+});
+
+test("getState / setState resume the sequence exactly", () => {
+  const rng = new Rng(9, "x");
+  draw(rng, 13);
+  const state = rng.getState();
+  const expected = draw(rng, 10);
+  const other = new Rng(0);
+  other.setState(state);
+  assert.deepEqual(draw(other, 10), expected);
+});
@@ -0,0 +1,127 @@
+// svgcanvas.test.js -- tests for the SVG drawing context (node --test)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { SvgContext } from "../svgcanvas.js";
+import { Renderer } from "../renderer.js";
+import {
+  DEFAULTS,
+  DEFAULT_LAYOUT,
+  DEFAULT_TEST_MAZES,
+  TrainingSession,
+  aggregateHistories,
+  replicaConfig,
+} from "../trainer.js";
+
+test("strokes and fills record the drawing state at the time", () => {
+  const svg = new SvgContext(100, 50);
+  svg.strokeStyle = "#ff0000";
+  svg.lineWidth = 3;
+  svg.save();
+  svg.setLineDash([4, 6]);
+  svg.lineCap = "round";
+  svg.beginPath();
+  svg.moveTo(0, 0);
+  svg.lineTo(10, 5.125);
+  svg.stroke();
+  svg.restore();
+  svg.stroke();
+  svg.fillStyle = "blue";
+  svg.fill();
+
+  const [first, second, third] = svg.toSVG().split("\n").slice(1, 4);
+  assert.equal(first, '<path d="M0 0L10 5.13" fill="none" stroke="#ff0000" stroke-width="3" stroke-linecap="round" stroke-dasharray="4 6"/>');
+  assert.equal(second, '<path d="M0 0L10 5.13" fill="none" stroke="#ff0000" stroke-width="3"/>');
+  assert.equal(third, '<path d="M0 0L10 5.13" fill="blue"/>');
+  assert.deepEqual(svg.getLineDash(), []);
+});
+
+test("arcTo rounds a corner with a quarter circle between the tangent points", () => {
+  const svg = new SvgContext(20, 20);
+  svg.beginPath();
+  svg.moveTo(0, 0);
+  svg.arcTo(10, 0, 10, 10, 4);
+  svg.fill();
+  assert.match(svg.toSVG(), /d="M0 0L6 0A4 4 0 0 1 10 4"/);
+});
+
+test("text is escaped and aligned with text-anchor", () => {
+  const svg = new SvgContext(20, 20);
+  svg.font = "11px Arial";
+  svg.textAlign = "right";
+  svg.fillText("p<1 & \"q\"", 5, 6);
+  assert.match(svg.toSVG(), /<text x="5" y="6" fill="#000" style="font: 11px Arial" text-anchor="end">p&lt;1 &amp; &quot;q&quot;<\/text>/);
+  assert.equal(svg.measureText("abcd").width, 4 * 11 * 0.55);
+});
+
+const CONFIG = {
+  grid: DEFAULT_LAYOUT.grid,
+  starts: DEFAULT_LAYOUT.starts,
+  goal: DEFAULT_LAYOUT.goal,
+  startProbs: [0.5, 0.5],
+  multiStart: true,
+  params: { ...DEFAULTS.multi, N: 4, nEval: 4, evalInterval: 2 },
+};
+
+test("charts draw into an SvgContext", () => {
+  const session = new TrainingSession(CONFIG);
+  for (let i = 0; i < 6; i++) session.trainStep();
+  const svg = new SvgContext(600, 200);
+  new Renderer().drawChartMultistart(svg, session.history, 3, { x: 0, y: 0, w: 600, h: 200 });
+  const text = svg.toSVG();
+  assert.match(text, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" width="600" height="200"/);
+  assert.match(text, />MaxRL easy start<\/text>/);
+  assert.match(text, />Training step 6<\/text>/);
+  assert.ok(text.trimEnd().endsWith("</svg>"));
+});
+
+test("confidence bands are shaded under the mean curves", () => {
+  const sessions = [0, 1, 2].map((j) => new TrainingSession(replicaConfig(CONFIG, j)));
+  for (const session of sessions) for (let i = 0; i < 6; i++) session.trainStep();
+  const { mean, lo, hi } = aggregateHistories(sessions.map((s) => s.history));
+  const svg = new SvgContext(600, 200);
+  new Renderer().drawChartMultistart(svg, mean, 3, { x: 0, y: 0, w: 600, h: 200 }, null, false, { lo, hi, seeds: 3 });
+  const text = svg.toSVG();
+  // One band per run and start
+  assert.equal(text.match(/<path d="[^"]*Z" fill="#[0-9a-f]{6}" opacity="0.16"\/>/g).length, 4);
+  assert.match(text, />Training step 6  \|  mean of 3 seeds, 95% band<\/text>/);
+});
+
+test("held-out runs add dotted test and dash-dotted train curves", () => {
+  const session = new TrainingSession({ ...CONFIG, testMazes: DEFAULT_TEST_MAZES });
+  for (let i = 0; i < 6; i++) session.trainStep();
+  const svg = new SvgContext(600, 200);
+  new Renderer().drawChartMultistart(svg, session.history, 3, { x: 0, y: 0, w: 600, h: 200 });
+  const text = svg.toSVG();
+  assert.match(text, />MaxRL held-out<\/text>/);
+  assert.match(text, />RL train<\/text>/);
+  // Curve and legend swatch per run
+  assert.equal(text.match(/stroke-dasharray="1 7"/g).length, 2);
+  assert.equal(text.match(/stroke-dasharray="0.75 5.25"/g).length, 2);
+});
+
+test("perturbation events are marked by labelled vertical lines", () => {
+  const events = [{ step: 4, type: "block", cells: [[9, 5]] }, { step: 40, type: "goal", goal: [1, 9] }];
+  const session = new TrainingSession({ ...CONFIG, events });
+  for (let i = 0; i < 6; i++) session.trainStep();
+  const svg = new SvgContext(600, 200);
+  new Renderer().drawChartMultistart(svg, session.history, 3, { x: 0, y: 0, w: 600, h: 200 }, null, false, null, events);
+  const text = svg.toSVG();
+  // Only events up to the last plotted step; step 4 is eval point 2 of 3
+  assert.match(text, />blocked \(9, 5\)<\/text>/);
+  assert.doesNotMatch(text, /goal \u2192/);
+  assert.match(text, /<path d="M403 26L403 164" fill="none" stroke="#c8c8dc" stroke-width="1.5" opacity="0.7"/);
+});
+
+test("curriculum schedules add each run's hard-start share", () => {
+  const session = new TrainingSession({ ...CONFIG, schedule: { type: "linear", params: { steps: 4 } } });
+  for (let i = 0; i < 6; i++) session.trainStep();
+  const svg = new SvgContext(600, 200);
+  new Renderer().drawChartMultistart(svg, session.history, 3, { x: 0, y: 0, w: 600, h: 200 });
+  const text = svg.toSVG();
+  assert.match(text, />MaxRL hard share<\/text>/);
+  // Curve and legend swatch per run
+  assert.equal(text.match(/stroke-dasharray="6 3 1 3 1 3"/g).length, 2);
+  assert.equal(text.match(/stroke-dasharray="4.5 2.25 0.75 2.25 0.75 2.25"/g).length, 2);
+});
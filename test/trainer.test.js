@@ -0,0 +1,543 @@
+// trainer.test.js -- tests for trainer.js hyperparameter handling (node --test)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { MAZE_TEST } from "../engine.js";
+import {
+  DEFAULTS,
+  aggregateHistories,
+  meanCI,
+  replicaConfig,
+  seedSummary,
+  DEFAULT_LAYOUT,
+  DEFAULT_TEST_MAZES,
+  TrainingSession,
+  heldOutMazes,
+  applyEvent,
+  eventLabel,
+  eventsError,
+  mazeAt,
+  presetEvent,
+  scheduleOptions,
+  scheduledStartProbs,
+  scheduledStarts,
+  addSnapshot,
+  emptySnapshots,
+  gradShareSeries,
+  historyCSV,
+  historyMetrics,
+  historyRows,
+  normalizeRuns,
+  paramsFor,
+  runParamsFor,
+  validateParams,
+} from "../trainer.js";
+
+test("paramsFor applies per-algorithm overrides except for shared params", () => {
+  const params = { ...DEFAULTS.multi, maxrl: { lr: 0.5, evalInterval: 3 } };
+  assert.deepEqual(paramsFor(params, "rl"), DEFAULTS.multi);
+  assert.deepEqual(paramsFor(params, "maxrl"), { ...DEFAULTS.multi, lr: 0.5 });
+});
+
+test("validateParams reports bad shared values and overrides", () => {
+  assert.deepEqual(validateParams(DEFAULTS.single), []);
+  const errors = validateParams({
+    ...DEFAULTS.single,
+    N: 2.5,
+    rl: { lr: -1, evalInterval: 3 },
+    maxrl: { bogus: 1 },
+  });
+  assert.equal(errors.length, 4);
+  assert.match(errors[0], /^N: expected an integer/);
+  assert.match(errors[1], /^rl\.lr: expected a number/);
+  assert.match(errors[2], /^rl\.evalInterval: shared/);
+  assert.match(errors[3], /^maxrl\.bogus: unknown parameter/);
+});
+
+test("session trains and evaluates each algorithm with its own params", () => {
+  const session = new TrainingSession({
+    grid: DEFAULT_LAYOUT.grid,
+    starts: [DEFAULT_LAYOUT.starts[1]],
+    goal: DEFAULT_LAYOUT.goal,
+    startProbs: [1],
+    multiStart: false,
+    params: { ...DEFAULTS.single, nEval: 8, maxrl: { N: 4, lr: 0 } },
+  });
+  for (let i = 0; i < DEFAULTS.single.evalInterval; i++) session.trainStep();
+  assert.equal(session.metrics.rl.K, DEFAULTS.single.N);
+  assert.equal(session.metrics.maxrl.K, 4);
+  // lr = 0 leaves the MaxRL policy untouched
+  assert.ok(session.policies.maxrl.logits.every((x) => x === 0));
+  assert.ok(session.policies.rl.logits.some((x) => x !== 0));
+});
+
+test("normalizeRuns numbers repeated algorithms and rejects bad runs", () => {
+  const runs = normalizeRuns([{ alg: "maxrl" }, { alg: "rl", seed: 2 }, { alg: "maxrl", params: { lr: 1 } }]);
+  assert.deepEqual(runs.map((r) => r.id), ["maxrl", "rl", "maxrl#2"]);
+  assert.equal(runs[0].seed, null);
+  assert.equal(runs[1].seed, 2);
+  assert.throws(() => normalizeRuns([{ alg: "bogus" }]), /unknown algorithm/);
+  assert.throws(() => normalizeRuns([{ alg: "rl", id: "a" }, { alg: "maxrl", id: "a" }]), /duplicate run id/);
+});
+
+test("runParamsFor layers run overrides over per-algorithm values", () => {
+  const params = { ...DEFAULTS.multi, maxrl: { lr: 0.5 } };
+  const run = { alg: "maxrl", params: { N: 8, evalInterval: 3 } };
+  assert.deepEqual(runParamsFor(params, run), { ...DEFAULTS.multi, lr: 0.5, N: 8 });
+  const errors = validateParams(params, [{ id: "maxrl#2", ...run }, { id: "rl", alg: "rl", seed: -1 }]);
+  assert.deepEqual(errors.map((e) => e.split(":")[0]), ["maxrl#2.evalInterval", "rl.seed"]);
+});
+
+test("runs of one algorithm train independently under their own settings", () => {
+  const session = new TrainingSession({
+    grid: DEFAULT_LAYOUT.grid,
+    starts: [DEFAULT_LAYOUT.starts[1]],
+    goal: DEFAULT_LAYOUT.goal,
+    startProbs: [1],
+    multiStart: false,
+    params: { ...DEFAULTS.single, N: 4, nEval: 8 },
+    runs: [{ alg: "maxrl" }, { alg: "maxrl", params: { lr: 0 } }, { alg: "maxrl", seed: 9 }],
+  });
+  assert.deepEqual(Object.keys(session.history), ["maxrl", "maxrl#2", "maxrl#3"]);
+  session.trainStep();
+  const [a, b, c] = session.runIds.map((id) => session.policies[id].logits);
+  assert.ok(b.every((x) => x === 0));
+  assert.notDeepEqual(a, c);
+});
+
+test("single-start history records entropy, unique paths and K", () => {
+  const session = new TrainingSession({
+    grid: DEFAULT_LAYOUT.grid,
+    starts: [DEFAULT_LAYOUT.starts[1]],
+    goal: DEFAULT_LAYOUT.goal,
+    startProbs: [1],
+    multiStart: false,
+    params: { ...DEFAULTS.single, nEval: 16, evalInterval: 2 },
+  });
+  for (let i = 0; i < 4; i++) session.trainStep();
+  const h = session.history.maxrl;
+  assert.deepEqual(h.steps, [0, 2, 4]);
+  assert.equal(h.entropy.length, 3);
+  // The untrained policy is uniform
+  assert.ok(Math.abs(h.entropy[0] - Math.log(4)) < 1e-12);
+  assert.ok(h.entropy.every((e) => e > 0 && e <= Math.log(4) + 1e-12));
+  assert.ok(h.unique_paths.every((u) => Number.isInteger(u) && u <= 16));
+  assert.deepEqual(h.K, [16, 16, 16]);
+
+  session.exactEval = true;
+  session.evaluate();
+  assert.ok(session.metrics.maxrl.entropy > 0);
+});
+
+test("fromCheckpoint continues a session as if it had never stopped", () => {
+  const config = {
+    grid: DEFAULT_LAYOUT.grid,
+    starts: DEFAULT_LAYOUT.starts,
+    goal: DEFAULT_LAYOUT.goal,
+    startProbs: [0.3, 0.7],
+    multiStart: true,
+    params: { ...DEFAULTS.multi, N: 4, nEval: 8, evalInterval: 3 },
+    runs: [{ alg: "rl" }, { alg: "maxrl", params: { lr: 0.5 }, seed: 7 }],
+  };
+  const a = new TrainingSession(config);
+  for (let i = 0; i < 7; i++) a.trainStep();
+  const b = TrainingSession.fromCheckpoint(JSON.parse(JSON.stringify(a.checkpoint())));
+  assert.equal(b.step, 7);
+  for (let i = 0; i < 8; i++) {
+    a.trainStep();
+    b.trainStep();
+  }
+  assert.deepEqual(b.history, a.history);
+  assert.deepEqual(b.metrics, a.metrics);
+  assert.deepEqual(b.policies["maxrl"].logits, a.policies["maxrl"].logits);
+
+  const cp = a.checkpoint();
+  assert.throws(() => TrainingSession.fromCheckpoint({ ...cp, logits: { rl: [] } }), /logits for run "rl"/);
+  assert.throws(() => TrainingSession.fromCheckpoint({ ...cp, rngs: { eval: cp.rngs.eval } }), /random stream "rl"/);
+});
+
+test("addSnapshot doubles the stride to stay within the limit", () => {
+  const snaps = emptySnapshots();
+  for (let idx = 0; idx < 9; idx++) addSnapshot(snaps, { idx, step: idx * 5, logits: {} }, 4);
+  assert.equal(snaps.stride, 4);
+  assert.deepEqual(snaps.items.map((s) => s.idx), [0, 4, 8]);
+});
+
+test("sessions snapshot the policies at eval points; historyMetrics reads them back", () => {
+  const session = new TrainingSession({
+    grid: DEFAULT_LAYOUT.grid,
+    starts: [DEFAULT_LAYOUT.starts[1]],
+    goal: DEFAULT_LAYOUT.goal,
+    startProbs: [1],
+    multiStart: false,
+    params: { ...DEFAULTS.single, N: 4, nEval: 8, evalInterval: 2 },
+  });
+  const before = session.policies.rl.logits.slice();
+  for (let i = 0; i < 4; i++) session.trainStep();
+  const { items } = session.snapshots;
+  assert.deepEqual(items.map((s) => [s.idx, s.step]), [[0, 0], [1, 2], [2, 4]]);
+  assert.deepEqual(items[0].logits.rl, before);
+  assert.deepEqual(items[2].logits.maxrl, session.policies.maxrl.logits);
+  assert.deepEqual(historyMetrics(session.history.maxrl, 2), session.metrics.maxrl);
+});
+
+test("multi-start sessions record per-start gradient norms and per-cell |grad|", () => {
+  const session = new TrainingSession({
+    grid: DEFAULT_LAYOUT.grid,
+    starts: DEFAULT_LAYOUT.starts,
+    goal: DEFAULT_LAYOUT.goal,
+    startProbs: [0.5, 0.5],
+    multiStart: true,
+    params: { ...DEFAULTS.multi, N: 8, nEval: 8, evalInterval: 3 },
+  });
+  for (let i = 0; i < 6; i++) session.trainStep();
+  const h = session.history.maxrl;
+  assert.equal(h.per_start_grad.length, 2);
+  assert.deepEqual(h.per_start_grad.map((s) => s.length), [3, 3]);
+  // Nothing has been trained at step 0
+  assert.deepEqual(h.per_start_grad.map((s) => s[0]), [0, 0]);
+  assert.ok(h.per_start_grad.every((s) => s.every((v) => v >= 0)));
+  // pass@k (and its K) is a single-start series
+  assert.equal(h.K, undefined);
+  assert.equal(session.grad.maxrl.length, DEFAULT_LAYOUT.grid.length * DEFAULT_LAYOUT.grid[0].length);
+  assert.deepEqual(session.snapshots.items.at(-1).grad.maxrl, session.grad.maxrl);
+
+  const share = gradShareSeries(h);
+  for (let t = 1; t < 3; t++) {
+    const total = share[0][t] + share[1][t];
+    assert.ok(total === 0 || Math.abs(total - 1) < 1e-12);
+  }
+  assert.deepEqual(gradShareSeries({ per_start_grad: [[0, 2], [0, 6]] }), [[0, 0.25], [0, 0.75]]);
+
+  const { columns } = historyRows(session.history);
+  assert.ok(columns.includes("start_1_grad"));
+});
+
+test("historyCSV writes one row per seed, run and eval point", () => {
+  const history = {
+    rl: { steps: [0, 10], pass_at_1: [0.25, 0.5], K: [16, 16] },
+    maxrl: { steps: [0, 10], pass_at_1: [0.25, 0.75], K: [16, 16] },
+  };
+  assert.equal(
+    historyCSV([{ seed: 1, history }, { seed: 2, history: { rl: history.rl } }]),
+    [
+      "seed,algorithm,step,pass_at_1,K",
+      "1,rl,0,0.25,16",
+      "1,rl,10,0.5,16",
+      "1,maxrl,0,0.25,16",
+      "1,maxrl,10,0.75,16",
+      "2,rl,0,0.25,16",
+      "2,rl,10,0.5,16",
+      "",
+    ].join("\n"),
+  );
+});
+
+test("meanCI uses Student t quantiles", () => {
+  assert.deepEqual(meanCI([0.5]), { mean: 0.5, lo: 0.5, hi: 0.5 });
+  const { mean, lo, hi } = meanCI([1, 2, 3]);
+  assert.equal(mean, 2);
+  // sd 1, n 3: half-width t(2) / sqrt(3)
+  assert.ok(Math.abs(hi - mean - 4.303 / Math.sqrt(3)) < 1e-12);
+  assert.ok(Math.abs(mean - lo - 4.303 / Math.sqrt(3)) < 1e-12);
+});
+
+test("replicaConfig shifts the session seed and the runs' own seeds", () => {
+  const config = { seed: 5, runs: [{ alg: "rl" }, { alg: "maxrl", seed: 9 }] };
+  assert.equal(replicaConfig(config, 0).seed, 5);
+  assert.deepEqual(replicaConfig(config, 2), { seed: 7, runs: [{ alg: "rl", seed: null }, { alg: "maxrl", seed: 11 }] });
+  assert.equal(replicaConfig({}, 1).seed, 2);
+});
+
+test("aggregateHistories averages every series over seeds; seedSummary compares against rl", () => {
+  const seeds = [
+    { rl: { steps: [0, 10, 20], per_start_p1: [[0, 0.1, 0.2], [0, 0.5, 0.9]] }, maxrl: { steps: [0, 10, 20], per_start_p1: [[0, 0.3, 0.6], [0, 0.5, 0.8]] } },
+    { rl: { steps: [0, 10], per_start_p1: [[0, 0.3], [0, 0.7]] }, maxrl: { steps: [0, 10], per_start_p1: [[0, 0.1], [0, 0.5]] } },
+  ];
+  const { mean, lo, hi } = aggregateHistories(seeds);
+  assert.deepEqual(mean.rl.steps, [0, 10]);
+  assert.ok(Math.abs(mean.rl.per_start_p1[0][1] - 0.2) < 1e-12);
+  assert.ok(Math.abs(mean.maxrl.per_start_p1[1][1] - 0.5) < 1e-12);
+  // Identical values: no spread
+  assert.equal(lo.maxrl.per_start_p1[1][1], hi.maxrl.per_start_p1[1][1]);
+  assert.ok(lo.rl.per_start_p1[0][1] < 0.2 && hi.rl.per_start_p1[0][1] > 0.2);
+
+  const summary = seedSummary(seeds);
+  assert.equal(summary.step, 10);
+  assert.equal(summary.seeds, 2);
+  const [rl, maxrl] = summary.rows;
+  assert.equal(rl.id, "rl");
+  assert.equal(rl.wins, null);
+  assert.ok(Math.abs(maxrl.mean - 0.2) < 1e-12);
+  assert.deepEqual([maxrl.wins, maxrl.ties], [1, 0]);
+  assert.deepEqual(seedSummary(seeds, 0).rows.map((r) => r.ties), [null, 2]);
+});
+
+test("heldOutMazes: the default maze's blocked corridors, else a blocked route per start", () => {
+  const { grid, starts, goal } = DEFAULT_LAYOUT;
+  assert.deepEqual(heldOutMazes(grid, starts, goal), DEFAULT_TEST_MAZES);
+  // A start inside the blocked left corridor rules that test maze out
+  assert.deepEqual(heldOutMazes(grid, [[5, 1], [9, 1]], goal).map((t) => t.name), ["right corridor blocked"]);
+
+  // Elsewhere each start's shortest route gets a wall, keeping every start connected
+  const other = grid.map((row) => [...row]);
+  other[5][3] = 1;
+  const tests = heldOutMazes(other, starts, goal);
+  assert.ok(tests.length >= 1);
+  for (const t of tests) {
+    const changed = t.grid.flat().filter((v, k) => v !== other.flat()[k]);
+    assert.deepEqual(changed, [1]);
+  }
+});
+
+test("held-out mazes add test and train pass@1 without changing the training curves", () => {
+  const config = {
+    grid: DEFAULT_LAYOUT.grid,
+    starts: DEFAULT_LAYOUT.starts,
+    goal: DEFAULT_LAYOUT.goal,
+    startProbs: [0.5, 0.5],
+    multiStart: true,
+    params: { ...DEFAULTS.multi, N: 8, nEval: 8, evalInterval: 4 },
+  };
+  const plain = new TrainingSession(config);
+  const held = new TrainingSession({ ...config, testMazes: DEFAULT_TEST_MAZES });
+  for (let i = 0; i < 12; i++) {
+    plain.trainStep();
+    held.trainStep();
+  }
+  const h = held.history.maxrl;
+  assert.deepEqual(h.per_start_p1, plain.history.maxrl.per_start_p1);
+  assert.equal(h.per_test_p1.length, 2);
+  assert.equal(h.test_p1.length, h.steps.length);
+  h.test_p1.forEach((v, t) => assert.ok(Math.abs(v - (h.per_test_p1[0][t] + h.per_test_p1[1][t]) / 2) < 1e-12));
+  h.train_p1.forEach((v, t) => assert.ok(Math.abs(v - (h.per_start_p1[0][t] + h.per_start_p1[1][t]) / 2) < 1e-12));
+  assert.equal(plain.history.maxrl.test_p1, undefined);
+
+  const { columns } = historyRows(held.history);
+  for (const col of ["test_0_p1", "test_1_p1", "test_p1", "train_p1"]) assert.ok(columns.includes(col), col);
+  assert.deepEqual(historyMetrics(h, 1).per_test_p1, [h.per_test_p1[0][1], h.per_test_p1[1][1]]);
+
+  // Checkpoints carry the test mazes and their stream
+  const resumed = TrainingSession.fromCheckpoint(JSON.parse(JSON.stringify(held.checkpoint())));
+  for (let i = 0; i < 4; i++) {
+    held.trainStep();
+    resumed.trainStep();
+  }
+  assert.deepEqual(resumed.history, held.history);
+
+  // Under exact evaluation a test maze equal to the training maze scores the same
+  const same = new TrainingSession({ ...config, exactEval: true, testMazes: [{ name: "same", grid: config.grid }] });
+  for (let i = 0; i < 8; i++) same.trainStep();
+  const s = same.history.rl;
+  s.test_p1.forEach((v, t) => assert.ok(Math.abs(v - s.train_p1[t]) < 1e-12));
+
+  assert.throws(() => new TrainingSession({ ...config, testMazes: [{ name: "small", grid: [[1]] }] }), /test maze "small"/);
+});
+
+test("presetEvent picks a change of each kind that keeps every start connected", () => {
+  const { grid, starts, goal } = DEFAULT_LAYOUT;
+  const block = presetEvent("block", grid, starts, goal);
+  assert.equal(block.cells.length, 1);
+  assert.equal(applyEvent({ grid, goal }, block).grid[block.cells[0][0]][block.cells[0][1]], 1);
+  assert.equal(grid[block.cells[0][0]][block.cells[0][1]], 0);
+  assert.deepEqual(presetEvent("goal", grid, starts, goal), { type: "goal", goal: [1, 9] });
+  assert.equal(presetEvent("maze", grid, starts, goal).grid, MAZE_TEST);
+  assert.equal(eventLabel({ type: "block", cells: [[9, 5]] }), "blocked (9, 5)");
+  assert.equal(eventLabel({ type: "goal", goal: [1, 9] }), "goal \u2192 (1, 9)");
+  // MAZE_TEST walls off a start in its left corridor
+  assert.equal(presetEvent("maze", grid, [[5, 1], [9, 1]], goal), null);
+});
+
+test("eventsError rejects events that wall over or cut off a start; mazeAt applies events up to a step", () => {
+  const { grid, starts, goal } = DEFAULT_LAYOUT;
+  const events = [{ step: 20, type: "goal", goal: [1, 9] }, { step: 10, type: "block", cells: [[9, 5]] }];
+  assert.equal(eventsError(grid, starts, goal, events), null);
+  assert.deepEqual(mazeAt(grid, goal, events, 9), { grid, goal });
+  assert.equal(mazeAt(grid, goal, events, 10).grid[9][5], 1);
+  assert.deepEqual(mazeAt(grid, goal, events, 20).goal, [1, 9]);
+
+  assert.match(eventsError(grid, starts, goal, [{ step: 5, type: "block", cells: [[1, 1]] }]), /step 5: .*\[1,1\] would be a wall/);
+  assert.match(eventsError(grid, starts, goal, [{ step: 5, type: "goal", goal: [9, 1] }]), /is a start/);
+  assert.match(eventsError(grid, starts, goal, [{ step: 5, type: "open", cells: [[11, 0]] }]), /outside the 11x11 maze/);
+  // Starts must reach the goal around the traps
+  const traps = { traps: [[9, 5]], goals: [], stepPenalty: 0, threshold: 0 };
+  assert.equal(eventsError(grid, starts, goal, [{ step: 5, type: "block", cells: [[1, 5]] }]), null);
+  assert.match(eventsError(grid, starts, goal, [{ step: 5, type: "block", cells: [[1, 5]] }], traps), /could no longer reach/);
+  for (const bad of [[], [[]], [[0, 1], [0]], [[0, 2]]]) {
+    assert.match(eventsError(grid, starts, goal, [{ step: 5, type: "maze", grid: bad }]), /non-empty rectangular grid/);
+  }
+  // Each corridor alone is fine, but closing both cuts off the start at (1, 1)
+  const both = [{ step: 5, type: "block", cells: [[5, 1]] }, { step: 6, type: "block", cells: [[5, 9]] }, { step: 7, type: "block", cells: [[3, 5]] }];
+  assert.equal(eventsError(grid, starts, goal, both.slice(0, 2)), null);
+  assert.match(eventsError(grid, starts, goal, both), /step 7: block: start \[1,1\] could no longer reach goal/);
+});
+
+test("perturbation events change the maze mid-training, keeping the policies, and replay exactly", () => {
+  const config = {
+    grid: DEFAULT_LAYOUT.grid,
+    starts: DEFAULT_LAYOUT.starts,
+    goal: DEFAULT_LAYOUT.goal,
+    startProbs: [0.5, 0.5],
+    multiStart: true,
+    params: { ...DEFAULTS.multi, N: 8, nEval: 8, evalInterval: 5 },
+  };
+  const block = { step: 10, type: "block", cells: [[9, 5]] };
+  const session = new TrainingSession({ ...config, events: [block] });
+  const plain = new TrainingSession(config);
+  for (let i = 0; i < 10; i++) {
+    session.trainStep();
+    plain.trainStep();
+  }
+  // Eval point 10 still shows the maze before the event
+  assert.deepEqual(session.history, plain.history);
+  assert.equal(session.env.grid[9][5], 0);
+  session.trainStep();
+  assert.equal(session.env.grid[9][5], 1);
+
+  // Added while training: applied at once, at the current step
+  for (let i = 0; i < 4; i++) session.trainStep();
+  const logits = session.policies.rl.logits.slice();
+  const added = session.addEvent({ type: "goal", goal: [1, 9] });
+  assert.equal(added.step, 15);
+  assert.deepEqual(session.env.goal, [1, 9]);
+  assert.deepEqual(session.policies.rl.logits, logits);
+  assert.throws(() => session.addEvent({ type: "block", cells: [[1, 9]] }), /would be a wall/);
+  assert.equal(session.events.length, 2);
+  const cp = JSON.parse(JSON.stringify(session.checkpoint()));
+  for (let i = 0; i < 10; i++) session.trainStep();
+
+  // The same events scheduled from the start give the same run, and so
+  // does a resumed checkpoint; reset returns to the original maze
+  const replay = new TrainingSession({ ...config, events: session.events });
+  for (let i = 0; i < 25; i++) replay.trainStep();
+  assert.deepEqual(replay.history, session.history);
+  const resumed = TrainingSession.fromCheckpoint(cp);
+  assert.deepEqual(resumed.env.goal, [1, 9]);
+  for (let i = 0; i < 10; i++) resumed.trainStep();
+  assert.deepEqual(resumed.history, session.history);
+  session.reset();
+  assert.deepEqual(session.env.goal, DEFAULT_LAYOUT.goal);
+  assert.equal(session.env.grid[9][5], 0);
+
+  assert.throws(() => new TrainingSession({ ...config, events: [{ step: 3, type: "goal", goal: [0, 0] }] }), /would be a wall/);
+});
+
+test("scheduledStartProbs ramps the hard share and upweights starts of low pass@1", () => {
+  const probs = [0.5, 0.25, 0.25];
+  const linear = scheduleOptions({ type: "linear", params: { from: 0, to: 60, steps: 100 } });
+  assert.deepEqual(scheduledStartProbs(linear, probs, 0), [0, 0.5, 0.5]);
+  assert.deepEqual(scheduledStartProbs(linear, probs, 50), [0.3, 0.35, 0.35]);
+  assert.deepEqual(scheduledStartProbs(linear, probs, 500), [0.6, 0.2, 0.2]);
+  const stairs = scheduleOptions({ type: "step", params: { from: 0, to: 60, steps: 100, stages: 3 } });
+  assert.deepEqual([0, 49, 50, 99, 100].map((t) => scheduledStartProbs(stairs, probs, t)[0]), [0, 0, 0.3, 0.3, 0.6]);
+
+  const adaptive = scheduleOptions({ type: "adaptive", params: { power: 1, floor: 0 } });
+  assert.deepEqual(scheduledStartProbs(adaptive, probs, 10), probs);
+  assert.deepEqual(scheduledStartProbs(adaptive, probs, 10, [0, 0.5, 1]), [0.8, 0.2, 0]);
+  // Nothing left to learn: uniform
+  assert.deepEqual(scheduledStartProbs(adaptive, probs, 10, [1, 1, 1]), [1 / 3, 1 / 3, 1 / 3]);
+  assert.deepEqual(scheduledStartProbs(scheduleOptions({ type: "fixed" }), probs, 10), probs);
+  assert.throws(() => scheduleOptions({ type: "step", params: { stages: 1 } }), /stages/);
+  assert.throws(() => scheduleOptions({ type: "spiral" }), /unknown schedule/);
+});
+
+test("reverse schedules train from along each route back from the goal", () => {
+  const routes = [[[3, 1], [2, 1], [1, 1], [1, 2], [1, 3]], null];
+  const starts = [[3, 1], [5, 5]];
+  const reverse = scheduleOptions({ type: "reverse", params: { from: 0, steps: 40 } });
+  assert.deepEqual(scheduledStarts(reverse, starts, routes, 0), [[1, 2], [5, 5]]);
+  assert.deepEqual(scheduledStarts(reverse, starts, routes, 20), [[1, 1], [5, 5]]);
+  assert.deepEqual(scheduledStarts(reverse, starts, routes, 40), starts);
+  assert.equal(scheduledStarts(scheduleOptions({ type: "linear" }), starts, routes, 0), starts);
+});
+
+test("curriculum schedules log the training distribution and starts to history", () => {
+  const config = {
+    grid: DEFAULT_LAYOUT.grid,
+    starts: DEFAULT_LAYOUT.starts,
+    goal: DEFAULT_LAYOUT.goal,
+    startProbs: [0.5, 0.5],
+    multiStart: true,
+    params: { ...DEFAULTS.multi, N: 8, nEval: 8, evalInterval: 5 },
+  };
+  const linear = new TrainingSession({ ...config, schedule: { type: "linear", params: { steps: 10 } } });
+  for (let i = 0; i < 15; i++) linear.trainStep();
+  assert.deepEqual(linear.history.rl.per_start_prob, [[0, 0.25, 0.5, 0.5], [1, 0.75, 0.5, 0.5]]);
+  assert.equal(linear.history.rl.per_start_dist, undefined);
+  assert.ok(historyRows(linear.history).columns.includes("start_0_prob"));
+  assert.equal(new TrainingSession(config).history.rl.per_start_prob, undefined);
+
+  const reverse = new TrainingSession({ ...config, schedule: { type: "reverse", params: { from: 0, steps: 10 } } });
+  for (let i = 0; i < 10; i++) reverse.trainStep();
+  assert.deepEqual(reverse.history.maxrl.per_start_dist, [[1, 8, 16], [1, 4, 8]]);
+  const cp = JSON.parse(JSON.stringify(reverse.checkpoint()));
+  for (let i = 0; i < 5; i++) reverse.trainStep();
+  const resumed = TrainingSession.fromCheckpoint(cp);
+  for (let i = 0; i < 5; i++) resumed.trainStep();
+  assert.deepEqual(resumed.history, reverse.history);
+
+  // Routes back from the goal go around traps, so no run trains from one
+  const rewards = { traps: [[9, 5]], goals: [], stepPenalty: 0, threshold: 0 };
+  const trapped = new TrainingSession({ ...config, rewards, schedule: { type: "reverse", params: { from: 0, steps: 10 } } });
+  for (let i = 0; i < 10; i++) {
+    assert.ok(!trapped.trainStarts().some(([r, c]) => r === 9 && c === 5));
+    trapped.trainStep();
+  }
+});
+
+test("sessions train under the maze dynamics and keep them in checkpoints", () => {
+  const config = {
+    grid: DEFAULT_LAYOUT.grid,
+    starts: DEFAULT_LAYOUT.starts,
+    goal: DEFAULT_LAYOUT.goal,
+    startProbs: [0.5, 0.5],
+    multiStart: true,
+    params: { ...DEFAULTS.multi, N: 8, nEval: 8, evalInterval: 5 },
+  };
+  assert.throws(() => new TrainingSession({ ...config, dynamics: { slip: 0, wind: null, portals: [[[1, 1], [0, 0]]] } }), /is a wall/);
+  const dynamics = { slip: 0.3, wind: null, portals: [[[1, 5], [9, 5]]] };
+  const session = new TrainingSession({ ...config, dynamics });
+  assert.deepEqual(session.env.dynamics, dynamics);
+  for (let i = 0; i < 10; i++) session.trainStep();
+  assert.notDeepEqual(session.history, (() => {
+    const calm = new TrainingSession(config);
+    for (let i = 0; i < 10; i++) calm.trainStep();
+    return calm.history;
+  })());
+  const cp = JSON.parse(JSON.stringify(session.checkpoint()));
+  for (let i = 0; i < 5; i++) session.trainStep();
+  const resumed = TrainingSession.fromCheckpoint(cp);
+  assert.deepEqual(resumed.env.dynamics, dynamics);
+  for (let i = 0; i < 5; i++) resumed.trainStep();
+  assert.deepEqual(resumed.history, session.history);
+});
+
+test("sessions score episodes by the maze rewards and keep them in checkpoints", () => {
+  const config = {
+    grid: DEFAULT_LAYOUT.grid,
+    starts: DEFAULT_LAYOUT.starts,
+    goal: DEFAULT_LAYOUT.goal,
+    startProbs: [0.5, 0.5],
+    multiStart: true,
+    params: { ...DEFAULTS.multi, N: 8, nEval: 8, evalInterval: 5 },
+  };
+  assert.throws(() => new TrainingSession({ ...config, rewards: { traps: [[9, 9]] } }), /already a goal or trap/);
+  // A trap on the easy start's only short route and a success threshold it cannot meet
+  const rewards = { traps: [[9, 5]], goals: [], stepPenalty: 0.05, threshold: 0.7 };
+  const session = new TrainingSession({ ...config, exactEval: true, rewards });
+  assert.deepEqual(session.env.rewards, rewards);
+  assert.deepEqual(session.history.rl.per_start_p1[1], [0]);
+  const cp = JSON.parse(JSON.stringify(session.checkpoint()));
+  for (let i = 0; i < 5; i++) session.trainStep();
+  const resumed = TrainingSession.fromCheckpoint(cp);
+  assert.deepEqual(resumed.env.rewards, rewards);
+  for (let i = 0; i < 5; i++) resumed.trainStep();
+  assert.deepEqual(resumed.history, session.history);
+
+  // Events may not leave a start reaching the goal only through a trap
+  const cutOff = { step: 3, type: "block", cells: [[1, 5]] };
+  assert.throws(() => new TrainingSession({ ...config, rewards, events: [cutOff] }), /could no longer reach goal/);
+  assert.throws(() => session.addEvent(cutOff), /could no longer reach goal/);
+  assert.deepEqual(session.events, []);
+});
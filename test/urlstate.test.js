@@ -0,0 +1,179 @@
+// urlstate.test.js -- tests for the URL hash state (node --test)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  UrlStateError,
+  decodeGrid,
+  decodeState,
+  encodeGrid,
+  encodeState,
+  parseRun,
+  formatRun,
+  parseEvent,
+  formatEvent,
+  parseSchedule,
+  formatSchedule,
+  parseWind,
+  formatWind,
+  parsePortals,
+  formatPortals,
+  parseGoals,
+  formatGoals,
+  parseTraps,
+  formatTraps,
+} from "../urlstate.js";
+import { MAZE_TEST } from "../engine.js";
+import { DEFAULTS, DEFAULT_LAYOUT, DEFAULT_SEED } from "../trainer.js";
+
+const STATE = {
+  layout: {
+    grid: DEFAULT_LAYOUT.grid,
+    starts: [[9, 1], [1, 1], [1, 9]],
+    weights: [1, 2, 0.5],
+    goal: [9, 9],
+    dynamics: { slip: 0.1, wind: [0, 0, 0, 1, 1, 1, 2, 2, 1, 0, 0], portals: [[[1, 5], [5, 3]], [[7, 5], [1, 1]]] },
+    rewards: { traps: [[3, 3], [3, 7]], goals: [[[5, 3], 0.5]], stepPenalty: 0.01, threshold: 0.6 },
+  },
+  multiStart: false,
+  hardPct: 30,
+  seed: 42,
+  nSeeds: 4,
+  exactEval: true,
+  heldOut: true,
+  params: { ...DEFAULTS.single, lr: 0.5, maxrl: { lr: 0.2 } },
+  runs: [
+    { alg: "rl", params: {}, seed: null },
+    { alg: "maxrl", params: { N: 8 }, seed: 3 },
+    { alg: "passk", params: { k: 4 }, seed: null },
+  ],
+  events: [
+    { step: 10, type: "block", cells: [[9, 5], [8, 5]] },
+    { step: 20, type: "goal", goal: [5, 9] },
+    { step: 30, type: "maze", grid: MAZE_TEST },
+  ],
+  schedule: { type: "reverse", params: { from: 20, steps: 300 } },
+};
+
+test("encodeGrid packs wall bits six per character and decodeGrid inverts it", () => {
+  const text = encodeGrid(DEFAULT_LAYOUT.grid);
+  assert.match(text, /^11x11:[\w-]{21}$/);
+  assert.deepEqual(decodeGrid(text), DEFAULT_LAYOUT.grid);
+  assert.equal(encodeGrid([[1, 0, 0], [0, 0, 0], [0, 0, 1]]), "3x3:gI");
+});
+
+test("decodeState(encodeState(s)) restores the full configuration", () => {
+  const hash = encodeState(STATE);
+  assert.match(hash, /&run=maxrl:N=8,seed=3&/);
+  assert.match(hash, /&weights=2,0\.5&/);
+  assert.match(hash, /&goal=9,9&slip=0\.1&wind=3-5:1,6-7:2,8:1&portals=1,5>5,3;7,5>1,1&/);
+  assert.match(hash, /&traps=3,3;3,7&goals=5,3:0\.5&penalty=0\.01&threshold=0\.6&/);
+  assert.match(hash, /&seed=42&seeds=4&/);
+  assert.match(hash, /&exact=1&heldout=1&/);
+  assert.match(hash, /&run=passk:k=4&curriculum=reverse:from=20,steps=300&event=10:block=9,5;8,5&event=20:goal=5,9&event=30:maze=11x11:/);
+  assert.deepEqual(decodeState(`#${hash}`), STATE);
+});
+
+test("decodeState fills in defaults for missing fields", () => {
+  const state = decodeState("#seed=7");
+  assert.equal(state.layout, null);
+  assert.equal(state.multiStart, true);
+  assert.equal(state.hardPct, 50);
+  assert.equal(state.seed, 7);
+  assert.equal(state.nSeeds, 1);
+  assert.equal(state.exactEval, false);
+  assert.equal(state.heldOut, false);
+  assert.deepEqual(state.events, []);
+  assert.deepEqual(state.schedule, { type: "fixed", params: {} });
+  assert.deepEqual(state.params, DEFAULTS.multi);
+  assert.deepEqual(state.runs.map((run) => run.alg), ["rl", "maxrl"]);
+  assert.equal(decodeState("").seed, DEFAULT_SEED);
+});
+
+test("decodeState rejects malformed and out-of-range values", () => {
+  const maze = encodeGrid(DEFAULT_LAYOUT.grid);
+  for (const hash of [
+    "maze=11x11:AAA",
+    `maze=${maze}&goal=0,0`,
+    `maze=${maze}&starts=9,1`,
+    "mode=both",
+    "hard=120",
+    "seed=-1",
+    "seeds=0",
+    "seeds=17",
+    "lr=fast",
+    "N=0",
+    "run=nope",
+    "run=rl:evalInterval=3",
+    "run=rl:k=2",
+    "event=10:melt=1,1",
+    "event=10:block",
+    "curriculum=spiral",
+    "curriculum=linear:to=101",
+    "curriculum=step:stages=2.5",
+    "curriculum=adaptive:from=3",
+    `maze=${maze}&starts=9,1;1,1&event=10:block=9,1`,
+    `maze=${maze}&starts=9,1;1,1&event=2:maze=0x0:`,
+    "event=2:maze=0x0:",
+    "event=2:maze=5x0:",
+    "event=10:block=9,1",
+    `maze=${maze}&slip=1.5`,
+    `maze=${maze}&wind=3-11:1`,
+    `maze=${maze}&wind=3:11`,
+    `maze=${maze}&portals=1,1>0,0`,
+    `maze=${maze}&portals=1,1`,
+    `maze=${maze}&traps=9,1`,
+    `maze=${maze}&goals=5,3`,
+    `maze=${maze}&goals=5,3:0`,
+    `maze=${maze}&penalty=2`,
+    `maze=${maze}&threshold=-1`,
+  ]) {
+    assert.throws(() => decodeState(hash), UrlStateError, hash);
+  }
+});
+
+test("parseRun reads what formatRun writes", () => {
+  const run = { alg: "maxrl", params: { lr: 0.1, maxSteps: 40 }, seed: 5 };
+  assert.equal(formatRun(run), "maxrl:lr=0.1,maxSteps=40,seed=5");
+  assert.deepEqual(parseRun(formatRun(run)), run);
+  assert.deepEqual(parseRun("rl"), { alg: "rl", params: {}, seed: null });
+});
+
+test("parseEvent reads what formatEvent writes", () => {
+  const event = { step: 40, type: "open", cells: [[8, 7]] };
+  assert.equal(formatEvent(event), "40:open=8,7");
+  assert.deepEqual(parseEvent(formatEvent(event)), event);
+  assert.deepEqual(parseEvent("5:goal=1,9"), { step: 5, type: "goal", goal: [1, 9] });
+  assert.deepEqual(parseEvent(formatEvent({ step: 0, type: "maze", grid: MAZE_TEST })).grid, MAZE_TEST);
+});
+
+test("parseSchedule reads what formatSchedule writes, filling in defaults", () => {
+  const schedule = { type: "linear", params: { from: 10, to: 90, steps: 200 } };
+  assert.equal(formatSchedule(schedule), "linear:from=10,to=90,steps=200");
+  assert.deepEqual(parseSchedule(formatSchedule(schedule)), schedule);
+  assert.deepEqual(parseSchedule("adaptive:power=1"), { type: "adaptive", params: { power: 1, floor: 0.1 } });
+  assert.equal(formatSchedule({ type: "fixed", params: {} }), "fixed");
+});
+
+test("parseWind and parsePortals read what formatWind and formatPortals write", () => {
+  const wind = [0, 1, 1, 0, -2, -2, -2, 0];
+  assert.equal(formatWind(wind), "1-2:1,4-6:-2");
+  assert.deepEqual(parseWind(formatWind(wind), 8), wind);
+  assert.equal(parseWind("", 8), null);
+  assert.equal(parseWind("2:0", 8), null);
+  const portals = [[[1, 2], [3, 4]], [[5, 6], [1, 2]]];
+  assert.equal(formatPortals(portals), "1,2>3,4;5,6>1,2");
+  assert.deepEqual(parsePortals(formatPortals(portals)), portals);
+  assert.deepEqual(parsePortals(""), []);
+});
+
+test("parseGoals and parseTraps read what formatGoals and formatTraps write", () => {
+  const goals = [[[1, 2], 0.5], [[3, 4], 2]];
+  assert.equal(formatGoals(goals), "1,2:0.5;3,4:2");
+  assert.deepEqual(parseGoals(formatGoals(goals)), goals);
+  assert.deepEqual(parseGoals(""), []);
+  assert.equal(formatTraps([[1, 2], [3, 4]]), "1,2;3,4");
+  assert.deepEqual(parseTraps(formatTraps([[1, 2], [3, 4]])), [[1, 2], [3, 4]]);
+  assert.throws(() => parseGoals("1,2:0.5:1"), UrlStateError);
+});
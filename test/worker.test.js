@@ -0,0 +1,157 @@
+// worker.test.js -- tests for the training backend protocol (node --test)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { TrainingHost } from "../worker.js";
+import {
+  DEFAULTS,
+  DEFAULT_LAYOUT,
+  TrainingSession,
+  appendHistory,
+  appendSnapshots,
+} from "../trainer.js";
+
+const CONFIG = {
+  grid: DEFAULT_LAYOUT.grid,
+  starts: DEFAULT_LAYOUT.starts,
+  goal: DEFAULT_LAYOUT.goal,
+  startProbs: [0.5, 0.5],
+  multiStart: true,
+  params: { ...DEFAULTS.multi, N: 4, nEval: 8 },
+  seed: 3,
+};
+
+function makeHost() {
+  const msgs = [];
+  const host = new TrainingHost((msg) => msgs.push(structuredClone(msg)));
+  return { host, msgs };
+}
+
+test("snapshot deltas reassemble the session history", () => {
+  const { host, msgs } = makeHost();
+  host.handle({ type: "configure", gen: 1, config: CONFIG });
+  host.handle({ type: "speed", speed: 7 });
+  for (let i = 0; i < 6; i++) host.tick();
+
+  assert.equal(msgs.length, 7);
+  assert.ok(msgs[0].full);
+  assert.ok(msgs[0].heat, "first snapshot carries heatmaps");
+  const history = msgs[0].history;
+  const snapshots = msgs[0].snapshots;
+  for (const m of msgs.slice(1)) {
+    assert.equal(m.full, false);
+    appendHistory(history, m.history);
+    appendSnapshots(snapshots, m.snapshots);
+  }
+
+  const ref = new TrainingSession(CONFIG);
+  for (let i = 0; i < 42; i++) ref.trainStep();
+  assert.equal(msgs.at(-1).step, 42);
+  assert.deepEqual(history, ref.history);
+  assert.deepEqual(msgs.at(-1).metrics, ref.metrics);
+  assert.deepEqual(msgs.at(-1).logits.maxrl, ref.policies.maxrl.logits);
+  assert.deepEqual(snapshots, ref.snapshots);
+});
+
+test("snapshots carry the generation of the latest configure/reset", () => {
+  const { host, msgs } = makeHost();
+  host.handle({ type: "configure", gen: 1, config: CONFIG });
+  host.tick();
+  host.handle({ type: "reset", gen: 2 });
+  assert.deepEqual(msgs.map((m) => m.gen), [1, 1, 2]);
+  assert.ok(msgs[2].full);
+  assert.equal(msgs[2].step, 0);
+  assert.equal(msgs[2].history.rl.steps.length, 1);
+});
+
+test("exactEval re-evaluates and posts right away", () => {
+  const { host, msgs } = makeHost();
+  host.handle({ type: "configure", gen: 1, config: CONFIG });
+  host.handle({ type: "exactEval", on: true });
+  assert.equal(msgs.length, 2);
+  assert.equal(host.session.exactEval, true);
+  // Untrained uniform policy: exact values differ from the 8-rollout estimates
+  assert.notDeepEqual(msgs[1].metrics, msgs[0].metrics);
+  assert.deepEqual(msgs[1].history.rl.steps, []);
+});
+
+test("a restored checkpoint resumes training exactly", () => {
+  const { host, msgs } = makeHost();
+  host.handle({ type: "configure", gen: 1, config: CONFIG });
+  host.handle({ type: "speed", speed: 7 });
+  for (let i = 0; i < 3; i++) host.tick();
+  host.handle({ type: "checkpoint" });
+  const cp = msgs.at(-1);
+  assert.equal(cp.type, "checkpoint");
+  assert.equal(cp.gen, 1);
+
+  const other = makeHost();
+  other.host.handle({ type: "configure", gen: 5, config: { ...CONFIG, seed: 9 } });
+  other.host.handle({ type: "restore", gen: 6, checkpoint: cp.checkpoint });
+  const restored = other.msgs.at(-1);
+  assert.ok(restored.full);
+  assert.equal(restored.gen, 6);
+  assert.equal(restored.step, 21);
+
+  other.host.handle({ type: "speed", speed: 7 });
+  for (let i = 0; i < 3; i++) {
+    host.tick();
+    other.host.tick();
+  }
+  const a = msgs.at(-1);
+  const b = other.msgs.at(-1);
+  assert.equal(b.step, 42);
+  assert.deepEqual(b.logits, a.logits);
+  assert.deepEqual(b.metrics, a.metrics);
+  assert.deepEqual(other.host.session.history, host.session.history);
+  assert.deepEqual(other.host.heat, host.heat);
+});
+
+test("nSeeds trains replicas with shifted seeds and streams their histories", () => {
+  const { host, msgs } = makeHost();
+  const config = { ...CONFIG, runs: [{ alg: "rl" }, { alg: "maxrl", seed: 20 }] };
+  host.handle({ type: "configure", gen: 1, config, nSeeds: 3 });
+  host.handle({ type: "speed", speed: 5 });
+  for (let i = 0; i < 4; i++) host.tick();
+
+  assert.deepEqual(host.replicas.map((r) => r.seed), [4, 5]);
+  assert.deepEqual(host.replicas.map((r) => r.runs[1].seed), [21, 22]);
+  const seedHistory = structuredClone(msgs[0].seedHistory);
+  for (const msg of msgs.slice(1)) msg.seedHistory.forEach((h, j) => appendHistory(seedHistory[j], h));
+  assert.deepEqual(seedHistory, host.replicas.map((r) => r.history));
+
+  // Replica 1 is the session seeded one higher
+  const alone = new TrainingSession({ ...config, seed: 4, runs: [{ alg: "rl" }, { alg: "maxrl", seed: 21 }] });
+  for (let i = 0; i < 20; i++) alone.trainStep();
+  assert.deepEqual(host.replicas[0].history, alone.history);
+
+  host.handle({ type: "checkpoint" });
+  const other = makeHost();
+  other.host.handle({ type: "restore", gen: 2, checkpoint: msgs.at(-1).checkpoint });
+  assert.equal(other.host.replicas.length, 2);
+  assert.deepEqual(other.msgs.at(-1).seedHistory, host.replicas.map((r) => r.history));
+});
+
+test("events reach every seed at the current step and come back in snapshots", () => {
+  const { host, msgs } = makeHost();
+  host.handle({ type: "configure", gen: 1, config: CONFIG, nSeeds: 2 });
+  host.handle({ type: "speed", speed: 4 });
+  host.tick();
+  host.handle({ type: "event", event: { type: "block", cells: [[9, 5]] } });
+  host.handle({ type: "event", event: { step: 20, type: "goal", goal: [1, 9] } });
+  const events = [{ type: "block", cells: [[9, 5]], step: 4 }, { step: 20, type: "goal", goal: [1, 9] }];
+  assert.deepEqual(msgs.at(-1).events, events);
+  assert.ok(msgs.at(-1).heat);
+  for (const session of host._sessions()) {
+    assert.deepEqual(session.events, events);
+    assert.equal(session.env.grid[9][5], 1);
+  }
+  for (let i = 0; i < 5; i++) host.tick();
+  assert.deepEqual(host.replicas[0].env.goal, [1, 9]);
+});
+
+test("unknown message types throw", () => {
+  const { host } = makeHost();
+  assert.throws(() => host.handle({ type: "bogus" }), /unknown message type/);
+});
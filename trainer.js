@@ -0,0 +1,1201 @@
+// trainer.js -- DOM-free training session: policies, RNG streams, evaluation and history.
+// Shared by the browser app (app.js) and the headless runner (cli.js).
+
+import {
+  MAZE_TRAIN,
+  MAZE_TEST,
+  MAZE_TEST_RIGHT,
+  GridWorld,
+  TabularSoftmaxPolicy,
+  ESTIMATORS,
+  estimatorUpdate,
+  evaluateFromStart,
+  evaluateRollouts,
+  exactSuccessProb,
+  exactVisitationEntropy,
+  bfsShortestPath,
+  blockedRouteMazes,
+  shortcutCell,
+  movedGoal,
+  NO_DYNAMICS,
+  dynamicsError,
+  NO_REWARDS,
+  trapsWalled,
+  rewardsError,
+} from "./engine.js";
+import { Rng } from "./rng.js";
+
+// ---------------------------------------------------------------------------
+// Defaults
+// ---------------------------------------------------------------------------
+
+// Training defaults
+export const DEFAULTS = {
+  multi: {
+    lr: 0.3,
+    N: 32,
+    maxSteps: 25,
+    evalInterval: 10,
+    nEval: 64,
+  },
+  single: {
+    lr: 0.3,
+    N: 16,
+    maxSteps: 80,
+    evalInterval: 5,
+    nEval: 64,
+  },
+};
+
+// MAZE_TRAIN layout: starts[0]=(1,1)=hard, starts[1]=(9,1)=easy
+export const DEFAULT_LAYOUT = {
+  grid: MAZE_TRAIN,
+  starts: [
+    [1, 1],
+    [9, 1],
+  ],
+  goal: [9, 9],
+};
+
+// Held-out mazes of the default layout: MAZE_TRAIN with one of its outer
+// corridors closed, leaving the other one and the middle route
+export const DEFAULT_TEST_MAZES = [
+  { name: "left corridor blocked", grid: MAZE_TEST },
+  { name: "right corridor blocked", grid: MAZE_TEST_RIGHT },
+];
+
+export const DEFAULT_SEED = 1;
+
+// Every registered algorithm, in display order
+export const ALGORITHMS = Object.keys(ESTIMATORS);
+
+// The comparison shown by default
+export const DEFAULT_ALGORITHMS = ["rl", "maxrl"];
+
+// ---------------------------------------------------------------------------
+// Hyperparameters
+// ---------------------------------------------------------------------------
+
+// Valid ranges. `shared` parameters cannot be overridden per algorithm:
+// all algorithms are evaluated at the same steps so their curves line up.
+// Estimator-specific ones (e.g. pass@k's k) live in ESTIMATORS[alg].params.
+export const PARAM_SPECS = {
+  lr: { label: "Learning rate", min: 0, max: 100, integer: false },
+  N: { label: "Rollouts per update (N)", min: 1, max: 4096, integer: true },
+  maxSteps: { label: "Step budget", min: 1, max: 1000, integer: true },
+  evalInterval: { label: "Eval interval (steps)", min: 1, max: 10000, integer: true, shared: true },
+  nEval: { label: "Eval rollouts per start", min: 1, max: 10000, integer: true },
+};
+
+/** Spec of `key`: a common parameter, or one of estimator `alg`'s own. */
+export function paramSpec(key, alg = null) {
+  return PARAM_SPECS[key] || (alg && ESTIMATORS[alg] ? ESTIMATORS[alg].params[key] : undefined);
+}
+
+/** Validation message for one value, or null if it is in range. */
+export function paramError(key, value, alg = null) {
+  const spec = paramSpec(key, alg);
+  if (!spec) return `${key}: unknown parameter`;
+  if (typeof value !== "number" || !Number.isFinite(value) ||
+      (spec.integer && !Number.isInteger(value)) || value < spec.min || value > spec.max) {
+    return `${key}: expected ${spec.integer ? "an integer" : "a number"} in [${spec.min}, ${spec.max}], got ${value}`;
+  }
+  return null;
+}
+
+/**
+ * All problems with a params object: the shared values plus any
+ * per-algorithm overrides nested under the algorithm key, and the
+ * overrides of each run in `runs` (see normalizeRuns).
+ * @returns {string[]} empty if valid
+ */
+export function validateParams(params, runs = []) {
+  const errors = [];
+  for (const key of Object.keys(PARAM_SPECS)) {
+    const err = paramError(key, params[key]);
+    if (err) errors.push(err);
+  }
+  for (const alg of ALGORITHMS) {
+    for (const [key, val] of Object.entries(params[alg] || {})) {
+      const err = PARAM_SPECS[key] && PARAM_SPECS[key].shared
+        ? `${key}: shared by all algorithms`
+        : paramError(key, val, alg);
+      if (err) errors.push(`${alg}.${err}`);
+    }
+  }
+  for (const run of runs) {
+    for (const [key, val] of Object.entries(run.params || {})) {
+      const err = PARAM_SPECS[key] && PARAM_SPECS[key].shared
+        ? `${key}: shared by all runs`
+        : paramError(key, val, run.alg);
+      if (err) errors.push(`${run.id || run.alg}.${err}`);
+    }
+    if (run.seed != null && !(Number.isInteger(run.seed) && run.seed >= 0)) {
+      errors.push(`${run.id || run.alg}.seed: expected a non-negative integer, got ${run.seed}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Effective hyperparameters of `alg`: `params`, with `params[alg]`
+ * (e.g. { lr: 0.5 }) overriding the non-shared values, plus the estimator's
+ * own parameters (from `params[alg]`, else their defaults).
+ */
+export function paramsFor(params, alg) {
+  const own = params[alg] || {};
+  const out = {};
+  for (const [key, spec] of Object.entries(PARAM_SPECS)) {
+    out[key] = !spec.shared && own[key] !== undefined ? own[key] : params[key];
+  }
+  for (const [key, spec] of Object.entries(ESTIMATORS[alg].params)) {
+    out[key] = own[key] !== undefined ? own[key] : spec.default;
+  }
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Runs
+// ---------------------------------------------------------------------------
+
+/**
+ * Complete a list of runs { alg, params?, seed?, id? }: `params` overrides the
+ * session's values for this run only, `seed` (null = the session seed) seeds
+ * its training stream. Ids default to the algorithm key, then alg#2, alg#3...
+ * when an algorithm repeats, so single-run-per-algorithm histories keep their
+ * algorithm keys.
+ */
+export function normalizeRuns(runs) {
+  const counts = {};
+  const ids = new Set();
+  return runs.map((run) => {
+    if (!ESTIMATORS[run.alg]) throw new Error(`unknown algorithm "${run.alg}"`);
+    counts[run.alg] = (counts[run.alg] || 0) + 1;
+    const id = run.id || (counts[run.alg] === 1 ? run.alg : `${run.alg}#${counts[run.alg]}`);
+    if (ids.has(id)) throw new Error(`duplicate run id "${id}"`);
+    ids.add(id);
+    return { id, alg: run.alg, params: { ...run.params }, seed: run.seed ?? null };
+  });
+}
+
+/** Effective hyperparameters of `run`: paramsFor its algorithm, then the run's own overrides. */
+export function runParamsFor(params, run) {
+  const out = paramsFor(params, run.alg);
+  for (const [key, val] of Object.entries(run.params || {})) {
+    if (!(PARAM_SPECS[key] && PARAM_SPECS[key].shared)) out[key] = val;
+  }
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Start distribution
+// ---------------------------------------------------------------------------
+
+/**
+ * Start sampling distribution for multi-start mode: starts[0] (hard) gets
+ * `hardFrac`, the easy starts split the rest in proportion to `weights[1..]`
+ * (equally if those are all zero). `weights[0]` is ignored.
+ */
+export function startDistribution(nStarts, hardFrac, weights = null) {
+  if (nStarts <= 1) return [1.0];
+  const easyW = weights ? weights.slice(1, nStarts) : Array(nStarts - 1).fill(1);
+  const total = easyW.reduce((a, b) => a + b, 0);
+  const easyProbs = total > 0
+    ? easyW.map((w) => (1 - hardFrac) * w / total)
+    : easyW.map(() => (1 - hardFrac) / easyW.length);
+  return [hardFrac, ...easyProbs];
+}
+
+// ---------------------------------------------------------------------------
+// Curriculum schedules
+// ---------------------------------------------------------------------------
+
+const HARD_PCT = { min: 0, max: 100, integer: false };
+const RAMP_STEPS = { label: "Over steps", min: 1, max: 1000000, integer: true, default: 500 };
+
+/**
+ * Schedules of the start distribution over training, keyed by id; `params`
+ * declares each one's settings as ESTIMATORS do. Under { type, params } run
+ * `id` trains at step t on scheduledStartProbs and from scheduledStarts:
+ *   fixed     the distribution as set (hard % and easy-start weights)
+ *   linear    hard % moved linearly from `from` to `to` over `steps`
+ *   step      the same ramp in `stages` flat steps
+ *   adaptive  each run's own distribution: the set one reweighted by
+ *             (1 - pass@1)^power of its latest eval point, plus a uniform
+ *             share `floor`
+ *   reverse   every start replaced by the cell `from` % of the way back
+ *             along its shortest route from the goal, moving out to the
+ *             start itself over `steps`
+ * Evaluation always uses the real starts and the set distribution.
+ */
+export const SCHEDULES = {
+  fixed: { name: "Fixed", params: {} },
+  linear: {
+    name: "Linear ramp",
+    params: {
+      from: { label: "Hard % from", ...HARD_PCT, default: 0 },
+      to: { label: "Hard % to", ...HARD_PCT, default: 50 },
+      steps: RAMP_STEPS,
+    },
+  },
+  step: {
+    name: "Step ramp",
+    params: {
+      from: { label: "Hard % from", ...HARD_PCT, default: 0 },
+      to: { label: "Hard % to", ...HARD_PCT, default: 50 },
+      steps: RAMP_STEPS,
+      stages: { label: "Stages", min: 2, max: 100, integer: true, default: 4 },
+    },
+  },
+  adaptive: {
+    name: "Adaptive (low pass@1)",
+    params: {
+      power: { label: "Power", min: 0, max: 10, integer: false, default: 2 },
+      floor: { label: "Uniform share", min: 0, max: 1, integer: false, default: 0.1 },
+    },
+  },
+  reverse: {
+    name: "Reverse (from goal)",
+    params: {
+      from: { label: "Route % at first", min: 0, max: 100, integer: false, default: 10 },
+      steps: RAMP_STEPS,
+    },
+  },
+};
+
+export const DEFAULT_SCHEDULE = { type: "fixed", params: {} };
+
+/** `schedule` with its type's defaults filled in; throws on anything out of range. */
+export function scheduleOptions(schedule) {
+  const spec = SCHEDULES[schedule.type];
+  if (!spec) throw new Error(`unknown schedule "${schedule.type}"`);
+  const params = {};
+  for (const [key, p] of Object.entries(spec.params)) {
+    const v = schedule.params?.[key] ?? p.default;
+    if (typeof v !== "number" || !Number.isFinite(v) || (p.integer && !Number.isInteger(v)) || v < p.min || v > p.max) {
+      throw new Error(`schedule ${key}: expected ${p.integer ? "an integer" : "a number"} in [${p.min}, ${p.max}], got ${v}`);
+    }
+    params[key] = v;
+  }
+  for (const key of Object.keys(schedule.params || {})) {
+    if (!spec.params[key]) throw new Error(`schedule ${schedule.type}: unknown setting "${key}"`);
+  }
+  return { type: schedule.type, params };
+}
+
+// `startProbs` with the hard start's share set to `hardFrac`, the easy
+// starts keeping their proportions (equal if they had none)
+function _withHardShare(startProbs, hardFrac) {
+  const easy = startProbs.slice(1);
+  const total = easy.reduce((a, b) => a + b, 0);
+  return [hardFrac, ...easy.map((q) => (1 - hardFrac) * (total > 0 ? q / total : 1 / easy.length))];
+}
+
+/**
+ * Start distribution of a run at training step `step` under `schedule`
+ * (scheduleOptions), from the set `startProbs` and, for adaptive, the run's
+ * per-start pass@1 `p1s` at its latest eval point.
+ */
+export function scheduledStartProbs(schedule, startProbs, step, p1s = null) {
+  const n = startProbs.length;
+  const p = schedule.params;
+  if (n < 2) return startProbs;
+  switch (schedule.type) {
+    case "linear":
+      return _withHardShare(startProbs, (p.from + (p.to - p.from) * Math.min(1, step / p.steps)) / 100);
+    case "step": {
+      const stage = Math.min(p.stages - 1, Math.floor(step * (p.stages - 1) / p.steps));
+      return _withHardShare(startProbs, (p.from + (p.to - p.from) * stage / (p.stages - 1)) / 100);
+    }
+    case "adaptive": {
+      if (!p1s) return startProbs;
+      const w = startProbs.map((q, i) => q * (1 - p1s[i]) ** p.power);
+      const total = w.reduce((a, b) => a + b, 0);
+      return w.map((v) => p.floor / n + (1 - p.floor) * (total > 0 ? v / total : 1 / n));
+    }
+    default:
+      return startProbs;
+  }
+}
+
+/**
+ * Distance from the goal, in steps along a route of `distance` steps, of
+ * the start cell a reverse `schedule` trains from at `step` (at least 1).
+ */
+export function reverseDistance(schedule, distance, step) {
+  const { from, steps } = schedule.params;
+  const frac = from / 100 + (1 - from / 100) * Math.min(1, step / steps);
+  return Math.min(distance, Math.max(1, Math.ceil(frac * distance - 1e-9)));
+}
+
+/**
+ * Cells the runs train from at `step`: `starts` themselves, or under a
+ * reverse schedule the cell reverseDistance steps from the goal on each
+ * start's shortest route `routes[i]` (cells from the start to the goal).
+ */
+export function scheduledStarts(schedule, starts, routes, step) {
+  if (schedule.type !== "reverse") return starts;
+  return routes.map((path, i) => {
+    if (!path) return starts[i];
+    const d = path.length - 1;
+    return path[d - reverseDistance(schedule, d, step)];
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Held-out mazes
+// ---------------------------------------------------------------------------
+
+function _sameGrid(a, b) {
+  return a.length === b.length && a.every((row, r) => row.length === b[r].length && row.every((v, c) => v === b[r][c]));
+}
+
+/**
+ * Test mazes for a training layout, [{ name, grid }]: DEFAULT_TEST_MAZES for
+ * the default maze, else blockedRouteMazes. Only mazes where every start
+ * still reaches the goal are kept, since each is evaluated from the same
+ * starts as training, around the traps of `rewards`.
+ */
+export function heldOutMazes(grid, starts, goal, rewards = NO_REWARDS) {
+  const isDefault = _sameGrid(grid, DEFAULT_LAYOUT.grid) && goal.join() === DEFAULT_LAYOUT.goal.join();
+  const mazes = isDefault ? DEFAULT_TEST_MAZES : blockedRouteMazes(grid, starts, goal, rewards);
+  return mazes
+    .filter((t) => starts.every((s) => bfsShortestPath(trapsWalled(t.grid, rewards), s, goal)))
+    .map(({ name, grid }) => ({ name, grid }));
+}
+
+// ---------------------------------------------------------------------------
+// Perturbation events
+// ---------------------------------------------------------------------------
+
+// Changes to the maze while training continues, { step, type, ... }: block
+// walls off `cells`, open clears them, goal moves the goal to `goal`, maze
+// swaps in `grid` (same size). Policies are kept; an event at step s applies
+// before the update that follows step s, so eval point s still shows the
+// maze before it.
+export const EVENT_TYPES = {
+  block: { label: "Block corridor", short: "blocked" },
+  open: { label: "Open shortcut", short: "opened" },
+  goal: { label: "Move goal", short: "goal" },
+  maze: { label: "Swap maze", short: "maze swap" },
+};
+
+/** Maze { grid, goal } after `event`; the input is left as it was. */
+export function applyEvent(maze, event) {
+  switch (event.type) {
+    case "block":
+    case "open": {
+      const grid = maze.grid.map((row) => [...row]);
+      for (const [r, c] of event.cells) grid[r][c] = event.type === "block" ? 1 : 0;
+      return { grid, goal: maze.goal };
+    }
+    case "goal":
+      return { grid: maze.grid, goal: event.goal };
+    case "maze":
+      return { grid: event.grid, goal: maze.goal };
+    default:
+      throw new Error(`unknown event type "${event.type}"`);
+  }
+}
+
+/** Events in step order; events of one step keep their order. */
+export function sortEvents(events) {
+  return [...events].sort((a, b) => a.step - b.step);
+}
+
+// What is wrong with applying `event` to `maze`, or null; starts must reach
+// the goal around the traps of `rewards`
+function _eventError(maze, starts, event, rewards = NO_REWARDS) {
+  const h = maze.grid.length;
+  const w = maze.grid[0].length;
+  const inside = (cell) => Array.isArray(cell) && cell.length === 2 && Number.isInteger(cell[0])
+    && Number.isInteger(cell[1]) && cell[0] >= 0 && cell[0] < h && cell[1] >= 0 && cell[1] < w;
+  if (!EVENT_TYPES[event.type]) return `unknown event type "${event.type}"`;
+  if (!Number.isInteger(event.step) || event.step < 0) return `expected a step >= 0, got ${event.step}`;
+  if (event.type === "block" || event.type === "open") {
+    if (!Array.isArray(event.cells) || event.cells.length === 0) return `${event.type}: no cells`;
+    const bad = event.cells.find((cell) => !inside(cell));
+    if (bad) return `${event.type}: cell [${bad}] is outside the ${h}x${w} maze`;
+  } else if (event.type === "goal" && !inside(event.goal)) {
+    return `goal: [${event.goal}] is outside the ${h}x${w} maze`;
+  } else if (event.type === "maze" && !_isGrid(event.grid)) {
+    return "maze: expected a non-empty rectangular grid of 0 and 1";
+  } else if (event.type === "maze" && (event.grid.length !== h || event.grid[0].length !== w)) {
+    return `maze: ${event.grid.length}x${event.grid[0].length}, training maze ${h}x${w}`;
+  }
+  const next = applyEvent(maze, event);
+  const walled = [next.goal, ...starts].find(([r, c]) => next.grid[r][c] !== 0);
+  if (walled) return `${event.type}: [${walled}] would be a wall`;
+  if (starts.some((s) => s[0] === next.goal[0] && s[1] === next.goal[1])) {
+    return `${event.type}: goal [${next.goal}] is a start`;
+  }
+  const routeGrid = trapsWalled(next.grid, rewards);
+  const cut = starts.find((s) => !bfsShortestPath(routeGrid, s, next.goal));
+  if (cut) return `${event.type}: start [${cut}] could no longer reach goal [${next.goal}]`;
+  return null;
+}
+
+// A non-empty, rectangular grid of 0 (open) and 1 (wall)
+function _isGrid(grid) {
+  return Array.isArray(grid) && grid.length > 0 && Array.isArray(grid[0]) && grid[0].length > 0
+    && grid.every((row) => Array.isArray(row) && row.length === grid[0].length
+      && row.every((v) => v === 0 || v === 1));
+}
+
+/**
+ * Why `events`, applied in step order to { grid, goal }, cannot be used with
+ * `starts`: the first malformed one, or one that would wall over a start or
+ * the goal or cut a start off from the goal (around the traps of `rewards`).
+ * Null if they are all fine.
+ */
+export function eventsError(grid, starts, goal, events, rewards = NO_REWARDS) {
+  let maze = { grid, goal };
+  for (const event of sortEvents(events)) {
+    const msg = _eventError(maze, starts, event, rewards);
+    if (msg) return `event at step ${event.step}: ${msg}`;
+    maze = applyEvent(maze, event);
+  }
+  return null;
+}
+
+/** The maze { grid, goal } at training step `step`: every event up to it applied. */
+export function mazeAt(grid, goal, events, step) {
+  let maze = { grid, goal };
+  for (const event of sortEvents(events)) {
+    if (event.step <= step) maze = applyEvent(maze, event);
+  }
+  return maze;
+}
+
+/**
+ * Event of kind `type` (without its step) suited to the maze { grid, goal }
+ * with `starts`, or null if there is none: block walls off the first start's
+ * route where blockedRouteMazes can cut it, open the shortcutCell, goal moves
+ * the goal to movedGoal, maze swaps in MAZE_TEST. Routes go around the
+ * traps of `rewards`.
+ */
+export function presetEvent(type, grid, starts, goal, rewards = NO_REWARDS) {
+  let event = null;
+  if (type === "block") {
+    const [first] = blockedRouteMazes(grid, starts, goal, rewards);
+    if (first) event = { type, cells: [first.blocked] };
+  } else if (type === "open") {
+    const cell = shortcutCell(grid, starts, goal, rewards);
+    if (cell) event = { type, cells: [cell] };
+  } else if (type === "goal") {
+    const cell = movedGoal(grid, starts, goal, rewards);
+    if (cell) event = { type, goal: cell };
+  } else if (type === "maze") {
+    event = { type, grid: MAZE_TEST };
+  }
+  if (!event || _eventError({ grid, goal }, starts, { ...event, step: 0 }, rewards)) return null;
+  return event;
+}
+
+/** Short marker label, e.g. "blocked (9, 5)" or "maze swap". */
+export function eventLabel(event) {
+  const { short } = EVENT_TYPES[event.type];
+  if (event.cells) return `${short} ${event.cells.map(([r, c]) => `(${r}, ${c})`).join(" ")}`;
+  if (event.goal) return `${short} \u2192 (${event.goal[0]}, ${event.goal[1]})`;
+  return short;
+}
+
+// ---------------------------------------------------------------------------
+// History helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Empty history per run id (algorithm keys for the default runs). With
+ * `nTests` held-out mazes it also holds per_test_p1[j], the pass@1 series on
+ * test maze j averaged over the starts by their sampling probabilities,
+ * test_p1, the mean over test mazes, and train_p1, the same average on the
+ * training maze. Under a curriculum schedule (SCHEDULES key) other than
+ * fixed it holds per_start_prob[i], the probability of starts[i] the run
+ * trains on from each eval point (multi-start mode), and under reverse
+ * per_start_dist[i], the distance from the goal it trains from.
+ */
+export function emptyHistory(multiStart, nStarts, ids = DEFAULT_ALGORITHMS, nTests = 0, schedule = "fixed") {
+  const history = {};
+  for (const id of ids) {
+    history[id] = multiStart
+      // per_start_p1[i] is the pass@1 series of starts[i]; per_start_grad[i]
+      // the mean norm of its gradient contribution over the steps up to each
+      // eval point
+      ? {
+        steps: [],
+        per_start_p1: Array.from({ length: nStarts }, () => []),
+        per_start_grad: Array.from({ length: nStarts }, () => []),
+      }
+      // K is the k of each pass_at_k value
+      : { steps: [], pass_at_1: [], pass_at_k: [], entropy: [], unique_paths: [], K: [] };
+    if (nTests > 0) {
+      history[id].per_test_p1 = Array.from({ length: nTests }, () => []);
+      history[id].test_p1 = [];
+      history[id].train_p1 = [];
+    }
+    if (multiStart && schedule !== "fixed") {
+      history[id].per_start_prob = Array.from({ length: nStarts }, () => []);
+    }
+    if (schedule === "reverse") {
+      history[id].per_start_dist = Array.from({ length: nStarts }, () => []);
+    }
+  }
+  return history;
+}
+
+// Nested series (per_start_p1, per_start_grad, per_start_prob, per_start_dist,
+// per_test_p1) hold one series per start or test maze
+function _nested(key) {
+  return key.startsWith("per_start_") || key.startsWith("per_test_");
+}
+
+/** Same-shaped history holding only the eval points from index `from` on. */
+export function historySlice(history, from) {
+  const out = {};
+  for (const [alg, h] of Object.entries(history)) {
+    out[alg] = {};
+    for (const [key, val] of Object.entries(h)) {
+      out[alg][key] = _nested(key) ? val.map((s) => s.slice(from)) : val.slice(from);
+    }
+  }
+  return out;
+}
+
+/** Append a historySlice() onto `history` in place. */
+export function appendHistory(history, delta) {
+  for (const [alg, d] of Object.entries(delta)) {
+    const h = history[alg];
+    for (const [key, val] of Object.entries(d)) {
+      if (_nested(key)) {
+        val.forEach((s, i) => h[key][i].push(...s));
+      } else {
+        h[key].push(...val);
+      }
+    }
+  }
+  return history;
+}
+
+/**
+ * Metrics of one run as they were at eval point `idx` of its history `h`,
+ * shaped like TrainingSession.metrics[id].
+ */
+export function historyMetrics(h, idx) {
+  const m = h.per_start_p1
+    ? { per_start_p1: h.per_start_p1.map((s) => s[idx]) }
+    : {
+      pass_at_1: h.pass_at_1[idx],
+      pass_at_k: h.pass_at_k[idx],
+      entropy: h.entropy[idx],
+      unique_paths: h.unique_paths[idx],
+      K: h.K[idx],
+    };
+  if (h.per_test_p1) {
+    m.per_test_p1 = h.per_test_p1.map((s) => s[idx]);
+    m.test_p1 = h.test_p1[idx];
+    m.train_p1 = h.train_p1[idx];
+  }
+  return m;
+}
+
+/**
+ * Share of each start in a multi-start history's gradient norms at every
+ * eval point: per-start series of per_start_grad[i] / sum over starts (0
+ * where there was no gradient).
+ */
+export function gradShareSeries(h) {
+  const g = h.per_start_grad;
+  return g.map((series) => series.map((v, t) => {
+    const total = g.reduce((acc, s) => acc + s[t], 0);
+    return total > 0 ? v / total : 0;
+  }));
+}
+
+/**
+ * Flatten a history object into one row per (algorithm, eval point).
+ * Only series that were recorded at every eval point become columns;
+ * nested series expand to start_<i>_p1, start_<i>_grad, test_<j>_p1 and
+ * so on.
+ * @returns {{ columns: string[], rows: object[] }}
+ */
+export function historyRows(history) {
+  const columns = ["algorithm", "step"];
+  const rows = [];
+  for (const alg of Object.keys(history)) {
+    const h = history[alg];
+    const n = h.steps.length;
+    const series = [];
+    for (const [key, val] of Object.entries(h)) {
+      if (key === "steps") continue;
+      if (_nested(key)) {
+        const [, what, metric] = key.match(/^per_([a-z]+)_(.+)$/);
+        val.forEach((s, i) => series.push([`${what}_${i}_${metric}`, s]));
+      } else if (val.length === n) {
+        series.push([key, val]);
+      }
+    }
+    for (const [name] of series) {
+      if (!columns.includes(name)) columns.push(name);
+    }
+    for (let i = 0; i < n; i++) {
+      const row = { algorithm: alg, step: h.steps[i] };
+      for (const [name, s] of series) row[name] = s[i];
+      rows.push(row);
+    }
+  }
+  return { columns, rows };
+}
+
+/**
+ * CSV text for the histories of one or more sessions, `runs` = [{ seed,
+ * history }]: a seed column, then historyRows' columns of the first.
+ */
+export function historyCSV(runs) {
+  let columns = null;
+  const lines = [];
+  for (const run of runs) {
+    const table = historyRows(run.history);
+    if (!columns) {
+      columns = ["seed", ...table.columns];
+      lines.push(columns.join(","));
+    }
+    for (const row of table.rows) {
+      lines.push(columns.map((c) => (c === "seed" ? run.seed : row[c] ?? "")).join(","));
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+// ---------------------------------------------------------------------------
+// Independent seeds
+// ---------------------------------------------------------------------------
+
+// Seeds trained side by side in the app (cli.js --seeds takes any number)
+export const MAX_SEEDS = 16;
+
+// Two-sided 95% Student t quantiles for 1..30 degrees of freedom; 1.96 beyond
+const T95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042,
+];
+
+/**
+ * Session config for seed replica `j` of `config`: the session seed and the
+ * runs' own seeds shifted by j, so replica 0 is `config` itself.
+ */
+export function replicaConfig(config, j) {
+  const out = { ...config, seed: (config.seed ?? DEFAULT_SEED) + j };
+  if (config.runs) out.runs = config.runs.map((run) => ({ ...run, seed: run.seed == null ? null : run.seed + j }));
+  return out;
+}
+
+/** Mean of `values` and its 95% confidence interval (t-based; zero width for one value). */
+export function meanCI(values) {
+  const n = values.length;
+  const mean = values.reduce((a, b) => a + b, 0) / n;
+  if (n < 2) return { mean, lo: mean, hi: mean };
+  const variance = values.reduce((acc, v) => acc + (v - mean) ** 2, 0) / (n - 1);
+  const half = (T95[n - 2] ?? 1.96) * Math.sqrt(variance / n);
+  return { mean, lo: mean - half, hi: mean + half };
+}
+
+const PARTS = ["mean", "lo", "hi"];
+
+/**
+ * Mean and 95% band of every series across the histories of independent
+ * seeds (same runs): { mean, lo, hi }, each shaped like one history and
+ * holding the eval points that all seeds have reached.
+ */
+export function aggregateHistories(histories) {
+  const out = { mean: {}, lo: {}, hi: {} };
+  for (const id of Object.keys(histories[0])) {
+    const hs = histories.map((h) => h[id]);
+    const n = Math.min(...hs.map((h) => h.steps.length));
+    // One series per seed -> { mean, lo, hi } series
+    const aggregate = (series) => {
+      const parts = { mean: [], lo: [], hi: [] };
+      const len = Math.min(n, ...series.map((s) => s.length));
+      for (let t = 0; t < len; t++) {
+        const ci = meanCI(series.map((s) => s[t]));
+        for (const part of PARTS) parts[part].push(ci[part]);
+      }
+      return parts;
+    };
+    for (const part of PARTS) out[part][id] = { steps: hs[0].steps.slice(0, n) };
+    for (const key of Object.keys(hs[0])) {
+      if (key === "steps") continue;
+      if (_nested(key)) {
+        for (const part of PARTS) out[part][id][key] = [];
+        hs[0][key].forEach((_, i) => {
+          const parts = aggregate(hs.map((h) => h[key][i]));
+          for (const part of PARTS) out[part][id][key].push(parts[part]);
+        });
+      } else {
+        const parts = aggregate(hs.map((h) => h[key]));
+        for (const part of PARTS) out[part][id][key] = parts[part];
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Hard-start pass@1 (pass@1 in single-start mode) of every run across the
+ * histories of independent seeds, at eval point `idx` (default: the last all
+ * seeds have reached), with its 95% interval clipped to [0, 1]. Each row
+ * also counts the seeds on which the run beats or ties run `baseline` (null
+ * counts for the baseline itself or without one).
+ * @returns {{ step: number, seeds: number, rows: { id, mean, lo, hi, wins, ties }[] }}
+ */
+export function seedSummary(histories, idx = null, baseline = "rl") {
+  const ids = Object.keys(histories[0]);
+  const last = Math.min(...histories.map((h) => h[ids[0]].steps.length)) - 1;
+  const t = idx === null ? last : Math.min(idx, last);
+  const hardP1 = (h) => (h.per_start_p1 ? h.per_start_p1[0][t] : h.pass_at_1[t]);
+  const base = ids.includes(baseline) ? histories.map((h) => hardP1(h[baseline])) : null;
+  const rows = ids.map((id) => {
+    const values = histories.map((h) => hardP1(h[id]));
+    const { mean, lo, hi } = meanCI(values);
+    const compare = base && id !== baseline;
+    return {
+      id,
+      mean,
+      lo: Math.max(0, lo),
+      hi: Math.min(1, hi),
+      wins: compare ? values.filter((v, s) => v > base[s]).length : null,
+      ties: compare ? values.filter((v, s) => v === base[s]).length : null,
+    };
+  });
+  return { step: histories[0][ids[0]].steps[t], seeds: histories.length, rows };
+}
+
+// ---------------------------------------------------------------------------
+// Policy snapshots
+// ---------------------------------------------------------------------------
+
+// Logits of every run at eval points, for replaying past policies:
+// { stride, items: [{ idx, step, logits, grad }] } where `idx` is the eval
+// point's history index and `logits` and `grad` (TrainingSession.grad) are
+// keyed by run id. Only every `stride`-th eval point is kept; the stride
+// doubles whenever there would be more than MAX_SNAPSHOTS, so long runs keep
+// an even spread.
+export const MAX_SNAPSHOTS = 100;
+
+export function emptySnapshots() {
+  return { stride: 1, items: [] };
+}
+
+/** Add `snap` unless the stride skips its eval point; thins `snapshots` in place. */
+export function addSnapshot(snapshots, snap, max = MAX_SNAPSHOTS) {
+  if (snap.idx % snapshots.stride !== 0) return snapshots;
+  snapshots.items.push(snap);
+  while (snapshots.items.length > max) {
+    snapshots.stride *= 2;
+    snapshots.items = snapshots.items.filter((s) => s.idx % snapshots.stride === 0);
+  }
+  return snapshots;
+}
+
+/** The snapshots from eval point `from` on, with the current stride (see appendSnapshots). */
+export function snapshotSlice(snapshots, from) {
+  return { stride: snapshots.stride, items: snapshots.items.filter((s) => s.idx >= from) };
+}
+
+/** Apply a snapshotSlice() to `snapshots` in place: thin to its stride, then append. */
+export function appendSnapshots(snapshots, delta) {
+  snapshots.stride = delta.stride;
+  snapshots.items = snapshots.items.filter((s) => s.idx % delta.stride === 0);
+  snapshots.items.push(...delta.items);
+  return snapshots;
+}
+
+// ---------------------------------------------------------------------------
+// TrainingSession
+// ---------------------------------------------------------------------------
+
+function _mapValues(obj, fn) {
+  return Object.fromEntries(Object.entries(obj).map(([key, val]) => [key, fn(val)]));
+}
+
+export class TrainingSession {
+  /**
+   * @param {object} opts
+   * @param {number[][]} opts.grid - 0=path, 1=wall
+   * @param {number[][]} opts.starts - [hard, ...easy] in multi-start mode, [start] otherwise
+   * @param {number[]} opts.goal
+   * @param {number[]} opts.startProbs - sampling probability per start
+   * @param {boolean} opts.multiStart
+   * @param {object} [opts.params] - { lr, N, maxSteps, evalInterval, nEval, [alg]: overrides };
+   *   mode defaults if omitted
+   * @param {number} [opts.seed] - seeds the training streams of runs without their own seed, and the eval stream
+   * @param {boolean} [opts.exactEval] - evaluate pass@1 exactly by DP instead of nEval rollouts
+   * @param {string[]} [opts.algorithms] - ESTIMATORS keys to train side by side, one run each
+   * @param {object[]} [opts.runs] - { alg, params?, seed?, id? } per run; takes precedence over `algorithms`
+   * @param {object[]} [opts.testMazes] - held-out { name, grid } of the same size (see heldOutMazes),
+   *   evaluated from every start at every eval point
+   * @param {object[]} [opts.events] - perturbation events { step, type, ... } (see EVENT_TYPES)
+   * @param {object} [opts.schedule] - curriculum { type, params? } of the training starts (see SCHEDULES)
+   * @param {object} [opts.dynamics] - slip, wind and portals of the maze and the test mazes (see NO_DYNAMICS)
+   * @param {object} [opts.rewards] - traps, extra goals, step penalty and success threshold (see NO_REWARDS)
+   */
+  constructor({
+    grid, starts, goal, startProbs, multiStart = true, params = null, seed = DEFAULT_SEED, exactEval = false,
+    algorithms = DEFAULT_ALGORITHMS, runs = null, testMazes = [], events = [],
+    schedule = DEFAULT_SCHEDULE, dynamics = NO_DYNAMICS, rewards = NO_REWARDS,
+  }) {
+    const err = dynamicsError(grid, dynamics) ?? rewardsError(grid, rewards, goal) ??
+      eventsError(grid, starts, goal, events, rewards);
+    if (err) throw new Error(err);
+    this.dynamics = { ...NO_DYNAMICS, ...dynamics };
+    this.rewards = { ...NO_REWARDS, ...rewards };
+    this.initial = { grid, goal };
+    this.events = sortEvents(events);
+    this.env = new GridWorld(grid, starts[0], goal, this.dynamics, this.rewards);
+    this.testMazes = testMazes;
+    this.testEnvs = testMazes.map((t) => {
+      if (t.grid.length !== grid.length || t.grid[0].length !== grid[0].length) {
+        throw new Error(`test maze "${t.name}" is ${t.grid.length}x${t.grid[0].length}, training maze ${grid.length}x${grid[0].length}`);
+      }
+      return new GridWorld(t.grid, starts[0], goal, this.dynamics, this.rewards);
+    });
+    this.starts = starts;
+    this.startProbs = startProbs;
+    this.schedule = scheduleOptions(schedule);
+    this.multiStart = multiStart;
+    this.params = params || (multiStart ? DEFAULTS.multi : DEFAULTS.single);
+    this.runs = normalizeRuns(runs || algorithms.map((alg) => ({ alg })));
+    this.runIds = this.runs.map((run) => run.id);
+    this.runParams = {};
+    for (const run of this.runs) this.runParams[run.id] = runParamsFor(this.params, run);
+    this.seed = seed;
+    this.exactEval = exactEval;
+    this.reset();
+  }
+
+  /**
+   * Fresh policies, re-seeded streams, the maze as it was before any event,
+   * and a history holding the step-0 eval.
+   */
+  reset() {
+    this._setMaze(this.initial);
+    this.nextEvent = 0; // events before this index have been applied
+    const { height, width } = this.env;
+    this.policies = {};
+    this.rngs = { eval: new Rng(this.seed, "eval") };
+    // Held-out evals draw from their own stream so the training curves stay
+    // the same with or without them
+    if (this.testEnvs.length > 0) this.rngs.test = new Rng(this.seed, "test");
+    // Runs of one algorithm under one seed share a stream sequence, so they
+    // differ only through their hyperparameters
+    for (const run of this.runs) {
+      this.policies[run.id] = new TabularSoftmaxPolicy(height, width);
+      this.rngs[run.id] = new Rng(run.seed ?? this.seed, `train/${run.alg}`);
+    }
+    this.step = 0;
+    this.history = emptyHistory(this.multiStart, this.starts.length, this.runIds, this.testEnvs.length,
+      this.schedule.type);
+    this.snapshots = emptySnapshots();
+    // Gradient norms summed over the steps since the last eval point, and
+    // the per-cell mean |grad| over the interval ending at it
+    this.gradAcc = {};
+    this.grad = {};
+    for (const id of this.runIds) this.gradAcc[id] = this._emptyGradAcc();
+    this.metrics = {};
+    this.evaluate();
+    this.record();
+  }
+
+  /**
+   * One update of every run. Evaluates and records history every
+   * `evalInterval` steps.
+   * @returns {boolean} whether an evaluation happened on this step
+   */
+  trainStep() {
+    this._applyEvents();
+    const starts = this.trainStarts();
+    for (const { id, alg } of this.runs) {
+      const p = this.runParams[id];
+      const stats = {};
+      estimatorUpdate(alg, this.policies[id], this.env, starts, this.trainProbs(id),
+        p.N, p.lr, p.maxSteps, this.rngs[id], p, stats);
+      const acc = this.gradAcc[id];
+      acc.steps++;
+      stats.perStart.forEach((v, i) => { acc.perStart[i] += v; });
+      stats.perCell.forEach((v, i) => { acc.perCell[i] += v; });
+    }
+    this.step++;
+
+    if (this.step % this.params.evalInterval === 0) {
+      this.evaluate();
+      this.record();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Add a perturbation event: at `event.step` if that is still ahead,
+   * otherwise (or without a step) at the current step, applied at once.
+   * Throws if it would wall over a start or the goal or cut a start off,
+   * here or combined with the events after it.
+   */
+  addEvent(event) {
+    const added = { ...event, step: Math.max(event.step ?? this.step, this.step) };
+    let i = this.events.length;
+    while (i > this.nextEvent && this.events[i - 1].step > added.step) i--;
+    const events = [...this.events.slice(0, i), added, ...this.events.slice(i)];
+    const err = eventsError(this.initial.grid, this.starts, this.initial.goal, events, this.rewards);
+    if (err) throw new Error(err);
+    this.events = events;
+    this._applyEvents();
+    return added;
+  }
+
+  // Apply the events due by the current step, in order
+  _applyEvents() {
+    while (this.nextEvent < this.events.length && this.events[this.nextEvent].step <= this.step) {
+      const { grid, goal } = this.env;
+      this._setMaze(applyEvent({ grid, goal }, this.events[this.nextEvent++]));
+    }
+  }
+
+  _setMaze({ grid, goal }) {
+    this.env = new GridWorld(grid, this.starts[0], goal, this.dynamics, this.rewards);
+    for (const env of this.testEnvs) env.goal = goal;
+    this.routes = null;
+  }
+
+  // Shortest route of every start to the goal in the current maze, around the traps, cached
+  _routes() {
+    if (!this.routes) {
+      const walled = trapsWalled(this.env.grid, this.rewards);
+      this.routes = this.starts.map((s) => bfsShortestPath(walled, s, this.env.goal)?.path ?? null);
+    }
+    return this.routes;
+  }
+
+  /** Cells the runs train from at the current step (see scheduledStarts). */
+  trainStarts() {
+    if (this.schedule.type !== "reverse") return this.starts;
+    return scheduledStarts(this.schedule, this.starts, this._routes(), this.step);
+  }
+
+  /** Start distribution run `id` trains on at the current step (see scheduledStartProbs). */
+  trainProbs(id) {
+    return scheduledStartProbs(this.schedule, this.startProbs, this.step, this.metrics[id]?.per_start_p1);
+  }
+
+  /** pass@1 of run `id` from `start`: exact, or estimated from the eval stream. */
+  passAt1(id, start) {
+    const policy = this.policies[id];
+    const p = this.runParams[id];
+    if (this.exactEval) return exactSuccessProb(policy, this.env, start, p.maxSteps);
+    return evaluateFromStart(policy, this.env, start, p.nEval, p.maxSteps, this.rngs.eval);
+  }
+
+  /**
+   * pass@1 of run `id` on held-out maze `j`, averaged over the starts by
+   * their sampling probabilities (starts never sampled are not evaluated).
+   */
+  testPassAt1(id, j) {
+    const policy = this.policies[id];
+    const p = this.runParams[id];
+    const env = this.testEnvs[j];
+    let total = 0;
+    this.starts.forEach((start, i) => {
+      if (!(this.startProbs[i] > 0)) return;
+      const p1 = this.exactEval
+        ? exactSuccessProb(policy, env, start, p.maxSteps)
+        : evaluateFromStart(policy, env, start, p.nEval, p.maxSteps, this.rngs.test);
+      total += this.startProbs[i] * p1;
+    });
+    return total;
+  }
+
+  /**
+   * Single-start metrics of run `id`: pass@1, pass@K, visitation-weighted
+   * policy entropy (exact under exactEval) and the number of distinct
+   * successful paths among nEval rollouts (always sampled).
+   */
+  singleStartMetrics(id) {
+    const policy = this.policies[id];
+    const p = this.runParams[id];
+    const start = this.starts[0];
+    const sample = evaluateRollouts(policy, this.env, start, p.nEval, p.maxSteps, this.rngs.eval);
+    const p1 = this.exactEval ? exactSuccessProb(policy, this.env, start, p.maxSteps) : sample.passAt1;
+    const entropy = this.exactEval
+      ? exactVisitationEntropy(policy, this.env, start, p.maxSteps)
+      : sample.entropy;
+    // pass@K estimate: 1 - (1-p1)^K
+    const K = p.N;
+    const pK = 1 - Math.pow(1 - p1, K);
+    return { pass_at_1: p1, pass_at_k: pK, entropy, unique_paths: sample.uniquePaths, K };
+  }
+
+  /** Recompute this.metrics for every run. */
+  evaluate() {
+    const { starts } = this;
+
+    for (const id of this.runIds) {
+      if (this.multiStart) {
+        // Per-start pass@1
+        const p1s = starts.map((s) => this.passAt1(id, s));
+        this.metrics[id] = { per_start_p1: p1s };
+      } else {
+        this.metrics[id] = this.singleStartMetrics(id);
+      }
+      if (this.testEnvs.length > 0) {
+        const m = this.metrics[id];
+        const p1s = this.testEnvs.map((_, j) => this.testPassAt1(id, j));
+        m.per_test_p1 = p1s;
+        m.test_p1 = p1s.reduce((a, b) => a + b, 0) / p1s.length;
+        m.train_p1 = this.multiStart
+          ? m.per_start_p1.reduce((acc, v, i) => acc + this.startProbs[i] * v, 0)
+          : m.pass_at_1;
+      }
+    }
+  }
+
+  /**
+   * Everything needed to resume this session exactly: its configuration,
+   * step, policy logits, stream states, metrics, history and policy
+   * snapshots. Plain data (JSON-serializable); see fromCheckpoint.
+   */
+  checkpoint() {
+    const logits = {};
+    for (const id of this.runIds) logits[id] = Array.from(this.policies[id].logits);
+    const rngs = {};
+    for (const [name, rng] of Object.entries(this.rngs)) rngs[name] = rng.getState();
+    return {
+      config: {
+        grid: this.initial.grid,
+        starts: this.starts,
+        goal: this.initial.goal,
+        startProbs: this.startProbs,
+        multiStart: this.multiStart,
+        params: this.params,
+        seed: this.seed,
+        exactEval: this.exactEval,
+        runs: this.runs,
+        testMazes: this.testMazes,
+        events: this.events,
+        schedule: this.schedule,
+        dynamics: this.dynamics,
+        rewards: this.rewards,
+      },
+      step: this.step,
+      logits,
+      rngs,
+      metrics: this.metrics,
+      history: this.history,
+      snapshots: {
+        stride: this.snapshots.stride,
+        items: this.snapshots.items.map(({ idx, step, logits, grad }) => ({
+          idx,
+          step,
+          logits: _mapValues(logits, (l) => Array.from(l)),
+          grad: _mapValues(grad, (g) => Array.from(g)),
+        })),
+      },
+      grad: _mapValues(this.grad, (g) => Array.from(g)),
+      gradAcc: _mapValues(this.gradAcc, (acc) => ({
+        steps: acc.steps,
+        perStart: Array.from(acc.perStart),
+        perCell: Array.from(acc.perCell),
+      })),
+    };
+  }
+
+  /** Session restored from checkpoint() output, continuing from its step. */
+  static fromCheckpoint(cp) {
+    const session = new TrainingSession(structuredClone(cp.config));
+    const size = session.env.height * session.env.width * 4;
+    for (const id of session.runIds) {
+      if (!cp.logits[id] || cp.logits[id].length !== size) {
+        throw new Error(`checkpoint: expected ${size} logits for run "${id}"`);
+      }
+      session.policies[id].logits.set(cp.logits[id]);
+    }
+    for (const [name, rng] of Object.entries(session.rngs)) {
+      if (!cp.rngs[name]) throw new Error(`checkpoint: missing random stream "${name}"`);
+      rng.setState(cp.rngs[name]);
+    }
+    session.step = cp.step;
+    session._applyEvents();
+    session.metrics = structuredClone(cp.metrics);
+    session.history = structuredClone(cp.history);
+    session.snapshots = {
+      stride: cp.snapshots.stride,
+      items: cp.snapshots.items.map(({ idx, step, logits, grad }) => ({
+        idx,
+        step,
+        logits: _mapValues(logits, (l) => Float64Array.from(l)),
+        grad: _mapValues(grad, (g) => Float64Array.from(g)),
+      })),
+    };
+    session.grad = _mapValues(cp.grad, (g) => Float64Array.from(g));
+    session.gradAcc = _mapValues(cp.gradAcc, (acc) => ({
+      steps: acc.steps,
+      perStart: Float64Array.from(acc.perStart),
+      perCell: Float64Array.from(acc.perCell),
+    }));
+    return session;
+  }
+
+  _emptyGradAcc() {
+    return {
+      steps: 0,
+      perStart: new Float64Array(this.starts.length),
+      perCell: new Float64Array(this.env.height * this.env.width),
+    };
+  }
+
+  /**
+   * Append the current metrics and the gradient norms since the previous
+   * eval point to history, and take a policy snapshot, at the current step.
+   */
+  record() {
+    const logits = {};
+    for (const id of this.runIds) {
+      const acc = this.gradAcc[id];
+      const n = Math.max(1, acc.steps);
+      this.grad[id] = acc.perCell.map((v) => v / n);
+      logits[id] = this.policies[id].logits.slice();
+    }
+    addSnapshot(this.snapshots, {
+      idx: this.history[this.runIds[0]].steps.length,
+      step: this.step,
+      logits,
+      grad: _mapValues(this.grad, (g) => g.slice()),
+    });
+    for (const id of this.runIds) {
+      const h = this.history[id];
+      const m = this.metrics[id];
+      const acc = this.gradAcc[id];
+      h.steps.push(this.step);
+      if (this.multiStart) {
+        m.per_start_p1.forEach((v, i) => h.per_start_p1[i].push(v));
+        acc.perStart.forEach((v, i) => h.per_start_grad[i].push(v / Math.max(1, acc.steps)));
+      } else {
+        h.pass_at_1.push(m.pass_at_1);
+        h.pass_at_k.push(m.pass_at_k);
+        h.entropy.push(m.entropy);
+        h.unique_paths.push(m.unique_paths);
+        h.K.push(m.K);
+      }
+      if (m.per_test_p1) {
+        m.per_test_p1.forEach((v, j) => h.per_test_p1[j].push(v));
+        h.test_p1.push(m.test_p1);
+        h.train_p1.push(m.train_p1);
+      }
+      if (h.per_start_prob) this.trainProbs(id).forEach((v, i) => h.per_start_prob[i].push(v));
+      if (h.per_start_dist) {
+        this._routes().forEach((path, i) => {
+          h.per_start_dist[i].push(path ? reverseDistance(this.schedule, path.length - 1, this.step) : 0);
+        });
+      }
+      this.gradAcc[id] = this._emptyGradAcc();
+    }
+  }
+}
@@ -0,0 +1,441 @@
+// urlstate.js -- Experiment configuration <-> URL hash, so that a link
+// reproduces the same demo. DOM-free; app.js restores the hash on load and
+// rewrites it as the controls change.
+//
+// The hash is a query string, e.g.
+//
+//   #maze=11x11:_8Bw...&starts=9,1;1,1&goal=9,9&mode=multi&hard=50&seed=1
+//    &lr=0.3&N=32&maxSteps=25&evalInterval=10&nEval=64&run=rl&run=maxrl:lr=0.1,seed=3
+//
+//   maze     <rows>x<cols>:<walls>, the wall bits in row-major order packed
+//            six per character, most significant first, in the base64url
+//            alphabet (A-Z a-z 0-9 - _)
+//   starts   row,col pairs separated by ";", the hard start first
+//   weights  easy-start sampling weights separated by "," (omitted when all 1)
+//   goal     row,col
+//   slip     probability that an action is replaced by a random one (omitted when 0)
+//   wind     <col>[-<col>]:<push> separated by ",", cells pushed up (< 0 down)
+//            per column (omitted when calm)
+//   portals  <row>,<col>><row>,<col> pairs (entrance > exit) separated by ";"
+//   traps    row,col pairs separated by ";"
+//   goals    extra goals <row>,<col>:<reward> separated by ";"
+//   penalty  reward taken off per action (omitted when 0)
+//   threshold  least return that makes reaching a goal a success (omitted when 0)
+//   mode     multi | single
+//   hard     hard-start share in percent (multi-start mode)
+//   seed     session seed
+//   seeds    independent seeds trained per run (omitted when 1)
+//   exact    1 = exact evaluation
+//   heldout  1 = also evaluate on held-out test mazes
+//   <key>    hyperparameter of the mode (PARAM_SPECS keys); <alg>.<key> for
+//            per-algorithm overrides
+//   run      one per run: <alg>[:<key>=<x>,...], with `seed` among the keys
+//   curriculum  schedule of the training starts: <type>[:<key>=<x>,...]
+//            (SCHEDULES; omitted when fixed)
+//   event    one per perturbation event: <step>:<type>=<what>, where <what> is
+//            row,col pairs separated by ";" (block, open), row,col (goal) or
+//            a maze in the form above (maze)
+//
+// Every field is optional; missing ones take the defaults.
+
+import { NO_DYNAMICS, NO_REWARDS } from "./engine.js";
+import { validateLayout, MazeFormatError } from "./mazefile.js";
+import {
+  ALGORITHMS,
+  DEFAULTS,
+  DEFAULT_ALGORITHMS,
+  DEFAULT_LAYOUT,
+  DEFAULT_SEED,
+  DEFAULT_SCHEDULE,
+  EVENT_TYPES,
+  MAX_SEEDS,
+  PARAM_SPECS,
+  SCHEDULES,
+  paramSpec,
+  eventsError,
+  normalizeRuns,
+  scheduleOptions,
+  validateParams,
+} from "./trainer.js";
+
+const B64 = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_";
+
+/** Malformed or out-of-range URL state. */
+export class UrlStateError extends Error {}
+
+// ---------------------------------------------------------------------------
+// Maze
+// ---------------------------------------------------------------------------
+
+/** Grid -> "<rows>x<cols>:<walls>" (see the header). */
+export function encodeGrid(grid) {
+  const bits = grid.flat();
+  let out = "";
+  for (let i = 0; i < bits.length; i += 6) {
+    let v = 0;
+    for (let b = 0; b < 6; b++) v = (v << 1) | (bits[i + b] === 1 ? 1 : 0);
+    out += B64[v];
+  }
+  return `${grid.length}x${grid[0].length}:${out}`;
+}
+
+export function decodeGrid(text) {
+  const m = text.match(/^(\d+)x(\d+):([\w-]*)$/);
+  if (!m) throw new UrlStateError(`maze: expected <rows>x<cols>:<walls>, got "${text}"`);
+  const h = Number(m[1]);
+  const w = Number(m[2]);
+  const chars = m[3];
+  if (h === 0 || w === 0) throw new UrlStateError(`maze: expected at least one row and column, got ${h}x${w}`);
+  if (chars.length !== Math.ceil((h * w) / 6)) {
+    throw new UrlStateError(`maze: ${h}x${w} needs ${Math.ceil((h * w) / 6)} wall characters, got ${chars.length}`);
+  }
+  const grid = [];
+  for (let r = 0; r < h; r++) {
+    const row = [];
+    for (let c = 0; c < w; c++) {
+      const i = r * w + c;
+      row.push((B64.indexOf(chars[Math.floor(i / 6)]) >> (5 - (i % 6))) & 1);
+    }
+    grid.push(row);
+  }
+  return grid;
+}
+
+function _cell(text, name) {
+  const m = text.match(/^(\d+),(\d+)$/);
+  if (!m) throw new UrlStateError(`${name}: expected <row>,<col>, got "${text}"`);
+  return [Number(m[1]), Number(m[2])];
+}
+
+// ---------------------------------------------------------------------------
+// Dynamics
+// ---------------------------------------------------------------------------
+
+/** Wind per column -> "<col>[-<col>]:<push>,..." for the windy runs of columns ("" when calm). */
+export function formatWind(wind) {
+  if (!wind) return "";
+  const parts = [];
+  for (let c = 0; c < wind.length; c++) {
+    if (wind[c] === 0) continue;
+    let end = c;
+    while (end + 1 < wind.length && wind[end + 1] === wind[c]) end++;
+    parts.push(`${end > c ? `${c}-${end}` : c}:${wind[c]}`);
+    c = end;
+  }
+  return parts.join(",");
+}
+
+/** Parse formatWind() output for a maze `width` columns wide (null when calm). */
+export function parseWind(text, width) {
+  if (text.trim() === "") return null;
+  const wind = new Array(width).fill(0);
+  for (const part of text.split(",")) {
+    const m = part.trim().match(/^(\d+)(?:-(\d+))?:(-?\d+)$/);
+    if (!m) throw new UrlStateError(`wind: expected <col>[-<col>]:<push>, got "${part}"`);
+    const from = Number(m[1]);
+    const to = m[2] !== undefined ? Number(m[2]) : from;
+    if (to < from || to >= width) throw new UrlStateError(`wind: columns ${part} outside 0..${width - 1}`);
+    wind.fill(Number(m[3]), from, to + 1);
+  }
+  return wind.some((w) => w !== 0) ? wind : null;
+}
+
+/** Portals [[entrance, exit], ...] -> "<row>,<col>><row>,<col>;...". */
+export function formatPortals(portals) {
+  return portals.map(([from, to]) => `${from.join(",")}>${to.join(",")}`).join(";");
+}
+
+export function parsePortals(text) {
+  if (text.trim() === "") return [];
+  return text.split(";").map((part) => {
+    const cells = part.trim().split(">");
+    if (cells.length !== 2) throw new UrlStateError(`portals: expected <row>,<col>><row>,<col>, got "${part}"`);
+    return cells.map((cell) => _cell(cell.trim(), "portals"));
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Rewards
+// ---------------------------------------------------------------------------
+
+/** Cells [[r, c], ...] -> "<row>,<col>;...". */
+export function formatTraps(traps) {
+  return traps.map((cell) => cell.join(",")).join(";");
+}
+
+export function parseTraps(text) {
+  if (text.trim() === "") return [];
+  return text.split(";").map((part) => _cell(part.trim(), "traps"));
+}
+
+/** Extra goals [[cell, reward], ...] -> "<row>,<col>:<reward>;...". */
+export function formatGoals(goals) {
+  return goals.map(([cell, reward]) => `${cell.join(",")}:${reward}`).join(";");
+}
+
+export function parseGoals(text) {
+  if (text.trim() === "") return [];
+  return text.split(";").map((part) => {
+    const [cell, reward, ...rest] = part.trim().split(":");
+    if (reward === undefined || rest.length > 0) {
+      throw new UrlStateError(`goals: expected <row>,<col>:<reward>, got "${part}"`);
+    }
+    return [_cell(cell, "goals"), _number("goals", reward)];
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Runs
+// ---------------------------------------------------------------------------
+
+function _number(name, text, integer = false) {
+  const v = Number(text);
+  if (text === "" || !Number.isFinite(v) || (integer && !Number.isInteger(v))) {
+    throw new UrlStateError(`${name}: expected ${integer ? "an integer" : "a number"}, got "${text}"`);
+  }
+  return v;
+}
+
+/** Run { alg, params, seed } -> "<alg>[:<key>=<x>,...]". */
+export function formatRun(run) {
+  const parts = Object.entries(run.params || {}).map(([key, val]) => `${key}=${val}`);
+  if (run.seed != null) parts.push(`seed=${run.seed}`);
+  return parts.length > 0 ? `${run.alg}:${parts.join(",")}` : run.alg;
+}
+
+export function parseRun(text) {
+  const colon = text.indexOf(":");
+  const alg = colon < 0 ? text : text.slice(0, colon);
+  if (!ALGORITHMS.includes(alg)) throw new UrlStateError(`run: unknown algorithm "${alg}"`);
+  const run = { alg, params: {}, seed: null };
+  if (colon < 0) return run;
+  for (const part of text.slice(colon + 1).split(",")) {
+    const m = part.match(/^(\w+)=(.*)$/);
+    if (!m) throw new UrlStateError(`run: expected <key>=<x>, got "${part}"`);
+    const [, key, val] = m;
+    if (key === "seed") {
+      run.seed = _number("run seed", val, true);
+    } else if (paramSpec(key, alg)) {
+      run.params[key] = _number(`run ${key}`, val);
+    } else {
+      throw new UrlStateError(`run: unknown setting "${key}" for ${alg}`);
+    }
+  }
+  return run;
+}
+
+// ---------------------------------------------------------------------------
+// Curriculum
+// ---------------------------------------------------------------------------
+
+/** Schedule { type, params } -> "<type>[:<key>=<x>,...]". */
+export function formatSchedule(schedule) {
+  const parts = Object.entries(schedule.params || {}).map(([key, val]) => `${key}=${val}`);
+  return parts.length > 0 ? `${schedule.type}:${parts.join(",")}` : schedule.type;
+}
+
+/** Parse formatSchedule() output; settings not given take their defaults. */
+export function parseSchedule(text) {
+  const colon = text.indexOf(":");
+  const type = colon < 0 ? text : text.slice(0, colon);
+  if (!SCHEDULES[type]) throw new UrlStateError(`curriculum: unknown schedule "${type}"`);
+  const params = {};
+  if (colon >= 0) {
+    for (const part of text.slice(colon + 1).split(",")) {
+      const m = part.match(/^(\w+)=(.*)$/);
+      if (!m) throw new UrlStateError(`curriculum: expected <key>=<x>, got "${part}"`);
+      params[m[1]] = _number(`curriculum ${m[1]}`, m[2]);
+    }
+  }
+  try {
+    return scheduleOptions({ type, params });
+  } catch (err) {
+    throw new UrlStateError(`curriculum: ${err.message}`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Perturbation events
+// ---------------------------------------------------------------------------
+
+/** Event { step, type, cells | goal | grid } -> "<step>:<type>=<what>". */
+export function formatEvent(event) {
+  let what;
+  if (event.type === "maze") {
+    what = encodeGrid(event.grid);
+  } else if (event.type === "goal") {
+    what = event.goal.join(",");
+  } else {
+    what = event.cells.map((cell) => cell.join(",")).join(";");
+  }
+  return `${event.step}:${event.type}=${what}`;
+}
+
+export function parseEvent(text) {
+  const m = text.match(/^(\d+):(\w+)=(.*)$/);
+  if (!m) throw new UrlStateError(`event: expected <step>:<type>=<what>, got "${text}"`);
+  const [, step, type, what] = m;
+  if (!EVENT_TYPES[type]) throw new UrlStateError(`event: unknown type "${type}"`);
+  const event = { step: Number(step), type };
+  if (type === "maze") {
+    event.grid = decodeGrid(what);
+  } else if (type === "goal") {
+    event.goal = _cell(what, "event goal");
+  } else {
+    event.cells = what.split(";").map((cell) => _cell(cell, `event ${type}`));
+  }
+  return event;
+}
+
+// ---------------------------------------------------------------------------
+// State
+// ---------------------------------------------------------------------------
+
+// Like encodeURIComponent, but keeps the separators used inside values readable
+function _encode(value) {
+  return encodeURIComponent(value).replace(/%(2C|3A|3B|3D|3E)/g, (esc) => decodeURIComponent(esc));
+}
+
+/**
+ * Hash (without "#") for a state { layout: { grid, starts, weights, goal, dynamics?, rewards? },
+ * multiStart, hardPct, seed, nSeeds, exactEval, heldOut, params, runs,
+ * events, schedule }, where `params` are the current mode's hyperparameters.
+ */
+export function encodeState({
+  layout, multiStart, hardPct, seed, nSeeds = 1, exactEval, heldOut = false, params, runs, events = [],
+  schedule = DEFAULT_SCHEDULE,
+}) {
+  const fields = [
+    ["maze", encodeGrid(layout.grid)],
+    ["starts", layout.starts.map((s) => s.join(",")).join(";")],
+  ];
+  if (layout.weights && layout.weights.slice(1).some((w) => w !== 1)) {
+    fields.push(["weights", layout.weights.slice(1).join(",")]);
+  }
+  fields.push(["goal", layout.goal.join(",")]);
+  const dynamics = { ...NO_DYNAMICS, ...layout.dynamics };
+  if (dynamics.slip > 0) fields.push(["slip", dynamics.slip]);
+  if (formatWind(dynamics.wind)) fields.push(["wind", formatWind(dynamics.wind)]);
+  if (dynamics.portals.length > 0) fields.push(["portals", formatPortals(dynamics.portals)]);
+  const rewards = { ...NO_REWARDS, ...layout.rewards };
+  if (rewards.traps.length > 0) fields.push(["traps", formatTraps(rewards.traps)]);
+  if (rewards.goals.length > 0) fields.push(["goals", formatGoals(rewards.goals)]);
+  if (rewards.stepPenalty > 0) fields.push(["penalty", rewards.stepPenalty]);
+  if (rewards.threshold > 0) fields.push(["threshold", rewards.threshold]);
+  fields.push(
+    ["mode", multiStart ? "multi" : "single"],
+    ["hard", hardPct],
+    ["seed", seed],
+  );
+  if (nSeeds > 1) fields.push(["seeds", nSeeds]);
+  if (exactEval) fields.push(["exact", 1]);
+  if (heldOut) fields.push(["heldout", 1]);
+  for (const key of Object.keys(PARAM_SPECS)) fields.push([key, params[key]]);
+  for (const alg of ALGORITHMS) {
+    for (const [key, val] of Object.entries(params[alg] || {})) fields.push([`${alg}.${key}`, val]);
+  }
+  for (const run of runs) fields.push(["run", formatRun(run)]);
+  if (schedule.type !== "fixed") fields.push(["curriculum", formatSchedule(schedule)]);
+  for (const event of events) fields.push(["event", formatEvent(event)]);
+  return fields.map(([key, val]) => `${key}=${_encode(String(val))}`).join("&");
+}
+
+/**
+ * Parse a hash (with or without "#") into { layout, multiStart, hardPct,
+ * seed, nSeeds, exactEval, heldOut, params, runs, events, schedule }.
+ * Missing fields take the defaults, except `layout`, which is null without
+ * a maze (and always has `dynamics` and `rewards` with one). Throws
+ * UrlStateError on anything malformed or out of range, events, dynamics and
+ * rewards that do not fit the maze included; unknown fields are ignored.
+ */
+export function decodeState(hash) {
+  const q = new URLSearchParams(hash.replace(/^#/, ""));
+
+  let layout = null;
+  if (q.has("maze")) {
+    const grid = decodeGrid(q.get("maze"));
+    const h = grid.length;
+    const w = grid[0] ? grid[0].length : 0;
+    const starts = q.has("starts")
+      ? q.get("starts").split(";").map((s, i) => _cell(s, `starts[${i}]`))
+      : [[1, 1], [h - 2, 1]];
+    const weights = q.has("weights")
+      ? [1, ...q.get("weights").split(",").map((v) => _number("weights", v))]
+      : starts.map(() => 1);
+    const goal = q.has("goal") ? _cell(q.get("goal"), "goal") : [h - 2, w - 2];
+    const dynamics = {
+      slip: q.has("slip") ? _number("slip", q.get("slip")) : 0,
+      wind: parseWind(q.get("wind") ?? "", w),
+      portals: parsePortals(q.get("portals") ?? ""),
+    };
+    const rewards = {
+      traps: parseTraps(q.get("traps") ?? ""),
+      goals: parseGoals(q.get("goals") ?? ""),
+      stepPenalty: q.has("penalty") ? _number("penalty", q.get("penalty")) : 0,
+      threshold: q.has("threshold") ? _number("threshold", q.get("threshold")) : 0,
+    };
+    layout = { grid, starts, weights, goal, dynamics, rewards };
+    try {
+      validateLayout(layout);
+    } catch (err) {
+      if (err instanceof MazeFormatError) throw new UrlStateError(`maze: ${err.message}`);
+      throw err;
+    }
+  }
+
+  const mode = q.get("mode") ?? "multi";
+  if (mode !== "multi" && mode !== "single") {
+    throw new UrlStateError(`mode: expected multi or single, got "${mode}"`);
+  }
+  const hardPct = q.has("hard") ? _number("hard", q.get("hard")) : 50;
+  if (hardPct < 0 || hardPct > 100) throw new UrlStateError(`hard: expected 0 to 100, got ${hardPct}`);
+  const seed = q.has("seed") ? _number("seed", q.get("seed"), true) : DEFAULT_SEED;
+  if (seed < 0) throw new UrlStateError(`seed: expected a non-negative integer, got ${seed}`);
+  const nSeeds = q.has("seeds") ? _number("seeds", q.get("seeds"), true) : 1;
+  if (nSeeds < 1 || nSeeds > MAX_SEEDS) throw new UrlStateError(`seeds: expected 1 to ${MAX_SEEDS}, got ${nSeeds}`);
+
+  const params = { ...DEFAULTS[mode] };
+  for (const [name, val] of q) {
+    const m = name.match(/^(?:(\w+)\.)?(\w+)$/);
+    if (!m) continue;
+    const [, alg, key] = m;
+    if (!alg && PARAM_SPECS[key]) {
+      params[key] = _number(key, val);
+    } else if (alg && ALGORITHMS.includes(alg)) {
+      params[alg] = { ...params[alg], [key]: _number(name, val) };
+    }
+  }
+
+  const runs = q.has("run")
+    ? q.getAll("run").map(parseRun)
+    : DEFAULT_ALGORITHMS.map((alg) => ({ alg, params: {}, seed: null }));
+  let errors;
+  try {
+    errors = validateParams(params, normalizeRuns(runs));
+  } catch (err) {
+    throw new UrlStateError(`run: ${err.message}`);
+  }
+  if (errors.length > 0) throw new UrlStateError(errors[0]);
+
+  const schedule = parseSchedule(q.get("curriculum") ?? DEFAULT_SCHEDULE.type);
+
+  const events = q.getAll("event").map(parseEvent);
+  // Without a maze the page trains on the default one
+  const maze = layout ?? DEFAULT_LAYOUT;
+  const eventError = eventsError(maze.grid, maze.starts, maze.goal, events, maze.rewards);
+  if (eventError) throw new UrlStateError(eventError);
+
+  return {
+    layout,
+    multiStart: mode === "multi",
+    hardPct,
+    seed,
+    nSeeds,
+    exactEval: q.get("exact") === "1",
+    heldOut: q.get("heldout") === "1",
+    params,
+    runs,
+    events,
+    schedule,
+  };
+}
@@ -0,0 +1,250 @@
+// worker.js -- Training backend: owns the TrainingSession off the main thread
+// and posts compact snapshots (step, metrics, logits, heatmaps, new history)
+// back to app.js. Falls back to running on the main thread where module
+// workers are unavailable.
+//
+// Messages in:   configure { gen, config, nSeeds? }, reset { gen }, play,
+//                pause, speed { speed }, startProbs { startProbs },
+//                exactEval { on }, event { event }, checkpoint,
+//                restore { gen, checkpoint }
+// Messages out:  snapshot { gen, full, step, metrics, logits, history,
+//                seedHistory, snapshots, events, heat?, grad? },
+//                all keyed by run id; checkpoint { gen, checkpoint }
+//
+// With nSeeds > 1 the host trains nSeeds - 1 replicas of the session next to
+// it (replicaConfig: seeds shifted by 1, 2, ...) in lockstep; `seedHistory`
+// holds their histories, the rest of a snapshot is the first seed's.
+//
+// A checkpoint is the session's (TrainingSession.checkpoint) plus the heatmap
+// stream, heatmaps and replicas: { session, heatRng, heat, replicas }.
+// Restoring one resumes training exactly where it was taken.
+//
+// `gen` is bumped by the app on every configure/reset so snapshots of a
+// discarded session can be told apart. A `full` snapshot carries the whole
+// history and policy snapshots; the others only the eval points added since
+// the previous one.
+
+import { TrainingSession, historySlice, replicaConfig, snapshotSlice } from "./trainer.js";
+import { generateHeatmap, generateHeatmapMultistart } from "./renderer.js";
+import { Rng } from "./rng.js";
+
+// Worker tick period; matches the main thread's frame rate
+const FRAME_MS = 16;
+
+// ---------------------------------------------------------------------------
+// TrainingHost
+// ---------------------------------------------------------------------------
+
+export class TrainingHost {
+  /** @param {(msg: object) => void} post - delivers a message to the app */
+  constructor(post) {
+    this.post = post;
+    this.session = null;
+    this.replicas = []; // sessions of the other seeds
+    this.gen = 0;
+    this.running = false;
+    this.speed = 3; // training steps per tick
+    this.heatRng = null;
+    this.heat = null;
+    this.heatDirty = false;
+    this.sentLen = 0; // history points already posted
+  }
+
+  handle(msg) {
+    switch (msg.type) {
+      case "configure":
+        this.gen = msg.gen;
+        this.session = new TrainingSession(msg.config);
+        this.replicas = [];
+        for (let j = 1; j < (msg.nSeeds ?? 1); j++) {
+          this.replicas.push(new TrainingSession(replicaConfig(msg.config, j)));
+        }
+        this._restart();
+        break;
+      case "reset":
+        this.gen = msg.gen;
+        for (const session of this._sessions()) session.reset();
+        this._restart();
+        break;
+      case "play":
+        this.running = true;
+        break;
+      case "pause":
+        this.running = false;
+        break;
+      case "speed":
+        this.speed = msg.speed;
+        break;
+      case "startProbs":
+        for (const session of this._sessions()) session.startProbs = msg.startProbs;
+        break;
+      case "exactEval":
+        for (const session of this._sessions()) {
+          session.exactEval = msg.on;
+          session.evaluate();
+        }
+        this._postSnapshot(false);
+        break;
+      case "event":
+        // Every seed gets the event at the same step; the maze changes at
+        // once, so the heatmaps are redrawn on it
+        for (const session of this._sessions()) session.addEvent(msg.event);
+        this._refreshHeatmaps();
+        this._postSnapshot(false);
+        break;
+      case "checkpoint":
+        this.post({ type: "checkpoint", gen: this.gen, checkpoint: this.checkpoint() });
+        break;
+      case "restore":
+        this.gen = msg.gen;
+        this.restore(msg.checkpoint);
+        break;
+      default:
+        throw new Error(`unknown message type "${msg.type}"`);
+    }
+  }
+
+  checkpoint() {
+    return {
+      session: this.session.checkpoint(),
+      heatRng: this.heatRng.getState(),
+      heat: this.heat,
+      replicas: this.replicas.map((session) => session.checkpoint()),
+    };
+  }
+
+  restore(cp) {
+    this.session = TrainingSession.fromCheckpoint(cp.session);
+    this.replicas = (cp.replicas || []).map((session) => TrainingSession.fromCheckpoint(session));
+    this.heatRng = new Rng(this.session.seed, "heatmap");
+    this.heatRng.setState(cp.heatRng);
+    this.heat = cp.heat;
+    this.heatDirty = true;
+    this._postSnapshot(true);
+  }
+
+  /** Run `speed` training steps and post a snapshot. */
+  tick() {
+    if (!this.session) return;
+    for (let i = 0; i < this.speed; i++) {
+      for (const session of this.replicas) session.trainStep();
+      if (this.session.trainStep()) this._refreshHeatmaps();
+    }
+    this._postSnapshot(false);
+  }
+
+  _sessions() {
+    return [this.session, ...this.replicas];
+  }
+
+  // Re-seed the heatmap stream alongside the session's own streams
+  _restart() {
+    this.heatRng = new Rng(this.session.seed, "heatmap");
+    this._refreshHeatmaps();
+    this._postSnapshot(true);
+  }
+
+  _refreshHeatmaps() {
+    const { env, starts, multiStart, runParams, policies, runIds } = this.session;
+    this.heat = {};
+    for (const id of runIds) {
+      const logits = policies[id].logits;
+      const { maxSteps } = runParams[id];
+      this.heat[id] = multiStart
+        ? generateHeatmapMultistart(logits, env, starts, 75, maxSteps, this.heatRng)
+        : generateHeatmap(logits, env, starts[0], 150, maxSteps, this.heatRng);
+    }
+    this.heatDirty = true;
+  }
+
+  _postSnapshot(full) {
+    const s = this.session;
+    const logits = {};
+    for (const id of s.runIds) logits[id] = s.policies[id].logits.slice();
+    const msg = {
+      type: "snapshot",
+      gen: this.gen,
+      full,
+      step: s.step,
+      metrics: s.metrics,
+      logits,
+      history: full ? s.history : historySlice(s.history, this.sentLen),
+      seedHistory: this.replicas.map((r) => (full ? r.history : historySlice(r.history, this.sentLen))),
+      snapshots: full ? s.snapshots : snapshotSlice(s.snapshots, this.sentLen),
+      events: s.events,
+    };
+    this.sentLen = s.history[s.runIds[0]].steps.length;
+    // Heatmaps and per-cell gradient norms change at eval points only
+    if (this.heatDirty) {
+      msg.heat = this.heat;
+      msg.grad = s.grad;
+      this.heatDirty = false;
+    }
+    this.post(msg);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Backends (main-thread side)
+// ---------------------------------------------------------------------------
+
+/**
+ * Start a training backend. Both kinds expose postMessage(msg), which the
+ * host handles, and frame(), which the app calls once per animation frame.
+ * @param {(msg: object) => void} onMessage - receives the host's snapshots
+ * @returns {{ postMessage(msg: object): void, frame(): void, inline: boolean }}
+ */
+export function createBackend(onMessage) {
+  if (typeof Worker !== "undefined") {
+    try {
+      const worker = new Worker(new URL("./worker.js", import.meta.url), { type: "module" });
+      worker.addEventListener("message", (e) => onMessage(e.data));
+      worker.addEventListener("error", (e) => console.error("training worker:", e.message));
+      return {
+        postMessage: (msg) => worker.postMessage(msg),
+        frame() {},
+        inline: false,
+      };
+    } catch (err) {
+      console.warn("module workers unavailable, training on the main thread:", err);
+    }
+  }
+
+  // Inline fallback: same host, ticked from the app's frame loop. Snapshots
+  // are cloned so the app never shares state with the session.
+  const host = new TrainingHost((msg) => onMessage(structuredClone(msg)));
+  return {
+    postMessage: (msg) => host.handle(msg),
+    frame() {
+      if (host.running) host.tick();
+    },
+    inline: true,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Worker entry point
+// ---------------------------------------------------------------------------
+
+if (typeof WorkerGlobalScope !== "undefined" && self instanceof WorkerGlobalScope) {
+  const host = new TrainingHost((msg) => self.postMessage(msg));
+  let timer = null;
+
+  const loop = () => {
+    const t0 = performance.now();
+    host.tick();
+    timer = host.running
+      ? setTimeout(loop, Math.max(0, FRAME_MS - (performance.now() - t0)))
+      : null;
+  };
+
+  self.addEventListener("message", (e) => {
+    host.handle(e.data);
+    if (host.running && timer === null) {
+      timer = setTimeout(loop, 0);
+    } else if (!host.running && timer !== null) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  });
+}